@@ -2,7 +2,45 @@ import { AbstractApiModule } from 'adapt-authoring-api'
 import { Hook, stringifyValues } from 'adapt-authoring-core'
 import { createObjectId, parseObjectId } from 'adapt-authoring-mongodb'
 import { ObjectId } from 'mongodb'
-import { ContentTree, buildAssetUsagePipeline, computeSortOrderOps, contentTypeToSchemaName, excludeIdsFromQuery, extractAssetIds, extractSummary, fieldsToProjection, formatFriendlyId, parseMaxSeq, partitionCourseAssets, treeEtag } from './utils.js'
+import path from 'path'
+import { ContentTree, assignFriendlyIds, buildAssetUsagePipeline, checkContentBundle, checkFriendlyIds, computeCloneCompatibility, computeFriendlyIdChanges, computeMovedFriendlyIds, computeMoveOps, computeSortOrderOps, contentTypeToSchemaName, createContentBundle, diffContent, excludeIdsFromQuery, extractAssetIds, extractSummary, fieldsToProjection, findFriendlyIdFormatCollisions, findReplacements, findTextMatches, formatFriendlyId, getFriendlyIdFormat, isSameContent, isValidParentType, mergeDeep, paginate, parseBundleDates, parseMaxSeq, partitionCourseAssets, replaceAssetIds, setFieldPath, splitFieldPath, stripIncompatibleData, treeEtag } from './utils.js'
+/**
+ * Content types which can be exported and imported on their own (see exportSubtree)
+ * @type {Array<String>}
+ */
+const SUBTREE_BUNDLE_TYPES = ['page', 'article']
+/**
+ * Course fields needed for the course-level read access check (see checkCourseReadAccess)
+ * @type {Object}
+ */
+const COURSE_ACCESS_PROJECTION = { updatedAt: 1, _type: 1, createdBy: 1, _access: 1, _isShared: 1, _shareWithUsers: 1, userGroups: 1 }
+/**
+ * Course fields holding its sharing settings, which a snapshot rollback leaves as they are
+ * @type {Array<String>}
+ */
+const COURSE_SHARING_FIELDS = ['_access', '_isShared', '_shareWithUsers', 'userGroups']
+/**
+ * Title of the page (and article and block) orphaned content is moved into by repairCourse
+ * @type {String}
+ */
+const RECOVERED_ITEMS_TITLE = 'Recovered items'
+/**
+ * The type of container each type of orphaned branch is moved into by repairCourse
+ * @type {Object}
+ */
+const RECOVERED_PARENT_TYPES = { menu: 'course', page: 'course', article: 'page', block: 'article', component: 'block' }
+/**
+ * Fields of a live item which restoreRevision keeps, so a restore doesn't move the item
+ * @type {Array<String>}
+ */
+const RESTORE_POSITION_FIELDS = ['_courseId', '_parentId', '_sortOrder']
+/**
+ * Fields of a live item which restoreRevision never removes: its _id and the fields recomputed or
+ * set on every write
+ * @type {Array<String>}
+ */
+const RESTORE_RETAINED_FIELDS = ['_id', '_assetIds', '_summary', 'createdAt', 'updatedAt', 'updatedBy']
+
 /**
  * Module which handles course content
  * @memberof content
@@ -14,11 +52,21 @@ class ContentModule extends AbstractApiModule {
     await super.setValues()
     /** @ignore */ this.collectionName = this.schemaName = 'content'
     this.counterCollectionName = 'contentcounters'
+    this.revisionCollectionName = 'contentrevisions'
+    this.trashCollectionName = 'contenttrash'
+    this.snapshotCollectionName = 'contentsnapshots'
+    this.snapshotItemCollectionName = 'contentsnapshotitems'
+    this.templateCollectionName = 'contenttemplates'
+    this.snippetCollectionName = 'contentsnippets'
   }
 
   /** @override */
   async init () {
     await super.init()
+    const collisions = findFriendlyIdFormatCollisions(this.getConfig('friendlyIdFormats'))
+    if (collisions.length) {
+      throw this.app.errors.FRIENDLY_ID_FORMAT_COLLISION.setData({ collisions })
+    }
     /**
      * Hook invoked before content data is cloned
      * @type {Hook}
@@ -29,6 +77,21 @@ class ContentModule extends AbstractApiModule {
      * @type {Hook}
      */
     this.postCloneHook = new Hook()
+    /**
+     * Hook invoked once after content items are moved, with the moved items and their new parent
+     * @type {Hook}
+     */
+    this.postMoveHook = new Hook()
+    /**
+     * Hook invoked once after a parent's children are reordered, with the reordered children and the parent
+     * @type {Hook}
+     */
+    this.postReorderHook = new Hook()
+    /**
+     * Hook invoked after a course is rolled back to a snapshot, with the restored course and the snapshot
+     * @type {Hook}
+     */
+    this.postRollbackHook = new Hook()
 
     const [assets, authored, contentplugin, jsonschema, mongodb, tags] = await this.app.waitForModule('assets', 'authored', 'contentplugin', 'jsonschema', 'mongodb', 'tags')
     /** @ignore */ this.assets = assets
@@ -63,6 +126,8 @@ class ContentModule extends AbstractApiModule {
     this.postInsertHook.tap(this.touchCourse.bind(this))
     this.postUpdateHook.tap((_, doc) => this.touchCourse(doc))
     this.postDeleteHook.tap(this.touchCourse.bind(this))
+    // keep the previous version of every edited item so it can be restored (deletes are recorded by delete)
+    this.postUpdateHook.tap(this.recordUpdateRevision.bind(this))
 
     assets.preDeleteHook.tap(this.enforceAssetNotInUse.bind(this))
     assets.queryHook.tap(this.onAssetQueryHook, this)
@@ -71,7 +136,9 @@ class ContentModule extends AbstractApiModule {
     // content (not vice-versa), so tap its hook once available rather than awaiting it here.
     this.app.waitForModule('adaptframework').then(framework => {
       framework.preBuildHook.tap(this.enforceNoEmptyContainers.bind(this))
-    })
+      // the framework install is what brings in the bundled plugins, so check the scaffold after it
+      return this.checkScaffoldComponent()
+    }).catch(e => this.log('error', `${e.code ?? 'error'}: ${e.message}`))
 
     await mongodb.setIndex(this.collectionName, { _courseId: 1, _parentId: 1, _type: 1 })
     await mongodb.setIndex(this.collectionName, { _parentId: 1 })
@@ -82,6 +149,32 @@ class ContentModule extends AbstractApiModule {
       partialFilterExpression: { _friendlyId: { $type: 'string', $gt: '' } }
     })
     await mongodb.setIndex(this.counterCollectionName, { _type: 1, _courseId: 1 }, { unique: true })
+    await mongodb.setIndex(this.revisionCollectionName, { _itemId: 1, createdAt: -1 })
+    await mongodb.setIndex(this.revisionCollectionName, { _courseId: 1 })
+    await mongodb.setIndex(this.trashCollectionName, { _trashId: 1 })
+    await mongodb.setIndex(this.trashCollectionName, { _courseId: 1 })
+    await mongodb.setIndex(this.trashCollectionName, { deletedAt: 1 })
+    await mongodb.setIndex(this.snapshotCollectionName, { _courseId: 1, createdAt: -1 })
+    await mongodb.setIndex(this.snapshotItemCollectionName, { _snapshotId: 1 })
+    await mongodb.setIndex(this.templateCollectionName, { _courseId: 1 }, { unique: true })
+    await mongodb.setIndex(this.snippetCollectionName, { createdAt: -1 })
+    await mongodb.setIndex(this.snippetCollectionName, { createdBy: 1 })
+    await mongodb.setIndex(this.snippetCollectionName, { _courseIds: 1 })
+    await this.purgeTrash()
+    this.scheduleTrashPurge()
+  }
+
+  /**
+   * Purges expired trash every `trashPurgeIntervalHours` (see purgeTrash), so it's removed even when
+   * nothing is being deleted. The timer doesn't keep the process alive.
+   */
+  scheduleTrashPurge () {
+    const hours = this.getConfig('trashPurgeIntervalHours')
+    if (!hours) return
+    this.trashPurgeTimer = setInterval(() => {
+      this.purgeTrash().catch(e => this.log('error', `failed to purge trash: ${e.message}`))
+    }, hours * 3600000)
+    this.trashPurgeTimer.unref()
   }
 
   /**
@@ -162,6 +255,256 @@ class ContentModule extends AbstractApiModule {
     })
   }
 
+  /**
+   * Checks a course for problems without building it: orphaned items and empty containers (as in
+   * enforceNoEmptyContainers, but nothing is pruned), items failing schema validation, references to
+   * assets which no longer exist, duplicate friendly IDs, broken _sortOrder sequences (see
+   * ContentTree#getBrokenSortOrders) and components whose plugin isn't installed. Those components
+   * aren't validated, as their schema is unknown.
+   * @param {String} _courseId The course _id
+   * @return {Promise<Object>} The report, one list per kind of problem. Items are listed as `{ _id, _type, _friendlyId, title }`, with `errors`, the missing `_assetIds` or the missing `_component` where relevant.
+   */
+  async checkCourseHealth (_courseId) {
+    const tree = new ContentTree(await this.mongodb.find(this.collectionName, { _courseId: parseObjectId(_courseId) }))
+    if (!tree.course) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'course', id: _courseId })
+    }
+    const summarise = i => ({ _id: i._id, _type: i._type, _friendlyId: i._friendlyId, title: i.displayTitle || i.title })
+    const orphans = tree.getUnreachableItems()
+    const orphanIds = new Set(orphans.map(o => o._id.toString()))
+
+    const assetIds = [...new Set(tree.items.flatMap(i => (i._assetIds ?? []).map(id => id.toString())))]
+    const foundAssetIds = new Set((assetIds.length
+      ? await this.assets.find({ _id: { $in: assetIds.map(id => parseObjectId(id)) } }, { validate: false }, { projection: { _id: 1 } })
+      : []).map(a => a._id.toString()))
+    const danglingAssets = tree.items
+      .map(i => ({ ...summarise(i), _assetIds: (i._assetIds ?? []).map(id => id.toString()).filter(id => !foundAssetIds.has(id)) }))
+      .filter(i => i._assetIds.length)
+
+    const { invalid, missingPlugins } = await this.validateItems(tree.items, tree.config?._enabledPlugins)
+    return {
+      orphans: orphans.map(summarise),
+      emptyContainers: tree.getEmptyContainers().filter(i => !orphanIds.has(i._id.toString())).map(summarise),
+      invalid: invalid.map(({ item, errors }) => ({ ...summarise(item), errors })),
+      danglingAssets,
+      duplicateFriendlyIds: checkFriendlyIds(tree.items, [], this.getConfig('friendlyIdFormats')).duplicates,
+      brokenSortOrders: tree.getBrokenSortOrders(),
+      missingPlugins: missingPlugins.map(c => ({ ...summarise(c), _component: c._component }))
+    }
+  }
+
+  /**
+   * Validates content items against their schemas. The schemas are worked out as getSchema would,
+   * but from one plugin lookup for the whole set rather than lookups for every item. Components
+   * whose plugin isn't installed can't be validated, as their schema is unknown.
+   * @param {Array<Object>} items The items, all from one course
+   * @param {Array<String>} [enabledPlugins] The `_enabledPlugins` of the items' course config
+   * @return {Promise<Object>} `{ invalid, missingPlugins }`: a `{ item, errors }` per invalid item, and the components whose plugin isn't installed
+   */
+  async validateItems (items, enabledPlugins = []) {
+    const componentNames = [...new Set(items.filter(i => i._type === 'component').map(i => i._component))].filter(Boolean)
+    const componentSchemas = new Map((componentNames.length
+      ? await this.contentplugin.find({ name: { $in: componentNames } }, {}, { projection: { name: 1, targetAttribute: 1 } })
+      : []).map(p => [p.name, `${p.targetAttribute.slice(1)}-component`]))
+    const enabledPluginSchemas = enabledPlugins.flatMap(p => this.contentplugin.getPluginSchemas(p))
+    const invalid = []
+    const missingPlugins = []
+    for (const item of items) {
+      if (item._type === 'component' && !componentSchemas.has(item._component)) {
+        missingPlugins.push(item)
+        continue
+      }
+      const schemaName = item._type === 'component' ? componentSchemas.get(item._component) : contentTypeToSchemaName(item._type)
+      try {
+        const schema = await this.getCachedSchema(schemaName, enabledPluginSchemas)
+        await schema.validate(stringifyValues(item), {})
+      } catch (e) {
+        invalid.push({ item, errors: e.data?.errors ?? e.message })
+      }
+    }
+    return { invalid, missingPlugins }
+  }
+
+  /**
+   * Checks that a bundle's content is valid for its schemas before it's imported, as clone writes
+   * the items without validating them (see validateItems)
+   * @param {Array<Object>} items The bundle's items
+   * @param {Array<String>} [enabledPlugins] The `_enabledPlugins` of the course the items will be in
+   * @return {Promise}
+   */
+  async validateBundleContent (items, enabledPlugins) {
+    const { invalid } = await this.validateItems(items, enabledPlugins)
+    if (invalid.length) {
+      throw this.app.errors.INVALID_BUNDLE.setData({
+        reason: `${invalid.length} item(s) failed schema validation`,
+        items: invalid.map(({ item, errors }) => ({ _id: item._id, _type: item._type, errors }))
+      })
+    }
+  }
+
+  /**
+   * Fixes the problems in a course which can be fixed without an author (see checkCourseHealth):
+   * - broken _sortOrder sequences are renumbered (see computeSortOrderOps)
+   * - orphaned branches (see ContentTree#getUnreachableRoots) are moved back into the course rather
+   *   than deleted: pages and menus to the end of the course, anything else into a "Recovered items"
+   *   page (with an article and block as needed). Containers from an earlier repair are reused. Any
+   *   containers created are removed again, and partly written fixes undone (see writeRepairOps),
+   *   if the rest of the repair can't be written.
+   * - stale `_assetIds` and `_summary` are recomputed. Components whose plugin is missing are left
+   *   alone, as their schema is unknown.
+   * - the config's `_enabledPlugins` are re-synced (see updateEnabledPlugins)
+   *
+   * Invalid items, empty containers, missing plugins and duplicate friendly IDs are left for
+   * checkCourseHealth to report.
+   * @param {String} _courseId The course _id
+   * @param {Object} [options]
+   * @param {Boolean} [options.dryRun] Only work out the changes, writing nothing
+   * @param {String} [options.createdBy] _id of the user performing the repair, recorded on any containers created
+   * @return {Promise<Object>} `{ dryRun, changes }`, with a change per fix in the order made: `{ action, _id, _type, ... }`, where `action` is `sortOrder`, `create`, `recover`, `assetIds`, `summary` or `enabledPlugins` (see docs). In a dry run, containers to be created have no `_id`.
+   */
+  async repairCourse (_courseId, { dryRun = false, createdBy } = {}) {
+    const tree = new ContentTree(await this.mongodb.find(this.collectionName, { _courseId: parseObjectId(_courseId) }))
+    if (!tree.course) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'course', id: _courseId })
+    }
+    const changes = []
+    const ops = []
+    // restores the values each op changes, newest first, in case the bulk write fails part way
+    const undoOps = []
+    const recordUndo = (item, $set) => {
+      const restore = {}
+      const $unset = {}
+      for (const key of Object.keys($set)) {
+        if (item[key] === undefined) $unset[key] = ''
+        else restore[key] = item[key]
+      }
+      const update = { ...(Object.keys(restore).length && { $set: restore }), ...(Object.keys($unset).length && { $unset }) }
+      undoOps.unshift({ updateOne: { filter: { _id: item._id }, update } })
+    }
+
+    for (const { _parentId } of tree.getBrokenSortOrders()) {
+      const sortOps = computeSortOrderOps(tree.getSortedChildren(_parentId))
+      for (const { updateOne } of sortOps) {
+        const item = tree.getById(updateOne.filter._id)
+        recordUndo(item, updateOne.update.$set)
+        changes.push({ action: 'sortOrder', _id: item._id, _type: item._type, from: item._sortOrder ?? null, to: updateOne.update.$set._sortOrder })
+        item._sortOrder = updateOne.update.$set._sortOrder
+      }
+      ops.push(...sortOps)
+    }
+
+    // keyed by parent item rather than _id, as containers created in a dry run have none
+    const nextSortOrders = new Map()
+    const nextSortOrder = parent => {
+      const next = nextSortOrders.get(parent) ?? (parent._id ? tree.getChildren(parent._id).length : 0) + 1
+      nextSortOrders.set(parent, next + 1)
+      return next
+    }
+    // containers inserted before the bulk write below, removed again if the repair fails
+    const created = []
+    let pluginsChanged = false
+    const containers = { course: tree.course }
+    const findContainer = async _type => {
+      if (containers[_type]) return containers[_type]
+      const parent = await findContainer(RECOVERED_PARENT_TYPES[_type])
+      let container = parent._id && tree.getChildren(parent._id).find(c => c._type === _type && c.title === RECOVERED_ITEMS_TITLE)
+      if (!container) {
+        const data = {
+          _type,
+          _courseId: _courseId.toString(),
+          _parentId: parent._id?.toString(),
+          _sortOrder: nextSortOrder(parent),
+          title: RECOVERED_ITEMS_TITLE,
+          ...(createdBy && { createdBy, updatedBy: createdBy })
+        }
+        container = dryRun ? { ...data, _id: null } : await this.insert(data, { updateSortOrder: false, updateEnabledPlugins: false })
+        if (!dryRun) created.push(container._id)
+        changes.push({ action: 'create', _id: container._id, _type, _parentId: parent._id, title: RECOVERED_ITEMS_TITLE })
+      }
+      containers[_type] = container
+      return container
+    }
+    try {
+      for (const root of tree.getUnreachableRoots()) {
+        const parent = await findContainer(RECOVERED_PARENT_TYPES[root._type] ?? 'course')
+        const _sortOrder = nextSortOrder(parent)
+        changes.push({ action: 'recover', _id: root._id, _type: root._type, _friendlyId: root._friendlyId, from: root._parentId ?? null, to: parent._id })
+        const $set = { _parentId: parent._id, _sortOrder }
+        recordUndo(root, $set)
+        ops.push({ updateOne: { filter: { _id: root._id }, update: { $set } } })
+      }
+
+      const componentNames = tree.getComponentNames().filter(Boolean)
+      const installed = new Set((componentNames.length
+        ? await this.contentplugin.find({ name: { $in: componentNames } }, {}, { projection: { name: 1 } })
+        : []).map(p => p.name))
+      for (const item of tree.items) {
+        if (item._type === 'component' && !installed.has(item._component)) continue
+        const $set = {}
+        const assetIds = (item._assetIds ?? []).map(id => id.toString())
+        const nextAssetIds = await this.computeAssetIds(item)
+        if (nextAssetIds.length !== assetIds.length || !nextAssetIds.every((id, i) => id === assetIds[i])) {
+          changes.push({ action: 'assetIds', _id: item._id, _type: item._type, from: assetIds, to: nextAssetIds })
+          $set._assetIds = nextAssetIds.map(id => parseObjectId(id))
+        }
+        const _summary = await this.computeSummary(item)
+        if (!isSameContent({ _summary: item._summary ?? [] }, { _summary })) {
+          changes.push({ action: 'summary', _id: item._id, _type: item._type, from: item._summary ?? [], to: _summary })
+          $set._summary = _summary
+        }
+        if (Object.keys($set).length) {
+          recordUndo(item, $set)
+          ops.push({ updateOne: { filter: { _id: item._id }, update: { $set } } })
+        }
+      }
+
+      if (tree.config) {
+        const enabledPlugins = tree.config._enabledPlugins ?? []
+        const nextPlugins = await this.findEnabledPlugins(tree)
+        pluginsChanged = nextPlugins.length !== enabledPlugins.length || !nextPlugins.every(p => enabledPlugins.includes(p))
+        if (pluginsChanged) {
+          changes.push({ action: 'enabledPlugins', _id: tree.config._id, _type: 'config', from: enabledPlugins, to: nextPlugins })
+        }
+      }
+      if (dryRun || !changes.length) {
+        return { dryRun, changes }
+      }
+      if (ops.length) {
+        await this.writeRepairOps(ops, undoOps)
+      }
+    } catch (e) {
+      if (created.length) {
+        await this.mongodb.deleteMany(this.collectionName, { _id: { $in: created } }).catch(() => {})
+      }
+      throw e
+    }
+    if (pluginsChanged) { // also applies the defaults of any newly enabled plugins
+      await this.updateEnabledPlugins(tree.config, { tree })
+    }
+    await this.touchCourse({ _courseId })
+    this.log('info', `repaired course ${_courseId}: ${changes.length} change(s)`)
+    return { dryRun, changes }
+  }
+
+  /**
+   * Writes the updates made by repairCourse in one ordered bulk write. The write isn't atomic: if
+   * an op fails, those before it have already been applied, so the original values are written
+   * back (`undoOps`, in reverse order) before the error is rethrown.
+   * @param {Array<Object>} ops The updateOne ops
+   * @param {Array<Object>} undoOps Ops restoring the values changed by `ops`, newest first
+   * @return {Promise}
+   */
+  async writeRepairOps (ops, undoOps) {
+    const collection = this.mongodb.getCollection(this.collectionName)
+    try {
+      await collection.bulkWrite(ops, { ordered: true })
+    } catch (e) {
+      await collection.bulkWrite(undoOps, { ordered: true })
+        .catch(undoError => this.log('warn', `failed to undo a partial course repair: ${undoError.message}`))
+      throw e
+    }
+  }
+
   /**
    * Returns a map of asset _id to the number of distinct courses each asset is referenced by.
    * Reads the indexed `_assetIds` field. Accepts an optional `assetIds` array in the request body to
@@ -279,6 +622,19 @@ class ContentModule extends AbstractApiModule {
     )
   }
 
+  /**
+   * Fetches a course and applies the request's access check to it, for custom handlers which act
+   * on course content outside the standard per-item check. Supers are exempt.
+   * @param {external:ExpressRequest} req
+   * @param {String} _courseId The course _id
+   * @return {Promise<Object>} The course document
+   */
+  async checkCourseAccess (req, _courseId) {
+    const course = await this.findOne({ _id: _courseId, _type: 'course' })
+    if (!req.auth.isSuper) await this.checkAccess(req, course)
+    return course
+  }
+
   /**
    * GET handler backing the delete-course asset preview. Returns {@link ContentModule#getCourseAssets}
    * for the `:_courseId` route param after an access check on the target course.
@@ -290,20 +646,48 @@ class ContentModule extends AbstractApiModule {
   async handleCourseAssets (req, res, next) {
     try {
       const _courseId = req.apiData.query._courseId
-      const course = await this.findOne({ _id: _courseId, _type: 'course' })
-      if (!req.auth.isSuper) await this.checkAccess(req, course)
+      await this.checkCourseAccess(req, _courseId)
       res.json(await this.getCourseAssets(_courseId))
     } catch (e) {
       next(e)
     }
   }
 
+  /**
+   * Handles DELETE requests for single content items like the default handler, but passes the
+   * requesting user to {@link ContentModule#delete} as `deletedBy`, so trash entries and delete
+   * revisions record who deleted the content. Other methods go to the default handler.
+   * @override
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {function} next
+   * @return {Promise}
+   */
+  async requestHandler (req, res, next) {
+    if (req.method !== 'DELETE') return super.requestHandler(req, res, next)
+    let deleted
+    try {
+      await this.requestHook.invoke(req)
+      const { schemaName, collectionName } = req.apiData
+      const doc = await this.findOne(req.apiData.query, { schemaName, collectionName })
+      await this.checkAccess(req, doc)
+      const [target] = await this.delete({ _id: doc._id }, { schemaName, collectionName, deletedBy: req.auth.user._id })
+      deleted = await this.sanitise(schemaName, target, { isInternal: true, strict: false })
+    } catch (e) {
+      return next(e)
+    }
+    this.log('debug', 'API_DELETE', deleted._id.toString(), 'by', req.auth.user._id.toString())
+    res.status(this.mapStatusCode('delete')).json(deleted)
+  }
+
   /**
    * DELETE handler for a course. Deletes the course (and its content tree) and, when the
    * `deleteAssets=true` query flag is set, also deletes the assets used only by that course. The
    * exclusive-asset set is captured before the content is removed, then each asset is deleted after —
    * so the assets module's in-use guard sees no remaining references. Assets that turned out to be
-   * shared (or already gone) are skipped rather than failing the whole operation.
+   * shared (or already gone) are skipped rather than failing the whole operation. In soft-delete
+   * mode the course goes to the trash and all of its assets are reported as skipped: they are
+   * recorded with the trashed course, and deleted when it is purged (see purgeTrash).
    * @param {external:ExpressRequest} req
    * @param {external:ExpressResponse} res
    * @param {function} next
@@ -313,11 +697,12 @@ class ContentModule extends AbstractApiModule {
     try {
       const _courseId = req.apiData.query._courseId
       const deleteAssets = req.query.deleteAssets === 'true' || req.query.deleteAssets === true
-      const course = await this.findOne({ _id: _courseId, _type: 'course' })
-      if (!req.auth.isSuper) await this.checkAccess(req, course)
+      const softDelete = this.getConfig('softDelete')
+      const course = await this.checkCourseAccess(req, _courseId)
       const exclusive = deleteAssets ? (await this.getCourseAssets(_courseId)).deletable.map(a => a._id) : []
-      const [deleted] = await this.delete({ _id: course._id })
-      const assets = deleteAssets ? await this.deleteExclusiveAssets(exclusive) : { deleted: [], skipped: [] }
+      const [deleted] = await this.delete({ _id: course._id }, { deletedBy: req.auth.user._id, deleteAssetIds: exclusive })
+      // a trashed course must stay restorable, so its assets are kept until the trash is purged
+      const assets = deleteAssets && !softDelete ? await this.deleteExclusiveAssets(exclusive) : { deleted: [], skipped: exclusive }
       this.log('debug', 'API_DELETE_COURSE', course._id.toString(), 'by', req.auth.user._id.toString(), `assets:${assets.deleted.length}`)
       res.json({ course: deleted, deletedAssets: assets.deleted, skippedAssets: assets.skipped })
     } catch (e) {
@@ -394,7 +779,7 @@ class ContentModule extends AbstractApiModule {
 
   /** @override */
   async getSchema (schemaName, data) {
-    const { contentplugin, jsonschema } = this
+    const { contentplugin } = this
     schemaName = await this.getSchemaName(data)
     const _courseId = data._courseId ??
       (data._id ? (await this.findOne({ _id: data._id }, { validate: false, throwOnMissing: false }, { projection: { _courseId: 1 } }))?._courseId : undefined)
@@ -404,6 +789,17 @@ class ContentModule extends AbstractApiModule {
       const pluginList = config?._enabledPlugins ?? data?._enabledPlugins ?? []
       enabledPluginSchemas = pluginList.flatMap(p => contentplugin.getPluginSchemas(p))
     }
+    return this.getCachedSchema(schemaName, enabledPluginSchemas)
+  }
+
+  /**
+   * Returns a built schema with only the given plugin schemas applied, building it on first use
+   * @param {String} schemaName Name of the schema
+   * @param {Array<String>} enabledPluginSchemas The plugin schemas to apply (see ContentPluginModule#getPluginSchemas)
+   * @return {Promise<Object>}
+   */
+  async getCachedSchema (schemaName, enabledPluginSchemas) {
+    const { contentplugin, jsonschema } = this
     const cacheKey = schemaName + ':' + enabledPluginSchemas.slice().sort().join(',')
     const cached = this._schemaCache.get(cacheKey)
     if (cached) return cached
@@ -424,18 +820,44 @@ class ContentModule extends AbstractApiModule {
     this.jsonschema.extendSchema('config', this.tags.schemaExtensionName)
   }
 
+  /**
+   * Returns a content type's friendly ID format, from the `friendlyIdFormats` config (see getFriendlyIdFormat)
+   * @param {String} _type Content type
+   * @return {Object} `{ prefix, separator, padding, includeParent }`
+   */
+  getFriendlyIdFormat (_type) {
+    return getFriendlyIdFormat(_type, this.getConfig('friendlyIdFormats'))
+  }
+
   /**
    * Generates multiple unique friendly IDs for a given type in a single atomic counter increment.
    * @param {String} _type Content type (e.g. 'page', 'block', 'component')
    * @param {String} _courseId The course these items belong to
    * @param {Number} count Number of IDs to generate
    * @param {String} [_language] Language code (only used for courses)
+   * @param {Object} [options]
+   * @param {String} [options.parentFriendlyId] The parent's friendly ID, for formats which include it
    * @return {Promise<Array<String>>}
    */
-  async generateFriendlyIds (_type, _courseId, count, _language) {
+  async generateFriendlyIds (_type, _courseId, count, _language, { parentFriendlyId } = {}) {
     if (count === 0) return []
     if (_type === 'config') return [formatFriendlyId(_type)]
 
+    const format = this.getFriendlyIdFormat(_type)
+    const seqs = await this.reserveFriendlySeqs(_type, _courseId, count)
+    return seqs.map(seq => formatFriendlyId(_type, seq, _language, { format, parentFriendlyId }))
+  }
+
+  /**
+   * Reserves a range of friendly ID sequence numbers for a given type in a single atomic counter
+   * increment, seeding the counter from existing content on first use
+   * @param {String} _type Content type
+   * @param {String} _courseId The course these items belong to
+   * @param {Number} count Number of sequence numbers
+   * @return {Promise<Array<Number>>}
+   */
+  async reserveFriendlySeqs (_type, _courseId, count) {
+    if (count === 0) return []
     const counters = this.mongodb.getCollection(this.counterCollectionName)
     const query = { _type }
     if (_type !== 'course') {
@@ -454,9 +876,43 @@ class ContentModule extends AbstractApiModule {
       { returnDocument: 'after' }
     )
     const startSeq = counter.seq - count + 1
-    return Array.from({ length: count }, (_, i) => {
-      return formatFriendlyId(_type, startSeq + i, _language)
-    })
+    return Array.from({ length: count }, (_, i) => startSeq + i)
+  }
+
+  /**
+   * Returns the sequence numbers which reserveFriendlySeqs would currently allocate, without
+   * reserving them (or seeding a missing counter)
+   * @param {String} _type Content type
+   * @param {String} [_courseId] The course. Omit for a course which doesn't exist yet
+   * @param {Number} count Number of sequence numbers
+   * @return {Promise<Array<Number>>}
+   */
+  async peekFriendlySeqs (_type, _courseId, count) {
+    if (count === 0) return []
+    let seq = 0
+    if (_courseId || _type === 'course') {
+      const query = { _type }
+      if (_type !== 'course') {
+        query._courseId = parseObjectId(_courseId)
+      }
+      const counter = await this.mongodb.getCollection(this.counterCollectionName).findOne(query)
+      seq = counter ? counter.seq : await this.findMaxSeq(_type, _courseId)
+    }
+    return Array.from({ length: count }, (_, i) => seq + i + 1)
+  }
+
+  /**
+   * Returns the friendly ID of the parent given to new content, if any friendly ID format includes
+   * the parent's (otherwise it isn't needed, so isn't looked up)
+   * @param {Object} [parent] The parent (looked up by `_id` if it has no `_friendlyId`)
+   * @return {Promise<String|undefined>}
+   */
+  async findParentFriendlyId (parent) {
+    const formats = Object.values(this.getConfig('friendlyIdFormats') ?? {})
+    if (!parent || !formats.some(f => f?.includeParent)) return
+    if (parent._friendlyId) return parent._friendlyId
+    const doc = await this.findOne({ _id: parent._id }, { validate: false, throwOnMissing: false }, { projection: { _friendlyId: 1 } })
+    return doc?._friendlyId
   }
 
   /**
@@ -472,7 +928,194 @@ class ContentModule extends AbstractApiModule {
       query._courseId = parseObjectId(_courseId)
     }
     const docs = await collection.find(query, { projection: { _friendlyId: 1 } }).toArray()
-    return parseMaxSeq(docs)
+    return parseMaxSeq(docs, this.getFriendlyIdFormat(_type))
+  }
+
+  /**
+   * Works out which items can keep their existing friendly ID when copied into a course: those whose
+   * ID is not used by live content in that course (or by an earlier item in the list). The counters
+   * of the affected types are raised past the kept IDs, so IDs generated afterwards can't collide.
+   * @param {Array<Object>} items Items being copied
+   * @param {String} [_courseId] The destination course. Omit for a course which doesn't exist yet
+   * @param {Object} options
+   * @param {Boolean} options.raiseCounters Set to false to leave the counters alone (e.g. for a dry run)
+   * @return {Promise<Set<String>>} _ids of the items which can keep their friendly ID
+   */
+  async findFreeFriendlyIds (items, _courseId, { raiseCounters = true } = {}) {
+    const candidates = items.filter(i => i._type !== 'course' && i._type !== 'config' && i._friendlyId)
+    if (!candidates.length) return new Set()
+    const used = new Set(_courseId
+      ? (await this.mongodb.find(
+          this.collectionName,
+          { _courseId: parseObjectId(_courseId), _friendlyId: { $in: candidates.map(i => i._friendlyId) } },
+          { projection: { _friendlyId: 1 } }
+        )).map(d => d._friendlyId)
+      : [])
+    const kept = new Map()
+    for (const item of candidates) {
+      if (used.has(item._friendlyId)) continue
+      used.add(item._friendlyId)
+      kept.set(item._id.toString(), item)
+    }
+    if (!raiseCounters) return new Set(kept.keys())
+    const byType = new Map()
+    for (const item of kept.values()) byType.set(item._type, [...(byType.get(item._type) ?? []), item])
+    await Promise.all([...byType].map(([_type, docs]) => this.raiseCounter(_type, _courseId, parseMaxSeq(docs, this.getFriendlyIdFormat(_type)))))
+    return new Set(kept.keys())
+  }
+
+  /**
+   * Resolves friendly IDs to the content items of a course. `_friendlyId` is unique per course, so
+   * each resolves to at most one item.
+   * @param {String} _courseId The course _id
+   * @param {Array<String>} _friendlyIds The friendly IDs (surrounding whitespace is ignored)
+   * @return {Promise<Object>} `{ found, missing }`: the items keyed by friendly ID, and the friendly IDs with no item
+   */
+  async findByFriendlyIds (_courseId, _friendlyIds) {
+    const ids = [...new Set(_friendlyIds.map(id => String(id).trim()).filter(Boolean))]
+    const items = ids.length
+      ? await this.find({ _courseId, _friendlyId: { $in: ids } }, { validate: false })
+      : []
+    const found = Object.fromEntries(items.map(item => [item._friendlyId, item]))
+    return { found, missing: ids.filter(id => !found[id]) }
+  }
+
+  /**
+   * Raises a friendly ID counter to at least `seq`. A counter which doesn't exist yet is seeded from
+   * existing content first, as in generateFriendlyIds.
+   * @param {String} _type Content type
+   * @param {String} _courseId The course (not used for courses, whose counter is shared)
+   * @param {Number} seq The minimum sequence number
+   * @return {Promise}
+   */
+  async raiseCounter (_type, _courseId, seq) {
+    const counters = this.mongodb.getCollection(this.counterCollectionName)
+    const query = { _type }
+    if (_type !== 'course') {
+      query._courseId = parseObjectId(_courseId)
+    }
+    const exists = await counters.findOne(query)
+    const floor = exists ? seq : Math.max(seq, await this.findMaxSeq(_type, _courseId))
+    await counters.updateOne(query, { $max: { seq: floor } }, { upsert: true })
+  }
+
+  /**
+   * Returns the fields of a course's content needed to work with its friendly IDs: the course, then
+   * its config and content in course order, then any orphaned items
+   * @param {String} _courseId The course _id
+   * @return {Promise<Array<Object>>}
+   */
+  async findFriendlyIdItems (_courseId) {
+    const tree = new ContentTree(await this.mongodb.find(
+      this.collectionName,
+      { _courseId: parseObjectId(_courseId) },
+      { projection: { _id: 1, _parentId: 1, _type: 1, _sortOrder: 1, _friendlyId: 1, _courseId: 1, _language: 1 } }
+    ))
+    if (!tree.course) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'course', id: _courseId })
+    }
+    const ordered = [tree.course, tree.config, ...tree.getOrderedDescendants(tree.course._id)].filter(Boolean)
+    const reachable = new Set(ordered.map(i => i._id.toString()))
+    return [...ordered, ...tree.items.filter(i => !reachable.has(i._id.toString()))]
+  }
+
+  /**
+   * Checks a course's friendly IDs (see checkFriendlyIds): counters behind the IDs in use, duplicate
+   * and missing IDs, and gaps in the numbering
+   * @param {String} _courseId The course _id
+   * @param {Array<Object>} [items] The course's content, if already fetched with findFriendlyIdItems
+   * @return {Promise<Object>} The report
+   */
+  async checkFriendlyIds (_courseId, items) {
+    items ??= await this.findFriendlyIdItems(_courseId)
+    const counters = await this.mongodb.getCollection(this.counterCollectionName)
+      .find({ _courseId: parseObjectId(_courseId) }, { projection: { _type: 1, seq: 1 } })
+      .toArray()
+    return checkFriendlyIds(items, counters, this.getConfig('friendlyIdFormats'))
+  }
+
+  /**
+   * Repairs a course's friendly IDs: counters behind the IDs in use are raised to the highest, and
+   * items without an ID are given one (numbers are reserved per type in one go, and the IDs set in
+   * one bulk write). Duplicates and gaps are left alone, and reported as in checkFriendlyIds.
+   * @param {String} _courseId The course _id
+   * @return {Promise<Object>} The report from before the repair, plus `assigned`: a `{ _id, _type, _friendlyId }` per item given an ID
+   */
+  async repairFriendlyIds (_courseId) {
+    const items = await this.findFriendlyIdItems(_courseId)
+    const report = await this.checkFriendlyIds(_courseId, items)
+    await Promise.all(report.counters.map(({ _type, maxSeq }) => this.raiseCounter(_type, _courseId, maxSeq)))
+
+    const missingIds = new Set(report.missing.map(m => m._id.toString()))
+    const missing = items.filter(i => missingIds.has(i._id.toString()))
+    const counts = new Map()
+    for (const { _type } of missing) {
+      if (_type !== 'course' && _type !== 'config') counts.set(_type, (counts.get(_type) ?? 0) + 1)
+    }
+    const seqs = new Map()
+    await Promise.all([...counts].map(async ([_type, count]) => {
+      seqs.set(_type, await this.reserveFriendlySeqs(_type, _courseId, count))
+    }))
+    // parents come before their children, so an item's parent already has its (new) ID
+    const friendlyIds = new Map(items.map(i => [i._id.toString(), i._friendlyId]))
+    const assigned = []
+    for (const item of missing) {
+      let _friendlyId
+      if (item._type === 'course') {
+        [_friendlyId] = await this.generateFriendlyIds('course', undefined, 1, item._language)
+      } else {
+        const seq = item._type === 'config' ? undefined : seqs.get(item._type).shift()
+        _friendlyId = formatFriendlyId(item._type, seq, undefined, {
+          format: this.getFriendlyIdFormat(item._type),
+          parentFriendlyId: friendlyIds.get(item._parentId?.toString())
+        })
+      }
+      friendlyIds.set(item._id.toString(), _friendlyId)
+      assigned.push({ _id: item._id, _type: item._type, _friendlyId })
+    }
+    if (assigned.length) {
+      await this.mongodb.getCollection(this.collectionName).bulkWrite(assigned.map(({ _id, _friendlyId }) => ({
+        updateOne: { filter: { _id }, update: { $set: { _friendlyId } } }
+      })), { ordered: false })
+      await this.touchCourse({ _courseId })
+    }
+    if (report.counters.length || assigned.length) {
+      this.log('info', `repaired friendly IDs of course ${_courseId}: raised ${report.counters.length} counter(s), assigned ${assigned.length} ID(s)`)
+    }
+    return { ...report, assigned }
+  }
+
+  /**
+   * Renumbers the friendly IDs of a course's content from 1 per type, in course order (see
+   * ContentTree#getOrderedDescendants), followed by any orphaned items. Changed items have their ID
+   * cleared before the new IDs are set, as the partial unique index ignores empty IDs, so an item can
+   * take an ID which another item is giving up. The course's counters are then removed, to be
+   * re-seeded from the new IDs on next use (see generateFriendlyIds).
+   * @param {String} _courseId The course _id
+   * @return {Promise<Array<Object>>} A `{ _id, _type, from, to }` per renumbered item
+   */
+  async renumberFriendlyIds (_courseId) {
+    const items = await this.findFriendlyIdItems(_courseId)
+    const changes = computeFriendlyIdChanges(items, this.getConfig('friendlyIdFormats'))
+    if (changes.length) {
+      await this.writeFriendlyIds(changes)
+      await this.touchCourse({ _courseId })
+    }
+    await this.deleteCounters([_courseId])
+    return changes
+  }
+
+  /**
+   * Writes changed friendly IDs in two bulk writes: the first clears them, which takes them out of
+   * the partial unique index, so an item can take an ID which another item is giving up
+   * @param {Array<Object>} changes A `{ _id, to }` per item
+   * @return {Promise}
+   */
+  async writeFriendlyIds (changes) {
+    const collection = this.mongodb.getCollection(this.collectionName)
+    const setIds = field => changes.map(c => ({ updateOne: { filter: { _id: c._id }, update: { $set: { _friendlyId: field(c) } } } }))
+    await collection.bulkWrite(setIds(() => ''), { ordered: false })
+    await collection.bulkWrite(setIds(c => c.to), { ordered: false })
   }
 
   /**
@@ -534,9 +1177,15 @@ class ContentModule extends AbstractApiModule {
   /** @override */
   async insert (data, options = {}, mongoOptions = {}) {
     await this.validateParent(data)
-    if (!data._friendlyId) {
-      const [id] = await this.generateFriendlyIds(data._type, data._courseId, 1, data._language)
-      data._friendlyId = id
+    const generateFriendlyId = !data._friendlyId && (async () => {
+      const parentFriendlyId = this.getFriendlyIdFormat(data._type).includeParent && data._parentId
+        ? await this.findParentFriendlyId({ _id: data._parentId })
+        : undefined
+      const [id] = await this.generateFriendlyIds(data._type, data._courseId, 1, data._language, { parentFriendlyId })
+      return id
+    })
+    if (generateFriendlyId) {
+      data._friendlyId = await generateFriendlyId()
     }
     if (!data._assetIds) {
       data._assetIds = await this.computeAssetIds(data)
@@ -545,13 +1194,21 @@ class ContentModule extends AbstractApiModule {
       data._summary = await this.computeSummary(data)
     }
     let doc
-    try {
-      doc = await super.insert(data, options, mongoOptions)
-    } catch (e) {
-      if (e.code === this.app.errors.MONGO_DUPL_INDEX?.code) {
-        throw this.app.errors.DUPL_FRIENDLY_ID.setData({ _friendlyId: data._friendlyId, _courseId: data._courseId })
+    let canRetry = generateFriendlyId && data._type !== 'config'
+    while (!doc) {
+      try {
+        doc = await super.insert(data, options, mongoOptions)
+      } catch (e) {
+        if (e.code !== this.app.errors.MONGO_DUPL_INDEX?.code) throw e
+        if (!canRetry) {
+          throw this.app.errors.DUPL_FRIENDLY_ID.setData({ _friendlyId: data._friendlyId, _courseId: data._courseId })
+        }
+        // a generated ID only clashes when the counter is behind the IDs in use (e.g. after a restore
+        // from backup), so re-seed the counter from the content and try once more
+        canRetry = false
+        await this.raiseCounter(data._type, data._courseId, await this.findMaxSeq(data._type, data._courseId))
+        data._friendlyId = await generateFriendlyId()
       }
-      throw e
     }
 
     if (doc._type === 'course') { // add the _courseId to a new course to make querying easier
@@ -581,8 +1238,24 @@ class ContentModule extends AbstractApiModule {
       }
       throw e
     }
-    // Recompute _assetIds from the full merged document. Cast to ObjectId so
-    // the stored array matches the canonical insert-path format (and mongodb
+    await this.updateDerivedFields(doc)
+    const sortChanged = '_sortOrder' in data || '_parentId' in data
+    const pluginsChanged = '_component' in data || '_menu' in data || '_theme' in data || '_enabledPlugins' in data
+    await Promise.all([
+      sortChanged && this.updateSortOrder(doc, data, options, mongoOptions),
+      pluginsChanged && this.updateEnabledPlugins(doc, data._enabledPlugins ? { forceUpdate: true } : {}, options, mongoOptions)
+    ])
+    return doc
+  }
+
+  /**
+   * Recomputes the derived `_assetIds` and `_summary` fields from a full stored document, writing
+   * only the fields which changed
+   * @param {Object} doc The content document, updated in place
+   * @return {Promise<Object>} The document
+   */
+  async updateDerivedFields (doc) {
+    // Cast to ObjectId so the stored array matches the canonical insert-path format (and mongodb
     // queries, which auto-convert 24-hex strings to ObjectId, can match it).
     const newAssetIds = (await this.computeAssetIds(doc)).map(id => parseObjectId(id))
     const oldAssetIds = doc._assetIds ?? []
@@ -592,19 +1265,12 @@ class ContentModule extends AbstractApiModule {
       await collection.updateOne({ _id: doc._id }, { $set: { _assetIds: newAssetIds } })
       doc._assetIds = newAssetIds
     }
-    // Recompute the display-only _summary from the full merged document. It is never
-    // queried, so a plain value comparison is enough to skip no-op writes.
+    // _summary is display-only and never queried, so a plain value comparison is enough to skip no-op writes
     const newSummary = await this.computeSummary(doc)
     if (JSON.stringify(newSummary) !== JSON.stringify(doc._summary ?? [])) {
       await this.mongodb.getCollection(this.collectionName).updateOne({ _id: doc._id }, { $set: { _summary: newSummary } })
       doc._summary = newSummary
     }
-    const sortChanged = '_sortOrder' in data || '_parentId' in data
-    const pluginsChanged = '_component' in data || '_menu' in data || '_theme' in data || '_enabledPlugins' in data
-    await Promise.all([
-      sortChanged && this.updateSortOrder(doc, data, options, mongoOptions),
-      pluginsChanged && this.updateEnabledPlugins(doc, data._enabledPlugins ? { forceUpdate: true } : {}, options, mongoOptions)
-    ])
     return doc
   }
 
@@ -621,6 +1287,16 @@ class ContentModule extends AbstractApiModule {
     }
 
     const deletedIds = new Set([targetDoc, ...descendants].map(d => d._id.toString()))
+    const softDelete = options.softDelete ?? this.getConfig('softDelete')
+    if (softDelete) {
+      await this.moveToTrash(targetDoc, [...deletedIds], options.deletedBy, options.deleteAssetIds)
+    }
+    // the tree is projected, so the full descendants are fetched for their revisions. A permanently
+    // deleted course's revisions are removed with it, so none are written.
+    const recordRevisions = options.invokePostHook !== false && (targetDoc._type !== 'course' || softDelete)
+    const revisionDocs = recordRevisions && descendants.length > 0
+      ? await this.mongodb.find(this.collectionName, { _id: { $in: descendants.map(d => d._id) } })
+      : []
     // bulk-delete descendants via raw mongodb to avoid per-item memory overhead and hook storms;
     // postDeleteHook is invoked once below with the full descendants list
     if (descendants.length > 0) {
@@ -632,411 +1308,2605 @@ class ContentModule extends AbstractApiModule {
     if (descendants.length > 0 && options.invokePostHook !== false) {
       await this.postDeleteHook.invoke(descendants)
     }
+    if (recordRevisions) await this.recordDeleteRevisions([targetDoc, ...revisionDocs], options.deletedBy)
     const remainingTree = new ContentTree(tree.items.filter(i => !deletedIds.has(i._id.toString())))
     await Promise.all([
       options.updateEnabledPlugins !== false && this.updateEnabledPlugins(targetDoc, { tree: remainingTree }, options, mongoOptions),
       options.updateSortOrder !== false && this.updateSortOrder(targetDoc, undefined, options, mongoOptions),
-      targetDoc._type === 'course' && this.deleteCounters([targetDoc._courseId])
+      // a trashed course keeps its counters, template and revisions until the trash is purged
+      targetDoc._type === 'course' && !softDelete && this.deleteCourseData([targetDoc._id])
     ])
     return [targetDoc, ...descendants]
   }
 
   /**
-   * Creates a new parent content type, along with any necessary children
-   * @param {external:ExpressRequest} req
+   * Copies a subtree that is about to be deleted into the trash collection, as one entry per item
+   * holding the full stored document. All entries share a `_trashId` (the _id of the root's entry),
+   * so the subtree can later be restored as a unit. Expired entries are purged first.
+   * @param {Object} rootDoc The item being deleted
+   * @param {Array<String>} ids _ids of the root and every descendant being deleted
+   * @param {String} [deletedBy] _id of the user deleting the content
+   * @param {Array<String>} [deleteAssetIds] Assets to delete when the subtree is purged, stored on the root's entry
+   * @return {Promise<ObjectId>} The new `_trashId`
    */
-  async insertRecursive (req) {
-    const rootId = req.apiData.query.rootId
-    const createdBy = req.auth.user._id.toString()
-    let childTypes = ['course', 'page', 'article', 'block', 'component']
-    const defaultData = {
-      page: { title: req.translate('app.newpagetitle') },
-      article: { title: req.translate('app.newarticletitle') },
-      block: { title: req.translate('app.newblocktitle') },
-      component: {
-        _component: 'adapt-contrib-text',
-        _layout: 'full',
-        title: req.translate('app.newtextcomponenttitle'),
-        body: req.translate('app.newtextcomponentbody')
-      }
-    }
-    const newItems = []
-    let parent
-    let parentIsNew = false
-    try {
-      // figure out which children need creating
-      if (rootId === undefined) { // new course
-        // server owns the authored tracking fields: spread client data first so createdBy/updatedBy can't be overridden (or sent empty) by the request
-        parent = await this.insert({ ...req.apiData.data, _type: 'course', createdBy, updatedBy: createdBy }, { schemaName: 'course' })
-        newItems.push(parent)
-        childTypes.splice(0, 1, 'config')
-        parentIsNew = true
-      } else {
-        parent = await this.findOne({ _id: rootId })
-        // special case for menus
-        req.body?._type === 'menu'
-          ? childTypes.splice(0, 1, 'menu')
-          : childTypes = childTypes.slice(childTypes.indexOf(parent._type) + 1)
-      }
-      for (const _type of childTypes) {
-        const data = Object.assign({ _type, createdBy, updatedBy: createdBy }, defaultData[_type])
-        if (parent) {
-          Object.assign(data, {
-            _parentId: parent._id.toString(),
-            _courseId: parent._courseId.toString()
-          })
-        }
-        // Inner items are the first child of a parent we just created, so
-        // _sortOrder is always 1. For the first iteration against an existing
-        // parent we leave _sortOrder unset — updateSortOrder(topItem) places it.
-        if (parentIsNew && _type !== 'config') data._sortOrder = 1
-        const item = await this.insert(data, { updateSortOrder: false, updateEnabledPlugins: false })
-        newItems.push(item)
-        if (_type !== 'config') {
-          parent = item
-          parentIsNew = true
-        }
+  async moveToTrash (rootDoc, ids, deletedBy, deleteAssetIds) {
+    await this.purgeTrash()
+    const docs = await this.mongodb.find(this.collectionName, { _id: { $in: ids.map(id => parseObjectId(id)) } })
+    const _trashId = createObjectId()
+    const deletedAt = new Date()
+    const entries = docs.map(data => {
+      const isRoot = data._id.toString() === rootDoc._id.toString()
+      return {
+        _id: isRoot ? _trashId : createObjectId(),
+        _trashId,
+        _itemId: data._id,
+        _courseId: data._courseId,
+        _type: data._type,
+        deletedBy,
+        deletedAt,
+        ...(isRoot && deleteAssetIds?.length && { deleteAssetIds }),
+        data
       }
+    })
+    await this.mongodb.getCollection(this.trashCollectionName).insertMany(entries)
+    return _trashId
+  }
+
+  /**
+   * Permanently removes trash entries older than the `trashRetentionDays` config value. For each
+   * course purged, its course-level data goes too (see deleteCourseData), as do the assets recorded
+   * for deletion when it was trashed — except any still used by other trashed content, which may be
+   * restored. Assets are deleted through the assets module, so ones now in use are skipped.
+   * @return {Promise}
+   */
+  async purgeTrash () {
+    const cutoff = new Date(Date.now() - this.getConfig('trashRetentionDays') * 86400000)
+    const query = { deletedAt: { $lt: cutoff } }
+    const courses = await this.mongodb.find(this.trashCollectionName, { ...query, _type: 'course' }, { projection: { _itemId: 1, deleteAssetIds: 1 } })
+    await this.mongodb.deleteMany(this.trashCollectionName, query)
+    if (!courses.length) return
+    await this.deleteCourseData(courses.map(c => c._itemId))
+    const assetIds = courses.flatMap(c => c.deleteAssetIds ?? []).map(id => id.toString())
+    if (!assetIds.length) return
+    const trashed = await this.mongodb.find(this.trashCollectionName, { 'data._assetIds': { $in: assetIds } }, { projection: { 'data._assetIds': 1 } })
+    const stillUsed = new Set(trashed.flatMap(e => e.data._assetIds.map(id => id.toString())))
+    await this.deleteExclusiveAssets(assetIds.filter(id => !stillUsed.has(id)))
+  }
+
+  /**
+   * Removes the data kept alongside deleted courses: their friendly ID counters, template
+   * registrations, revisions and snapshots
+   * @param {Array<String>} courseIds _ids of the deleted courses
+   * @return {Promise}
+   */
+  async deleteCourseData (courseIds) {
+    await Promise.all([
+      this.deleteCounters(courseIds),
+      this.deleteRevisions(courseIds),
+      this.deleteSnapshots({ _courseId: { $in: courseIds.map(id => parseObjectId(id)) } }),
+      ...courseIds.map(_courseId => this.removeTemplate(_courseId))
+    ])
+  }
+
+  /**
+   * Lists the trashed subtrees of a course (including the course itself, if trashed), newest first.
+   * Each row describes the subtree's root item and the number of items it contains.
+   * @param {String} _courseId The course _id
+   * @return {Promise<Array<Object>>}
+   */
+  async listTrash (_courseId) {
+    await this.purgeTrash()
+    const courseId = parseObjectId(_courseId)
+    const entries = await this.mongodb.find(this.trashCollectionName, { _courseId: courseId }, {
+      sort: { deletedAt: -1 },
+      projection: { _trashId: 1, _itemId: 1, _type: 1, deletedBy: 1, deletedAt: 1, 'data._parentId': 1, 'data._sortOrder': 1, 'data._friendlyId': 1, 'data.title': 1, 'data.displayTitle': 1 }
+    })
+    const counts = {}
+    for (const e of entries) counts[e._trashId] = (counts[e._trashId] ?? 0) + 1
+    return entries
+      .filter(e => e._id.toString() === e._trashId.toString())
+      .map(({ data, ...e }) => ({ ...e, ...data, _id: e._id, itemCount: counts[e._trashId] }))
+  }
+
+  /**
+   * Restores a trashed subtree with its original _ids, under its original parent and at its
+   * original `_sortOrder` (siblings are renumbered around it). The parent must still exist — restore
+   * a trashed parent before its children. The trash entries are removed once the content is back.
+   * @param {String} _trashId The `_trashId` of the trashed subtree
+   * @return {Promise<Object>} The restored root item
+   */
+  async restoreFromTrash (_trashId) {
+    const entries = await this.mongodb.find(this.trashCollectionName, { _trashId: parseObjectId(_trashId) })
+    const root = entries.find(e => e._id.toString() === e._trashId.toString())
+    if (!root) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'trash', id: _trashId })
+    }
+    const rootDoc = root.data
+    if (rootDoc._type !== 'course') await this.validateParent(rootDoc)
+
+    const docs = entries.map(e => e.data)
+    const ids = docs.map(d => d._id)
+    const existing = await this.mongodb.find(this.collectionName, { _id: { $in: ids } }, { projection: { _id: 1 } })
+    if (existing.length) {
+      throw this.app.errors.TRASH_RESTORE_CONFLICT.setData({ ids: existing.map(d => d._id.toString()) })
+    }
+    const collection = this.mongodb.getCollection(this.collectionName)
+    try {
+      await collection.insertMany(docs, { ordered: false })
     } catch (e) {
-      await Promise.all(newItems.map(({ _id }) => super.delete({ _id }, { invokePostHook: false })))
+      await collection.deleteMany({ _id: { $in: ids } }).catch(() => {})
+      if (e.code === this.app.errors.MONGO_DUPL_INDEX?.code) {
+        throw this.app.errors.DUPL_FRIENDLY_ID.setData({ _friendlyId: e.keyValue?._friendlyId, _courseId: rootDoc._courseId })
+      }
       throw e
     }
-    // run side effects once for the topmost new item
-    const topItem = newItems[0]
+    await this.mongodb.deleteMany(this.trashCollectionName, { _trashId: root._trashId })
+    await Promise.all(docs.map(doc => this.postInsertHook.invoke(doc)))
     await Promise.all([
-      this.updateSortOrder(topItem, topItem),
-      this.updateEnabledPlugins(topItem, { forceUpdate: true })
+      this.updateSortOrder(rootDoc, rootDoc),
+      this.updateEnabledPlugins(rootDoc)
     ])
-    return topItem
+    return rootDoc
   }
 
   /**
-   * Clones a content item and all its descendants in a single bulk operation.
-   * Pre-generates all _id values and friendly IDs, then inserts everything in parallel.
-   * @param {String} userId The user performing the action
-   * @param {String} _id ID of the object to clone
-   * @param {String} _parentId The intended parent object (if this is not passed, no parent will be set)
-   * @param {Object} customData Data to be applied to the root content item
-   * @param {Object} options
-   * @param {ContentTree} options.tree Pre-built tree to avoid a DB query
-   * @param {Object} options.parent Pre-fetched parent doc to avoid redundant lookup
-   * @return {Promise<Object>} The cloned root item
+   * Saves a snapshot of a course's full content set (course, config and every descendant). The
+   * snapshot document only holds its metadata; each item is stored as its own
+   * `{ _snapshotId, data }` document, so a snapshot isn't limited by the size of a single document.
+   * The items are written first, so a listed snapshot is always complete. Orphaned items are left
+   * out: they are invisible in the editor, and would make the snapshot fail validation on rollback.
+   * Older snapshots beyond the `maxSnapshotsPerCourse` limit are removed (see pruneSnapshots).
+   * @param {String} _courseId The course _id
+   * @param {Object} [data] Extra snapshot attributes
+   * @param {String} [data.title] Display title for the snapshot
+   * @param {String} [data.createdBy] _id of the user taking the snapshot
+   * @param {Object} [options]
+   * @param {Array<String>} [options.keepSnapshotIds] Snapshots which mustn't be pruned
+   * @return {Promise<Object>} The snapshot, without its items
    */
-  async clone (userId, _id, _parentId, customData = {}, options = {}) {
-    let { tree, parent } = options
+  async createSnapshot (_courseId, { title, createdBy } = {}, { keepSnapshotIds = [] } = {}) {
+    const courseId = parseObjectId(_courseId)
+    const tree = new ContentTree(await this.mongodb.find(this.collectionName, { _courseId: courseId }))
+    if (!tree.course) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'course', id: _courseId })
+    }
+    const orphanIds = new Set(tree.getUnreachableItems().map(i => i._id.toString()))
+    const items = tree.items.filter(i => !orphanIds.has(i._id.toString()))
+    const snapshot = { _id: createObjectId(), _courseId: courseId, title, createdBy, createdAt: new Date(), itemCount: items.length }
+    try {
+      await this.mongodb.getCollection(this.snapshotItemCollectionName).insertMany(items.map(data => ({ _snapshotId: snapshot._id, data })))
+      await this.mongodb.getCollection(this.snapshotCollectionName).insertOne(snapshot)
+    } catch (e) {
+      await this.mongodb.deleteMany(this.snapshotItemCollectionName, { _snapshotId: snapshot._id }).catch(() => {})
+      throw e
+    }
+    await this.pruneSnapshots(courseId, [snapshot._id, ...keepSnapshotIds])
+    return snapshot
+  }
 
-    const originalDoc = tree
-      ? tree.getById(_id)
-      : await this.findOne({ _id })
-    if (!originalDoc) {
-      throw this.app.errors.NOT_FOUND
-        .setData({ type: 'content', id: _id })
+  /**
+   * Removes a course's oldest snapshots beyond the `maxSnapshotsPerCourse` config value (0 keeps
+   * every snapshot)
+   * @param {String} _courseId The course _id
+   * @param {Array<String>} [keepSnapshotIds] Snapshots to keep regardless
+   * @return {Promise}
+   */
+  async pruneSnapshots (_courseId, keepSnapshotIds = []) {
+    const max = this.getConfig('maxSnapshotsPerCourse')
+    if (!max) return
+    const snapshots = await this.mongodb.find(this.snapshotCollectionName, { _courseId: parseObjectId(_courseId) }, { sort: { createdAt: -1 }, projection: { _id: 1 } })
+    const keep = new Set(keepSnapshotIds.map(id => id.toString()))
+    const stale = snapshots.slice(max).filter(s => !keep.has(s._id.toString())).map(s => s._id)
+    if (stale.length) await this.deleteSnapshots({ _id: { $in: stale } })
+  }
+
+  /**
+   * Permanently removes snapshots, along with their items
+   * @param {Object} query Query matching the snapshots
+   * @return {Promise<Number>} The number of snapshots removed
+   */
+  async deleteSnapshots (query) {
+    const snapshotIds = (await this.mongodb.find(this.snapshotCollectionName, query, { projection: { _id: 1 } })).map(s => s._id)
+    if (!snapshotIds.length) return 0
+    await this.mongodb.deleteMany(this.snapshotCollectionName, { _id: { $in: snapshotIds } })
+    await this.mongodb.deleteMany(this.snapshotItemCollectionName, { _snapshotId: { $in: snapshotIds } })
+    return snapshotIds.length
+  }
+
+  /**
+   * Lists a course's snapshots, newest first, without their items
+   * @param {String} _courseId The course _id
+   * @return {Promise<Array<Object>>}
+   */
+  async listSnapshots (_courseId) {
+    return this.mongodb.find(this.snapshotCollectionName, { _courseId: parseObjectId(_courseId) }, { sort: { createdAt: -1 } })
+  }
+
+  /**
+   * Fetches a single snapshot with its items, checking it belongs to the given course
+   * @param {String} _snapshotId The snapshot _id
+   * @param {String} _courseId The course _id
+   * @return {Promise<Object>} The snapshot, with its stored content as `items`
+   */
+  async findSnapshot (_snapshotId, _courseId) {
+    const [snapshot] = await this.mongodb.find(this.snapshotCollectionName, { _id: parseObjectId(_snapshotId), _courseId: parseObjectId(_courseId) })
+    if (!snapshot) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'snapshot', id: _snapshotId })
     }
+    const items = await this.mongodb.find(this.snapshotItemCollectionName, { _snapshotId: snapshot._id })
+    return { ...snapshot, items: items.map(i => i.data) }
+  }
 
-    if (!parent && _parentId) {
-      parent = await this.findOne({ _id: _parentId }, { throwOnMissing: false }, { projection: { _id: 1, _type: 1, _courseId: 1 } })
+  /**
+   * Checks that a snapshot describes a complete course: its course root is present and every other
+   * item is reachable from it. Throws INVALID_SNAPSHOT otherwise.
+   * @param {Object} snapshot The snapshot to check
+   * @return {ContentTree} Tree of the snapshot's items
+   */
+  validateSnapshot (snapshot) {
+    const tree = new ContentTree(snapshot.items ?? [])
+    const orphans = tree.getUnreachableItems()
+    if (tree.course?._id.toString() !== snapshot._courseId.toString() || orphans.length) {
+      throw this.app.errors.INVALID_SNAPSHOT.setData({
+        snapshotId: snapshot._id.toString(),
+        orphans: orphans.map(o => o._id.toString())
+      })
     }
-    if (!parent && originalDoc._type !== 'course' && originalDoc._type !== 'config') {
-      throw this.app.errors.INVALID_PARENT.setData({ parentId: _parentId })
+    return tree
+  }
+
+  /**
+   * Replaces the live content of a course with a snapshot's items, keeping their original `_id`s,
+   * `_friendlyId`s and `_assetIds`. The course keeps its current sharing settings, as access is
+   * managed separately from content. The friendly ID counters are left alone: they only ever grow, so
+   * items created after the rollback can't collide with restored ones. The current content is saved
+   * as a new snapshot first, so a rollback can itself be undone, and is put back if the swap fails.
+   * @param {Object} snapshot The snapshot to roll back to (see findSnapshot)
+   * @param {Object} [options]
+   * @param {String} [options.createdBy] _id of the user performing the rollback
+   * @return {Promise<Object>} `{ course, itemCount, backupSnapshotId, missingAssets }`
+   */
+  async rollbackSnapshot (snapshot, options = {}) {
+    const tree = this.validateSnapshot(snapshot)
+    const backup = await this.createSnapshot(snapshot._courseId, {
+      title: `Before rollback to ${snapshot.title || snapshot.createdAt.toISOString()}`,
+      createdBy: options.createdBy
+    }, { keepSnapshotIds: [snapshot._id] })
+    const liveItems = await this.mongodb.find(this.collectionName, { _courseId: snapshot._courseId })
+    const liveCourse = liveItems.find(i => i._type === 'course')
+    // bump the course so the tree endpoint's ETag invalidates
+    const course = { ...tree.course, updatedAt: new Date() }
+    for (const field of COURSE_SHARING_FIELDS) {
+      if (liveCourse?.[field] === undefined) delete course[field]
+      else course[field] = liveCourse[field]
     }
-    if (!tree) {
-      const sourceItems = await this.mongodb.find(this.collectionName, { _courseId: originalDoc._courseId })
-      tree = new ContentTree(sourceItems)
+    const items = tree.items.map(i => i === tree.course ? course : i)
+    try {
+      await this.replaceCourseItems(snapshot._courseId, items)
+    } catch (e) { // put the previous content back rather than leaving a partial course
+      await this.replaceCourseItems(snapshot._courseId, liveItems)
+      throw e
+    }
+    const assetIds = [...new Set(items.flatMap(i => (i._assetIds ?? []).map(id => id.toString())))]
+    const assets = assetIds.length
+      ? await this.assets.find({ _id: { $in: assetIds.map(id => parseObjectId(id)) } }, { validate: false }, { projection: { _id: 1 } })
+      : []
+    const foundAssetIds = new Set(assets.map(a => a._id.toString()))
+    await this.postRollbackHook.invoke(course, snapshot)
+    return {
+      course,
+      itemCount: items.length,
+      backupSnapshotId: backup._id,
+      missingAssets: assetIds.filter(id => !foundAssetIds.has(id))
     }
+  }
+
+  /**
+   * Swaps a course's live content for the given items without ever emptying the course: each item
+   * replaces (or re-creates) the live document with its `_id`, then live items which aren't in the
+   * set are removed. Live friendly IDs are cleared first, as the items may swap IDs with live ones.
+   * @param {String} _courseId The course _id
+   * @param {Array<Object>} items The course's new content, as stored documents
+   * @return {Promise}
+   */
+  async replaceCourseItems (_courseId, items) {
+    const collection = this.mongodb.getCollection(this.collectionName)
+    await collection.updateMany({ _courseId }, { $unset: { _friendlyId: '' } })
+    await collection.bulkWrite(items.map(doc => ({ replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } })), { ordered: false })
+    await collection.deleteMany({ _courseId, _id: { $nin: items.map(i => i._id) } })
+  }
 
-    // Collect all items to clone: root, config (if course clone), then all descendants
-    const allItems = [originalDoc]
-    if (originalDoc._type === 'course' && tree.config) {
-      allItems.push(tree.config)
+  /**
+   * Exports a course (course, config and every reachable descendant) as a portable bundle (see
+   * createContentBundle), with ids normalised to strings and the installed version of each of the
+   * course's `_enabledPlugins` recorded.
+   * @param {String} _courseId The course _id
+   * @return {Promise<Object>} The bundle
+   */
+  async exportCourse (_courseId) {
+    const tree = new ContentTree(await this.mongodb.find(this.collectionName, { _courseId: parseObjectId(_courseId) }))
+    if (!tree.course) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'course', id: _courseId })
     }
-    allItems.push(...tree.getDescendants(_id))
+    const items = [tree.course, ...(tree.config ? [tree.config] : []), ...tree.getDescendants(tree.course._id)]
+    return this.createBundle(items, tree.config?._enabledPlugins ?? [])
+  }
 
-    if (options.invokePreHook !== false) {
-      for (const item of allItems) await this.preCloneHook.invoke(item)
+  /**
+   * Exports a page or article and all of its descendants as a portable bundle (see
+   * createContentBundle). The bundle's `_enabledPlugins` are the components the subtree uses.
+   * @param {String} _id _id of the page or article
+   * @return {Promise<Object>} The bundle
+   */
+  async exportSubtree (_id) {
+    const root = await this.findOne({ _id }, { validate: false })
+    if (!SUBTREE_BUNDLE_TYPES.includes(root._type)) {
+      throw this.app.errors.INVALID_EXPORT_TYPE.setData({ _id: root._id.toString(), _type: root._type })
     }
+    const tree = new ContentTree(await this.mongodb.find(this.collectionName, { _courseId: root._courseId }))
+    const items = [tree.getById(root._id), ...tree.getDescendants(root._id)]
+    return this.createBundle(items, new ContentTree(items).getComponentNames())
+  }
 
-    // Pre-generate ObjectIds for every item (old _id → new _id)
-    const idMap = new Map()
-    for (const item of allItems) {
-      idMap.set(item._id.toString(), createObjectId())
+  /**
+   * Builds a bundle from content items, recording the installed version of each plugin they need
+   * @param {Array<Object>} items The items to bundle, root first
+   * @param {Array<String>} _enabledPlugins Names of the plugins the items need
+   * @return {Promise<Object>} The bundle
+   */
+  async createBundle (items, _enabledPlugins) {
+    const plugins = _enabledPlugins.length
+      ? await this.contentplugin.find({ name: { $in: _enabledPlugins } }, {}, { projection: { name: 1, type: 1, version: 1 } })
+      : []
+    return createContentBundle(items.map(i => stringifyValues(i)), { _enabledPlugins, plugins })
+  }
+
+  /**
+   * Recreates a course from an exported bundle (see exportCourse) as a new course owned by `userId`.
+   * Items get fresh ObjectIds via clone's old → new mapping; friendly IDs are kept where free (always,
+   * in a new course) and the course itself gets a newly generated one. Sharing settings are dropped,
+   * as they refer to users of the exporting server. Plugins and assets referenced by the bundle which
+   * don't exist here don't stop the import, but are reported. Bundles with more than `maxImportItems`
+   * items or items failing schema validation (see validateBundleContent) are rejected, and the items'
+   * exported timestamps are read back as Dates.
+   * @param {Object} bundle The course bundle
+   * @param {String} userId The importing user
+   * @param {Object} [customData] Data to be applied to the new course
+   * @return {Promise<Object>} `{ course, missingPlugins, missingAssets }`
+   */
+  async importCourse (bundle, userId, customData = {}) {
+    const reason = checkContentBundle(bundle, ['course'], { maxItems: this.getConfig('maxImportItems') })
+    if (reason) {
+      throw this.app.errors.INVALID_BUNDLE.setData({ reason })
     }
+    const [{ _access, _isShared, _shareWithUsers, userGroups, ...course }, ...items] = parseBundleDates(bundle.content)
+    const tree = new ContentTree([course, ...items])
+    await this.validateBundleContent(tree.items, tree.config?._enabledPlugins)
+    const [_friendlyId] = await this.generateFriendlyIds('course', undefined, 1, course._language)
+    const imported = await this.clone(userId, course._id, undefined, { _friendlyId, ...customData }, {
+      tree,
+      preserveFriendlyIds: true,
+      invokePreHook: false,
+      invokePostHook: false
+    })
+    // drop extensions which aren't installed here from the config's plugin list
+    await this.updateEnabledPlugins({ _courseId: imported._id, _type: 'config' })
+    return { course: imported, ...await this.findMissingDependencies(bundle, tree) }
+  }
 
-    const newCourseId = originalDoc._type === 'course'
-      ? idMap.get(originalDoc._id.toString()).toString()
-      : (parent?._type === 'course' ? parent._id.toString() : parent._courseId.toString())
+  /**
+   * Copies an exported page or article bundle (see exportSubtree) under a parent in this server's
+   * content, appended after the parent's existing children. As with importCourse, items get fresh
+   * ObjectIds via clone, keep their friendly IDs where free, missing plugins and assets are
+   * reported, `maxImportItems` and schema validation apply and timestamps are read back as Dates.
+   * The items are validated with the destination course's plugins, and its plugin list is re-synced
+   * afterwards.
+   * @param {Object} bundle The page or article bundle
+   * @param {String} _parentId _id of the new parent
+   * @param {String} userId The importing user
+   * @param {Object} [options]
+   * @param {Object} [options.parent] Pre-fetched parent doc to avoid redundant lookup
+   * @return {Promise<Object>} `{ item, missingPlugins, missingAssets }`
+   */
+  async importSubtree (bundle, _parentId, userId, options = {}) {
+    const reason = checkContentBundle(bundle, SUBTREE_BUNDLE_TYPES, { maxItems: this.getConfig('maxImportItems') })
+    if (reason) {
+      throw this.app.errors.INVALID_BUNDLE.setData({ reason })
+    }
+    const parent = options.parent ?? await this.findOne({ _id: _parentId }, { validate: false }, { projection: { _id: 1, _type: 1, _courseId: 1 } })
+    const [{ _sortOrder, ...root }, ...items] = parseBundleDates(bundle.content)
+    if (!isValidParentType(root._type, parent._type)) {
+      throw this.app.errors.INVALID_PARENT_TYPE.setData({ _id: root._id, _type: root._type, parentId: parent._id.toString(), parentType: parent._type })
+    }
+    const tree = new ContentTree([root, ...items])
+    const config = await this.findOne({ _type: 'config', _courseId: parent._courseId }, { validate: false, throwOnMissing: false }, { projection: { _enabledPlugins: 1 } })
+    await this.validateBundleContent(tree.items, config?._enabledPlugins)
+    const item = await this.clone(userId, root._id, parent._id.toString(), {}, {
+      tree,
+      parent,
+      preserveFriendlyIds: true,
+      invokePreHook: false,
+      invokePostHook: false
+    })
+    await this.updateEnabledPlugins({ _courseId: item._courseId, _type: 'config' })
+    return { item, ...await this.findMissingDependencies(bundle, tree) }
+  }
 
-    // Pre-allocate friendly IDs in bulk per type
-    const typeCounts = new Map()
-    for (const item of allItems) {
-      if (item._type === 'course' || item._type === 'config') continue
-      typeCounts.set(item._type, (typeCounts.get(item._type) ?? 0) + 1)
+  /**
+   * Lists the plugins and assets a bundle depends on which don't exist on this server. Plugins are
+   * taken from the bundle's `_enabledPlugins` plus the components it actually uses.
+   * @param {Object} bundle The content bundle
+   * @param {ContentTree} tree Tree of the bundle's content
+   * @return {Promise<{ missingPlugins: Array<Object>, missingAssets: Array<String> }>} Missing plugins as `{ name, version }`
+   */
+  async findMissingDependencies (bundle, tree) {
+    const pluginNames = [...new Set([...(bundle._enabledPlugins ?? []), ...tree.getComponentNames()])].filter(Boolean)
+    const installed = new Set((pluginNames.length
+      ? await this.contentplugin.find({ name: { $in: pluginNames } }, {}, { projection: { name: 1 } })
+      : []).map(p => p.name))
+    const versions = Object.fromEntries((bundle.plugins ?? []).map(p => [p.name, p.version]))
+
+    const assetIds = [...new Set(bundle._assetIds ?? [])]
+    const validIds = assetIds.filter(id => ObjectId.isValid(id))
+    const found = new Set((validIds.length
+      ? await this.assets.find({ _id: { $in: validIds.map(id => parseObjectId(id)) } }, { validate: false }, { projection: { _id: 1 } })
+      : []).map(a => a._id.toString()))
+    return {
+      missingPlugins: pluginNames.filter(name => !installed.has(name)).map(name => ({ name, version: versions[name] })),
+      missingAssets: assetIds.filter(id => !found.has(id))
     }
-    // type → { ids, next } — bundle the cursor with the array so the payload loop is O(n) (Array#shift would be O(n²))
-    const friendlyIds = new Map()
-    await Promise.all([...typeCounts].map(async ([_type, count]) => {
-      friendlyIds.set(_type, { ids: await this.generateFriendlyIds(_type, newCourseId, count), next: 0 })
-    }))
+  }
 
-    // Build all insert payloads with pre-mapped IDs and parent references
-    const rootId = _id.toString()
-    const payloads = allItems.map(item => {
-      const oldId = item._id.toString()
-      const newId = idMap.get(oldId)
-      const isCourse = item._type === 'course'
-      const isConfig = item._type === 'config'
+  /**
+   * Permanently removes a snapshot
+   * @param {String} _snapshotId The snapshot _id
+   * @param {String} _courseId The course _id
+   * @return {Promise}
+   */
+  async deleteSnapshot (_snapshotId, _courseId) {
+    if (!await this.deleteSnapshots({ _id: parseObjectId(_snapshotId), _courseId: parseObjectId(_courseId) })) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'snapshot', id: _snapshotId })
+    }
+  }
 
-      let newParentId
-      if (oldId === rootId) newParentId = _parentId
-      else if (isConfig) newParentId = undefined
-      else newParentId = idMap.get(item._parentId?.toString())?.toString()
+  /**
+   * Registers a course as a template which new courses can be created from (see
+   * createCourseFromTemplate). Registering a template again updates its title and description.
+   * @param {Object} course The course
+   * @param {Object} data
+   * @param {String} [data.title] Display title for the template (defaults to the course's title)
+   * @param {String} [data.description] Description of the template
+   * @param {String} [data.createdBy] _id of the user registering the template
+   * @return {Promise<Object>} The template
+   */
+  async addTemplate (course, { title, description, createdBy } = {}) {
+    return this.mongodb.getCollection(this.templateCollectionName).findOneAndUpdate(
+      { _courseId: parseObjectId(course._id) },
+      {
+        $set: { title: title || course.title, ...(description !== undefined && { description }) },
+        $setOnInsert: { createdBy, createdAt: new Date() }
+      },
+      { upsert: true, returnDocument: 'after' }
+    )
+  }
 
-      let friendlyId
-      if (isCourse) friendlyId = item._friendlyId
-      else if (isConfig) friendlyId = formatFriendlyId('config')
-      else {
-        const queue = friendlyIds.get(item._type)
-        friendlyId = queue?.ids[queue.next++]
-      }
+  /**
+   * Lists the registered course templates
+   * @return {Promise<Array<Object>>} The templates, by title
+   */
+  async listTemplates () {
+    return this.mongodb.find(this.templateCollectionName, {}, { sort: { title: 1 } })
+  }
 
-      return stringifyValues({
-        ...item,
-        _id: newId,
-        _friendlyId: friendlyId,
-        _courseId: isCourse ? newId.toString() : newCourseId,
-        _parentId: newParentId,
-        createdBy: userId,
-        ...(oldId === rootId ? customData : {})
-      })
+  /**
+   * Finds the template registered for a course
+   * @param {String} _courseId The template course _id
+   * @return {Promise<Object>} The template
+   */
+  async findTemplate (_courseId) {
+    const [template] = await this.mongodb.find(this.templateCollectionName, { _courseId: parseObjectId(_courseId) })
+    if (!template) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'template', id: _courseId })
+    }
+    return template
+  }
+
+  /**
+   * Unregisters a course as a template. The course itself is left alone.
+   * @param {String} _courseId The template course _id
+   * @return {Promise}
+   */
+  async removeTemplate (_courseId) {
+    await this.mongodb.deleteMany(this.templateCollectionName, { _courseId: parseObjectId(_courseId) })
+  }
+
+  /**
+   * Creates a new course from a template by cloning it. The new course gets its own friendly ID and
+   * title, every item is owned by the user creating it, and the template's sharing settings are
+   * left behind.
+   * @param {String} _courseId The template course _id
+   * @param {String} userId The user creating the course
+   * @param {Object} data
+   * @param {String} [data.title] Title of the new course (defaults to the template course's title)
+   * @return {Promise<Object>} The new course
+   */
+  async createCourseFromTemplate (_courseId, userId, { title } = {}) {
+    const template = await this.findTemplate(_courseId)
+    const items = await this.mongodb.find(this.collectionName, { _courseId: template._courseId })
+    const sourceCourse = items.find(i => i._type === 'course')
+    if (!sourceCourse) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'course', id: _courseId })
+    }
+    const { _access, _isShared, _shareWithUsers, userGroups, ...course } = sourceCourse
+    const tree = new ContentTree(items.map(i => i === sourceCourse ? course : i))
+    const [_friendlyId] = await this.generateFriendlyIds('course', undefined, 1, course._language)
+    const newTitle = title || course.title
+    return this.clone(userId, course._id, undefined, { _friendlyId, title: newTitle, displayTitle: newTitle }, { tree })
+  }
+
+  /**
+   * Saves a block and its components as a named snippet, which can later be inserted by its owner
+   * or into the courses it's shared with (see insertSnippet). The snippet holds a copy of the items,
+   * so later edits to the block don't change it.
+   * @param {String} _id _id of the block
+   * @param {Object} data
+   * @param {String} [data.title] Display title for the snippet (defaults to the block's title)
+   * @param {String} [data.description] Description of the snippet
+   * @param {String} [data.createdBy] _id of the user saving the snippet
+   * @param {Array<String>} [data._courseIds] The courses the snippet is shared with (defaults to the block's course)
+   * @return {Promise<Object>} The new snippet (without its items)
+   */
+  async createSnippet (_id, { title, description, createdBy, _courseIds } = {}) {
+    const root = await this.findOne({ _id }, { validate: false })
+    if (root._type !== 'block') {
+      throw this.app.errors.INVALID_SNIPPET_TYPE.setData({ _id: root._id.toString(), _type: root._type })
+    }
+    const tree = new ContentTree(await this.mongodb.find(this.collectionName, { _courseId: root._courseId }))
+    const { _sortOrder, ...block } = tree.getById(root._id)
+    const items = [block, ...tree.getDescendants(root._id)]
+    const snippet = {
+      title: title || block.title,
+      description,
+      createdBy,
+      createdAt: new Date(),
+      _courseIds: [...new Set((_courseIds ?? [root._courseId]).map(id => id.toString()))].map(id => parseObjectId(id)),
+      components: new ContentTree(items).getComponentNames()
+    }
+    const { insertedId } = await this.mongodb.getCollection(this.snippetCollectionName).insertOne({ ...snippet, items })
+    return { _id: insertedId, ...snippet }
+  }
+
+  /**
+   * Lists the saved snippets a user can use: their own, and those shared with a course
+   * @param {Object} options
+   * @param {String} [options.userId] The user. Omit (along with `_courseId`) to list every snippet
+   * @param {String} [options._courseId] Also list the snippets shared with this course
+   * @return {Promise<Array<Object>>} The snippets (without their items), newest first
+   */
+  async listSnippets ({ userId, _courseId } = {}) {
+    const scopes = []
+    if (userId) scopes.push({ createdBy: parseObjectId(userId) })
+    if (_courseId) scopes.push({ _courseIds: parseObjectId(_courseId) })
+    const query = scopes.length ? { $or: scopes } : {}
+    return this.mongodb.find(this.snippetCollectionName, query, { sort: { createdAt: -1 }, projection: { items: 0 } })
+  }
+
+  /**
+   * Whether a snippet can be used by a user in a course: its owner can use it anywhere, and anyone
+   * else only in the courses it's shared with
+   * @param {Object} snippet The snippet
+   * @param {String} userId The user
+   * @param {String} [_courseId] The course it would be used in
+   * @return {Boolean}
+   */
+  canUseSnippet (snippet, userId, _courseId) {
+    if (snippet.createdBy?.toString() === userId.toString()) return true
+    return !!_courseId && (snippet._courseIds ?? []).some(id => id.toString() === _courseId.toString())
+  }
+
+  /**
+   * Finds a snippet
+   * @param {String} _snippetId The snippet _id
+   * @return {Promise<Object>} The snippet
+   */
+  async findSnippet (_snippetId) {
+    const [snippet] = await this.mongodb.find(this.snippetCollectionName, { _id: parseObjectId(_snippetId) })
+    if (!snippet) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'snippet', id: _snippetId })
+    }
+    return snippet
+  }
+
+  /**
+   * Permanently removes a snippet
+   * @param {String} _snippetId The snippet _id
+   * @return {Promise}
+   */
+  async deleteSnippet (_snippetId) {
+    await this.mongodb.deleteMany(this.snippetCollectionName, { _id: parseObjectId(_snippetId) })
+  }
+
+  /**
+   * Inserts a copy of a snippet under an article, with new _ids and friendly IDs as for a clone, and
+   * enables its components in the destination course
+   * @param {String} _snippetId The snippet _id
+   * @param {String} _parentId _id of the article
+   * @param {String} userId The user inserting the snippet
+   * @param {Object} options
+   * @param {Object} options.parent Pre-fetched parent doc to avoid redundant lookup
+   * @param {Object} options.snippet Pre-fetched snippet to avoid redundant lookup
+   * @param {Number} [options._sortOrder] Position of the new block. Omit to append
+   * @return {Promise<Object>} The new block
+   */
+  async insertSnippet (_snippetId, _parentId, userId, options = {}) {
+    const snippet = options.snippet ?? await this.findSnippet(_snippetId)
+    const parent = options.parent ?? await this.findOne({ _id: _parentId }, { validate: false }, { projection: { _id: 1, _type: 1, _courseId: 1 } })
+    const [root] = snippet.items
+    if (!isValidParentType(root._type, parent._type)) {
+      throw this.app.errors.INVALID_PARENT_TYPE.setData({ _id: root._id.toString(), _type: root._type, parentId: parent._id.toString(), parentType: parent._type })
+    }
+    const item = await this.clone(userId, root._id, parent._id.toString(), options._sortOrder ? { _sortOrder: options._sortOrder } : {}, {
+      tree: new ContentTree(snippet.items),
+      parent,
+      invokePreHook: false,
+      invokePostHook: false
     })
+    await this.updateEnabledPlugins({ _courseId: item._courseId, _type: 'config' })
+    return item
+  }
 
-    // Fire preInsertHook on each payload (allows observer modules to set timestamps etc.)
-    await Promise.all(payloads.map(payload =>
-      this.preInsertHook.invoke(payload, { schemaName: contentTypeToSchemaName(payload._type), collectionName: this.collectionName }, {})
-    ))
+  /**
+   * postUpdateHook observer: stores the pre-update document as a revision, attributed to the
+   * updated document's `updatedBy`. No-op writes (nothing but `updatedAt` changed) are skipped.
+   * @param {Object} originalDoc The document before the update
+   * @param {Object} doc The updated document
+   * @return {Promise}
+   */
+  async recordUpdateRevision (originalDoc, doc) {
+    if (!originalDoc || isSameContent(originalDoc, doc ?? {})) return
+    await this.recordRevisions([originalDoc], 'update', doc?.updatedBy)
+  }
 
-    // Convert known ID fields to ObjectId instances and bulk insert in a single round-trip
-    const allNewIds = allItems.map(item => idMap.get(item._id.toString()))
-    for (let i = 0; i < payloads.length; i++) {
-      const payload = payloads[i]
-      payload._id = allNewIds[i]
-      if (payload._courseId) payload._courseId = new ObjectId(payload._courseId)
-      if (payload._parentId) payload._parentId = new ObjectId(payload._parentId)
-      if (payload.createdBy) payload.createdBy = new ObjectId(payload.createdBy)
+  /**
+   * Stores each deleted document as a revision, attributed to the deleting user. Called by
+   * {@link ContentModule#delete} rather than tapped into postDeleteHook, which isn't passed the user.
+   * @param {Object|Array<Object>} docs The deleted document(s)
+   * @param {String} [deletedBy] _id of the user deleting the content
+   * @return {Promise}
+   */
+  async recordDeleteRevisions (docs, deletedBy) {
+    await this.recordRevisions(Array.isArray(docs) ? docs : [docs], 'delete', deletedBy)
+  }
+
+  /**
+   * Writes a revision for each of the given documents in a single insert
+   * @param {Array<Object>} docs Previous versions of the content documents
+   * @param {String} action The change which replaced them ('update' or 'delete')
+   * @param {String} [changedBy] _id of the user responsible for the change
+   * @return {Promise}
+   */
+  async recordRevisions (docs, action, changedBy) {
+    const createdAt = new Date()
+    const revisions = docs.filter(d => d?._id).map(doc => ({
+      _itemId: doc._id,
+      _courseId: doc._courseId ?? (doc._type === 'course' ? doc._id : undefined),
+      _type: doc._type,
+      action,
+      changedBy: changedBy ? parseObjectId(changedBy) : undefined,
+      createdAt,
+      data: doc
+    }))
+    if (!revisions.length) return
+    await this.mongodb.getCollection(this.revisionCollectionName).insertMany(revisions, { ordered: false })
+    await this.pruneRevisions(revisions.map(r => r._itemId))
+  }
+
+  /**
+   * Removes the oldest revisions of each of the given items beyond the `maxRevisionsPerItem` config
+   * value (0 keeps every revision), in a single aggregation and delete
+   * @param {Array<String|ObjectId>} itemIds _ids of the content items
+   * @return {Promise}
+   */
+  async pruneRevisions (itemIds) {
+    const max = this.getConfig('maxRevisionsPerItem')
+    if (!max || !itemIds.length) return
+    const collection = this.mongodb.getCollection(this.revisionCollectionName)
+    const groups = await collection.aggregate([
+      { $match: { _itemId: { $in: itemIds.map(id => parseObjectId(id)) } } },
+      { $sort: { createdAt: -1, _id: -1 } },
+      { $group: { _id: '$_itemId', ids: { $push: '$_id' } } },
+      { $match: { [`ids.${max}`]: { $exists: true } } },
+      { $project: { stale: { $slice: ['$ids', max, { $size: '$ids' }] } } }
+    ]).toArray()
+    const stale = groups.flatMap(g => g.stale)
+    if (stale.length) await collection.deleteMany({ _id: { $in: stale } })
+  }
+
+  /**
+   * Removes every revision recorded for the given courses' content
+   * @param {Array<String|ObjectId>} courseIds The course _ids
+   * @return {Promise}
+   */
+  async deleteRevisions (courseIds) {
+    await this.mongodb.getCollection(this.revisionCollectionName)
+      .deleteMany({ _courseId: { $in: courseIds.map(id => parseObjectId(id)) } })
+  }
+
+  /**
+   * Finds the course a content item belongs to, for checking access to its revisions. A deleted
+   * item is looked up via its latest revision.
+   * @param {String} _itemId _id of the content item
+   * @return {Promise<ObjectId>} The course _id
+   */
+  async findItemCourseId (_itemId) {
+    const item = await this.findOne({ _id: _itemId }, { validate: false, throwOnMissing: false }, { projection: { _type: 1, _courseId: 1 } })
+    if (item) return item._type === 'course' ? item._id : item._courseId
+    const [revision] = await this.mongodb.find(this.revisionCollectionName, { _itemId: parseObjectId(_itemId) }, { sort: { createdAt: -1 }, limit: 1, projection: { _courseId: 1 } })
+    if (!revision) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'content', id: _itemId })
+    }
+    return revision._courseId
+  }
+
+  /**
+   * Lists the stored revisions of a content item, newest first. The revision `data` is omitted;
+   * use {@link ContentModule#findRevision} to fetch a single revision in full.
+   * @param {String} _itemId _id of the content item
+   * @return {Promise<Array<Object>>}
+   */
+  async listRevisions (_itemId) {
+    return this.mongodb.find(this.revisionCollectionName, { _itemId: parseObjectId(_itemId) }, { sort: { createdAt: -1 }, projection: { data: 0 } })
+  }
+
+  /**
+   * Fetches a single revision, including the stored document
+   * @param {String} _revisionId _id of the revision
+   * @param {String} [_itemId] When set, the revision must belong to this content item
+   * @return {Promise<Object>}
+   */
+  async findRevision (_revisionId, _itemId) {
+    const query = { _id: parseObjectId(_revisionId) }
+    if (_itemId) query._itemId = parseObjectId(_itemId)
+    const [revision] = await this.mongodb.find(this.revisionCollectionName, query)
+    if (!revision) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'revision', id: _revisionId })
+    }
+    return revision
+  }
+
+  /**
+   * Restores a content item to the state stored in a revision. A live item is replaced in place: it
+   * keeps its `_courseId`, `_parentId` and `_sortOrder`, and fields the revision doesn't have are
+   * removed. A deleted item is re-inserted with its original `_id` (its parent must exist, so restore
+   * parents before children). Both paths go through the normal `update`/`insert`, so
+   * `validateParent` runs and `_assetIds`/`_summary` are recomputed — and the replaced state is
+   * itself kept as a revision.
+   * @param {Object} revision The revision to restore (see {@link ContentModule#findRevision})
+   * @param {Object} [options]
+   * @param {String} [options.updatedBy] _id of the user restoring the revision, recorded as the item's `updatedBy`
+   * @return {Promise<Object>} The restored content item
+   */
+  async restoreRevision (revision, { updatedBy } = {}) {
+    const { _id, _assetIds, _summary, createdAt, updatedAt, ...data } = stringifyValues(revision.data)
+    if (updatedBy) data.updatedBy = updatedBy
+    const existing = await this.findOne({ _id }, { validate: false, throwOnMissing: false })
+    if (!existing) {
+      return this.insert({ _id, ...data }, {}, { preserveId: true })
+    }
+    // the item stays where it is now; everything else is replaced by the revision
+    const live = stringifyValues(existing)
+    for (const key of RESTORE_POSITION_FIELDS) {
+      if (key in live) data[key] = live[key]
+      else delete data[key]
+    }
+    const doc = await this.update({ _id }, data)
+    // fields added since the revision was taken are removed
+    const unset = Object.keys(existing).filter(k => !(k in data) && !RESTORE_RETAINED_FIELDS.includes(k))
+    if (!unset.length) return doc
+    await this.mongodb.getCollection(this.collectionName).updateOne({ _id: doc._id }, { $unset: Object.fromEntries(unset.map(k => [k, ''])) })
+    unset.forEach(k => delete doc[k])
+    return this.updateDerivedFields(doc)
+  }
+
+  /**
+   * Resolves one side of a diff. A revision _id resolves to the document stored in that revision;
+   * any other _id to the live content item.
+   * @param {String} _id A revision or content item _id
+   * @return {Promise<{ doc: Object, revision: Object|undefined }>}
+   */
+  async resolveDiffSource (_id) {
+    const [revision] = await this.mongodb.find(this.revisionCollectionName, { _id: parseObjectId(_id) })
+    if (revision) return { doc: revision.data, revision }
+    return { doc: await this.findOne({ _id }, { validate: false }) }
+  }
+
+  /**
+   * Computes a field-level diff (see diffContent) between two content documents, each given as a
+   * revision _id or a live content item _id — so a revision can be compared with the current item,
+   * another revision, or a different item entirely. Both sides must resolve to the same schema.
+   * @param {String} fromId The earlier revision/item _id
+   * @param {String} toId The later revision/item _id
+   * @return {Promise<Object>} `{ schemaName, from, to, added, removed, changed }`, where `from`/`to` identify each side
+   */
+  async diff (fromId, toId) {
+    const [from, to] = await Promise.all([fromId, toId].map(id => this.resolveDiffSource(id)))
+    return this.diffSources(from, to)
+  }
+
+  /**
+   * Diffs two sources already resolved with resolveDiffSource (see diff). Fields are found by
+   * walking the documents' schema, so changes are keyed by schema path (e.g. `_items/1/text`).
+   * @param {Object} from The earlier side
+   * @param {Object} to The later side
+   * @return {Promise<Object>}
+   */
+  async diffSources (from, to) {
+    const [fromSchema, toSchema] = await Promise.all([from.doc, to.doc].map(doc => this.getSchemaName({ ...doc })))
+    if (fromSchema !== toSchema) {
+      throw this.app.errors.DIFF_SCHEMA_MISMATCH.setData({ from: fromSchema, to: toSchema })
+    }
+    const schema = await this.getSchema(this.schemaName, { ...to.doc })
+    const describe = ({ doc, revision }) => ({
+      _id: doc._id.toString(),
+      _courseId: doc._courseId?.toString(),
+      _revisionId: revision?._id.toString(),
+      createdAt: revision?.createdAt
+    })
+    return { schemaName: fromSchema, from: describe(from), to: describe(to), ...diffContent(from.doc, to.doc, schema) }
+  }
+
+  /**
+   * Returns the course, its config and the course's content in course order (depth-first, siblings
+   * by `_sortOrder`). Orphaned items are left out, as they can't be seen in the editor.
+   * @param {String} _courseId The course _id
+   * @param {Object} [options]
+   * @param {Object} [options.projection] Fields to load. `_id`, `_parentId`, `_type` and `_sortOrder` are needed for the order
+   * @return {Promise<Array<Object>>}
+   */
+  async findOrderedCourseItems (_courseId, { projection } = {}) {
+    const tree = new ContentTree(await this.mongodb.find(this.collectionName, { _courseId: parseObjectId(_courseId) }, projection && { projection }))
+    if (!tree.course) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'course', id: _courseId })
+    }
+    return [tree.course, tree.config, ...tree.getOrderedDescendants(tree.course._id)].filter(Boolean)
+  }
+
+  /**
+   * Searches the text of every item in a course for a phrase (see findTextMatches), in the order of
+   * findOrderedCourseItems. Matching is left to findTextMatches, as it finds part of a word and
+   * ignores markup, which a database query can't do across every field.
+   * @param {String} _courseId The course _id
+   * @param {String} query The phrase to find
+   * @param {Object} options
+   * @param {String} options.component Only search components of this `_component` type. Without a
+   * query, every such component is a result (with no `path`, `snippet` or `highlights`).
+   * @return {Promise<Array<Object>>} A `{ _id, _type, _friendlyId, path, snippet, highlights }` per matching field, in course order
+   */
+  async searchCourse (_courseId, query, { component } = {}) {
+    if (!query?.trim() && !component) return []
+    const results = []
+    for (const item of await this.findOrderedCourseItems(_courseId)) {
+      if (component && (item._type !== 'component' || item._component !== component)) continue
+      const { _id, _type, _friendlyId } = item
+      if (!query?.trim()) {
+        results.push({ _id, _type, _friendlyId, _component: item._component })
+        continue
+      }
+      const schema = await this.getSchema(this.schemaName, item)
+      for (const match of findTextMatches(schema, item, query)) {
+        results.push({ _id, _type, _friendlyId, ...match })
+      }
+    }
+    return results
+  }
+
+  /**
+   * Returns the _ids of the courses with components of a `_component` type, so only those need
+   * searching for it
+   * @param {String} component The `_component` type
+   * @return {Promise<Array<ObjectId>>}
+   */
+  async findComponentCourseIds (component) {
+    return this.mongodb.getCollection(this.collectionName).distinct('_courseId', { _type: 'component', _component: component })
+  }
+
+  /**
+   * Runs searchCourse over a list of courses, leaving out those without results
+   * @param {Array<Object>} courses The courses to search (`_id` and `title`)
+   * @param {Object} options
+   * @param {String} options.query The phrase to find
+   * @param {String} options.component Only search components of this `_component` type
+   * @return {Promise<Array<Object>>} A `{ _courseId, title, results }` per course with results, in the order given
+   */
+  async searchCourses (courses, { query, component } = {}) {
+    if (!query?.trim() && !component) return []
+    const groups = []
+    for (const course of courses) {
+      const results = await this.searchCourse(course._id.toString(), query, { component })
+      if (results.length) groups.push({ _courseId: course._id, title: course.title, results })
+    }
+    return groups
+  }
+
+  /**
+   * Previews a find-and-replace over the text fields of a course (see findReplacements), in the
+   * order of findOrderedCourseItems. Nothing is changed.
+   * @param {String} _courseId The course _id
+   * @param {String} find The phrase to replace
+   * @param {String} replace The replacement
+   * @param {Object} options
+   * @param {Boolean} options.caseSensitive Only replace exact-case occurrences
+   * @param {Boolean} options.wholeWord Only replace whole words
+   * @return {Promise<Array<Object>>} A `{ _id, _type, _friendlyId, path, before, after, count }` per changed field
+   */
+  async previewReplace (_courseId, find, replace, options) {
+    const results = []
+    for (const { item, replacements } of await this.findCourseReplacements(_courseId, find, replace, options)) {
+      const { _id, _type, _friendlyId } = item
+      results.push(...replacements.map(r => ({ _id, _type, _friendlyId, ...r })))
+    }
+    return results
+  }
+
+  /**
+   * Applies a find-and-replace to the text fields of a course. Replacements are worked out again from
+   * the current content, so fields changed since the preview get the right result. Each item is
+   * saved with the normal `update`, so it's validated, `_assetIds`/`_summary` are recomputed and the
+   * update hooks run.
+   * @param {String} _courseId The course _id
+   * @param {String} find The phrase to replace
+   * @param {String} replace The replacement
+   * @param {Object} options
+   * @param {Boolean} options.caseSensitive Only replace exact-case occurrences
+   * @param {Boolean} options.wholeWord Only replace whole words
+   * @param {Array<Object>} options.selected The fields to change, as `{ _id, path }` (e.g. from
+   * previewReplace). All fields are changed if omitted.
+   * @return {Promise<Object>} `{ updated, skipped }`: a `{ _id, paths, count }` per updated item, and
+   * the selected `{ _id, path }` fields which no longer contain the phrase
+   */
+  async applyReplace (_courseId, find, replace, { selected, ...options } = {}) {
+    const isSelected = (_id, path) => !selected || selected.some(s => s._id?.toString() === _id.toString() && s.path === path)
+    const applied = []
+    const updated = []
+    for (const { item, replacements } of await this.findCourseReplacements(_courseId, find, replace, options)) {
+      const changes = replacements.filter(r => isSelected(item._id, r.path))
+      if (!changes.length) continue
+      // only the changed strings (and the objects holding them) are copied, so other values keep their types
+      const changed = changes.reduce((doc, { path, after }) => setFieldPath(doc, path, after), item)
+      const data = Object.fromEntries([...new Set(changes.map(({ path }) => splitFieldPath(path)[0]))].map(key => [key, changed[key]]))
+      await this.update({ _id: item._id }, data, { schemaName: await this.getSchemaName(item) })
+      applied.push(...changes.map(({ path }) => `${item._id}/${path}`))
+      updated.push({ _id: item._id, paths: changes.map(c => c.path), count: changes.reduce((n, c) => n + c.count, 0) })
+    }
+    const skipped = (selected ?? [])
+      .filter(({ _id, path }) => !applied.includes(`${_id}/${path}`))
+      .map(({ _id, path }) => ({ _id, path }))
+    return { updated, skipped }
+  }
+
+  /**
+   * Works out a find-and-replace for each item of a course (see findReplacements)
+   * @param {String} _courseId The course _id
+   * @param {String} find The phrase to replace
+   * @param {String} replace The replacement
+   * @param {Object} options Passed to findReplacements
+   * @return {Promise<Array<Object>>} An `{ item, replacements }` per item with changes, in the order of findOrderedCourseItems
+   */
+  async findCourseReplacements (_courseId, find, replace = '', options) {
+    if (!find) return []
+    const results = []
+    for (const item of await this.findOrderedCourseItems(_courseId)) {
+      const schema = await this.getSchema(this.schemaName, item)
+      const replacements = findReplacements(schema, item, find, replace, options)
+      if (replacements.length) results.push({ item, replacements })
+    }
+    return results
+  }
+
+  /**
+   * Checks that the component plugin configured for the insertRecursive scaffold is installed, as
+   * new content can't be created without it
+   * @return {Promise}
+   */
+  async checkScaffoldComponent () {
+    const name = this.getConfig('scaffoldComponent')
+    const [plugin] = await this.contentplugin.find({ name, type: 'component' }, { validate: false }, { projection: { _id: 1 } })
+    if (!plugin) {
+      throw this.app.errors.INVALID_SCAFFOLD_COMPONENT.setData({ name })
+    }
+  }
+
+  /**
+   * Creates a new parent content type, along with any necessary children. The children are set by
+   * the module config: `scaffoldComponent`, `scaffoldData` (per-type default fields, deep-merged
+   * over the built-in ones),
+   * `scaffoldArticleCount`/`scaffoldBlockCount` (per new page/article) and `scaffoldMenu` (new
+   * courses start with a menu holding the first page).
+   * @param {external:ExpressRequest} req
+   */
+  async insertRecursive (req) {
+    const rootId = req.apiData.query.rootId
+    const createdBy = req.auth.user._id.toString()
+    let childTypes = ['course', 'page', 'article', 'block', 'component']
+    const scaffoldComponent = this.getConfig('scaffoldComponent')
+    const scaffoldData = this.getConfig('scaffoldData') ?? {}
+    const defaultData = {
+      menu: { title: req.translate('app.newmenutitle') },
+      page: { title: req.translate('app.newpagetitle') },
+      article: { title: req.translate('app.newarticletitle') },
+      block: { title: req.translate('app.newblocktitle') },
+      component: {
+        _component: scaffoldComponent,
+        _layout: 'full',
+        // the langpack only has placeholder strings for the text component
+        ...(scaffoldComponent === 'adapt-contrib-text' && {
+          title: req.translate('app.newtextcomponenttitle'),
+          body: req.translate('app.newtextcomponentbody')
+        })
+      }
+    }
+    const childCounts = {
+      article: this.getConfig('scaffoldArticleCount') ?? 1,
+      block: this.getConfig('scaffoldBlockCount') ?? 1
+    }
+    const newItems = []
+    const insertChild = async (_type, parent, _sortOrder) => {
+      const data = { _type, createdBy, updatedBy: createdBy, ...mergeDeep(defaultData[_type], scaffoldData[_type]) }
+      if (parent) {
+        Object.assign(data, {
+          _parentId: parent._id.toString(),
+          _courseId: parent._courseId.toString()
+        })
+      }
+      if (_sortOrder) data._sortOrder = _sortOrder
+      const item = await this.insert(data, { updateSortOrder: false, updateEnabledPlugins: false })
+      newItems.push(item)
+      return item
+    }
+    // Items under a parent we just created are numbered from 1. The top item
+    // under an existing parent is left without a _sortOrder — updateSortOrder(topItem) places it.
+    const insertChildren = async ([_type, ...rest], parent, parentIsNew) => {
+      if (!_type) return
+      const count = parentIsNew ? childCounts[_type] ?? 1 : 1
+      for (let i = 0; i < count; i++) {
+        const item = await insertChild(_type, parent, parentIsNew && i + 1)
+        await insertChildren(rest, item, true)
+      }
+    }
+    try {
+      // figure out which children need creating
+      if (rootId === undefined) { // new course
+        // server owns the authored tracking fields: spread client data first so createdBy/updatedBy can't be overridden (or sent empty) by the request
+        const course = await this.insert({ ...req.apiData.data, _type: 'course', createdBy, updatedBy: createdBy }, { schemaName: 'course' })
+        newItems.push(course)
+        await insertChild('config', course)
+        childTypes.splice(0, 1)
+        if (this.getConfig('scaffoldMenu')) childTypes.unshift('menu')
+        await insertChildren(childTypes, course, true)
+      } else {
+        const parent = await this.findOne({ _id: rootId })
+        // special case for menus, which hold pages like a course does
+        if (req.body?._type === 'menu') childTypes.splice(0, 1, 'menu')
+        else childTypes = childTypes.slice(childTypes.indexOf(parent._type === 'menu' ? 'course' : parent._type) + 1)
+        await insertChildren(childTypes, parent, false)
+      }
+    } catch (e) {
+      await Promise.all(newItems.map(({ _id }) => super.delete({ _id }, { invokePostHook: false })))
+      throw e
+    }
+    // run side effects once for the topmost new item
+    const topItem = newItems[0]
+    await Promise.all([
+      this.updateSortOrder(topItem, topItem),
+      this.updateEnabledPlugins(topItem, { forceUpdate: true })
+    ])
+    return topItem
+  }
+
+  /**
+   * Clones a content item and all its descendants in a single bulk operation.
+   * Pre-generates all _id values and friendly IDs, then inserts everything in parallel.
+   * Passing an array of IDs clones several items (which must share a course) under the one parent
+   * in the same single operation, placed next to each other in the order given. Items which are
+   * descendants of another selected item are skipped, as they're already cloned with it.
+   * @param {String} userId The user performing the action
+   * @param {String|Array<String>} _id ID(s) of the object(s) to clone
+   * @param {String} _parentId The intended parent object (if this is not passed, no parent will be set)
+   * @param {Object} customData Data to be applied to the root content item(s). For multiple items, `_sortOrder` is the position of the first, and `_friendlyId` can't be given (see options.overrides)
+   * @param {Object} options
+   * @param {Object} options.overrides Data to be applied to individual roots, keyed by the source item's _id (applied over customData)
+   * @param {ContentTree} options.tree Pre-built tree to avoid a DB query
+   * @param {Object} options.parent Pre-fetched parent doc to avoid redundant lookup
+   * @param {Boolean} options.preserveFriendlyIds Keep each item's friendly ID when it is not already used in the destination course
+   * @param {Boolean} options.duplicateAssets Give the clone its own copies of the assets it uses (see duplicateAssets), rather than sharing the originals
+   * @param {String} options.onIncompatible For clones into another course, what to do when the content isn't compatible with the destination (see checkCloneCompatibility): `abort` throws CLONE_INCOMPATIBLE, `strip` leaves the incompatible data out. Omit to copy everything as-is
+   * @param {Boolean} options.dryRun Only work out what would be cloned (see previewClone), writing nothing
+   * @return {Promise<Object|Array<Object>>} The cloned root item, or an array of them when `_id` is an array
+   */
+  async clone (userId, _id, _parentId, customData = {}, options = {}) {
+    if (Array.isArray(_id) && customData._friendlyId !== undefined) {
+      throw this.app.errors.CLONE_BATCH_DATA.setData({ fields: ['_friendlyId'] })
+    }
+    if (options.dryRun) {
+      return this.previewClone(_id, _parentId, customData, options)
+    }
+    let { tree, parent } = options
+    const isBatch = Array.isArray(_id)
+    const selectedIds = isBatch ? [...new Set(_id.map(id => id.toString()))] : [_id]
+
+    const originalDoc = tree
+      ? tree.getById(selectedIds[0])
+      : await this.findOne({ _id: selectedIds[0] })
+    if (!originalDoc) {
+      throw this.app.errors.NOT_FOUND
+        .setData({ type: 'content', id: selectedIds[0] })
+    }
+
+    if (!parent && _parentId) {
+      parent = await this.findOne({ _id: _parentId }, { throwOnMissing: false }, { projection: { _id: 1, _type: 1, _courseId: 1 } })
+    }
+    if (!parent && (isBatch || (originalDoc._type !== 'course' && originalDoc._type !== 'config'))) {
+      throw this.app.errors.INVALID_PARENT.setData({ parentId: _parentId })
+    }
+    if (!tree) {
+      const sourceItems = await this.mongodb.find(this.collectionName, { _courseId: originalDoc._courseId })
+      tree = new ContentTree(sourceItems)
+    }
+    const roots = isBatch ? await this.getCloneRoots(tree, selectedIds, parent) : [originalDoc]
+    const rootIds = new Set(roots.map(r => r._id.toString()))
+    let allItems = this.collectCloneItems(tree, roots)
+
+    const destCourseId = parent && (parent._type === 'course' ? parent._id : parent._courseId).toString()
+    if ((options.onIncompatible === 'abort' || options.onIncompatible === 'strip') &&
+      destCourseId && destCourseId !== originalDoc._courseId?.toString()) {
+      const report = await this.checkCloneCompatibility(allItems, destCourseId)
+      if (!report.compatible) {
+        if (options.onIncompatible === 'strip') allItems = stripIncompatibleData(allItems, report)
+        // a root component whose plugin is missing can't be stripped, so has to abort too
+        const keptIds = new Set(allItems.map(i => i._id.toString()))
+        if (options.onIncompatible === 'abort' || [...rootIds].some(id => !keptIds.has(id))) {
+          throw this.app.errors.CLONE_INCOMPATIBLE.setData(report)
+        }
+      }
+    }
+
+    if (options.invokePreHook !== false) {
+      for (const item of allItems) await this.preCloneHook.invoke(item)
+    }
+
+    // Pre-generate ObjectIds for every item (old _id → new _id)
+    const idMap = new Map()
+    for (const item of allItems) {
+      idMap.set(item._id.toString(), createObjectId())
+    }
+
+    const newCourseId = originalDoc._type === 'course'
+      ? idMap.get(originalDoc._id.toString()).toString()
+      : (parent?._type === 'course' ? parent._id.toString() : parent._courseId.toString())
+
+    const keptFriendlyIds = options.preserveFriendlyIds ? await this.findFreeFriendlyIds(allItems, newCourseId) : new Set()
+    // Pre-allocate friendly IDs in bulk per type
+    const typeCounts = new Map()
+    for (const item of allItems) {
+      if (item._type === 'course' || item._type === 'config' || keptFriendlyIds.has(item._id.toString())) continue
+      typeCounts.set(item._type, (typeCounts.get(item._type) ?? 0) + 1)
+    }
+    const seqs = new Map()
+    await Promise.all([...typeCounts].map(async ([_type, count]) => {
+      seqs.set(_type, await this.reserveFriendlySeqs(_type, newCourseId, count))
+    }))
+    const friendlyIds = assignFriendlyIds(allItems, {
+      seqs,
+      rootIds,
+      keptIds: keptFriendlyIds,
+      parentFriendlyId: await this.findParentFriendlyId(parent),
+      rootFriendlyId: customData._friendlyId,
+      formats: this.getConfig('friendlyIdFormats')
+    })
+
+    // Build all insert payloads with pre-mapped IDs and parent references
+    const payloads = allItems.map(item => {
+      const oldId = item._id.toString()
+      const newId = idMap.get(oldId)
+      const isCourse = item._type === 'course'
+      const isConfig = item._type === 'config'
+
+      let newParentId
+      if (rootIds.has(oldId)) newParentId = _parentId
+      else if (isConfig) newParentId = undefined
+      else newParentId = idMap.get(item._parentId?.toString())?.toString()
+
+      return stringifyValues({
+        ...item,
+        _id: newId,
+        _friendlyId: friendlyIds.get(oldId),
+        _courseId: isCourse ? newId.toString() : newCourseId,
+        _parentId: newParentId,
+        createdBy: userId,
+        updatedBy: userId,
+        ...(rootIds.has(oldId) ? { ...customData, ...options.overrides?.[oldId] } : {})
+      })
+    })
+    const rootPayloads = payloads.filter((p, i) => rootIds.has(allItems[i]._id.toString()))
+    // a batch is placed as one run of siblings, so only the existing siblings need renumbering afterwards
+    let siblings
+    if (isBatch) {
+      siblings = await super.find({ _parentId: parent._id }, {}, { sort: { _sortOrder: 1 }, projection: { _id: 1, _sortOrder: 1 } })
+      const start = customData._sortOrder > 0 ? Math.min(customData._sortOrder - 1, siblings.length) : siblings.length
+      rootPayloads.forEach((p, i) => { p._sortOrder = start + i + 1 })
+      siblings.splice(start, 0, ...rootPayloads)
+    }
+
+    // asset copies get their ids now, but are only made once the content is in (see below)
+    let assetCopies
+    if (options.duplicateAssets) {
+      assetCopies = await this.planAssetCopies([...new Set(payloads.flatMap(p => p._assetIds ?? []))])
+      const assetMap = new Map(assetCopies.map(({ asset, _id }) => [asset._id.toString(), _id.toString()]))
+      await Promise.all(payloads.map(async payload => {
+        if (!payload._assetIds?.length) return
+        replaceAssetIds(await this.getSchema(this.schemaName, payload), payload, assetMap)
+        payload._assetIds = payload._assetIds.map(id => assetMap.get(id) ?? id)
+        if (payload._summary) payload._summary = await this.computeSummary(payload)
+      }))
+    }
+
+    // Fire preInsertHook on each payload (allows observer modules to set timestamps etc.)
+    await Promise.all(payloads.map(payload =>
+      this.preInsertHook.invoke(payload, { schemaName: contentTypeToSchemaName(payload._type), collectionName: this.collectionName }, {})
+    ))
+
+    // Convert known ID fields to ObjectId instances and bulk insert in a single round-trip
+    const allNewIds = allItems.map(item => idMap.get(item._id.toString()))
+    for (let i = 0; i < payloads.length; i++) {
+      const payload = payloads[i]
+      payload._id = allNewIds[i]
+      if (payload._courseId) payload._courseId = new ObjectId(payload._courseId)
+      if (payload._parentId) payload._parentId = new ObjectId(payload._parentId)
+      if (payload.createdBy) payload.createdBy = new ObjectId(payload.createdBy)
+      if (payload.updatedBy) payload.updatedBy = new ObjectId(payload.updatedBy)
+    }
+
+    const collection = this.mongodb.getCollection(this.collectionName)
+    try {
+      await collection.insertMany(payloads, { ordered: false })
+      if (assetCopies) await this.duplicateAssets(assetCopies, userId)
+    } catch (e) {
+      await collection.deleteMany({ _id: { $in: allNewIds } }).catch(() => {})
+      throw e
+    }
+
+    // payloads (post-convertObjectIds) are the stored documents — no find-back needed
+    await Promise.all(payloads.map(doc => this.postInsertHook.invoke(doc)))
+
+    if (options.invokePostHook !== false) {
+      for (let i = 0; i < allItems.length; i++) {
+        await this.postCloneHook.invoke(allItems[i], payloads[i])
+      }
+    }
+    if (originalDoc._courseId?.toString() !== payloads[0]._courseId?.toString()) {
+      await this.updateEnabledPlugins(payloads[0])
+    }
+    if (isBatch) {
+      const ops = computeSortOrderOps(siblings)
+      if (ops.length > 0) await collection.bulkWrite(ops, { ordered: false })
+      return rootPayloads
+    }
+    // place the clone at its requested _sortOrder and renumber siblings (no-op for course/config)
+    await this.updateSortOrder(payloads[0], payloads[0])
+
+    return payloads[0]
+  }
+
+  /**
+   * Collects the items cloned with the given roots: each root, its config (for a course) and then
+   * all of its descendants
+   * @param {ContentTree} tree The source course's tree
+   * @param {Array<Object>} roots The items being cloned
+   * @return {Array<Object>}
+   */
+  collectCloneItems (tree, roots) {
+    const items = []
+    for (const root of roots) {
+      items.push(root)
+      if (root._type === 'course' && tree.config) {
+        items.push(tree.config)
+      }
+      items.push(...tree.getDescendants(root._id))
+    }
+    return items
+  }
+
+  /**
+   * Works out what a clone would create, without writing anything or reserving friendly IDs. Problems
+   * which would make the clone fail (an invalid parent, or content which isn't compatible with
+   * another course) are listed rather than thrown, so they can all be shown at once.
+   * @param {String|Array<String>} _id ID(s) of the object(s) to clone
+   * @param {String} _parentId The intended parent
+   * @param {Object} customData Data to be applied to the root(s) (see clone)
+   * @param {Object} options The clone options (see clone)
+   * @return {Promise<Object>} `destinationCourseId` (null for a new course), `counts` and `friendlyIds` per type, `sortOrders` of a batch's roots (keyed by source _id), `assetIds` and `problems` (`{ code, data }`)
+   */
+  async previewClone (_id, _parentId, customData = {}, options = {}) {
+    let { tree, parent } = options
+    const isBatch = Array.isArray(_id)
+    const selectedIds = isBatch ? [...new Set(_id.map(id => id.toString()))] : [_id]
+
+    const originalDoc = tree
+      ? tree.getById(selectedIds[0])
+      : await this.findOne({ _id: selectedIds[0] })
+    if (!originalDoc) {
+      throw this.app.errors.NOT_FOUND
+        .setData({ type: 'content', id: selectedIds[0] })
+    }
+    if (!parent && _parentId) {
+      parent = await this.findOne({ _id: _parentId }, { throwOnMissing: false }, { projection: { _id: 1, _type: 1, _courseId: 1 } })
+    }
+    const problems = []
+    if (!parent && (isBatch || (originalDoc._type !== 'course' && originalDoc._type !== 'config'))) {
+      problems.push({ code: 'INVALID_PARENT', data: { parentId: _parentId } })
+    }
+    if (!tree) {
+      tree = new ContentTree(await this.mongodb.find(this.collectionName, { _courseId: originalDoc._courseId }))
+    }
+    let roots = [originalDoc]
+    if (isBatch && parent) {
+      try {
+        roots = await this.getCloneRoots(tree, selectedIds, parent)
+      } catch (e) {
+        if (!e.code) throw e
+        problems.push({ code: e.code, data: e.data })
+      }
+    }
+    let allItems = this.collectCloneItems(tree, roots)
+
+    const destinationCourseId = parent ? (parent._type === 'course' ? parent._id : parent._courseId).toString() : null
+    if (destinationCourseId && destinationCourseId !== originalDoc._courseId?.toString()) {
+      const report = await this.checkCloneCompatibility(allItems, destinationCourseId)
+      if (!report.compatible) {
+        problems.push({ code: 'CLONE_INCOMPATIBLE', data: report })
+        if (options.onIncompatible === 'strip') allItems = stripIncompatibleData(allItems, report)
+      }
+    }
+    const counts = {}
+    for (const { _type } of allItems) counts[_type] = (counts[_type] ?? 0) + 1
+
+    const rootIds = new Set(roots.map(r => r._id.toString()))
+    const friendlyIds = {}
+    const sortOrders = {}
+    if (!problems.some(p => p.code === 'INVALID_PARENT')) {
+      const keptIds = options.preserveFriendlyIds
+        ? await this.findFreeFriendlyIds(allItems, destinationCourseId, { raiseCounters: false })
+        : new Set()
+      const typeCounts = new Map()
+      for (const item of allItems) {
+        if (item._type === 'course' || item._type === 'config' || keptIds.has(item._id.toString())) continue
+        typeCounts.set(item._type, (typeCounts.get(item._type) ?? 0) + 1)
+      }
+      const seqs = new Map()
+      await Promise.all([...typeCounts].map(async ([_type, count]) => {
+        // clone raises the counters past any kept IDs before reserving, so new IDs follow those too
+        const kept = allItems.filter(i => i._type === _type && keptIds.has(i._id.toString()))
+        const peeked = await this.peekFriendlySeqs(_type, destinationCourseId, count)
+        const offset = Math.max(0, parseMaxSeq(kept, this.getFriendlyIdFormat(_type)) - (peeked[0] - 1))
+        seqs.set(_type, peeked.map(seq => seq + offset))
+      }))
+      const assigned = assignFriendlyIds(allItems, {
+        seqs,
+        rootIds,
+        keptIds,
+        parentFriendlyId: await this.findParentFriendlyId(parent),
+        rootFriendlyId: customData._friendlyId,
+        formats: this.getConfig('friendlyIdFormats')
+      })
+      for (const item of allItems) {
+        const oldId = item._id.toString()
+        // as in clone, a course keeps its own friendly ID and a root's override is applied last
+        const friendlyId = options.overrides?.[oldId]?._friendlyId ?? assigned.get(oldId)
+        if (item._type !== 'course') (friendlyIds[item._type] ??= []).push(friendlyId)
+      }
+      if (isBatch) {
+        const siblings = await super.find({ _parentId: parent._id }, {}, { projection: { _id: 1 } })
+        const start = customData._sortOrder > 0 ? Math.min(customData._sortOrder - 1, siblings.length) : siblings.length
+        roots.forEach((r, i) => { sortOrders[r._id.toString()] = start + i + 1 })
+      }
+    }
+    const assetIds = [...new Set(allItems.flatMap(i => (i._assetIds ?? []).map(id => id.toString())))]
+
+    return { dryRun: true, destinationCourseId, counts, friendlyIds, sortOrders, assetIds, problems }
+  }
+
+  /**
+   * Works out the asset copies a clone needs (see duplicateAssets): one per existing asset, each
+   * with its new _id allocated up front so the cloned content can point at it before it is made
+   * @param {Array<String>} assetIds IDs of the assets to copy
+   * @return {Promise<Array<Object>>} A `{ asset, _id }` per asset, where `_id` is the copy's
+   */
+  async planAssetCopies (assetIds) {
+    if (!assetIds.length) return []
+    const assets = await this.assets.find({ _id: { $in: assetIds.map(id => parseObjectId(id)) } }, { validate: false })
+    return assets.map(asset => ({ asset, _id: createObjectId() }))
+  }
+
+  /**
+   * Copies assets (record and file) so that a clone owns them independently of the originals.
+   * If any copy fails, those already made are deleted.
+   * @param {Array<Object>} copies The copies to make (see planAssetCopies)
+   * @param {String} userId The user the copies are created by
+   * @return {Promise<Map<String, String>>} Map of original asset id to copy id
+   */
+  async duplicateAssets (copies, userId) {
+    const idMap = new Map()
+    try {
+      for (const { asset, _id } of copies) {
+        idMap.set(asset._id.toString(), (await this.duplicateAsset(asset, userId, _id))._id.toString())
+      }
+    } catch (e) {
+      await this.deleteExclusiveAssets([...idMap.values()])
+      throw e
+    }
+    return idMap
+  }
+
+  /**
+   * Copies a single asset (see duplicateAssets). `assets.insert` would reject the copy as
+   * DUPLICATE_ASSET, so the record goes through the assets module's generic API insert (its hooks
+   * and validation), and the files are copied with its file system wrappers. The copy has no `hash`:
+   * the hash identifies an asset's content for the assets module's duplicate check, which would
+   * otherwise find two matches, and an upload of the same file is still matched to the original.
+   * If the files can't be copied, the new record is deleted again.
+   * @param {Object} asset The asset document
+   * @param {String} userId The user the copy is created by
+   * @param {ObjectId} [_id] The copy's _id
+   * @return {Promise<Object>} The new asset document
+   */
+  async duplicateAsset (asset, userId, _id = createObjectId()) {
+    const { createdAt, updatedAt, hash, ...data } = asset
+    const copy = {
+      ...data,
+      _id,
+      path: asset.path && `${_id}${path.extname(asset.path)}`,
+      createdBy: userId.toString()
+    }
+    if (!copy.path) delete copy.path
+    const { schemaName, collectionName } = this.assets
+    const inserted = await AbstractApiModule.prototype.insert.call(this.assets, copy, { schemaName, collectionName, invokePostHook: false }, { preserveId: true })
+    try {
+      const source = this.assets.createFsWrapper(asset)
+      const target = this.assets.createFsWrapper(inserted)
+      if (asset.path) await target.write(await source.read(), target.path)
+      if (source.hasThumb) await target.thumb.write(await source.thumb.read(), target.thumb.path)
+    } catch (e) {
+      await this.assets.delete({ _id })
+      throw e
+    }
+    await this.assets.postInsertHook.invoke(inserted)
+    return inserted
+  }
+
+  /**
+   * Resolves the items selected for a batch clone from the source tree, in the order given. Every
+   * item must be in the tree's course and allowed under the parent; items inside another selected
+   * item are dropped.
+   * @param {ContentTree} tree The source course's tree
+   * @param {Array<String>} _ids The selected IDs
+   * @param {Object} parent The destination parent
+   * @return {Promise<Array<Object>>} The items to clone with their descendants
+   */
+  async getCloneRoots (tree, _ids, parent) {
+    const items = []
+    for (const _id of _ids) {
+      const item = tree.getById(_id)
+      if (!item) { // either missing (NOT_FOUND) or in another course, which a single clone can't mix
+        const doc = await this.findOne({ _id }, { validate: false }, { projection: { _courseId: 1 } })
+        throw this.app.errors.CLONE_MIXED_COURSES.setData({ _id, _courseId: doc._courseId?.toString() })
+      }
+      items.push(item)
+    }
+    const roots = items.filter(item => !tree.getAncestors(item._id).some(a => _ids.includes(a._id.toString())))
+    for (const { _id, _type } of roots) {
+      if (!isValidParentType(_type, parent._type)) {
+        throw this.app.errors.INVALID_PARENT_TYPE.setData({ _id: _id.toString(), _type, parentId: parent._id.toString(), parentType: parent._type })
+      }
+    }
+    return roots
+  }
+
+  /**
+   * Checks whether content items can be copied into another course without losing anything: that
+   * the plugins of their components are installed, and that any extension data they carry belongs
+   * to an extension enabled in the destination (see computeCloneCompatibility).
+   * @param {Array<Object>} items The content items being copied
+   * @param {String} _courseId The destination course
+   * @return {Promise<Object>} The compatibility report
+   */
+  async checkCloneCompatibility (items, _courseId) {
+    const [config, plugins] = await Promise.all([
+      this.findOne({ _type: 'config', _courseId }, { validate: false, throwOnMissing: false }, { projection: { _enabledPlugins: 1 } }),
+      this.contentplugin.find({}, {}, { projection: { name: 1, type: 1, targetAttribute: 1 } })
+    ])
+    return computeCloneCompatibility(items, { plugins, _enabledPlugins: config?._enabledPlugins ?? [] })
+  }
+
+  /**
+   * Previews the compatibility report for cloning an item (and its descendants) under a parent,
+   * without cloning anything. Clones within a course are always compatible.
+   * @param {String} _id ID of the object to clone
+   * @param {String} _parentId The intended parent
+   * @return {Promise<Object>} The compatibility report, plus the source and destination course ids
+   */
+  async getCloneCompatibility (_id, _parentId) {
+    const [source, parent] = await Promise.all([
+      this.findOne({ _id }, { validate: false }, { projection: { _courseId: 1 } }),
+      this.findOne({ _id: _parentId }, { validate: false }, { projection: { _type: 1, _courseId: 1 } })
+    ])
+    const sourceCourseId = source._courseId.toString()
+    const destinationCourseId = (parent._type === 'course' ? parent._id : parent._courseId).toString()
+    if (sourceCourseId === destinationCourseId) {
+      return { sourceCourseId, destinationCourseId, ...computeCloneCompatibility([]) }
+    }
+    const tree = new ContentTree(await this.mongodb.find(this.collectionName, { _courseId: source._courseId }))
+    const items = [tree.getById(source._id), ...tree.getDescendants(source._id)]
+    return { sourceCourseId, destinationCourseId, ...await this.checkCloneCompatibility(items, destinationCourseId) }
+  }
+
+  /**
+   * Recalculates the _sortOrder values for all content items affected by an update
+   * @param {Object} item The existing item data
+   * @param {Object} updateData The update data
+   * @return {Promise}
+   */
+  async updateSortOrder (item, updateData, parentOptions, parentMongoOptions) {
+    // some exceptions which don't need a _sortOrder
+    if (item._type === 'config' || item._type === 'course' || !item._parentId) {
+      return
+    }
+    const siblings = await super.find({ _parentId: item._parentId, _id: { $ne: item._id } }, {}, { sort: { _sortOrder: 1 }, projection: { _id: 1, _sortOrder: 1 } })
+    const ops = computeSortOrderOps(siblings, updateData ? item : undefined)
+    if (ops.length > 0) {
+      const collection = this.mongodb.getCollection(this.collectionName)
+      return collection.bulkWrite(ops, { ordered: false })
+    }
+  }
+
+  /**
+   * Moves one or more items under a new parent (in the same course) in a single operation. Rejects
+   * moves that would place an item inside its own subtree or break the course → page → article →
+   * block → component hierarchy, then renumbers `_sortOrder` on both the old and new sibling lists
+   * in one bulk write. Friendly IDs in a format which includes the parent's ID are regenerated for
+   * the moved items and their descendants, keeping their number. The course is touched and
+   * postMoveHook invoked once for the whole batch.
+   * @param {Array<String>|String} _ids ID(s) of the items to move, in their intended order
+   * @param {String} _parentId ID of the new parent
+   * @param {Number} [_sortOrder] 1-based position of the first moved item. Omit to append
+   * @param {Object} options
+   * @param {Object} options.parent Pre-fetched parent doc to avoid redundant lookup
+   * @return {Promise<Array<Object>>} The moved items
+   */
+  async move (_ids, _parentId, _sortOrder, options = {}) {
+    const ids = [...new Set((Array.isArray(_ids) ? _ids : [_ids]).map(id => id.toString()))]
+    const parent = options.parent || (_parentId && await this.findOne({ _id: _parentId }, { validate: false, throwOnMissing: false }, { projection: { _id: 1, _type: 1, _courseId: 1 } }))
+    if (!parent) {
+      throw this.app.errors.INVALID_PARENT.setData({ parentId: _parentId?.toString() })
+    }
+    const parentId = parent._id.toString()
+    const tree = new ContentTree(await super.find({ _courseId: parent._courseId }, {}, { projection: { _id: 1, _parentId: 1, _type: 1, _sortOrder: 1, _courseId: 1, _friendlyId: 1 } }))
+    const items = []
+    for (const _id of ids) {
+      const item = tree.getById(_id)
+      if (!item) { // either missing, or in another course, which a move can't cross
+        if (!await this.findOne({ _id }, { validate: false, throwOnMissing: false }, { projection: { _id: 1 } })) {
+          throw this.app.errors.NOT_FOUND.setData({ type: 'content', id: _id })
+        }
+        throw this.app.errors.INVALID_PARENT.setData({ parentId })
+      }
+      if (_id === parentId || tree.getDescendants(_id).some(d => d._id.toString() === parentId)) {
+        throw this.app.errors.CIRCULAR_PARENT.setData({ _id, parentId })
+      }
+      if (!isValidParentType(item._type, parent._type)) {
+        throw this.app.errors.INVALID_PARENT_TYPE.setData({ _id, _type: item._type, parentId, parentType: parent._type })
+      }
+      items.push(item)
+    }
+    const ops = computeMoveOps(tree, items, parent._id, _sortOrder)
+    if (ops.length > 0) {
+      await this.mongodb.getCollection(this.collectionName).bulkWrite(ops, { ordered: false })
+    }
+    // IDs in a format which includes the parent's ID would otherwise still name the old parent
+    const idChanges = computeMovedFriendlyIds(
+      items.flatMap(item => [{ ...item, _parentId: parent._id }, ...tree.getDescendants(item._id)]),
+      tree.getById(parentId) ?? parent,
+      this.getConfig('friendlyIdFormats')
+    )
+    if (idChanges.length) await this.writeFriendlyIds(idChanges)
+    const docs = await this.mongodb.find(this.collectionName, { _id: { $in: items.map(i => i._id) } })
+    const moved = ids.map(id => docs.find(d => d._id.toString() === id)).filter(Boolean)
+    await this.touchCourse(moved[0])
+    await this.postMoveHook.invoke(moved, parent)
+    return moved
+  }
+
+  /**
+   * Reorders all children of a parent in one operation. `_ids` must list exactly the parent's
+   * current children (no more, no fewer, no repeats) so a client working from a stale tree gets
+   * INVALID_CHILD_ORDER rather than silently corrupting the order. The new `_sortOrder` values are
+   * applied in a single bulk write, the course is touched once and postReorderHook invoked once.
+   * @param {String} _parentId ID of the parent whose children are being reordered
+   * @param {Array<String>} _ids The parent's child IDs in their new order
+   * @return {Promise<Array<Object>>} The children in their new order
+   */
+  async reorder (_parentId, _ids) {
+    const parent = _parentId && await this.findOne({ _id: _parentId }, { validate: false, throwOnMissing: false }, { projection: { _id: 1, _type: 1, _courseId: 1 } })
+    if (!parent) {
+      throw this.app.errors.INVALID_PARENT.setData({ parentId: _parentId?.toString() })
+    }
+    const tree = new ContentTree(await super.find({ _courseId: parent._courseId }, {}, { projection: { _id: 1, _parentId: 1, _type: 1, _sortOrder: 1, _courseId: 1 } }))
+    const children = tree.getChildren(parent._id)
+    const ids = (_ids ?? []).map(id => id.toString())
+    const childIds = new Set(children.map(c => c._id.toString()))
+    const missing = [...childIds].filter(id => !ids.includes(id))
+    const unexpected = ids.filter((id, i) => !childIds.has(id) || ids.indexOf(id) !== i)
+    if (missing.length || unexpected.length) {
+      throw this.app.errors.INVALID_CHILD_ORDER.setData({ parentId: parent._id.toString(), missing, unexpected })
+    }
+    const ordered = ids.map(id => tree.getById(id))
+    const ops = computeSortOrderOps(ordered)
+    if (ops.length > 0) {
+      await this.mongodb.getCollection(this.collectionName).bulkWrite(ops, { ordered: false })
+    }
+    const docs = await this.mongodb.find(this.collectionName, { _parentId: parent._id }, { sort: { _sortOrder: 1 } })
+    await this.touchCourse(docs[0])
+    await this.postReorderHook.invoke(docs, parent)
+    return docs
+  }
+
+  /**
+   * Works out the plugins a course uses: the extensions already enabled in its config, the
+   * components in its content, and its menu and theme
+   * @param {ContentTree} tree Tree of the course's content (including its config)
+   * @return {Promise<Array<String>>} The unique plugin names
+   */
+  async findEnabledPlugins (tree) {
+    const config = tree.config ?? {}
+    const extensionNames = (await this.contentplugin.find({ type: 'extension' }, {}, { projection: { _id: 0, name: 1 } })).map(p => p.name)
+    return [...new Set([
+      ...(config._enabledPlugins ?? []).filter(name => extensionNames.includes(name)), // only extensions, rest are calculated below
+      ...tree.getComponentNames(),
+      config._menu,
+      config._theme
+    ].filter(Boolean))]
+  }
+
+  /**
+   * Maintains the list of plugins used in the current course
+   * @param {Object} item The updated item
+   * @param {Object} options
+   * @param {Boolean} options.forceUpdate Forces an update of defaults regardless of whether the _enabledPlugins list has changed
+   * @param {ContentTree} options.tree Pre-built tree to avoid redundant full-course fetch
+   * @return {Promise}
+   */
+  async updateEnabledPlugins ({ _courseId, _type }, options = {}, parentOptions, parentMongoOptions) {
+    // skip types that can never affect the plugin list (e.g. page, article).
+    if (options.forceUpdate !== true && _type && _type !== 'component' && _type !== 'config') {
+      return
+    }
+    const { contentplugin, jsonschema } = this
+    const tree = options.tree ?? new ContentTree(await super.find({ _courseId }, {}, { projection: { _id: 1, _type: 1, _component: 1, _enabledPlugins: 1, _menu: 1, _theme: 1 } }))
+    const config = tree.config
+
+    if (!config) {
+      return // can't continue if there's no config to update
+    }
+    const currentPlugins = new Set(config._enabledPlugins ?? [])
+    const nextPlugins = new Set(await this.findEnabledPlugins(tree))
+    if (options.forceUpdate !== true &&
+      currentPlugins.size === nextPlugins.size &&
+      [...currentPlugins].every(p => nextPlugins.has(p))) {
+      return // return early if the lists already match
+    }
+    // generate list of content types that need defaults applied for newly added plugins
+    const newPluginSchemas = [...nextPlugins]
+      .filter(p => options.forceUpdate || !currentPlugins.has(p))
+      .flatMap(p => contentplugin.getPluginSchemas(p))
+
+    const affectedTypes = new Set()
+    for (const schemaName of newPluginSchemas) {
+      const rawSchema = jsonschema.schemas[schemaName]?.raw
+      const ref = rawSchema?.$merge?.source?.$ref ?? rawSchema?.$patch?.source?.$ref
+      for (const t of (ref === 'contentobject' ? ['menu', 'page'] : [ref])) {
+        if (t) affectedTypes.add(t)
+      }
+    }
+    const _enabledPlugins = [...nextPlugins]
+    // update config._enabledPlugins
+    await super.update({ _courseId, _type: 'config' }, { _enabledPlugins }, parentOptions, parentMongoOptions)
+    // empty update re-validates to apply new defaults; ignoreRequired because some plugins
+    // declare top-level required properties with no default (e.g. adapt-contrib-glossary)
+    if (affectedTypes.size > 0) {
+      const toUpdate = await super.find({ _courseId, _type: { $in: [...affectedTypes] } }, {}, { projection: { _id: 1 } })
+      return Promise.all(toUpdate.map(c => super.update({ _id: c._id }, {}, { ...parentOptions, ignoreRequired: true }, parentMongoOptions)))
+    }
+  }
+
+  /**
+   * Fetches a course for a custom handler which returns the course's whole content set (bypassing
+   * the standard per-item access check), and applies that check here via the shared additive check
+   * (grants on any _access dimension: public / owner / users / groups). Fails with 404 (not 403) so
+   * we don't leak the course's existence. Supers are exempt.
+   * @param {external:ExpressRequest} req
+   * @param {String} _courseId The course _id
+   * @return {Promise<Object>} The course document (access fields and `updatedAt` only)
+   */
+  async checkCourseReadAccess (req, _courseId) {
+    const course = await this.findOne(
+      { _type: 'course', _courseId },
+      { validate: false },
+      { projection: COURSE_ACCESS_PROJECTION }
+    )
+    if (!course || !(await this.canReadCourse(req, course))) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'content', id: _courseId })
+    }
+    return course
+  }
+
+  /**
+   * Whether the request's user can read a course (the check used by checkCourseReadAccess)
+   * @param {external:ExpressRequest} req
+   * @param {Object} course The course, with the COURSE_ACCESS_PROJECTION fields
+   * @return {Promise<Boolean>}
+   */
+  async canReadCourse (req, course) {
+    if (req.auth.isSuper) return true
+    try {
+      await this.checkAccess(req, course)
+      return true
+    } catch (e) {
+      if (e.code !== this.app.errors.UNAUTHORISED.code) throw e
+      return false
+    }
+  }
+
+  /**
+   * Returns every course the request's user can read, by title
+   * @param {external:ExpressRequest} req
+   * @param {Object} [query] Only check the courses matching this query
+   * @return {Promise<Array<Object>>} The courses, with `title` and the COURSE_ACCESS_PROJECTION fields
+   */
+  async findReadableCourses (req, query = {}) {
+    const courses = await this.find({ ...query, _type: 'course' }, { validate: false }, { projection: { ...COURSE_ACCESS_PROJECTION, title: 1 }, sort: { title: 1 } })
+    const readable = await Promise.all(courses.map(course => this.canReadCourse(req, course)))
+    return courses.filter((course, i) => readable[i])
+  }
+
+  /**
+   * Returns a lightweight projection of all content items for a course
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async handleTree (req, res, next) {
+    try {
+      const _courseId = req.apiData.query._courseId
+      const course = await this.checkCourseReadAccess(req, _courseId)
+      const treeFields = [
+        '_id',
+        '_parentId',
+        '_courseId',
+        '_type',
+        '_sortOrder',
+        'title',
+        'displayTitle',
+        '_friendlyId',
+        '_component',
+        '_layout',
+        '_menu',
+        '_theme',
+        '_enabledPlugins',
+        '_colorLabel',
+        '_language',
+        'heroImage',
+        '_summary',
+        '_assetIds',
+        'updatedAt'
+      ]
+      // ETag (not Last-Modified): folds the projected field list into the
+      // validator so the cache busts when the response shape changes, not just
+      // when the course data does — otherwise an added field stays missing for
+      // unedited courses whose updatedAt never moves.
+      const etag = treeEtag(course.updatedAt, treeFields)
+      if (req.headers['if-none-match'] === etag) {
+        return res.status(304).end()
+      }
+      const items = await this.find(
+        { _courseId },
+        { validate: false },
+        { projection: fieldsToProjection(treeFields) }
+      )
+      const tree = new ContentTree(items)
+      res.set('ETag', etag)
+      res.json(items.map(item => ({
+        ...item,
+        _children: tree.getChildren(item._id).map(c => c._id)
+      })))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Special request handler for bootstrapping a new content object with dummy content
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async handleInsertRecursive (req, res, next) {
+    try {
+      res.status(201).json(await this.insertRecursive(req))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler for cloning content items
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise} Resolves with the cloned data
+   */
+  async handleClone (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _id, _ids, _parentId, dryRun, duplicateAssets, onIncompatible, overrides } = req.body
+      if (!_id && !_ids?.length) {
+        throw this.app.errors.NOT_FOUND.setData({ type: 'content', id: _id })
+      }
+      // a batch comes from a single course, which clone enforces, so access to the first covers it
+      const ids = _ids?.length ? _ids : undefined
+      const source = await this.findOne({ _id: ids?.[0] ?? _id })
+      await this.checkAccess(req, source)
+
+      const customData = { ...req.body }
+      delete customData._id
+      delete customData._ids
+      delete customData._parentId
+      delete customData.dryRun
+      delete customData.duplicateAssets
+      delete customData.onIncompatible
+      delete customData.overrides
+
+      const newData = await this.clone(req.auth.user._id, ids ?? _id, _parentId, customData, { dryRun, duplicateAssets, onIncompatible, overrides })
+      res.status(dryRun ? 200 : 201).json(newData)
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler previewing the compatibility report for a clone (see getCloneCompatibility).
+   * Expects the same `_id` and `_parentId` body as the clone route.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleCloneCompatibility (req, res, next) {
+    try {
+      const { _id, _parentId } = req.body
+      if (!_id || !_parentId) {
+        throw this.app.errors.NOT_FOUND.setData({ type: 'content', id: _id ?? _parentId })
+      }
+      const source = await this.findOne({ _id })
+      await this.checkAccess(req, source)
+      res.json(await this.getCloneCompatibility(_id, _parentId))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler for moving content items to a new parent/position. Accepts either a single
+   * `_id` or an ordered `_ids` array in the body, plus the target `_parentId` and optional `_sortOrder`.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise} Resolves with the moved items
+   */
+  async handleMove (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _id, _ids, _parentId, _sortOrder } = req.body
+      const ids = Array.isArray(_ids) ? _ids : [_id].filter(Boolean)
+      if (!ids.length) {
+        throw this.app.errors.NOT_FOUND.setData({ type: 'content', id: _id })
+      }
+      const parent = _parentId && await this.findOne({ _id: _parentId }, { throwOnMissing: false })
+      if (parent) await this.checkAccess(req, parent)
+
+      res.json(await this.move(ids, _parentId, _sortOrder, { parent }))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler for reordering all children of a parent. Expects `_parentId` and the complete
+   * ordered `_ids` list of its children in the body.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise} Resolves with the reordered children
+   */
+  async handleReorder (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _parentId, _ids } = req.body
+      const parent = _parentId && await this.findOne({ _id: _parentId }, { throwOnMissing: false })
+      if (parent) await this.checkAccess(req, parent)
+
+      res.json(await this.reorder(_parentId, Array.isArray(_ids) ? _ids : []))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler listing the revisions of a content item
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleRevisions (req, res, next) {
+    try {
+      const { _itemId } = req.apiData.query
+      await this.checkCourseAccess(req, await this.findItemCourseId(_itemId))
+      res.json(await this.listRevisions(_itemId))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler returning a single revision, including the stored document
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleRevision (req, res, next) {
+    try {
+      const { _itemId, _revisionId } = req.apiData.query
+      const revision = await this.findRevision(_revisionId, _itemId)
+      await this.checkCourseAccess(req, revision._courseId)
+      res.json(revision)
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler restoring a content item from one of its revisions
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise} Resolves with the restored item
+   */
+  async handleRestoreRevision (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _itemId, _revisionId } = req.apiData.query
+      const revision = await this.findRevision(_revisionId, _itemId)
+      await this.checkCourseAccess(req, revision._courseId)
+      res.json(await this.restoreRevision(revision, { updatedBy: req.auth.user._id.toString() }))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler returning the field-level diff between the `from` and `to` query params (each a
+   * revision or content item _id). Access is checked against the course of each side.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleDiff (req, res, next) {
+    try {
+      const { from, to } = req.apiData.query
+      if (!from || !to) {
+        throw this.app.errors.NOT_FOUND.setData({ type: 'content', id: from ?? to })
+      }
+      const sources = await Promise.all([from, to].map(id => this.resolveDiffSource(id)))
+      for (const _courseId of new Set(sources.map(({ doc }) => doc._courseId?.toString()))) {
+        await this.checkCourseAccess(req, _courseId)
+      }
+      res.json(await this.diffSources(...sources))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Fetches a course (live or trashed) and applies the request's access check to it, so that
+   * trashed content stays visible to the same users as before it was deleted. Supers are exempt.
+   * @param {external:ExpressRequest} req
+   * @param {String} _courseId The course _id
+   * @return {Promise<Object>} The course document
+   */
+  async checkTrashAccess (req, _courseId) {
+    let course = await this.findOne({ _id: _courseId, _type: 'course' }, { throwOnMissing: false })
+    if (!course) {
+      const [entry] = await this.mongodb.find(this.trashCollectionName, { _itemId: parseObjectId(_courseId), _type: 'course' })
+      course = entry?.data
+    }
+    if (!course) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'course', id: _courseId })
+    }
+    if (!req.auth.isSuper) await this.checkAccess(req, course)
+    return course
+  }
+
+  /**
+   * Request handler listing a course's trashed subtrees
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleTrash (req, res, next) {
+    try {
+      const { _courseId } = req.apiData.query
+      await this.checkTrashAccess(req, _courseId)
+      res.json(await this.listTrash(_courseId))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler restoring a trashed subtree
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise} Resolves with the restored root item
+   */
+  async handleRestoreTrash (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _trashId } = req.apiData.query
+      const [root] = await this.mongodb.find(this.trashCollectionName, { _id: parseObjectId(_trashId) }, { projection: { _courseId: 1 } })
+      if (!root) {
+        throw this.app.errors.NOT_FOUND.setData({ type: 'trash', id: _trashId })
+      }
+      await this.checkTrashAccess(req, root._courseId)
+      res.json(await this.restoreFromTrash(_trashId))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler listing a course's snapshots
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleSnapshots (req, res, next) {
+    try {
+      const { _courseId } = req.apiData.query
+      await this.checkCourseAccess(req, _courseId)
+      res.json(await this.listSnapshots(_courseId))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler taking a snapshot of a course. Accepts an optional `title` in the request body.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise} Resolves with the new snapshot (without its items)
+   */
+  async handleCreateSnapshot (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _courseId } = req.apiData.query
+      await this.checkCourseAccess(req, _courseId)
+      res.status(201).json(await this.createSnapshot(_courseId, { title: req.body?.title, createdBy: req.auth.user._id }))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler rolling a course back to one of its snapshots
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleRollbackSnapshot (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _courseId, _snapshotId } = req.apiData.query
+      await this.checkCourseAccess(req, _courseId)
+      const snapshot = await this.findSnapshot(_snapshotId, _courseId)
+      res.json(await this.rollbackSnapshot(snapshot, { createdBy: req.auth.user._id }))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler deleting a snapshot
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleDeleteSnapshot (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _courseId, _snapshotId } = req.apiData.query
+      await this.checkCourseAccess(req, _courseId)
+      await this.deleteSnapshot(_snapshotId, _courseId)
+      res.status(204).end()
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler exporting a course as a portable JSON bundle. Uses the same access check as the
+   * tree endpoint.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleExport (req, res, next) {
+    try {
+      const { _courseId } = req.apiData.query
+      await this.checkCourseReadAccess(req, _courseId)
+      res.json(await this.exportCourse(_courseId))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler importing a course bundle (the body) as a new course
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise} Resolves with the new course and any missing plugins/assets
+   */
+  async handleImport (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      res.status(201).json(await this.importCourse(req.body, req.auth.user._id))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler exporting a page or article (and its descendants) as a portable JSON bundle
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleSubtreeExport (req, res, next) {
+    try {
+      const { _id } = req.apiData.query
+      const item = await this.findOne({ _id }, { validate: false }, { projection: { _courseId: 1 } })
+      await this.checkCourseReadAccess(req, item._courseId)
+      res.json(await this.exportSubtree(_id))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler importing a page or article bundle (the body) under the `:_parentId` item
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise} Resolves with the new root item and any missing plugins/assets
+   */
+  async handleSubtreeImport (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _parentId } = req.apiData.query
+      const parent = await this.findOne({ _id: _parentId }, { validate: false }, { projection: { _id: 1, _type: 1, _courseId: 1 } })
+      await this.checkAccess(req, parent)
+      res.status(201).json(await this.importSubtree(req.body, _parentId, req.auth.user._id, { parent }))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler listing the course templates
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleTemplates (req, res, next) {
+    try {
+      res.json(await this.listTemplates())
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler registering the `:_courseId` course as a template, with an optional `title` and
+   * `description` in the body
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleAddTemplate (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const course = await this.checkCourseAccess(req, req.apiData.query._courseId)
+      const { title, description } = req.body ?? {}
+      res.json(await this.addTemplate(course, { title, description, createdBy: req.auth.user._id }))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler unregistering the `:_courseId` course as a template
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleRemoveTemplate (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _courseId } = req.apiData.query
+      await this.checkCourseAccess(req, _courseId)
+      await this.findTemplate(_courseId)
+      await this.removeTemplate(_courseId)
+      res.status(204).end()
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler creating a course from the `:_courseId` template, with an optional `title` in the
+   * body. Templates are there to be used, so no access to the template course itself is needed:
+   * registering one needs the `manage:templates` scope, so only trusted users can publish a course.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise} Resolves with the new course
+   */
+  async handleCreateFromTemplate (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _courseId } = req.apiData.query
+      res.status(201).json(await this.createCourseFromTemplate(_courseId, req.auth.user._id, { title: req.body?.title }))
+    } catch (e) {
+      return next(e)
+    }
+  }
+
+  /**
+   * Request handler listing the user's snippets, plus those shared with the optional `_courseId`
+   * query course (which needs read access). A super user without a course sees every snippet.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleSnippets (req, res, next) {
+    try {
+      const { _courseId } = req.query
+      if (_courseId) await this.checkCourseReadAccess(req, _courseId)
+      res.json(await this.listSnippets(req.auth.isSuper && !_courseId ? {} : { userId: req.auth.user._id, _courseId }))
+    } catch (e) {
+      return next(e)
     }
+  }
 
-    const collection = this.mongodb.getCollection(this.collectionName)
+  /**
+   * Request handler saving the block `_id` in the body as a snippet, with an optional `title`,
+   * `description` and `_courseIds` to share it with. Write access is needed to the block's course and
+   * to every course it's shared with.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleCreateSnippet (req, res, next) {
     try {
-      await collection.insertMany(payloads, { ordered: false })
+      await this.requestHook.invoke(req)
+      const { _id, title, description, _courseIds } = req.body ?? {}
+      if (!_id) {
+        throw this.app.errors.NOT_FOUND.setData({ type: 'content', id: _id })
+      }
+      const item = await this.findOne({ _id }, { validate: false }, { projection: { _courseId: 1 } })
+      const courseIds = new Set([item._courseId, ...(_courseIds ?? [])].map(id => id.toString()))
+      for (const _courseId of courseIds) await this.checkCourseAccess(req, _courseId)
+      res.status(201).json(await this.createSnippet(_id, { title, description, createdBy: req.auth.user._id, _courseIds }))
     } catch (e) {
-      await collection.deleteMany({ _id: { $in: allNewIds } }).catch(() => {})
-      throw e
+      return next(e)
     }
+  }
 
-    // payloads (post-convertObjectIds) are the stored documents — no find-back needed
-    await Promise.all(payloads.map(doc => this.postInsertHook.invoke(doc)))
-
-    if (options.invokePostHook !== false) {
-      for (let i = 0; i < allItems.length; i++) {
-        await this.postCloneHook.invoke(allItems[i], payloads[i])
+  /**
+   * Request handler deleting a snippet. Only the user who saved it (or a super user) can.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleDeleteSnippet (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _snippetId } = req.apiData.query
+      const snippet = await this.findSnippet(_snippetId)
+      if (!req.auth.isSuper && snippet.createdBy?.toString() !== req.auth.user._id.toString()) {
+        throw this.app.errors.NOT_FOUND.setData({ type: 'snippet', id: _snippetId })
       }
+      await this.deleteSnippet(_snippetId)
+      res.status(204).end()
+    } catch (e) {
+      return next(e)
     }
-    if (originalDoc._courseId?.toString() !== payloads[0]._courseId?.toString()) {
-      await this.updateEnabledPlugins(payloads[0])
-    }
-    // place the clone at its requested _sortOrder and renumber siblings (no-op for course/config)
-    await this.updateSortOrder(payloads[0], payloads[0])
+  }
 
-    return payloads[0]
+  /**
+   * Request handler inserting a snippet under the article `_parentId` in the body, at the optional
+   * `_sortOrder`. The snippet must be the user's own or shared with the article's course.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise} Resolves with the new block
+   */
+  async handleInsertSnippet (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _snippetId } = req.apiData.query
+      const { _parentId, _sortOrder } = req.body ?? {}
+      const parent = _parentId && await this.findOne({ _id: _parentId }, { throwOnMissing: false }, { projection: { _id: 1, _type: 1, _courseId: 1 } })
+      if (!parent) {
+        throw this.app.errors.INVALID_PARENT.setData({ parentId: _parentId })
+      }
+      await this.checkAccess(req, parent)
+      const snippet = await this.findSnippet(_snippetId)
+      if (!req.auth.isSuper && !this.canUseSnippet(snippet, req.auth.user._id, parent._courseId)) {
+        throw this.app.errors.NOT_FOUND.setData({ type: 'snippet', id: _snippetId })
+      }
+      res.status(201).json(await this.insertSnippet(_snippetId, _parentId, req.auth.user._id, { parent, snippet, _sortOrder }))
+    } catch (e) {
+      return next(e)
+    }
   }
 
   /**
-   * Recalculates the _sortOrder values for all content items affected by an update
-   * @param {Object} item The existing item data
-   * @param {Object} updateData The update data
+   * Request handler returning the item of the `:_courseId` course with the `:_friendlyId` friendly ID
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
    * @return {Promise}
    */
-  async updateSortOrder (item, updateData, parentOptions, parentMongoOptions) {
-    // some exceptions which don't need a _sortOrder
-    if (item._type === 'config' || item._type === 'course' || !item._parentId) {
-      return
+  async handleFriendlyId (req, res, next) {
+    try {
+      const { _courseId, _friendlyId } = req.apiData.query
+      await this.checkCourseReadAccess(req, _courseId)
+      const { found } = await this.findByFriendlyIds(_courseId, [_friendlyId])
+      const item = Object.values(found)[0]
+      if (!item) {
+        throw this.app.errors.NOT_FOUND.setData({ type: 'content', id: _friendlyId })
+      }
+      res.json(item)
+    } catch (e) {
+      return next(e)
     }
-    const siblings = await super.find({ _parentId: item._parentId, _id: { $ne: item._id } }, {}, { sort: { _sortOrder: 1 }, projection: { _id: 1, _sortOrder: 1 } })
-    const ops = computeSortOrderOps(siblings, updateData ? item : undefined)
-    if (ops.length > 0) {
-      const collection = this.mongodb.getCollection(this.collectionName)
-      return collection.bulkWrite(ops, { ordered: false })
+  }
+
+  /**
+   * Request handler resolving the comma-separated `ids` query parameter to items of the `:_courseId` course
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleFriendlyIds (req, res, next) {
+    try {
+      const { _courseId } = req.apiData.query
+      await this.checkCourseReadAccess(req, _courseId)
+      res.json(await this.findByFriendlyIds(_courseId, (req.query.ids ?? '').split(',')))
+    } catch (e) {
+      return next(e)
     }
   }
 
   /**
-   * Maintains the list of plugins used in the current course
-   * @param {Object} item The updated item
-   * @param {Object} options
-   * @param {Boolean} options.forceUpdate Forces an update of defaults regardless of whether the _enabledPlugins list has changed
-   * @param {ContentTree} options.tree Pre-built tree to avoid redundant full-course fetch
+   * Request handler reporting the problems found in the `:_courseId` course
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
    * @return {Promise}
    */
-  async updateEnabledPlugins ({ _courseId, _type }, options = {}, parentOptions, parentMongoOptions) {
-    // skip types that can never affect the plugin list (e.g. page, article).
-    if (options.forceUpdate !== true && _type && _type !== 'component' && _type !== 'config') {
-      return
+  async handleHealth (req, res, next) {
+    try {
+      const { _courseId } = req.apiData.query
+      await this.checkCourseReadAccess(req, _courseId)
+      res.json(await this.checkCourseHealth(_courseId))
+    } catch (e) {
+      return next(e)
     }
-    const { contentplugin, jsonschema } = this
-    const tree = options.tree ?? new ContentTree(await super.find({ _courseId }, {}, { projection: { _id: 1, _type: 1, _component: 1, _enabledPlugins: 1, _menu: 1, _theme: 1 } }))
-    const config = tree.config
+  }
 
-    if (!config) {
-      return // can't continue if there's no config to update
+  /**
+   * Request handler repairing the `:_courseId` course. Set `dryRun` in the body to only list the changes.
+   * The route also needs the `repair:content` scope.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleRepair (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _courseId } = req.apiData.query
+      await this.checkCourseAccess(req, _courseId)
+      res.json(await this.repairCourse(_courseId, { dryRun: req.body?.dryRun === true, createdBy: req.auth.user._id.toString() }))
+    } catch (e) {
+      return next(e)
     }
-    const currentPlugins = new Set(config._enabledPlugins ?? [])
-    const extensionNames = (await contentplugin.find({ type: 'extension' }, {}, { projection: { _id: 0, name: 1 } })).map(p => p.name)
-    const componentNames = tree.getComponentNames()
-    // generate unique list of used plugins
-    const nextPlugins = new Set([
-      ...[...currentPlugins].filter(name => extensionNames.includes(name)), // only extensions, rest are calculated below
-      ...componentNames,
-      config._menu,
-      config._theme
-    ].filter(Boolean))
-    if (options.forceUpdate !== true &&
-      currentPlugins.size === nextPlugins.size &&
-      [...currentPlugins].every(p => nextPlugins.has(p))) {
-      return // return early if the lists already match
+  }
+
+  /**
+   * Request handler checking the friendly IDs of the `:_courseId` course
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleCheckFriendlyIds (req, res, next) {
+    try {
+      const { _courseId } = req.apiData.query
+      await this.checkCourseReadAccess(req, _courseId)
+      res.json(await this.checkFriendlyIds(_courseId))
+    } catch (e) {
+      return next(e)
     }
-    // generate list of content types that need defaults applied for newly added plugins
-    const newPluginSchemas = [...nextPlugins]
-      .filter(p => options.forceUpdate || !currentPlugins.has(p))
-      .flatMap(p => contentplugin.getPluginSchemas(p))
+  }
 
-    const affectedTypes = new Set()
-    for (const schemaName of newPluginSchemas) {
-      const rawSchema = jsonschema.schemas[schemaName]?.raw
-      const ref = rawSchema?.$merge?.source?.$ref ?? rawSchema?.$patch?.source?.$ref
-      for (const t of (ref === 'contentobject' ? ['menu', 'page'] : [ref])) {
-        if (t) affectedTypes.add(t)
-      }
+  /**
+   * Request handler repairing the friendly ID counters and missing friendly IDs of the `:_courseId` course
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleRepairFriendlyIds (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _courseId } = req.apiData.query
+      await this.checkCourseAccess(req, _courseId)
+      res.json(await this.repairFriendlyIds(_courseId))
+    } catch (e) {
+      return next(e)
     }
-    const _enabledPlugins = [...nextPlugins]
-    // update config._enabledPlugins
-    await super.update({ _courseId, _type: 'config' }, { _enabledPlugins }, parentOptions, parentMongoOptions)
-    // empty update re-validates to apply new defaults; ignoreRequired because some plugins
-    // declare top-level required properties with no default (e.g. adapt-contrib-glossary)
-    if (affectedTypes.size > 0) {
-      const toUpdate = await super.find({ _courseId, _type: { $in: [...affectedTypes] } }, {}, { projection: { _id: 1 } })
-      return Promise.all(toUpdate.map(c => super.update({ _id: c._id }, {}, { ...parentOptions, ignoreRequired: true }, parentMongoOptions)))
+  }
+
+  /**
+   * Request handler renumbering the friendly IDs of the `:_courseId` course. The route also needs the
+   * `renumber:content` scope.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleRenumberFriendlyIds (req, res, next) {
+    try {
+      await this.requestHook.invoke(req)
+      const { _courseId } = req.apiData.query
+      await this.checkCourseAccess(req, _courseId)
+      res.json(await this.renumberFriendlyIds(_courseId))
+    } catch (e) {
+      return next(e)
     }
   }
 
   /**
-   * Returns a lightweight projection of all content items for a course
+   * Request handler searching a course's content for the `q` query parameter
    * @param {external:ExpressRequest} req
    * @param {external:ExpressResponse} res
    * @param {Function} next
+   * @return {Promise}
    */
-  async handleTree (req, res, next) {
+  async handleSearch (req, res, next) {
     try {
-      const _courseId = req.apiData.query._courseId
-      const course = await this.findOne(
-        { _type: 'course', _courseId },
-        { validate: false },
-        { projection: { updatedAt: 1, _type: 1, createdBy: 1, _access: 1, _isShared: 1, _shareWithUsers: 1, userGroups: 1 } }
-      )
-      if (!course) {
-        throw this.app.errors.NOT_FOUND.setData({ type: 'content', id: _courseId })
-      }
-      // this custom handler bypasses the standard per-item access check, so apply it
-      // here via the shared additive check (grants on any _access dimension: public /
-      // owner / users / groups). 404 (not 403) so we don't leak the course's
-      // existence. Supers are exempt.
-      if (!req.auth.isSuper) {
-        try {
-          await this.checkAccess(req, course)
-        } catch (e) {
-          throw this.app.errors.NOT_FOUND.setData({ type: 'content', id: _courseId })
-        }
-      }
-      const treeFields = [
-        '_id',
-        '_parentId',
-        '_courseId',
-        '_type',
-        '_sortOrder',
-        'title',
-        'displayTitle',
-        '_friendlyId',
-        '_component',
-        '_layout',
-        '_menu',
-        '_theme',
-        '_enabledPlugins',
-        '_colorLabel',
-        '_language',
-        'heroImage',
-        '_summary',
-        '_assetIds',
-        'updatedAt'
-      ]
-      // ETag (not Last-Modified): folds the projected field list into the
-      // validator so the cache busts when the response shape changes, not just
-      // when the course data does — otherwise an added field stays missing for
-      // unedited courses whose updatedAt never moves.
-      const etag = treeEtag(course.updatedAt, treeFields)
-      if (req.headers['if-none-match'] === etag) {
-        return res.status(304).end()
-      }
-      const items = await this.find(
-        { _courseId },
-        { validate: false },
-        { projection: fieldsToProjection(treeFields) }
-      )
-      const tree = new ContentTree(items)
-      res.set('ETag', etag)
-      res.json(items.map(item => ({
-        ...item,
-        _children: tree.getChildren(item._id).map(c => c._id)
-      })))
+      const { _courseId } = req.apiData.query
+      await this.checkCourseReadAccess(req, _courseId)
+      res.json(await this.searchCourse(_courseId, req.query.q, { component: req.query.component }))
     } catch (e) {
       return next(e)
     }
   }
 
   /**
-   * Special request handler for bootstrapping a new content object with dummy content
+   * Request handler previewing a find-and-replace over a course's text (the `find` and `replace` query
+   * parameters, with the `caseSensitive` and `wholeWord` flags)
    * @param {external:ExpressRequest} req
    * @param {external:ExpressResponse} res
    * @param {Function} next
+   * @return {Promise}
    */
-  async handleInsertRecursive (req, res, next) {
+  async handleReplacePreview (req, res, next) {
     try {
-      res.status(201).json(await this.insertRecursive(req))
+      const { _courseId } = req.apiData.query
+      const { find, replace, caseSensitive, wholeWord } = req.query
+      await this.checkCourseReadAccess(req, _courseId)
+      res.json(await this.previewReplace(_courseId, find, replace, { caseSensitive: caseSensitive === 'true', wholeWord: wholeWord === 'true' }))
     } catch (e) {
       return next(e)
     }
   }
 
   /**
-   * Request handler for cloning content items
+   * Request handler applying a find-and-replace to a course's text (see applyReplace)
    * @param {external:ExpressRequest} req
    * @param {external:ExpressResponse} res
    * @param {Function} next
-   * @return {Promise} Resolves with the cloned data
+   * @return {Promise}
    */
-  async handleClone (req, res, next) {
+  async handleReplace (req, res, next) {
     try {
       await this.requestHook.invoke(req)
-      const { _id, _parentId } = req.body
-      if (!_id) {
-        throw this.app.errors.NOT_FOUND.setData({ type: 'content', id: _id })
-      }
-      const source = await this.findOne({ _id })
-      await this.checkAccess(req, source)
-
-      const customData = { ...req.body }
-      delete customData._id
-      delete customData._parentId
+      const { _courseId } = req.apiData.query
+      await this.checkCourseAccess(req, _courseId)
+      const { find, replace, caseSensitive, wholeWord, selected } = req.body ?? {}
+      res.json(await this.applyReplace(_courseId, find, replace, { caseSensitive, wholeWord, selected }))
+    } catch (e) {
+      return next(e)
+    }
+  }
 
-      const newData = await this.clone(req.auth.user._id, _id, _parentId, customData)
-      res.status(201).json(newData)
+  /**
+   * Request handler searching every course the user can read, returning a page of results grouped by
+   * course. Courses without results are left out before paging, so every page is full and the totals
+   * only count courses with results. A search by component only checks the courses which have one.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @return {Promise}
+   */
+  async handleSearchAll (req, res, next) {
+    try {
+      const { q, component, page, limit } = req.query
+      const courses = component
+        ? await this.findReadableCourses(req, { _id: { $in: await this.findComponentCourseIds(component) } })
+        : await this.findReadableCourses(req)
+      const groups = await this.searchCourses(courses, { query: q, component })
+      const { items, ...pagination } = paginate(groups, {
+        page,
+        limit,
+        defaultPageSize: this.getConfig('defaultPageSize'),
+        maxPageSize: this.getConfig('maxPageSize')
+      })
+      res.set('X-Adapt-Page', pagination.page)
+      res.set('X-Adapt-PageSize', pagination.pageSize)
+      res.set('X-Adapt-PageTotal', pagination.pageTotal)
+      res.set('X-Adapt-Total', pagination.total)
+      res.json(items)
     } catch (e) {
       return next(e)
     }
@@ -87,6 +87,51 @@ class ContentTree {
     return descendants
   }
 
+  /**
+   * Depth-first traversal in course order: each item is followed by its own descendants, and
+   * siblings are taken by _sortOrder. O(n log n) where n = number of descendants.
+   * @param {string|Object} rootId
+   * @returns {Array<Object>}
+   */
+  getOrderedDescendants (rootId) {
+    const descendants = []
+    // children are pushed in reverse so the first is popped (and visited) next
+    const stack = this.getSortedChildren(rootId).reverse()
+    while (stack.length) {
+      const item = stack.pop()
+      descendants.push(item)
+      stack.push(...this.getSortedChildren(item._id).reverse())
+    }
+    return descendants
+  }
+
+  /**
+   * Children sorted by _sortOrder, with any missing a _sortOrder last. O(k log k) where k = number
+   * of children.
+   * @param {string|Object} parentId
+   * @returns {Array<Object>}
+   */
+  getSortedChildren (parentId) {
+    return [...this.getChildren(parentId)]
+      .sort((a, b) => (a._sortOrder ?? Infinity) - (b._sortOrder ?? Infinity))
+  }
+
+  /**
+   * Parents whose children's _sortOrder values aren't the sequence 1..n, i.e. have gaps, duplicates
+   * or missing values. Children of a parent missing from the tree are left out (see
+   * getUnreachableItems). O(n log n)
+   * @returns {Array<Object>} A `{ _parentId, _sortOrders }` per parent, with the children's values in sorted order (missing as null)
+   */
+  getBrokenSortOrders () {
+    const broken = []
+    for (const parentId of this.byParent.keys()) {
+      if (!this.byId.has(parentId)) continue
+      const _sortOrders = this.getSortedChildren(parentId).map(c => c._sortOrder ?? null)
+      if (_sortOrders.some((s, i) => s !== i + 1)) broken.push({ _parentId: parentId, _sortOrders })
+    }
+    return broken
+  }
+
   /**
    * Walk up the parent chain. O(d) where d = depth.
    * @param {string|Object} itemId
@@ -165,6 +210,29 @@ class ContentTree {
     )
   }
 
+  /**
+   * The topmost item of each orphaned branch: an orphan whose parent is missing from the tree (or
+   * which has no parent), or, where the _parentId chain forms a cycle, the first item of the cycle
+   * reached. Moving these back into the course takes their descendants with them.
+   * @returns {Array<Object>} Orphaned branch roots
+   */
+  getUnreachableRoots () {
+    const orphans = this.getUnreachableItems()
+    const orphanIds = new Set(orphans.map(o => o._id.toString()))
+    const rootOf = new Map()
+    for (const orphan of orphans) {
+      const chain = []
+      let current = orphan
+      while (!rootOf.has(current._id.toString()) && orphanIds.has(current._parentId?.toString()) && !chain.includes(current)) {
+        chain.push(current)
+        current = this.byId.get(current._parentId.toString())
+      }
+      const root = rootOf.get(current._id.toString()) ?? current
+      for (const item of [...chain, current]) rootOf.set(item._id.toString(), root)
+    }
+    return [...new Set(rootOf.values())]
+  }
+
   /**
    * O(1) — unique component names across the course
    * @returns {Array<string>}
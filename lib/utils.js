@@ -1,12 +1,31 @@
 export { default as ContentTree } from './ContentTree.js'
+export { default as assignFriendlyIds } from './utils/assignFriendlyIds.js'
 export { default as buildAssetUsagePipeline } from './utils/buildAssetUsagePipeline.js'
+export { default as checkContentBundle } from './utils/checkContentBundle.js'
+export { default as checkFriendlyIds } from './utils/checkFriendlyIds.js'
+export { default as computeCloneCompatibility } from './utils/computeCloneCompatibility.js'
+export { default as computeFriendlyIdChanges, computeMovedFriendlyIds } from './utils/computeFriendlyIdChanges.js'
+export { default as computeMoveOps } from './utils/computeMoveOps.js'
 export { default as computeSortOrderOps } from './utils/computeSortOrderOps.js'
+export { default as createContentBundle, BUNDLE_VERSION } from './utils/createContentBundle.js'
+export { default as diffContent } from './utils/diffContent.js'
 export { excludeIdsFromQuery } from './utils/excludeIdsFromQuery.js'
-export { extractAssetIds } from './utils/extractAssetIds.js'
+export { extractAssetIds, isAssetField } from './utils/extractAssetIds.js'
 export { default as contentTypeToSchemaName } from './utils/contentTypeToSchemaName.js'
 export { default as extractSummary } from './utils/extractSummary.js'
+export { joinFieldPath, setFieldPath, splitFieldPath } from './utils/fieldPath.js'
 export { default as fieldsToProjection } from './utils/fieldsToProjection.js'
-export { default as formatFriendlyId } from './utils/formatFriendlyId.js'
+export { default as findReplacements } from './utils/findReplacements.js'
+export { default as findTextMatches, isTextField } from './utils/findTextMatches.js'
+export { default as formatFriendlyId, findFriendlyIdFormatCollisions, getFriendlyIdFormat } from './utils/formatFriendlyId.js'
+export { default as isSameContent } from './utils/isSameContent.js'
+export { default as isValidParentType } from './utils/isValidParentType.js'
+export { default as mergeDeep } from './utils/mergeDeep.js'
+export { default as paginate } from './utils/paginate.js'
+export { default as parseBundleDates } from './utils/parseBundleDates.js'
 export { default as parseMaxSeq } from './utils/parseMaxSeq.js'
 export { default as partitionCourseAssets } from './utils/partitionCourseAssets.js'
+export { default as replaceAssetIds } from './utils/replaceAssetIds.js'
+export { default as replaceText } from './utils/replaceText.js'
+export { default as stripIncompatibleData } from './utils/stripIncompatibleData.js'
 export { default as treeEtag } from './utils/treeEtag.js'
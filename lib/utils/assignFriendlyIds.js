@@ -0,0 +1,40 @@
+import formatFriendlyId, { getFriendlyIdFormat } from './formatFriendlyId.js'
+
+/**
+ * Works out the friendly IDs of copied content from reserved sequence numbers. Items are taken in
+ * order, so parents must come before their children (as from ContentModule#collectCloneItems): a
+ * format which includes the parent's friendly ID uses the parent's new one.
+ * @param {Array<Object>} items The items being copied
+ * @param {Object} options
+ * @param {Map<String,Array<Number>>} options.seqs Sequence numbers per type, one for each item of the type which needs a new ID, in order
+ * @param {Set<String>} options.rootIds _ids of the copied roots, which go under the new parent
+ * @param {Set<String>} [options.keptIds] _ids of items which keep their friendly ID
+ * @param {String} [options.parentFriendlyId] Friendly ID of the roots' new parent
+ * @param {String} [options.rootFriendlyId] Friendly ID to give the roots instead (e.g. a course copy's new ID)
+ * @param {Object} [options.formats] The configured formats (see getFriendlyIdFormat)
+ * @return {Map<String,String>} Old _id → new friendly ID. A course keeps its ID and config is always `config`
+ * @memberof content
+ */
+export default function assignFriendlyIds (items, { seqs, rootIds, keptIds = new Set(), parentFriendlyId, rootFriendlyId, formats }) {
+  const next = new Map()
+  const ids = new Map()
+  for (const item of items) {
+    const _id = item._id.toString()
+    const isRoot = rootIds.has(_id)
+    let friendlyId
+    if (isRoot && rootFriendlyId) friendlyId = rootFriendlyId
+    else if (item._type === 'course' || keptIds.has(_id)) friendlyId = item._friendlyId
+    else if (item._type === 'config') friendlyId = formatFriendlyId('config')
+    else {
+      const i = next.get(item._type) ?? 0
+      next.set(item._type, i + 1)
+      const seq = seqs.get(item._type)?.[i]
+      friendlyId = seq && formatFriendlyId(item._type, seq, undefined, {
+        format: getFriendlyIdFormat(item._type, formats),
+        parentFriendlyId: isRoot ? parentFriendlyId : ids.get(item._parentId?.toString())
+      })
+    }
+    ids.set(_id, friendlyId)
+  }
+  return ids
+}
@@ -0,0 +1,25 @@
+import { BUNDLE_VERSION } from './createContentBundle.js'
+
+/**
+ * Checks that a content bundle (see createContentBundle) can be imported: it must be written in a
+ * bundle format this version understands, be rooted at one of the expected content types, and
+ * contain only identifiable content items with the root first — and no more of them than the
+ * caller allows.
+ * @param {Object} bundle The bundle to check
+ * @param {Array<String>} types The root `_type`s accepted by the caller
+ * @param {Object} [options]
+ * @param {Number} [options.maxItems] Maximum number of content items (unlimited if not set)
+ * @return {String|undefined} Reason the bundle is unusable, or undefined if it is valid
+ * @memberof content
+ */
+export default function checkContentBundle (bundle, types, { maxItems } = {}) {
+  if (!bundle || typeof bundle !== 'object') return 'bundle must be an object'
+  if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+    return `unsupported bundle version ${bundle.version}`
+  }
+  if (!types.includes(bundle.type)) return `expected a bundle of type ${types.join(' or ')}, got ${bundle.type}`
+  if (!Array.isArray(bundle.content) || !bundle.content.length) return 'bundle has no content'
+  if (maxItems && bundle.content.length > maxItems) return `bundle has ${bundle.content.length} content items, more than the limit of ${maxItems}`
+  if (bundle.content.some(i => !i?._id || !i._type)) return 'every content item needs an _id and _type'
+  if (bundle.content[0]._type !== bundle.type) return `first content item must be the ${bundle.type}`
+}
@@ -0,0 +1,49 @@
+import { getFriendlyIdFormat } from './formatFriendlyId.js'
+import parseMaxSeq from './parseMaxSeq.js'
+
+/**
+ * Checks the friendly IDs of a course's content against each other and against the course's
+ * friendly ID counters. The course's own ID is only checked for being set, as course IDs are
+ * numbered across all courses.
+ * @param {Array<Object>} items The course's content, including the course (`_id`, `_type`, `_friendlyId`)
+ * @param {Array<Object>} counters The course's counter documents (`_type`, `seq`)
+ * @param {Object} [formats] The configured formats (see getFriendlyIdFormat)
+ * @return {Object} The report:
+ * - `counters`: `{ _type, seq, maxSeq }` per counter behind the highest ID in use, so its next IDs would clash
+ * - `duplicates`: `{ _friendlyId, _ids }` per ID used more than once
+ * - `missing`: `{ _id, _type }` per item without an ID, in the order given
+ * - `gaps`: `{ _type, maxSeq, count }` per type with unused numbers below its highest
+ * @memberof content
+ */
+export default function checkFriendlyIds (items, counters, formats) {
+  const byId = new Map()
+  const byType = new Map()
+  const missing = []
+  for (const { _id, _type, _friendlyId } of items) {
+    if (!_friendlyId) {
+      missing.push({ _id, _type })
+      continue
+    }
+    byId.set(_friendlyId, [...(byId.get(_friendlyId) ?? []), _id])
+    if (_type === 'course' || _type === 'config') continue
+    byType.set(_type, [...(byType.get(_type) ?? []), { _friendlyId }])
+  }
+  const duplicates = [...byId]
+    .filter(([, _ids]) => _ids.length > 1)
+    .map(([_friendlyId, _ids]) => ({ _friendlyId, _ids }))
+
+  const maxSeqs = new Map()
+  const gaps = []
+  for (const [_type, docs] of byType) {
+    const format = getFriendlyIdFormat(_type, formats)
+    const seqs = new Set(docs.map(d => parseMaxSeq([d], format)).filter(Boolean))
+    const maxSeq = [...seqs].reduce((max, seq) => Math.max(max, seq), 0)
+    maxSeqs.set(_type, maxSeq)
+    if (seqs.size < maxSeq) gaps.push({ _type, maxSeq, count: maxSeq - seqs.size })
+  }
+  const lagging = counters
+    .filter(({ _type, seq }) => seq < (maxSeqs.get(_type) ?? 0))
+    .map(({ _type, seq }) => ({ _type, seq, maxSeq: maxSeqs.get(_type) }))
+
+  return { counters: lagging, duplicates, missing, gaps }
+}
@@ -0,0 +1,44 @@
+/**
+ * Works out what would be lost by copying content items into another course. A component is
+ * missing when its plugin isn't installed at all; one which is installed but not yet enabled in the
+ * destination is fine (it gets enabled by updateEnabledPlugins) and is listed in `addedComponents`.
+ * Extension data — stored either under the extension's `targetAttribute` or in `_extensions` — is
+ * dropped when the extension isn't enabled in the destination course, as its schema won't apply there.
+ * @param {Array<Object>} items The content items being copied
+ * @param {Object} options
+ * @param {Array<Object>} options.plugins Installed plugin documents (`{ name, type, targetAttribute }`)
+ * @param {Array<String>} options._enabledPlugins The destination course's `config._enabledPlugins`
+ * @return {{ compatible: Boolean, missingComponents: Array<Object>, addedComponents: Array<String>, droppedExtensions: Array<Object> }}
+ * @memberof content
+ */
+export default function computeCloneCompatibility (items, { plugins = [], _enabledPlugins = [] } = {}) {
+  const installed = new Set(plugins.map(p => p.name))
+  const enabled = new Set(_enabledPlugins)
+  const extensions = plugins.filter(p => p.type === 'extension' && p.targetAttribute)
+  const keptAttributes = new Set(extensions.filter(p => enabled.has(p.name)).map(p => p.targetAttribute))
+  const droppable = extensions.filter(p => !keptAttributes.has(p.targetAttribute))
+  const extensionNames = Object.fromEntries(extensions.map(p => [p.targetAttribute, p.name]))
+
+  const missing = new Map()
+  const added = new Set()
+  const dropped = new Map()
+  const add = (map, key, item) => map.set(key, [...(map.get(key) ?? []), item._id.toString()])
+
+  for (const item of items) {
+    if (item._type === 'component' && item._component) {
+      if (!installed.has(item._component)) add(missing, item._component, item)
+      else if (!enabled.has(item._component)) added.add(item._component)
+    }
+    const attributes = new Set([
+      ...droppable.filter(p => item[p.targetAttribute] !== undefined).map(p => p.targetAttribute),
+      ...Object.keys(item._extensions ?? {}).filter(a => !keptAttributes.has(a))
+    ])
+    for (const attribute of attributes) add(dropped, attribute, item)
+  }
+  return {
+    compatible: !missing.size && !dropped.size,
+    missingComponents: [...missing].map(([_component, _ids]) => ({ _component, _ids })),
+    addedComponents: [...added],
+    droppedExtensions: [...dropped].map(([attribute, _ids]) => ({ name: extensionNames[attribute], attribute, _ids }))
+  }
+}
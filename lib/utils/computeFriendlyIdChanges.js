@@ -0,0 +1,57 @@
+import formatFriendlyId, { getFriendlyIdFormat } from './formatFriendlyId.js'
+import parseMaxSeq from './parseMaxSeq.js'
+
+/**
+ * Works out new friendly IDs for a course's content, numbering each type from 1 in the order given.
+ * The course and config are left alone (course IDs are numbered across all courses). Parents must
+ * come before their children, so that formats which include the parent's ID use its new one.
+ * @param {Array<Object>} items The course's content, in the order to number it
+ * @param {Object} [formats] The configured formats (see getFriendlyIdFormat)
+ * @return {Array<Object>} A `{ _id, _type, from, to }` per item whose friendly ID changes
+ * @memberof content
+ */
+export default function computeFriendlyIdChanges (items, formats) {
+  const seqs = new Map()
+  const ids = new Map()
+  const changes = []
+  for (const { _id, _parentId, _type, _friendlyId } of items) {
+    if (_type === 'course' || _type === 'config') {
+      ids.set(_id.toString(), _friendlyId)
+      continue
+    }
+    const seq = (seqs.get(_type) ?? 0) + 1
+    seqs.set(_type, seq)
+    const to = formatFriendlyId(_type, seq, undefined, {
+      format: getFriendlyIdFormat(_type, formats),
+      parentFriendlyId: ids.get(_parentId?.toString())
+    })
+    ids.set(_id.toString(), to)
+    if (to !== _friendlyId) changes.push({ _id, _type, from: _friendlyId, to })
+  }
+  return changes
+}
+
+/**
+ * Works out the friendly IDs which change when items move to a new parent: those of items whose
+ * format includes the parent's ID, where the parent's ID has changed. Each keeps its own number. IDs
+ * which aren't in their type's format are left alone.
+ * @param {Array<Object>} items The moved items, with their new `_parentId`, and their descendants. Parents must come before their children
+ * @param {Object} parent The new parent (`_id` and `_friendlyId`)
+ * @param {Object} [formats] The configured formats (see getFriendlyIdFormat)
+ * @return {Array<Object>} A `{ _id, _type, from, to }` per item whose friendly ID changes
+ * @memberof content
+ */
+export function computeMovedFriendlyIds (items, parent, formats) {
+  const ids = new Map([[parent._id.toString(), parent._friendlyId]])
+  const changes = []
+  for (const { _id, _parentId, _type, _friendlyId } of items) {
+    const format = getFriendlyIdFormat(_type, formats)
+    const seq = format.includeParent && parseMaxSeq([{ _friendlyId }], format)
+    const to = seq
+      ? formatFriendlyId(_type, seq, undefined, { format, parentFriendlyId: ids.get(_parentId?.toString()) })
+      : _friendlyId
+    ids.set(_id.toString(), to)
+    if (to !== _friendlyId) changes.push({ _id, _type, from: _friendlyId, to })
+  }
+  return changes
+}
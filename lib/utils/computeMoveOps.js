@@ -0,0 +1,40 @@
+import computeSortOrderOps from './computeSortOrderOps.js'
+
+/**
+ * Computes the bulk-write operations needed to move one or more items under a new parent. The
+ * moved items are removed from their old sibling lists (which are renumbered to close the gap),
+ * then inserted as a contiguous run at `_sortOrder` in the new parent's children, preserving the
+ * order in which they were passed. Every moved item gets its `_parentId` reset; siblings only
+ * receive an op when their `_sortOrder` actually changes.
+ * @param {ContentTree} tree Tree of the course being modified
+ * @param {Array<Object>} items The items being moved, in their intended order
+ * @param {String|Object} parentId _id of the new parent
+ * @param {Number} [_sortOrder] 1-based position of the first moved item. Omit to append
+ * @return {Array<Object>} Array of MongoDB updateOne operations
+ * @memberof content
+ */
+export default function computeMoveOps (tree, items, parentId, _sortOrder) {
+  const movedIds = new Set(items.map(i => i._id.toString()))
+  const isMoved = i => movedIds.has(i._id.toString())
+  const bySortOrder = (a, b) => (a._sortOrder ?? 0) - (b._sortOrder ?? 0)
+  const ops = []
+
+  const oldParentIds = new Set(items.map(i => i._parentId?.toString()).filter(Boolean))
+  oldParentIds.delete(parentId.toString())
+  for (const oldParentId of oldParentIds) {
+    ops.push(...computeSortOrderOps(tree.getChildren(oldParentId).filter(c => !isMoved(c)).sort(bySortOrder)))
+  }
+  const siblings = tree.getChildren(parentId).filter(c => !isMoved(c)).sort(bySortOrder)
+  const index = _sortOrder != null && _sortOrder - 1 > -1 ? Math.min(_sortOrder - 1, siblings.length) : siblings.length
+  siblings.splice(index, 0, ...items)
+
+  for (let i = 0; i < siblings.length; i++) {
+    const $set = {}
+    if (siblings[i]._sortOrder !== i + 1) $set._sortOrder = i + 1
+    if (isMoved(siblings[i]) && siblings[i]._parentId?.toString() !== parentId.toString()) $set._parentId = parentId
+    if (Object.keys($set).length) {
+      ops.push({ updateOne: { filter: { _id: siblings[i]._id }, update: { $set } } })
+    }
+  }
+  return ops
+}
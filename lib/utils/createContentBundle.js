@@ -0,0 +1,30 @@
+/**
+ * Version of the bundle format produced by createContentBundle. Bump when the shape changes in a way
+ * importers must handle differently.
+ * @memberof content
+ */
+export const BUNDLE_VERSION = 1
+
+/**
+ * Assembles a portable content bundle: a self-contained JSON document holding a content item and all
+ * of its descendants, the plugins they need (with the installed versions, so the destination can
+ * spot mismatches) and the assets they reference (so the asset files can be fetched alongside).
+ * @param {Array<Object>} items Content items with ids already normalised to strings. The first item is the bundle's root
+ * @param {Object} options
+ * @param {Array<String>} options._enabledPlugins Names of the plugins the content needs
+ * @param {Array<Object>} options.plugins Installed plugin documents (`{ name, version, type }`)
+ * @return {Object} The bundle
+ * @memberof content
+ */
+export default function createContentBundle (items, { _enabledPlugins = [], plugins = [] } = {}) {
+  const versions = Object.fromEntries(plugins.map(p => [p.name, p]))
+  return {
+    version: BUNDLE_VERSION,
+    type: items[0]?._type,
+    exportedAt: new Date().toISOString(),
+    _enabledPlugins,
+    plugins: _enabledPlugins.map(name => ({ name, type: versions[name]?.type, version: versions[name]?.version })),
+    _assetIds: [...new Set(items.flatMap(i => i._assetIds ?? []))],
+    content: items
+  }
+}
@@ -0,0 +1,86 @@
+import { joinFieldPath, splitFieldPath } from './fieldPath.js'
+import stripText from './stripText.js'
+
+/**
+ * Bookkeeping fields which are derived or change on every write, so never reported
+ */
+const IGNORED_FIELDS = ['_id', '_assetIds', '_summary', 'createdAt', 'updatedAt']
+
+/**
+ * Computes a field-level diff between two versions of a content document (or two documents of the
+ * same schema). When a schema is given, fields are found by walking it, so each entry is keyed by
+ * the schema path of the field that differs (array items by index, e.g. `_items/1/text`, the same
+ * paths findTextMatches reports); any data the schema doesn't describe is walked as-is, using the
+ * same path form. String values are reduced with stripText so HTML fields read as plain text; a
+ * change which only touches markup is reported with identical `before`/`after` text and `formatOnly: true`.
+ * @param {Object} before The earlier document
+ * @param {Object} after The later document
+ * @param {Object} [schema] The built Schema instance for the documents (must have a walk method)
+ * @return {{ added: Object<String, *>, removed: Object<String, *>, changed: Object<String, Object> }}
+ * @memberof content
+ */
+export default function diffContent (before = {}, after = {}, schema) {
+  const diff = { added: {}, removed: {}, changed: {} }
+  const fields = schema ? walkFields(schema, before, after) : new Map()
+  for (const [path, [a, b]] of fields) compare(a, b, path, diff)
+  const walked = new Set([...fields.keys()].map(path => splitFieldPath(path)[0]))
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)])
+  for (const key of keys) {
+    if (!IGNORED_FIELDS.includes(key) && !walked.has(key)) compare(before[key], after[key], key, diff)
+  }
+  return diff
+}
+
+/**
+ * Pairs up the values of each schema field present in either document
+ * @return {Map<String, Array>} `[before, after]` by field path
+ */
+function walkFields (schema, before, after) {
+  const fields = new Map()
+  for (const [i, doc] of [before, after].entries()) {
+    for (const { path, value } of schema.walk(doc, () => true)) {
+      if (value === undefined || IGNORED_FIELDS.includes(splitFieldPath(path)[0])) continue
+      if (!fields.has(path)) fields.set(path, [undefined, undefined])
+      fields.get(path)[i] = value
+    }
+  }
+  return fields
+}
+
+function compare (a, b, path, diff) {
+  if (a === undefined && b === undefined) return
+  if (a === undefined) return Object.assign(diff.added, flatten(b, path))
+  if (b === undefined) return Object.assign(diff.removed, flatten(a, path))
+  if (isBranch(a) && isBranch(b) && Array.isArray(a) === Array.isArray(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+    for (const key of keys) compare(a[key], b[key], joinFieldPath(path, key), diff)
+    return
+  }
+  if (toComparable(a) === toComparable(b)) return
+  const change = { before: toReadable(a), after: toReadable(b) }
+  if (typeof a === 'string' && typeof b === 'string' && change.before === change.after) change.formatOnly = true
+  diff.changed[path] = change
+}
+
+/**
+ * Expands an added/removed value into its leaves, so a new array item reports each of its fields
+ */
+function flatten (value, path) {
+  if (!isBranch(value)) return { [path]: toReadable(value) }
+  const entries = Object.entries(value)
+  if (!entries.length) return { [path]: value }
+  return Object.assign({}, ...entries.map(([key, v]) => flatten(v, joinFieldPath(path, key))))
+}
+
+function isBranch (value) {
+  return Array.isArray(value) || (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype)
+}
+
+function toComparable (value) {
+  return isBranch(value) ? JSON.stringify(value) : `${typeof value}:${value?.toString?.() ?? value}`
+}
+
+function toReadable (value) {
+  if (typeof value === 'string') return stripText(value)
+  return value !== null && typeof value === 'object' ? value.toString() : value
+}
@@ -1,3 +1,13 @@
+/**
+ * Whether a schema field holds an asset reference
+ * @param {Object} field The schema field definition
+ * @return {Boolean}
+ * @memberof content
+ */
+export function isAssetField (field) {
+  return field?._backboneForms?.type === 'Asset' || field?._backboneForms === 'Asset'
+}
+
 /**
  * Extracts unique asset IDs from a content document by walking its schema
  * for Asset-type fields and collecting non-URL values.
@@ -7,9 +17,6 @@
  * @memberof content
  */
 export function extractAssetIds (schema, data) {
-  const isAssetField = (field) =>
-    field?._backboneForms?.type === 'Asset' || field?._backboneForms === 'Asset'
-
   return [...new Set(
     schema.walk(data, isAssetField)
       .map(match => match.value?.toString())
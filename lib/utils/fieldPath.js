@@ -0,0 +1,39 @@
+/**
+ * Joins keys into a field path, in the form Schema.walk reports them: keys separated by `/`, with
+ * array elements addressed by index (e.g. `_items/1/text`)
+ * @param {...(String|Number)} keys The keys, outermost first. Empty keys are skipped
+ * @return {String}
+ * @memberof content
+ */
+export function joinFieldPath (...keys) {
+  return keys.filter(k => k !== undefined && k !== '').join('/')
+}
+
+/**
+ * Splits a field path (see joinFieldPath) into its keys
+ * @param {String} path The field path
+ * @return {Array<String>}
+ * @memberof content
+ */
+export function splitFieldPath (path) {
+  return path.split('/')
+}
+
+/**
+ * Returns a copy of a document with the field at a path (see joinFieldPath) set to a value. Only the
+ * objects and arrays along the path are copied, so every other value (e.g. an ObjectId) is kept as
+ * it is.
+ * @param {Object} data The document
+ * @param {String} path The field path
+ * @param {*} value The new value
+ * @return {Object}
+ * @memberof content
+ */
+export function setFieldPath (data, path, value) {
+  const set = (target, [key, ...keys]) => {
+    const copy = Array.isArray(target) ? [...target] : { ...target }
+    copy[key] = keys.length ? set(target?.[key], keys) : value
+    return copy
+  }
+  return set(data, splitFieldPath(path))
+}
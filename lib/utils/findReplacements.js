@@ -0,0 +1,25 @@
+import { isTextField } from './findTextMatches.js'
+import replaceText from './replaceText.js'
+
+/**
+ * Finds the text fields of a content document which a find-and-replace would change (see
+ * replaceText), along with their new values. Fields are found by walking the schema as for
+ * findTextMatches. The document isn't modified.
+ * @param {Object} schema The built Schema instance (must have a walk method)
+ * @param {Object} data The content document
+ * @param {String} find The phrase to replace
+ * @param {String} replace The replacement
+ * @param {Object} [options] Passed to replaceText (`caseSensitive`, `wholeWord`)
+ * @return {Array<Object>} A `{ path, before, after, count }` per changed field
+ * @memberof content
+ */
+export default function findReplacements (schema, data, find, replace, options) {
+  if (!find) return []
+  const replacements = []
+  for (const { path, value } of schema.walk(data, isTextField)) {
+    if (typeof value !== 'string') continue
+    const { value: after, count } = replaceText(value, find, replace, options)
+    if (count) replacements.push({ path, before: value, after, count })
+  }
+  return replacements
+}
@@ -0,0 +1,47 @@
+import { isAssetField } from './extractAssetIds.js'
+import stripText from './stripText.js'
+
+/**
+ * Whether a schema field holds searchable text: a string which isn't an asset or object id reference
+ * @param {Object} field The schema field
+ * @return {Boolean}
+ * @memberof content
+ */
+export function isTextField (field) {
+  return field?.type === 'string' && !field.isObjectId && !isAssetField(field)
+}
+
+/**
+ * Searches the text fields of a content document for a phrase (case-insensitively). Fields are
+ * found by walking the schema for string fields (excluding asset and object id references), and
+ * compared as plain text with stripText, so markup never matches.
+ * @param {Object} schema The built Schema instance (must have a walk method)
+ * @param {Object} data The content document
+ * @param {String} query The phrase to find
+ * @param {Object} [options]
+ * @param {Number} [options.context] Number of characters to keep either side of the first match in the snippet
+ * @return {Array<Object>} A `{ path, snippet, highlights }` per matching field. `highlights` are `[start, end]` offsets of each occurrence in `snippet`
+ * @memberof content
+ */
+export default function findTextMatches (schema, data, query, { context = 40 } = {}) {
+  const needle = query.trim().toLowerCase()
+  if (!needle) return []
+  const matches = []
+  for (const { path, value } of schema.walk(data, isTextField)) {
+    if (typeof value !== 'string') continue
+    const text = stripText(value)
+    const index = text.toLowerCase().indexOf(needle)
+    if (index === -1) continue
+    const start = Math.max(0, index - context)
+    const end = Math.min(text.length, index + needle.length + context)
+    const prefix = start > 0 ? '…' : ''
+    const excerpt = text.slice(start, end)
+    const highlights = []
+    const lower = excerpt.toLowerCase()
+    for (let i = lower.indexOf(needle); i !== -1; i = lower.indexOf(needle, i + needle.length)) {
+      highlights.push([prefix.length + i, prefix.length + i + needle.length])
+    }
+    matches.push({ path, snippet: `${prefix}${excerpt}${end < text.length ? '…' : ''}`, highlights })
+  }
+  return matches
+}
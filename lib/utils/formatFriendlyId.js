@@ -1,13 +1,60 @@
+/**
+ * Returns the friendly ID format for a content type: the built-in format (`course-<n>`, or the
+ * type's first letter, e.g. `p-<n>`) with any configured settings merged over it
+ * @param {String} _type Content type
+ * @param {Object} [formats] The configured formats, keyed by _type (see the `friendlyIdFormats` config)
+ * @return {Object} `{ prefix, separator, padding, includeParent }`
+ * @memberof content
+ */
+export function getFriendlyIdFormat (_type, formats) {
+  return {
+    prefix: _type === 'course' ? 'course' : _type[0],
+    separator: '-',
+    padding: 0,
+    includeParent: false,
+    ...formats?.[_type]
+  }
+}
+
+/**
+ * Content types with a friendly ID format (config is always `config`)
+ * @type {Array<String>}
+ */
+const FORMAT_TYPES = ['course', 'menu', 'page', 'article', 'block', 'component']
+
+/**
+ * Finds content types whose friendly ID formats share a prefix and separator. Their IDs couldn't be
+ * told apart, so each type's counter would be seeded from the other's IDs too (see parseMaxSeq).
+ * @param {Object} [formats] The configured formats (see getFriendlyIdFormat)
+ * @return {Array<Object>} A `{ start, types }` per shared prefix and separator
+ * @memberof content
+ */
+export function findFriendlyIdFormatCollisions (formats) {
+  const types = new Map()
+  for (const _type of new Set([...FORMAT_TYPES, ...Object.keys(formats ?? {})])) {
+    if (_type === 'config') continue
+    const { prefix, separator } = getFriendlyIdFormat(_type, formats)
+    const start = `${prefix}${separator}`
+    types.set(start, [...(types.get(start) ?? []), _type])
+  }
+  return [...types].filter(([, t]) => t.length > 1).map(([start, t]) => ({ start, types: t }))
+}
+
 /**
  * Formats a friendly ID string from content type, sequence number and optional language
  * @param {String} _type Content type (e.g. 'course', 'block', 'component')
  * @param {Number} count Current sequence number
  * @param {String} [_language] Language code (only used for courses)
+ * @param {Object} [options]
+ * @param {Object} [options.format] The type's format (see getFriendlyIdFormat). Defaults to the built-in format
+ * @param {String} [options.parentFriendlyId] The parent's friendly ID, used when the format includes it (not for courses)
  * @return {String}
  */
-export default function formatFriendlyId (_type, count, _language) {
+export default function formatFriendlyId (_type, count, _language, { format, parentFriendlyId } = {}) {
   if (!_type) throw new Error('formatFriendlyId requires a _type')
-  if (_type === 'course') return `course-${count}${_language ? `-${_language}` : ''}`
   if (_type === 'config') return 'config'
-  return `${_type[0]}-${count}`
+  const { prefix, separator, padding, includeParent } = format ?? getFriendlyIdFormat(_type)
+  const id = `${prefix}${separator}${String(count).padStart(padding, '0')}`
+  if (_type === 'course') return `${id}${_language ? `-${_language}` : ''}`
+  return includeParent && parentFriendlyId ? `${parentFriendlyId}${separator}${id}` : id
 }
@@ -0,0 +1,26 @@
+/**
+ * Fields which change on every write without reflecting an author's edit
+ */
+const VOLATILE_FIELDS = ['updatedAt']
+
+/**
+ * Whether two versions of a content document carry the same content, ignoring `updatedAt` and
+ * key order. Used to skip recording a revision for no-op writes (e.g. the empty re-validation
+ * updates issued when a course's plugin list changes).
+ * @param {Object} a A content document
+ * @param {Object} b Another version of the same document
+ * @return {Boolean}
+ * @memberof content
+ */
+export default function isSameContent (a, b) {
+  return canonicalise(a) === canonicalise(b)
+}
+
+function canonicalise (doc) {
+  const data = { ...doc }
+  VOLATILE_FIELDS.forEach(f => delete data[f])
+  // toJSON (ObjectId, Date) has already run by the time the replacer sees a value
+  return JSON.stringify(data, (key, value) => value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.fromEntries(Object.keys(value).sort().map(k => [k, value[k]]))
+    : value)
+}
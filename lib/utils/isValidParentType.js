@@ -0,0 +1,27 @@
+/**
+ * Permitted parent types for each content type. `course` and `config` are roots and can never be
+ * given a parent; menus may nest inside other menus.
+ */
+const PARENT_TYPES = {
+  course: [],
+  config: [],
+  menu: ['course', 'menu'],
+  page: ['course', 'menu'],
+  article: ['page'],
+  block: ['article'],
+  component: ['block']
+}
+
+/**
+ * Whether a content item of `_type` may be placed under a parent of `parentType`, enforcing the
+ * course → page → article → block → component hierarchy (pages and menus may also sit under a
+ * menu). Types outside the core hierarchy are not constrained.
+ * @param {String} _type The child item's _type
+ * @param {String} parentType The intended parent's _type
+ * @return {Boolean}
+ * @memberof content
+ */
+export default function isValidParentType (_type, parentType) {
+  const allowed = PARENT_TYPES[_type]
+  return allowed ? allowed.includes(parentType) : true
+}
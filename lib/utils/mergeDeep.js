@@ -0,0 +1,21 @@
+/**
+ * Merges objects into a new one, later sources taking precedence. Plain objects are merged
+ * recursively; any other value (including an array) replaces the existing one. The inputs are
+ * not changed.
+ * @param {...Object} sources The objects to merge; undefined ones are skipped
+ * @return {Object}
+ * @memberof content
+ */
+export default function mergeDeep (...sources) {
+  const merged = {}
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source ?? {})) {
+      merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? mergeDeep(merged[key], value) : value
+    }
+  }
+  return merged
+}
+
+function isPlainObject (value) {
+  return Object.prototype.toString.call(value) === '[object Object]'
+}
@@ -0,0 +1,26 @@
+/**
+ * Returns one page of an in-memory list, normalising the page and size the same way as the API's
+ * query pagination: the size defaults to `defaultPageSize` and is capped at `maxPageSize`, and
+ * invalid or out-of-range pages fall back to the first or last page
+ * @param {Array} items The full list
+ * @param {Object} options
+ * @param {Number|String} options.page Requested page (1-based)
+ * @param {Number|String} options.limit Requested page size
+ * @param {Number} options.defaultPageSize
+ * @param {Number} options.maxPageSize
+ * @return {Object} `{ items, page, pageSize, pageTotal, total }`
+ * @memberof content
+ */
+export default function paginate (items, { page, limit, defaultPageSize, maxPageSize } = {}) {
+  let pageSize = parseInt(limit)
+  if (isNaN(pageSize) || pageSize < 1) pageSize = defaultPageSize
+  if (pageSize > maxPageSize) pageSize = maxPageSize
+
+  const total = items.length
+  const pageTotal = Math.ceil(total / pageSize) || 1
+  page = parseInt(page)
+  if (isNaN(page) || page < 1) page = 1
+  if (page > pageTotal) page = pageTotal
+
+  return { items: items.slice((page - 1) * pageSize, page * pageSize), page, pageSize, pageTotal, total }
+}
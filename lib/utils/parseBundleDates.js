@@ -0,0 +1,25 @@
+/**
+ * Timestamp fields of content items, which bundles hold as ISO strings
+ * @type {Array<String>}
+ */
+const DATE_FIELDS = ['createdAt', 'updatedAt']
+
+/**
+ * Converts the timestamps of bundled content items (see createContentBundle) back into Dates, as
+ * they are written as strings on export. Timestamps which can't be parsed are dropped.
+ * @param {Array<Object>} items The bundle's content items
+ * @return {Array<Object>} Copies of the items, with Date timestamps
+ * @memberof content
+ */
+export default function parseBundleDates (items) {
+  return items.map(item => {
+    const parsed = { ...item }
+    for (const field of DATE_FIELDS) {
+      if (typeof parsed[field] !== 'string') continue
+      const date = new Date(parsed[field])
+      if (isNaN(date)) delete parsed[field]
+      else parsed[field] = date
+    }
+    return parsed
+  })
+}
@@ -1,12 +1,15 @@
 /**
  * Parses friendly ID strings from content docs and returns the highest sequence number.
  * @param {Array<Object>} docs Array of objects with a `_friendlyId` property
+ * @param {Object} [format] The type's friendly ID format (see getFriendlyIdFormat). IDs which don't
+ * match it are ignored. Without a format, the first number in each ID is used.
  * @return {Number}
  */
-export default function parseMaxSeq (docs) {
+export default function parseMaxSeq (docs, format) {
+  const re = format ? formatToRegExp(format) : /(\d+)/
   let maxNum = 0
   for (const doc of docs) {
-    const match = doc._friendlyId?.match(/(\d+)/)
+    const match = doc._friendlyId?.match(re)
     if (match) {
       const num = parseInt(match[1])
       if (num > maxNum) maxNum = num
@@ -14,3 +17,16 @@ export default function parseMaxSeq (docs) {
   }
   return maxNum
 }
+
+/**
+ * Builds a pattern matching IDs in a friendly ID format, capturing the sequence number. The last
+ * match in the ID is used, as the ID's own part comes after any parent ID (and before a course's
+ * language suffix).
+ * @param {Object} format
+ * @return {RegExp}
+ */
+function formatToRegExp ({ prefix, separator }) {
+  const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  const start = separator ? `(?:^|${escape(separator)})` : ''
+  return new RegExp(`^.*${start}${escape(prefix)}${escape(separator)}(\\d+)(?:-[a-zA-Z][\\w-]*)?$`)
+}
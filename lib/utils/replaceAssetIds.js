@@ -0,0 +1,19 @@
+import { isAssetField } from './extractAssetIds.js'
+
+/**
+ * Points the Asset-type fields of a content document at other assets, walking the schema in the
+ * same way as extractAssetIds. Values missing from `idMap` (including URLs) are left alone. The
+ * document is modified in place.
+ * @param {Object} schema The built Schema instance (must have a walk method)
+ * @param {Object} data The data object to update
+ * @param {Map<String, String>} idMap Map of old asset id to new asset id
+ * @return {Object} The updated data
+ * @memberof content
+ */
+export default function replaceAssetIds (schema, data, idMap) {
+  for (const { data: parent, key, value } of schema.walk(data, isAssetField)) {
+    const newId = value && idMap.get(value.toString())
+    if (newId) parent[key] = newId
+  }
+  return data
+}
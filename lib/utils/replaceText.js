@@ -0,0 +1,40 @@
+/**
+ * Markup which is never replaced into: tags, comments and character references
+ * @type {RegExp}
+ */
+const MARKUP = /(<!--[\s\S]*?-->|<[^>]*>|&(?:[a-z][a-z0-9]*|#\d+|#x[0-9a-f]+);)/i
+
+/**
+ * Characters escaped in the replacement, so it is only ever inserted as text
+ * @type {Object}
+ */
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;' }
+
+/**
+ * Replaces a phrase in the text of an HTML string, leaving markup (tags, comments and character
+ * references such as `&amp;`) untouched. Plain strings are treated the same way. The replacement is
+ * HTML-escaped, so it can't add markup.
+ * @param {String} value The string to change
+ * @param {String} find The phrase to replace
+ * @param {String} replace The replacement
+ * @param {Object} [options]
+ * @param {Boolean} [options.caseSensitive] Only replace exact-case occurrences
+ * @param {Boolean} [options.wholeWord] Only replace occurrences which aren't part of a longer word
+ * @return {Object} `{ value, count }`: the new string and the number of replacements
+ * @memberof content
+ */
+export default function replaceText (value, find, replace, { caseSensitive = false, wholeWord = false } = {}) {
+  if (!find) return { value, count: 0 }
+  const escaped = find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  const re = new RegExp(wholeWord ? `(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])` : escaped, `gu${caseSensitive ? '' : 'i'}`)
+  const text = replace.replace(/[&<>]/g, c => ESCAPES[c])
+  let count = 0
+  const parts = value.split(MARKUP).map((part, i) => {
+    if (i % 2) return part // odd indexes are the captured markup
+    return part.replace(re, () => {
+      count++
+      return text
+    })
+  })
+  return { value: parts.join(''), count }
+}
@@ -0,0 +1,29 @@
+/**
+ * Removes whatever computeCloneCompatibility found to be incompatible with the destination course:
+ * components whose plugin isn't installed are left out, and dropped extension data is removed from
+ * both the item itself and its `_extensions`. Items are copied rather than modified.
+ * @param {Array<Object>} items The content items being copied
+ * @param {Object} report The compatibility report for the items
+ * @return {Array<Object>} The items to copy
+ * @memberof content
+ */
+export default function stripIncompatibleData (items, report) {
+  const skipped = new Set(report.missingComponents.flatMap(c => c._ids))
+  const attributesById = new Map()
+  for (const { attribute, _ids } of report.droppedExtensions) {
+    for (const id of _ids) attributesById.set(id, [...(attributesById.get(id) ?? []), attribute])
+  }
+  return items
+    .filter(i => !skipped.has(i._id.toString()))
+    .map(item => {
+      const attributes = attributesById.get(item._id.toString())
+      if (!attributes) return item
+      const copy = { ...item }
+      if (copy._extensions) copy._extensions = { ...copy._extensions }
+      for (const a of attributes) {
+        delete copy[a]
+        if (copy._extensions) delete copy._extensions[a]
+      }
+      return copy
+    })
+}
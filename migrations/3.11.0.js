@@ -0,0 +1,92 @@
+import formatFriendlyId, { getFriendlyIdFormat } from '../lib/utils/formatFriendlyId.js'
+import parseMaxSeq from '../lib/utils/parseMaxSeq.js'
+
+export default function (migration) {
+  migration.describe('Raise lagging contentcounters and assign missing _friendlyId values across all courses, and grant the contentcreator role the new content scopes')
+  migration.runCommand(repairFriendlyIds)
+  migration.runCommand(grantContentScopes)
+}
+
+// Scopes needed by routes added in this version, on top of write:content
+const CONTENT_CREATOR_SCOPES = ['manage:templates', 'renumber:content', 'repair:content']
+
+// A counter left behind the IDs in use (e.g. by a restore from backup) makes inserts fail
+// with DUPL_FRIENDLY_ID, and items without an ID can't be looked up by one. This does what
+// ContentModule#repairFriendlyIds does, for every course at once. Migrations run without the
+// config module, so the built-in friendly ID formats are used: IDs in a custom format aren't
+// counted. Courses using friendlyIdFormats should be repaired (or renumbered) through the
+// /friendly routes afterwards. Duplicates and gaps are left alone, as in the repair route.
+async function repairFriendlyIds (db, log) {
+  const content = db.collection('content')
+  const counters = db.collection('contentcounters')
+  const seqs = new Map((await counters.find({}, { projection: { _type: 1, _courseId: 1, seq: 1 } }).toArray())
+    .map(({ _type, _courseId, seq }) => [counterKey(_type, _courseId), seq]))
+
+  const idOps = []
+  const counterOps = []
+  const repair = (docs, _type, _courseId) => {
+    const counterSeq = seqs.get(counterKey(_type, _courseId))
+    const { seq, assigned } = repairType(docs, _type, counterSeq)
+    idOps.push(...assigned.map(({ _id, _friendlyId }) => ({ updateOne: { filter: { _id }, update: { $set: { _friendlyId } } } })))
+    // a counter which doesn't exist yet is seeded on first use, unless numbers were just taken from it
+    const raise = counterSeq === undefined ? assigned.length > 0 : seq > counterSeq
+    if (_type === 'config' || !raise) return
+    // course IDs are numbered across all courses, so their counter has no _courseId
+    const filter = _type === 'course' ? { _type } : { _type, _courseId }
+    counterOps.push({ updateOne: { filter, update: { $max: { seq } }, upsert: true } })
+  }
+
+  const courses = await content
+    .find({ _type: 'course' }, { projection: { _id: 1, _friendlyId: 1, _language: 1 } })
+    .toArray()
+  repair(courses, 'course')
+  for (const { _id: _courseId } of courses) {
+    const items = await content
+      .find({ _courseId, _type: { $ne: 'course' } }, { projection: { _id: 1, _type: 1, _friendlyId: 1 } })
+      .toArray()
+    const byType = new Map()
+    for (const item of items) byType.set(item._type, [...(byType.get(item._type) ?? []), item])
+    for (const [_type, docs] of byType) repair(docs, _type, _courseId)
+  }
+  if (!idOps.length && !counterOps.length) {
+    log('info', 'migrations', 'No lagging counters or missing friendly IDs found, skipping')
+    return
+  }
+
+  for (let i = 0; i < counterOps.length; i += 500) {
+    await counters.bulkWrite(counterOps.slice(i, i + 500), { ordered: false })
+  }
+  for (let i = 0; i < idOps.length; i += 500) {
+    await content.bulkWrite(idOps.slice(i, i + 500), { ordered: false })
+  }
+  log('info', 'migrations', `raised ${counterOps.length} friendly ID counter(s) and assigned ${idOps.length} friendly ID(s)`)
+}
+
+function counterKey (_type, _courseId) {
+  return _type === 'course' ? _type : `${_type}:${_courseId}`
+}
+
+// Numbers the docs without an ID after the higher of the counter and the highest ID in use
+function repairType (docs, _type, counterSeq) {
+  const format = getFriendlyIdFormat(_type)
+  let seq = Math.max(counterSeq ?? 0, parseMaxSeq(docs, format))
+  const assigned = docs
+    .filter(doc => !doc._friendlyId)
+    .map(doc => ({ _id: doc._id, _friendlyId: formatFriendlyId(_type, _type === 'config' ? undefined : ++seq, doc._language, { format }) }))
+  return { seq, assigned }
+}
+
+// Roles are stored with their scopes, so a role which already exists has to be given new ones
+async function grantContentScopes (db, log) {
+  const { matchedCount, modifiedCount } = await db.collection('roles')
+    .updateOne({ shortName: 'contentcreator' }, { $addToSet: { scopes: { $each: CONTENT_CREATOR_SCOPES } } })
+  if (!matchedCount) {
+    log('info', 'migrations', 'No contentcreator role found, skipping scope grant')
+    return
+  }
+  if (!modifiedCount) {
+    log('info', 'migrations', 'contentcreator role already has the new content scopes, skipping')
+    return
+  }
+  log('info', 'migrations', `granted ${CONTENT_CREATOR_SCOPES.join(', ')} to the contentcreator role`)
+}
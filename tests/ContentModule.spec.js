@@ -2,6 +2,7 @@ import { describe, it, mock } from 'node:test'
 import assert from 'node:assert/strict'
 
 import { AbstractApiModule } from 'adapt-authoring-api'
+import { ObjectId } from 'mongodb'
 import ContentModule from '../lib/ContentModule.js'
 import ContentTree from '../lib/ContentTree.js'
 
@@ -36,10 +37,41 @@ function createInstance (overrides = {}) {
     mongodb: createMockMongodb(),
     find: mock.fn(async () => []),
     findOne: mock.fn(async () => null),
+    getConfig: mock.fn(() => undefined),
+    getFriendlyIdFormat: ContentModule.prototype.getFriendlyIdFormat,
+    findParentFriendlyId: ContentModule.prototype.findParentFriendlyId,
+    writeFriendlyIds: ContentModule.prototype.writeFriendlyIds,
     ...overrides
   }
 }
 
+/**
+ * Mocks what validateItems needs: every item passes validation unless its title isn't a string
+ */
+function createValidationMocks () {
+  return {
+    contentplugin: {
+      find: mock.fn(async () => [{ name: 'adapt-contrib-text', targetAttribute: '_text' }]),
+      getPluginSchemas: mock.fn(name => [`${name}-schema`]),
+      isPluginSchema: mock.fn(() => true)
+    },
+    jsonschema: {
+      getSchema: mock.fn(async () => ({
+        validate: mock.fn(async data => {
+          if (data.title !== undefined && typeof data.title !== 'string') {
+            throw Object.assign(new Error('VALIDATION_FAILED'), { data: { errors: 'title must be string' } })
+          }
+          return data
+        })
+      }))
+    },
+    _schemaCache: new Map(),
+    getCachedSchema: ContentModule.prototype.getCachedSchema,
+    validateItems: ContentModule.prototype.validateItems,
+    validateBundleContent: ContentModule.prototype.validateBundleContent
+  }
+}
+
 describe('ContentModule', () => {
   describe('getSchemaName', () => {
     const bind = (overrides) => ContentModule.prototype.getSchemaName.bind(createInstance(overrides))
@@ -150,7 +182,15 @@ describe('ContentModule', () => {
       }
     }
 
-    function createRecursiveInstance () {
+    const scaffoldDefaults = {
+      scaffoldComponent: 'adapt-contrib-text',
+      scaffoldData: {},
+      scaffoldArticleCount: 1,
+      scaffoldBlockCount: 1,
+      scaffoldMenu: false
+    }
+
+    function createRecursiveInstance (config = {}) {
       const insertCalls = []
       let id = 0
       const nextId = () => `id${++id}`
@@ -162,6 +202,7 @@ describe('ContentModule', () => {
         instance: {
           insert,
           findOne: mock.fn(async () => null),
+          getConfig: key => ({ ...scaffoldDefaults, ...config })[key],
           updateSortOrder: mock.fn(async () => {}),
           updateEnabledPlugins: mock.fn(async () => {})
         },
@@ -196,6 +237,107 @@ describe('ContentModule', () => {
       assert.equal(course.updatedBy, 'user1')
       assert.equal(course.title, 'My course')
     })
+
+    it('should create the default scaffold for a new course', async () => {
+      const { instance, insertCalls } = createRecursiveInstance()
+      await ContentModule.prototype.insertRecursive.call(instance, createReq())
+      assert.deepEqual(insertCalls.map(d => d._type), ['course', 'config', 'page', 'article', 'block', 'component'])
+      const component = insertCalls.at(-1)
+      assert.equal(component._component, 'adapt-contrib-text')
+      assert.equal(component._layout, 'full')
+      assert.equal(component.body, 'app.newtextcomponentbody')
+    })
+
+    it('should use the configured component and default fields', async () => {
+      const { instance, insertCalls } = createRecursiveInstance({
+        scaffoldComponent: 'adapt-contrib-graphic',
+        scaffoldData: { component: { _layout: 'left' }, page: { title: 'Untitled' } }
+      })
+      await ContentModule.prototype.insertRecursive.call(instance, createReq())
+      const component = insertCalls.at(-1)
+      assert.equal(component._component, 'adapt-contrib-graphic')
+      assert.equal(component._layout, 'left')
+      assert.equal(component.body, undefined, 'text placeholders are only for the text component')
+      assert.equal(insertCalls.find(d => d._type === 'page').title, 'Untitled')
+    })
+
+    it('should merge the configured default fields over the built-in ones', async () => {
+      const { instance, insertCalls } = createRecursiveInstance({
+        scaffoldData: { component: { _graphic: { alt: 'Image' } }, page: { _pageLevelProgress: { _isEnabled: true } } }
+      })
+      await ContentModule.prototype.insertRecursive.call(instance, createReq())
+      const component = insertCalls.at(-1)
+      assert.equal(component._layout, 'full', 'the built-in layout is kept')
+      assert.equal(component._component, 'adapt-contrib-text')
+      assert.equal(component.title, 'app.newtextcomponenttitle')
+      assert.deepEqual(component._graphic, { alt: 'Image' })
+      const page = insertCalls.find(d => d._type === 'page')
+      assert.equal(page.title, 'app.newpagetitle')
+      assert.deepEqual(page._pageLevelProgress, { _isEnabled: true })
+    })
+
+    it('should create the configured number of articles and blocks, numbered from 1', async () => {
+      const { instance, insertCalls } = createRecursiveInstance({ scaffoldArticleCount: 2, scaffoldBlockCount: 3 })
+      await ContentModule.prototype.insertRecursive.call(instance, createReq())
+      const ofType = type => insertCalls.filter(d => d._type === type)
+      assert.equal(ofType('page').length, 1)
+      assert.deepEqual(ofType('article').map(d => d._sortOrder), [1, 2])
+      assert.deepEqual(ofType('block').map(d => d._sortOrder), [1, 2, 3, 1, 2, 3])
+      assert.equal(ofType('component').length, 6)
+    })
+
+    it('should start a new course with a menu when configured', async () => {
+      const { instance, insertCalls } = createRecursiveInstance({ scaffoldMenu: true })
+      await ContentModule.prototype.insertRecursive.call(instance, createReq())
+      const [, , menu, page] = insertCalls
+      assert.equal(menu._type, 'menu')
+      assert.equal(page._type, 'page')
+      assert.notEqual(page._parentId, menu._parentId, 'the page goes under the menu, not the course')
+    })
+
+    it('should create one top item, without a _sortOrder, under an existing parent', async () => {
+      const { instance, insertCalls } = createRecursiveInstance({ scaffoldBlockCount: 2 })
+      instance.findOne = mock.fn(async () => ({ _id: 'page1', _type: 'page', _courseId: 'course1' }))
+      await ContentModule.prototype.insertRecursive.call(instance, createReq({ rootId: 'page1' }))
+      assert.deepEqual(insertCalls.map(d => d._type), ['article', 'block', 'component', 'block', 'component'])
+      assert.equal(insertCalls[0]._sortOrder, undefined)
+      assert.equal(insertCalls[0]._parentId, 'page1')
+    })
+
+    it('should create pages under an existing menu', async () => {
+      const { instance, insertCalls } = createRecursiveInstance()
+      instance.findOne = mock.fn(async () => ({ _id: 'menu1', _type: 'menu', _courseId: 'course1' }))
+      await ContentModule.prototype.insertRecursive.call(instance, createReq({ rootId: 'menu1' }))
+      assert.deepEqual(insertCalls.map(d => d._type), ['page', 'article', 'block', 'component'])
+    })
+  })
+
+  describe('checkScaffoldComponent', () => {
+    function makeError (code) {
+      return { code, setData: (d) => Object.assign(new Error(code), { code, data: d }) }
+    }
+
+    function createScaffoldInstance (plugins) {
+      return createInstance({
+        contentplugin: { find: mock.fn(async () => plugins) },
+        getConfig: () => 'adapt-contrib-custom',
+        app: { errors: { INVALID_SCAFFOLD_COMPONENT: makeError('INVALID_SCAFFOLD_COMPONENT') } }
+      })
+    }
+
+    it('should throw when the component plugin is not installed', async () => {
+      const inst = createScaffoldInstance([])
+      await assert.rejects(
+        () => ContentModule.prototype.checkScaffoldComponent.call(inst),
+        err => err.code === 'INVALID_SCAFFOLD_COMPONENT' && err.data.name === 'adapt-contrib-custom'
+      )
+      assert.deepEqual(inst.contentplugin.find.mock.calls[0].arguments[0], { name: 'adapt-contrib-custom', type: 'component' })
+    })
+
+    it('should pass when the component plugin is installed', async () => {
+      const inst = createScaffoldInstance([{ _id: 'p1' }])
+      await ContentModule.prototype.checkScaffoldComponent.call(inst)
+    })
   })
 
   describe('update guards', () => {
@@ -281,6 +423,7 @@ describe('ContentModule', () => {
     const bind = (overrides) => {
       const inst = createInstance(overrides)
       inst.findMaxSeq = ContentModule.prototype.findMaxSeq.bind(inst)
+      inst.reserveFriendlySeqs = ContentModule.prototype.reserveFriendlySeqs.bind(inst)
       return ContentModule.prototype.generateFriendlyIds.bind(inst)
     }
 
@@ -333,6 +476,47 @@ describe('ContentModule', () => {
       assert.equal(mongodb.collection.findOneAndUpdate.mock.callCount(), 1)
       assert.deepEqual(mongodb.collection.findOneAndUpdate.mock.calls[0].arguments[1], { $inc: { seq: 1 } })
     })
+
+    it('should use the configured format, with the parent ID', async () => {
+      const mongodb = createMockMongodb({
+        findOne: mock.fn(async () => ({ seq: 6 })),
+        findOneAndUpdate: mock.fn(async () => ({ seq: 8 }))
+      })
+      const getConfig = mock.fn(() => ({ block: { prefix: 'blk', padding: 3, includeParent: true } }))
+      const result = await bind({ mongodb, getConfig })('block', COURSE_ID, 2, undefined, { parentFriendlyId: 'a-2' })
+      assert.deepEqual(result, ['a-2-blk-007', 'a-2-blk-008'])
+      assert.equal(getConfig.mock.calls[0].arguments[0], 'friendlyIdFormats')
+    })
+  })
+
+  describe('peekFriendlySeqs', () => {
+    const bind = (overrides) => {
+      const inst = createInstance(overrides)
+      inst.findMaxSeq = ContentModule.prototype.findMaxSeq.bind(inst)
+      return { inst, peek: ContentModule.prototype.peekFriendlySeqs.bind(inst) }
+    }
+
+    it('should continue from the counter without changing it', async () => {
+      const mongodb = createMockMongodb({ findOne: mock.fn(async () => ({ seq: 7 })) })
+      const { peek } = bind({ mongodb })
+      assert.deepEqual(await peek('block', COURSE_ID, 2), [8, 9])
+      assert.equal(mongodb.collection.updateOne.mock.callCount(), 0)
+      assert.equal(mongodb.collection.findOneAndUpdate.mock.callCount(), 0)
+    })
+
+    it('should fall back to existing content when there is no counter', async () => {
+      const docs = [{ _friendlyId: 'b-12' }]
+      const mongodb = createMockMongodb({ find: mock.fn(() => ({ toArray: mock.fn(async () => docs) })) })
+      const { peek } = bind({ mongodb })
+      assert.deepEqual(await peek('block', COURSE_ID, 1), [13])
+      assert.equal(mongodb.collection.updateOne.mock.callCount(), 0)
+    })
+
+    it('should start from 1 for a course which does not exist yet', async () => {
+      const { inst, peek } = bind()
+      assert.deepEqual(await peek('page', null, 2), [1, 2])
+      assert.equal(inst.mongodb.getCollection.mock.callCount(), 0)
+    })
   })
 
   describe('findMaxSeq', () => {
@@ -360,6 +544,42 @@ describe('ContentModule', () => {
       const docs = [{ _friendlyId: 'config' }, { _friendlyId: 'b-15' }]
       assert.equal(await bind(docs)('block', COURSE_ID), 15)
     })
+
+    it('should parse the configured format', async () => {
+      const docs = [{ _friendlyId: 'b-90' }, { _friendlyId: 'BLK_0012' }]
+      const inst = createInstance({
+        mongodb: createMockMongodb({ find: mock.fn(() => ({ toArray: mock.fn(async () => docs) })) }),
+        getConfig: () => ({ block: { prefix: 'BLK', separator: '_', padding: 4 } })
+      })
+      assert.equal(await ContentModule.prototype.findMaxSeq.call(inst, 'block', COURSE_ID), 12)
+    })
+  })
+
+  describe('findParentFriendlyId', () => {
+    const includeParent = () => ({ block: { includeParent: true } })
+
+    it('should not look up the parent unless a format includes it', async () => {
+      const inst = createInstance({ getConfig: () => ({ block: { prefix: 'blk' } }) })
+      assert.equal(await ContentModule.prototype.findParentFriendlyId.call(inst, { _id: 'a1' }), undefined)
+      assert.equal(inst.findOne.mock.callCount(), 0)
+    })
+
+    it('should use the parent\'s friendly ID when it has one', async () => {
+      const inst = createInstance({ getConfig: includeParent })
+      assert.equal(await ContentModule.prototype.findParentFriendlyId.call(inst, { _id: 'a1', _friendlyId: 'a-1' }), 'a-1')
+      assert.equal(inst.findOne.mock.callCount(), 0)
+    })
+
+    it('should look up the parent\'s friendly ID otherwise', async () => {
+      const inst = createInstance({ getConfig: includeParent, findOne: mock.fn(async () => ({ _friendlyId: 'a-4' })) })
+      assert.equal(await ContentModule.prototype.findParentFriendlyId.call(inst, { _id: 'a1' }), 'a-4')
+      assert.deepEqual(inst.findOne.mock.calls[0].arguments[0], { _id: 'a1' })
+    })
+
+    it('should return nothing without a parent', async () => {
+      const inst = createInstance({ getConfig: includeParent })
+      assert.equal(await ContentModule.prototype.findParentFriendlyId.call(inst, undefined), undefined)
+    })
   })
 
   describe('deleteCounters', () => {
@@ -396,12 +616,13 @@ describe('ContentModule', () => {
       const inst = createInstance({
         mongodb,
         app: { errors: { NOT_FOUND: makeError('NOT_FOUND'), INVALID_PARENT: makeError('INVALID_PARENT') } },
-        generateFriendlyIds: mock.fn(async (_type, _courseId, count) => {
-          return Array.from({ length: count }, (_, i) => `${_type[0]}-${i + 1}`)
+        reserveFriendlySeqs: mock.fn(async (_type, _courseId, count) => {
+          return Array.from({ length: count }, (_, i) => i + 1)
         }),
         getSchema: mock.fn(async () => ({})),
         updateEnabledPlugins: mock.fn(async () => {}),
         updateSortOrder: mock.fn(async () => {}),
+        collectCloneItems: ContentModule.prototype.collectCloneItems,
         preCloneHook: { invoke: mock.fn(async () => {}) },
         preInsertHook: { invoke: mock.fn(async () => {}) },
         postInsertHook: { invoke: mock.fn(async () => {}) },
@@ -459,6 +680,8 @@ describe('ContentModule', () => {
       // root payload should have customData applied
       assert.equal(result.title, 'Cloned')
       assert.equal(result.createdBy.toString(), USER_OID)
+      // every copy was last updated by the cloning user, not the source's last editor
+      assert.ok(inserted.every(i => i.updatedBy.toString() === USER_OID))
     })
 
     it('should clone a course with config', async () => {
@@ -586,11 +809,350 @@ describe('ContentModule', () => {
       const blockTrackingIds = inserted.filter(d => d._type === 'block').map(d => d._trackingId)
       assert.deepEqual(blockTrackingIds.sort(), [5, 6, 7])
     })
+
+    it('should keep friendly IDs which are free in the destination when preserveFriendlyIds is set', async () => {
+      const { inst, mongodb } = createCloneInstance()
+      inst.findFreeFriendlyIds = mock.fn(async () => new Set([ART_OID]))
+      const items = [
+        { _id: PAGE_OID, _type: 'page', _parentId: COURSE_OID, _courseId: COURSE_OID, _friendlyId: 'p-9' },
+        { _id: ART_OID, _type: 'article', _parentId: PAGE_OID, _courseId: COURSE_OID, _friendlyId: 'a-7' }
+      ]
+      const parent = { _id: PARENT_OID, _type: 'course', _courseId: PARENT_OID }
+      await ContentModule.prototype.clone.call(inst, USER_OID, PAGE_OID, PARENT_OID, {}, { tree: new ContentTree(items), parent, preserveFriendlyIds: true })
+
+      const inserted = mongodb.collection.insertMany.mock.calls[0].arguments[0]
+      assert.deepEqual(inserted.map(i => i._friendlyId), ['p-1', 'a-7'])
+      assert.deepEqual(inst.reserveFriendlySeqs.mock.calls.map(c => [c.arguments[0], c.arguments[2]]), [['page', 1]])
+    })
+
+    describe('dryRun', () => {
+      const OTHER_OID = '507f1f77bcf86cd79943a040'
+      const items = [
+        { _id: COURSE_OID, _type: 'course', _courseId: COURSE_OID },
+        { _id: PAGE_OID, _type: 'page', _parentId: COURSE_OID, _courseId: COURSE_OID },
+        { _id: ART_OID, _type: 'article', _parentId: PAGE_OID, _courseId: COURSE_OID, _assetIds: ['asset-1'] },
+        { _id: BLOCK_OID, _type: 'block', _parentId: ART_OID, _courseId: COURSE_OID, _assetIds: ['asset-1', 'asset-2'] },
+        { _id: COMP_OID, _type: 'component', _parentId: BLOCK_OID, _courseId: COURSE_OID, _component: 'adapt-contrib-text' }
+      ]
+
+      function createPreviewInstance () {
+        const { inst, mongodb } = createCloneInstance()
+        inst.previewClone = ContentModule.prototype.previewClone
+        inst.peekFriendlySeqs = mock.fn(async (_type, _courseId, count) => Array.from({ length: count }, (_, i) => i + 10))
+        inst.checkCloneCompatibility = mock.fn(async () => ({ compatible: false, missingComponents: [{ _component: 'adapt-contrib-text', _ids: [COMP_OID] }], droppedExtensions: [] }))
+        return { inst, mongodb }
+      }
+
+      it('should report what would be created without writing', async () => {
+        const { inst, mongodb } = createPreviewInstance()
+        const parent = { _id: COURSE_OID, _type: 'course', _courseId: COURSE_OID }
+        const result = await ContentModule.prototype.clone.call(inst, USER_OID, PAGE_OID, COURSE_OID, {}, { tree: new ContentTree(items), parent, dryRun: true })
+
+        assert.deepEqual(result, {
+          dryRun: true,
+          destinationCourseId: COURSE_OID,
+          counts: { page: 1, article: 1, block: 1, component: 1 },
+          friendlyIds: { page: ['p-10'], article: ['a-10'], block: ['b-10'], component: ['c-10'] },
+          sortOrders: {},
+          assetIds: ['asset-1', 'asset-2'],
+          problems: []
+        })
+        assert.equal(inst.checkCloneCompatibility.mock.callCount(), 0)
+        assert.equal(inst.reserveFriendlySeqs.mock.callCount(), 0)
+        assert.equal(mongodb.collection.insertMany.mock.callCount(), 0)
+        assert.equal(inst.updateSortOrder.mock.callCount(), 0)
+      })
+
+      it('should list an invalid parent as a problem', async () => {
+        const { inst } = createPreviewInstance()
+        inst.findOne = mock.fn(async () => null)
+        const result = await ContentModule.prototype.clone.call(inst, USER_OID, PAGE_OID, 'bad-parent', {}, { tree: new ContentTree(items), dryRun: true })
+
+        assert.deepEqual(result.problems, [{ code: 'INVALID_PARENT', data: { parentId: 'bad-parent' } }])
+        assert.deepEqual(result.friendlyIds, {})
+        assert.equal(result.counts.page, 1)
+      })
+
+      it('should list plugin problems for another course, stripping when asked', async () => {
+        const { inst } = createPreviewInstance()
+        const parent = { _id: OTHER_OID, _type: 'course', _courseId: OTHER_OID }
+        const result = await ContentModule.prototype.clone.call(inst, USER_OID, PAGE_OID, OTHER_OID, {}, { tree: new ContentTree(items), parent, dryRun: true, onIncompatible: 'strip' })
+
+        assert.equal(result.problems[0].code, 'CLONE_INCOMPATIBLE')
+        assert.equal(result.counts.component, undefined)
+        assert.equal(inst.peekFriendlySeqs.mock.calls[0].arguments[1], OTHER_OID)
+      })
+
+      it('should keep free friendly IDs with preserveFriendlyIds, without raising the counters', async () => {
+        const { inst } = createPreviewInstance()
+        inst.findFreeFriendlyIds = mock.fn(async () => new Set([ART_OID]))
+        const kept = items.map(i => i._id === ART_OID ? { ...i, _friendlyId: 'a-12' } : i)
+        const parent = { _id: COURSE_OID, _type: 'course', _courseId: COURSE_OID }
+        const result = await ContentModule.prototype.clone.call(inst, USER_OID, PAGE_OID, COURSE_OID, { _friendlyId: 'p-custom' }, { tree: new ContentTree(kept), parent, dryRun: true, preserveFriendlyIds: true })
+
+        assert.deepEqual(inst.findFreeFriendlyIds.mock.calls[0].arguments[2], { raiseCounters: false })
+        assert.deepEqual(result.friendlyIds, { page: ['p-custom'], article: ['a-12'], block: ['b-10'], component: ['c-10'] })
+        assert.equal(result.counts.article, 1)
+      })
+
+      it('should number new IDs after the kept ones, as the clone would', async () => {
+        const { inst } = createPreviewInstance()
+        const kept = [
+          ...items.slice(0, 3),
+          { _id: BLOCK_OID, _type: 'block', _parentId: ART_OID, _courseId: COURSE_OID, _friendlyId: 'b-30' },
+          { _id: OTHER_OID, _type: 'block', _parentId: ART_OID, _courseId: COURSE_OID, _friendlyId: 'b-30' }
+        ]
+        inst.findFreeFriendlyIds = mock.fn(async () => new Set([BLOCK_OID]))
+        const parent = { _id: COURSE_OID, _type: 'course', _courseId: COURSE_OID }
+        const result = await ContentModule.prototype.clone.call(inst, USER_OID, PAGE_OID, COURSE_OID, {}, { tree: new ContentTree(kept), parent, dryRun: true, preserveFriendlyIds: true })
+
+        assert.deepEqual(result.friendlyIds.block, ['b-30', 'b-31'])
+      })
+
+      it('should report the positions of a batch\'s roots', async (t) => {
+        const { inst } = createPreviewInstance()
+        inst.app.errors.INVALID_PARENT_TYPE = makeError('INVALID_PARENT_TYPE')
+        inst.getCloneRoots = ContentModule.prototype.getCloneRoots
+        t.mock.method(AbstractApiModule.prototype, 'find', async () => [{ _id: 's1' }, { _id: 's2' }, { _id: 's3' }])
+        const parent = { _id: PAGE_OID, _type: 'page', _courseId: COURSE_OID }
+        const overrides = { [ART_OID]: { _friendlyId: 'a-own' } }
+        const result = await ContentModule.prototype.clone.call(inst, USER_OID, [ART_OID], PAGE_OID, { _sortOrder: 2 }, { tree: new ContentTree(items), parent, dryRun: true, overrides })
+
+        assert.deepEqual(result.sortOrders, { [ART_OID]: 2 })
+        assert.deepEqual(result.friendlyIds.article, ['a-own'])
+      })
+
+      it('should report a new course for a course clone', async () => {
+        const { inst } = createPreviewInstance()
+        const result = await ContentModule.prototype.clone.call(inst, USER_OID, COURSE_OID, undefined, {}, { tree: new ContentTree(items), dryRun: true })
+
+        assert.equal(result.destinationCourseId, null)
+        assert.equal(result.friendlyIds.course, undefined)
+        assert.deepEqual(result.problems, [])
+      })
+    })
+
+    describe('several items', () => {
+      const ART2_OID = '507f1f77bcf86cd79943a020'
+      const BLOCK2_OID = '507f1f77bcf86cd79943a021'
+      const DEST_ART_OID = '507f1f77bcf86cd79943a022'
+      const items = [
+        { _id: COURSE_OID, _type: 'course', _courseId: COURSE_OID },
+        { _id: PAGE_OID, _type: 'page', _parentId: COURSE_OID, _courseId: COURSE_OID },
+        { _id: ART_OID, _type: 'article', _parentId: PAGE_OID, _courseId: COURSE_OID },
+        { _id: ART2_OID, _type: 'article', _parentId: PAGE_OID, _courseId: COURSE_OID },
+        { _id: BLOCK_OID, _type: 'block', _parentId: ART_OID, _courseId: COURSE_OID, title: 'B1' },
+        { _id: COMP_OID, _type: 'component', _parentId: BLOCK_OID, _courseId: COURSE_OID, _component: 'adapt-contrib-text' },
+        { _id: BLOCK2_OID, _type: 'block', _parentId: ART2_OID, _courseId: COURSE_OID, title: 'B2' },
+        { _id: DEST_ART_OID, _type: 'article', _parentId: PAGE_OID, _courseId: COURSE_OID }
+      ]
+      const parent = { _id: DEST_ART_OID, _type: 'article', _courseId: COURSE_OID }
+
+      function createBatchInstance (t, siblings = []) {
+        const { inst, mongodb } = createCloneInstance({ bulkWrite: mock.fn(async () => {}) })
+        inst.app.errors.INVALID_PARENT_TYPE = makeError('INVALID_PARENT_TYPE')
+        inst.app.errors.CLONE_MIXED_COURSES = makeError('CLONE_MIXED_COURSES')
+        inst.getCloneRoots = ContentModule.prototype.getCloneRoots
+        t.mock.method(AbstractApiModule.prototype, 'find', async () => siblings.map(s => ({ ...s })))
+        return { inst, mongodb }
+      }
+
+      it('should clone the selection in one insertMany with one friendly ID allocation per type', async (t) => {
+        const { inst, mongodb } = createBatchInstance(t)
+        const result = await ContentModule.prototype.clone.call(inst, USER_OID, [BLOCK2_OID, BLOCK_OID], DEST_ART_OID, {}, { tree: new ContentTree(items), parent })
+
+        assert.equal(mongodb.collection.insertMany.mock.callCount(), 1)
+        assert.equal(mongodb.collection.insertMany.mock.calls[0].arguments[0].length, 3)
+        assert.deepEqual(inst.reserveFriendlySeqs.mock.calls.map(c => [c.arguments[0], c.arguments[2]]), [['block', 2], ['component', 1]])
+        assert.deepEqual(result.map(r => r.title), ['B2', 'B1'])
+        assert.ok(result.every(r => r._parentId.toString() === DEST_ART_OID))
+        assert.equal(inst.updateSortOrder.mock.callCount(), 0)
+      })
+
+      it('should place the copies together in selection order and renumber the siblings', async (t) => {
+        const siblings = [{ _id: 's1', _sortOrder: 1 }, { _id: 's2', _sortOrder: 2 }]
+        const { inst, mongodb } = createBatchInstance(t, siblings)
+        const result = await ContentModule.prototype.clone.call(inst, USER_OID, [BLOCK2_OID, BLOCK_OID], DEST_ART_OID, { _sortOrder: 2 }, { tree: new ContentTree(items), parent })
+
+        assert.deepEqual(result.map(r => r._sortOrder), [2, 3])
+        const ops = mongodb.collection.bulkWrite.mock.calls[0].arguments[0]
+        assert.deepEqual(ops, [{ updateOne: { filter: { _id: 's2' }, update: { $set: { _sortOrder: 4 } } } }])
+      })
+
+      it('should apply overrides to their own root over the shared data', async (t) => {
+        const { inst } = createBatchInstance(t)
+        const overrides = { [BLOCK_OID]: { title: 'First copy' } }
+        const result = await ContentModule.prototype.clone.call(inst, USER_OID, [BLOCK2_OID, BLOCK_OID], DEST_ART_OID, { title: 'Copy', _isOptional: true }, { tree: new ContentTree(items), parent, overrides })
+
+        assert.deepEqual(result.map(r => r.title), ['Copy', 'First copy'])
+        assert.ok(result.every(r => r._isOptional === true))
+      })
+
+      it('should reject a shared friendly ID', async (t) => {
+        const { inst, mongodb } = createBatchInstance(t)
+        inst.app.errors.CLONE_BATCH_DATA = makeError('CLONE_BATCH_DATA')
+        await assert.rejects(
+          () => ContentModule.prototype.clone.call(inst, USER_OID, [BLOCK2_OID, BLOCK_OID], DEST_ART_OID, { _friendlyId: 'b-1' }, { tree: new ContentTree(items), parent }),
+          (err) => err.code === 'CLONE_BATCH_DATA' && err.data.fields[0] === '_friendlyId'
+        )
+        assert.equal(mongodb.collection.insertMany.mock.callCount(), 0)
+      })
+
+      it('should skip items inside another selected item', async (t) => {
+        const { inst, mongodb } = createBatchInstance(t)
+        const page = { _id: PAGE_OID, _type: 'page', _courseId: COURSE_OID }
+        const result = await ContentModule.prototype.clone.call(inst, USER_OID, [ART_OID, BLOCK_OID], PAGE_OID, {}, { tree: new ContentTree(items), parent: page })
+
+        assert.equal(result.length, 1)
+        assert.equal(mongodb.collection.insertMany.mock.calls[0].arguments[0].length, 3)
+      })
+
+      it('should reject items which cannot go under the parent', async (t) => {
+        const { inst } = createBatchInstance(t)
+        await assert.rejects(
+          () => ContentModule.prototype.clone.call(inst, USER_OID, [BLOCK_OID, ART_OID], DEST_ART_OID, {}, { tree: new ContentTree(items), parent }),
+          (err) => err.code === 'INVALID_PARENT_TYPE' && err.data._id === ART_OID
+        )
+      })
+
+      it('should reject items from another course', async (t) => {
+        const { inst, mongodb } = createBatchInstance(t)
+        inst.findOne = mock.fn(async () => ({ _courseId: 'other-course' }))
+        await assert.rejects(
+          () => ContentModule.prototype.clone.call(inst, USER_OID, [BLOCK_OID, 'elsewhere'], DEST_ART_OID, {}, { tree: new ContentTree(items), parent }),
+          (err) => err.code === 'CLONE_MIXED_COURSES' && err.data._courseId === 'other-course'
+        )
+        assert.equal(mongodb.collection.insertMany.mock.callCount(), 0)
+      })
+
+      it('should require a parent', async (t) => {
+        const { inst } = createBatchInstance(t)
+        await assert.rejects(
+          () => ContentModule.prototype.clone.call(inst, USER_OID, [BLOCK_OID], undefined, {}, { tree: new ContentTree(items) }),
+          (err) => err.code === 'INVALID_PARENT'
+        )
+      })
+    })
+
+    it('should point the clone at copies of its assets with duplicateAssets', async () => {
+      const { inst, mongodb } = createCloneInstance()
+      const copies = [{ asset: { _id: 'asset-1' }, _id: 'copy-1' }]
+      inst.planAssetCopies = mock.fn(async () => copies)
+      inst.duplicateAssets = mock.fn(async () => {})
+      inst.getSchema = mock.fn(async () => ({
+        walk: (data) => data._graphic ? [{ key: 'src', data: data._graphic, value: data._graphic.src }] : []
+      }))
+      inst.computeSummary = mock.fn(async () => ['new summary'])
+      const items = [
+        { _id: PAGE_OID, _type: 'page', _parentId: COURSE_OID, _courseId: COURSE_OID },
+        { _id: ART_OID, _type: 'article', _parentId: PAGE_OID, _courseId: COURSE_OID, _graphic: { src: 'asset-1' }, _assetIds: ['asset-1'], _summary: [] }
+      ]
+      const parent = { _id: COURSE_OID, _type: 'course', _courseId: COURSE_OID }
+      await ContentModule.prototype.clone.call(inst, USER_OID, PAGE_OID, COURSE_OID, {}, { tree: new ContentTree(items), parent, duplicateAssets: true })
+
+      assert.deepEqual(inst.planAssetCopies.mock.calls[0].arguments, [['asset-1']])
+      assert.deepEqual(inst.duplicateAssets.mock.calls[0].arguments, [copies, USER_OID])
+      const article = mongodb.collection.insertMany.mock.calls[0].arguments[0][1]
+      assert.equal(article._graphic.src, 'copy-1')
+      assert.deepEqual(article._assetIds, ['copy-1'])
+      assert.deepEqual(article._summary, ['new summary'])
+      assert.equal(items[1]._graphic.src, 'asset-1', 'source is untouched')
+    })
+
+    it('should not copy any assets when the insert fails', async () => {
+      const { inst } = createCloneInstance({ insertMany: mock.fn(async () => { throw new Error('fail') }) })
+      inst.planAssetCopies = mock.fn(async () => [{ asset: { _id: 'asset-1' }, _id: 'copy-1' }])
+      inst.duplicateAssets = mock.fn(async () => {})
+      inst.getSchema = mock.fn(async () => ({ walk: () => [] }))
+      const items = [{ _id: PAGE_OID, _type: 'page', _parentId: COURSE_OID, _courseId: COURSE_OID, _assetIds: ['asset-1'] }]
+      const parent = { _id: COURSE_OID, _type: 'course', _courseId: COURSE_OID }
+      await assert.rejects(() => ContentModule.prototype.clone.call(inst, USER_OID, PAGE_OID, COURSE_OID, {}, { tree: new ContentTree(items), parent, duplicateAssets: true }))
+
+      assert.equal(inst.duplicateAssets.mock.callCount(), 0)
+    })
+
+    it('should remove the cloned content when copying its assets fails', async () => {
+      const { inst, mongodb } = createCloneInstance()
+      inst.planAssetCopies = mock.fn(async () => [{ asset: { _id: 'asset-1' }, _id: 'copy-1' }])
+      inst.duplicateAssets = mock.fn(async () => { throw new Error('disk full') })
+      inst.getSchema = mock.fn(async () => ({ walk: () => [] }))
+      const items = [{ _id: PAGE_OID, _type: 'page', _parentId: COURSE_OID, _courseId: COURSE_OID, _assetIds: ['asset-1'] }]
+      const parent = { _id: COURSE_OID, _type: 'course', _courseId: COURSE_OID }
+      await assert.rejects(() => ContentModule.prototype.clone.call(inst, USER_OID, PAGE_OID, COURSE_OID, {}, { tree: new ContentTree(items), parent, duplicateAssets: true }), /disk full/)
+
+      const newId = mongodb.collection.insertMany.mock.calls[0].arguments[0][0]._id
+      assert.deepEqual(mongodb.collection.deleteMany.mock.calls[0].arguments[0], { _id: { $in: [newId] } })
+      assert.equal(inst.postInsertHook.invoke.mock.callCount(), 0)
+    })
+
+    describe('into another course', () => {
+      const DEST_OID = '507f1f77bcf86cd79943a010'
+      const items = [
+        { _id: PAGE_OID, _type: 'page', _parentId: COURSE_OID, _courseId: COURSE_OID, _trickle: {} },
+        { _id: ART_OID, _type: 'article', _parentId: PAGE_OID, _courseId: COURSE_OID },
+        { _id: BLOCK_OID, _type: 'block', _parentId: ART_OID, _courseId: COURSE_OID },
+        { _id: COMP_OID, _type: 'component', _parentId: BLOCK_OID, _courseId: COURSE_OID, _component: 'adapt-contrib-missing' }
+      ]
+      const report = {
+        compatible: false,
+        missingComponents: [{ _component: 'adapt-contrib-missing', _ids: [COMP_OID] }],
+        addedComponents: [],
+        droppedExtensions: [{ attribute: '_trickle', _ids: [PAGE_OID] }]
+      }
+      const parent = { _id: DEST_OID, _type: 'course', _courseId: DEST_OID }
+
+      function createIncompatibleInstance () {
+        const { inst, mongodb } = createCloneInstance()
+        inst.app.errors.CLONE_INCOMPATIBLE = makeError('CLONE_INCOMPATIBLE')
+        inst.checkCloneCompatibility = mock.fn(async () => report)
+        return { inst, mongodb }
+      }
+
+      it('should abort with the report when onIncompatible is abort', async () => {
+        const { inst, mongodb } = createIncompatibleInstance()
+        await assert.rejects(
+          () => ContentModule.prototype.clone.call(inst, USER_OID, PAGE_OID, DEST_OID, {}, { tree: new ContentTree(items), parent, onIncompatible: 'abort' }),
+          (err) => err.code === 'CLONE_INCOMPATIBLE' && err.data === report
+        )
+        assert.equal(inst.checkCloneCompatibility.mock.calls[0].arguments[1], DEST_OID)
+        assert.equal(mongodb.collection.insertMany.mock.callCount(), 0)
+      })
+
+      it('should leave out incompatible data when onIncompatible is strip', async () => {
+        const { inst, mongodb } = createIncompatibleInstance()
+        await ContentModule.prototype.clone.call(inst, USER_OID, PAGE_OID, DEST_OID, {}, { tree: new ContentTree(items), parent, onIncompatible: 'strip' })
+        const inserted = mongodb.collection.insertMany.mock.calls[0].arguments[0]
+        assert.deepEqual(inserted.map(i => i._type), ['page', 'article', 'block'])
+        assert.equal(inserted[0]._trickle, undefined)
+      })
+
+      it('should not check compatibility without onIncompatible', async () => {
+        const { inst, mongodb } = createIncompatibleInstance()
+        await ContentModule.prototype.clone.call(inst, USER_OID, PAGE_OID, DEST_OID, {}, { tree: new ContentTree(items), parent })
+        assert.equal(inst.checkCloneCompatibility.mock.callCount(), 0)
+        assert.equal(mongodb.collection.insertMany.mock.calls[0].arguments[0].length, 4)
+      })
+
+      it('should not check compatibility within the same course', async () => {
+        const { inst } = createIncompatibleInstance()
+        const sameCourse = { _id: COURSE_OID, _type: 'course', _courseId: COURSE_OID }
+        await ContentModule.prototype.clone.call(inst, USER_OID, PAGE_OID, COURSE_OID, {}, { tree: new ContentTree(items), parent: sameCourse, onIncompatible: 'abort' })
+        assert.equal(inst.checkCloneCompatibility.mock.callCount(), 0)
+      })
+    })
   })
 
   describe('handleTree', () => {
+    // the course lookup + access check live in checkCourseReadAccess, so run the real one
+    function createTreeInstance (overrides) {
+      const inst = createInstance(overrides)
+      inst.checkCourseReadAccess = ContentModule.prototype.checkCourseReadAccess.bind(inst)
+      inst.canReadCourse = ContentModule.prototype.canReadCourse.bind(inst)
+      return inst
+    }
+
     it('should return 304 when the ETag matches (content + shape unchanged)', async () => {
-      const inst = createInstance({
+      const inst = createTreeInstance({
         findOne: mock.fn(async () => ({ updatedAt: new Date('2025-01-01T00:00:00Z') })),
         find: mock.fn(async () => [])
       })
@@ -622,7 +1184,7 @@ describe('ContentModule', () => {
     it('should serve the tree (not 304) when the ETag no longer matches the response shape', async () => {
       // a cached ETag from before a treeFields change must not short-circuit to
       // 304 — otherwise the new field stays missing for unedited courses
-      const inst = createInstance({
+      const inst = createTreeInstance({
         findOne: mock.fn(async () => ({ updatedAt: new Date('2025-01-01T00:00:00Z') })),
         find: mock.fn(async () => [{ _id: COURSE_ID, _type: 'course', _courseId: COURSE_ID }])
       })
@@ -651,7 +1213,7 @@ describe('ContentModule', () => {
         { _id: 'page1', _type: 'page', _parentId: COURSE_ID, _courseId: COURSE_ID },
         { _id: 'art1', _type: 'article', _parentId: 'page1', _courseId: COURSE_ID }
       ]
-      const inst = createInstance({
+      const inst = createTreeInstance({
         findOne: mock.fn(async () => ({ updatedAt: lastModified })),
         find: mock.fn(async () => items)
       })
@@ -685,7 +1247,7 @@ describe('ContentModule', () => {
     })
 
     it('should call next on error', async () => {
-      const inst = createInstance({
+      const inst = createTreeInstance({
         findOne: mock.fn(async () => { throw new Error('db error') })
       })
       const req = { auth: { isSuper: true }, apiData: { query: { _courseId: COURSE_ID } }, headers: {} }
@@ -700,7 +1262,7 @@ describe('ContentModule', () => {
       const lastModified = new Date('2025-01-15T00:00:00Z')
       const course = { _id: COURSE_ID, _type: 'course', updatedAt: lastModified }
       const checkAccess = mock.fn(async () => course)
-      const inst = createInstance({
+      const inst = createTreeInstance({
         checkAccess,
         findOne: mock.fn(async () => course),
         find: mock.fn(async () => [{ _id: COURSE_ID, _type: 'course', _courseId: COURSE_ID }])
@@ -717,11 +1279,11 @@ describe('ContentModule', () => {
     })
 
     it('should 404 (not leak existence) when the access check denies the course', async () => {
-      const checkAccess = mock.fn(async () => { throw new Error('UNAUTHORISED') })
-      const inst = createInstance({
+      const checkAccess = mock.fn(async () => { throw Object.assign(new Error('UNAUTHORISED'), { code: 'UNAUTHORISED' }) })
+      const inst = createTreeInstance({
         checkAccess,
         findOne: mock.fn(async () => ({ _id: COURSE_ID, _type: 'course', updatedAt: new Date() })),
-        app: { errors: { NOT_FOUND: { setData: () => new Error('NOT_FOUND') } } }
+        app: { errors: { NOT_FOUND: { setData: () => new Error('NOT_FOUND') }, UNAUTHORISED: { code: 'UNAUTHORISED' } } }
       })
       const req = { auth: { isSuper: false, user: {} }, apiData: { query: { _courseId: COURSE_ID } }, headers: {} }
       const next = mock.fn()
@@ -734,7 +1296,7 @@ describe('ContentModule', () => {
 
     it('should skip the access check for super users', async () => {
       const checkAccess = mock.fn(async () => { throw new Error('should not run for super') })
-      const inst = createInstance({
+      const inst = createTreeInstance({
         checkAccess,
         findOne: mock.fn(async () => ({ _id: COURSE_ID, _type: 'course', updatedAt: new Date('2025-01-15T00:00:00Z') })),
         find: mock.fn(async () => [])
@@ -943,7 +1505,11 @@ describe('ContentModule', () => {
         postDeleteHook: { invoke: postDeleteInvoke },
         updateEnabledPlugins: mock.fn(async () => {}),
         updateSortOrder: mock.fn(async () => {}),
-        deleteCounters: mock.fn(async () => {}),
+        deleteCourseData: mock.fn(async () => {}),
+        moveToTrash: mock.fn(async () => {}),
+        recordDeleteRevisions: mock.fn(async () => {}),
+        getConfig: mock.fn(() => undefined),
+        mongodb: { find: mock.fn(async (c, q) => q._id.$in.map(_id => ({ _id, title: 'Full' }))) },
         app: { waitForModule: mock.fn(async () => ({ deleteMany: mongoDeleteMany })) },
         ...overrides
       }
@@ -979,6 +1545,40 @@ describe('ContentModule', () => {
       assert.equal(hookPayload.length, 5, 'hook receives the full descendant array')
     })
 
+    it('should remove the course-level data of a deleted course', async (t) => {
+      const course = { _id: COURSE_OID, _type: 'course', _courseId: COURSE_OID }
+      const { inst } = createDeleteInstance({ findOne: mock.fn(async () => course) })
+      t.mock.method(AbstractApiModule.prototype, 'find', async () => [course])
+      t.mock.method(AbstractApiModule.prototype, 'delete', async () => {})
+
+      await ContentModule.prototype.delete.call(inst, { _id: COURSE_OID })
+
+      assert.deepEqual(inst.deleteCourseData.mock.calls[0].arguments, [[COURSE_OID]])
+      assert.equal(inst.recordDeleteRevisions.mock.callCount(), 0, 'its revisions are removed with it')
+    })
+
+    it('should record a revision of each full deleted document, attributed to deletedBy', async (t) => {
+      const targetDoc = { _id: TARGET_OID, _type: 'page', _courseId: COURSE_OID, title: 'Target' }
+      const { inst } = createDeleteInstance({ findOne: mock.fn(async () => targetDoc) })
+      t.mock.method(AbstractApiModule.prototype, 'find', async () => [targetDoc, { _id: 'desc1', _parentId: TARGET_OID, _type: 'article', _courseId: COURSE_OID }])
+      t.mock.method(AbstractApiModule.prototype, 'delete', async () => {})
+
+      await ContentModule.prototype.delete.call(inst, { _id: TARGET_OID }, { deletedBy: 'user1' })
+
+      assert.deepEqual(inst.recordDeleteRevisions.mock.calls[0].arguments, [[targetDoc, { _id: 'desc1', title: 'Full' }], 'user1'])
+    })
+
+    it('should keep the course-level data of a trashed course', async (t) => {
+      const course = { _id: COURSE_OID, _type: 'course', _courseId: COURSE_OID }
+      const { inst } = createDeleteInstance({ findOne: mock.fn(async () => course) })
+      t.mock.method(AbstractApiModule.prototype, 'find', async () => [course])
+      t.mock.method(AbstractApiModule.prototype, 'delete', async () => {})
+
+      await ContentModule.prototype.delete.call(inst, { _id: COURSE_OID }, { softDelete: true, deleteAssetIds: ['a1'] })
+      assert.equal(inst.deleteCourseData.mock.callCount(), 0)
+      assert.deepEqual(inst.moveToTrash.mock.calls[0].arguments[3], ['a1'])
+    })
+
     it('should not fire postDeleteHook when invokePostHook is false', async (t) => {
       const targetDoc = { _id: TARGET_OID, _type: 'page', _courseId: COURSE_OID }
       const descendantDocs = [{ _id: 'desc1', _parentId: TARGET_OID, _type: 'block', _courseId: COURSE_OID }]
@@ -992,6 +1592,86 @@ describe('ContentModule', () => {
       await ContentModule.prototype.delete.call(inst, { _id: TARGET_OID }, { invokePostHook: false })
 
       assert.equal(postDeleteInvoke.mock.callCount(), 0)
+      assert.equal(inst.recordDeleteRevisions.mock.callCount(), 0)
+    })
+
+    it('should copy the subtree to the trash before deleting in soft-delete mode', async (t) => {
+      const targetDoc = { _id: TARGET_OID, _type: 'page', _courseId: COURSE_OID }
+      const descendantDocs = [{ _id: 'desc1', _parentId: TARGET_OID, _type: 'article', _courseId: COURSE_OID }]
+      const { inst, mongoDeleteMany } = createDeleteInstance({
+        findOne: mock.fn(async () => targetDoc),
+        getConfig: mock.fn(key => key === 'softDelete')
+      })
+      t.mock.method(AbstractApiModule.prototype, 'find', async () => [targetDoc, ...descendantDocs])
+      t.mock.method(AbstractApiModule.prototype, 'delete', async () => {})
+
+      await ContentModule.prototype.delete.call(inst, { _id: TARGET_OID }, { deletedBy: 'user1' })
+
+      assert.equal(inst.moveToTrash.mock.callCount(), 1)
+      assert.deepEqual(inst.moveToTrash.mock.calls[0].arguments, [targetDoc, [TARGET_OID, 'desc1'], 'user1', undefined])
+      assert.equal(mongoDeleteMany.mock.callCount(), 1, 'content is still removed from the content collection')
+    })
+
+    it('should not use the trash when softDelete is false for the call', async (t) => {
+      const targetDoc = { _id: TARGET_OID, _type: 'page', _courseId: COURSE_OID }
+      const { inst } = createDeleteInstance({
+        findOne: mock.fn(async () => targetDoc),
+        getConfig: mock.fn(() => true)
+      })
+      t.mock.method(AbstractApiModule.prototype, 'find', async () => [targetDoc])
+      t.mock.method(AbstractApiModule.prototype, 'delete', async () => {})
+
+      await ContentModule.prototype.delete.call(inst, { _id: TARGET_OID }, { softDelete: false })
+
+      assert.equal(inst.moveToTrash.mock.callCount(), 0)
+    })
+  })
+
+  describe('requestHandler', () => {
+    const ITEM_OID = '507f1f77bcf86cd799439012'
+    const USER_OID = '507f1f77bcf86cd799439033'
+
+    function createHandlerInstance (overrides = {}) {
+      const doc = { _id: ITEM_OID, _type: 'block' }
+      return {
+        requestHook: { invoke: mock.fn(async () => {}) },
+        findOne: mock.fn(async () => doc),
+        checkAccess: mock.fn(async () => doc),
+        delete: mock.fn(async () => [doc, { _id: 'child' }]),
+        sanitise: mock.fn(async (schemaName, data) => data),
+        mapStatusCode: () => 204,
+        log: mock.fn(),
+        ...overrides
+      }
+    }
+
+    it('passes the requesting user to delete as deletedBy', async () => {
+      const inst = createHandlerInstance()
+      const req = { method: 'DELETE', apiData: { query: { _id: ITEM_OID }, schemaName: 'content', collectionName: 'content' }, auth: { user: { _id: USER_OID } } }
+      const res = { status: mock.fn(function () { return this }), json: mock.fn() }
+      const next = mock.fn()
+      await ContentModule.prototype.requestHandler.call(inst, req, res, next)
+      assert.equal(next.mock.callCount(), 0)
+      assert.deepEqual(inst.delete.mock.calls[0].arguments, [{ _id: ITEM_OID }, { schemaName: 'content', collectionName: 'content', deletedBy: USER_OID }])
+      assert.equal(res.status.mock.calls[0].arguments[0], 204)
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], { _id: ITEM_OID, _type: 'block' })
+    })
+
+    it('does not delete when access is denied', async () => {
+      const inst = createHandlerInstance({ checkAccess: mock.fn(async () => { throw new Error('UNAUTHORISED') }) })
+      const req = { method: 'DELETE', apiData: { query: { _id: ITEM_OID } }, auth: { user: { _id: USER_OID } } }
+      const next = mock.fn()
+      await ContentModule.prototype.requestHandler.call(inst, req, {}, next)
+      assert.equal(next.mock.calls[0].arguments[0].message, 'UNAUTHORISED')
+      assert.equal(inst.delete.mock.callCount(), 0)
+    })
+
+    it('leaves other methods to the default handler', async (t) => {
+      const handler = t.mock.method(AbstractApiModule.prototype, 'requestHandler', async () => {})
+      const inst = createHandlerInstance()
+      await ContentModule.prototype.requestHandler.call(inst, { method: 'PATCH' }, {}, () => {})
+      assert.equal(handler.mock.callCount(), 1)
+      assert.equal(inst.delete.mock.callCount(), 0)
     })
   })
 
@@ -1035,6 +1715,46 @@ describe('ContentModule', () => {
       assert.deepEqual(requestHookInvoke.mock.calls[0].arguments, [req], 'hook receives the req')
       assert.deepEqual(callOrder, ['requestHook', 'clone'], 'requestHook fires before clone')
     })
+
+    it('should clone an _ids selection and check access on its first item', async () => {
+      const inst = createHandleCloneInstance({ clone: mock.fn(async () => [{ _id: 'a' }, { _id: 'b' }]) })
+      const overrides = { [SRC_OID]: { title: 'Copy' } }
+      const req = { body: { _ids: [SRC_OID, 'other'], _parentId: PARENT_OID, overrides }, auth: { user: { _id: USER_OID } } }
+      const res = createRes()
+
+      await ContentModule.prototype.handleClone.call(inst, req, res, mock.fn())
+
+      assert.deepEqual(inst.findOne.mock.calls[0].arguments[0], { _id: SRC_OID })
+      const [, ids, , customData, options] = inst.clone.mock.calls[0].arguments
+      assert.deepEqual(ids, [SRC_OID, 'other'])
+      assert.deepEqual(customData, {})
+      assert.equal(options.overrides, overrides)
+      assert.equal(res.json.mock.calls[0].arguments[0].length, 2)
+    })
+
+    it('should respond 200 with the preview for a dry run', async () => {
+      const inst = createHandleCloneInstance({ clone: mock.fn(async () => ({ dryRun: true })) })
+      const req = { body: { _id: SRC_OID, _parentId: PARENT_OID, dryRun: true }, auth: { user: { _id: USER_OID } } }
+      const res = createRes()
+
+      await ContentModule.prototype.handleClone.call(inst, req, res, mock.fn())
+
+      const [, , , customData, options] = inst.clone.mock.calls[0].arguments
+      assert.deepEqual(customData, {})
+      assert.equal(options.dryRun, true)
+      assert.equal(res.status.mock.calls[0].arguments[0], 200)
+    })
+
+    it('should pass onIncompatible to clone rather than applying it as data', async () => {
+      const inst = createHandleCloneInstance()
+      const req = { body: { _id: SRC_OID, _parentId: PARENT_OID, title: 'Copy', onIncompatible: 'strip' }, auth: { user: { _id: USER_OID } } }
+
+      await ContentModule.prototype.handleClone.call(inst, req, createRes(), mock.fn())
+
+      const [, , , customData, options] = inst.clone.mock.calls[0].arguments
+      assert.deepEqual(customData, { title: 'Copy' })
+      assert.equal(options.onIncompatible, 'strip')
+    })
   })
 
   describe('insert (course _courseId self-set)', () => {
@@ -1087,4 +1807,2385 @@ describe('ContentModule', () => {
       assert.equal(mongoDeleteMany.mock.callCount(), 0, 'no deletion on success')
     })
   })
+
+  describe('move', () => {
+    const makeError = code => ({ setData: mock.fn(data => Object.assign(new Error(code), { code, data })) })
+    const items = [
+      { _id: 'c', _type: 'course', _courseId: 'c' },
+      { _id: 'p', _type: 'page', _parentId: 'c', _courseId: 'c', _sortOrder: 1 },
+      { _id: 'a1', _type: 'article', _parentId: 'p', _courseId: 'c', _sortOrder: 1 },
+      { _id: 'a2', _type: 'article', _parentId: 'p', _courseId: 'c', _sortOrder: 2 },
+      { _id: 'b1', _type: 'block', _parentId: 'a1', _courseId: 'c', _sortOrder: 1 },
+      { _id: 'b2', _type: 'block', _parentId: 'a1', _courseId: 'c', _sortOrder: 2 },
+      { _id: 'b3', _type: 'block', _parentId: 'a2', _courseId: 'c', _sortOrder: 1 }
+    ]
+
+    function createMoveInstance (t, overrides = {}) {
+      t.mock.method(AbstractApiModule.prototype, 'find', async () => items)
+      const bulkWrite = mock.fn(async () => {})
+      const inst = {
+        collectionName: 'content',
+        findOne: mock.fn(async ({ _id }) => items.find(i => i._id === _id) ?? null),
+        mongodb: {
+          getCollection: mock.fn(() => ({ bulkWrite })),
+          find: mock.fn(async (collectionName, query) => items.filter(i => query._id.$in.includes(i._id)))
+        },
+        touchCourse: mock.fn(async () => {}),
+        postMoveHook: { invoke: mock.fn(async () => {}) },
+        getConfig: mock.fn(() => undefined),
+        writeFriendlyIds: ContentModule.prototype.writeFriendlyIds,
+        app: { errors: { NOT_FOUND: makeError('NOT_FOUND'), INVALID_PARENT: makeError('INVALID_PARENT'), CIRCULAR_PARENT: makeError('CIRCULAR_PARENT'), INVALID_PARENT_TYPE: makeError('INVALID_PARENT_TYPE') } },
+        ...overrides
+      }
+      return { inst, bulkWrite }
+    }
+    const run = (inst, ...args) => ContentModule.prototype.move.call(inst, ...args)
+
+    it('writes one bulk op set covering the moved item and both sibling lists', async (t) => {
+      const { inst, bulkWrite } = createMoveInstance(t)
+      const moved = await run(inst, ['b1'], 'a2', 1)
+      assert.equal(bulkWrite.mock.callCount(), 1)
+      const ops = bulkWrite.mock.calls[0].arguments[0]
+      const byId = Object.fromEntries(ops.map(o => [o.updateOne.filter._id, o.updateOne.update.$set]))
+      assert.deepEqual(byId.b1, { _parentId: 'a2' })
+      assert.deepEqual(byId.b2, { _sortOrder: 1 })
+      assert.deepEqual(byId.b3, { _sortOrder: 2 })
+      assert.deepEqual(moved.map(m => m._id), ['b1'])
+    })
+
+    it('touches the course and fires postMoveHook once for a batch', async (t) => {
+      const { inst } = createMoveInstance(t)
+      await run(inst, ['b1', 'b2'], 'a2')
+      assert.equal(inst.touchCourse.mock.callCount(), 1)
+      assert.equal(inst.postMoveHook.invoke.mock.callCount(), 1)
+      const [moved, parent] = inst.postMoveHook.invoke.mock.calls[0].arguments
+      assert.deepEqual(moved.map(m => m._id), ['b1', 'b2'])
+      assert.equal(parent._id, 'a2')
+    })
+
+    it('does not change friendly IDs which do not include the parent\'s ID', async (t) => {
+      const { inst, bulkWrite } = createMoveInstance(t)
+      await run(inst, ['b1'], 'a2', 1)
+      assert.equal(bulkWrite.mock.callCount(), 1, 'only the move is written')
+    })
+
+    it('regenerates friendly IDs which include the parent\'s ID, clearing the old IDs first', async (t) => {
+      const withIds = items.map(i => ({ ...i, _friendlyId: { a1: 'a-1', a2: 'a-2', b1: 'a-1-b-1', b2: 'a-1-b-2', b3: 'a-2-b-3' }[i._id] }))
+      const { inst, bulkWrite } = createMoveInstance(t, {
+        getConfig: mock.fn(key => key === 'friendlyIdFormats' ? { block: { includeParent: true } } : undefined)
+      })
+      AbstractApiModule.prototype.find.mock.mockImplementation(async () => withIds)
+      await run(inst, ['b1'], 'a2', 1)
+      assert.equal(bulkWrite.mock.callCount(), 3)
+      const ids = n => bulkWrite.mock.calls[n].arguments[0].map(o => [o.updateOne.filter._id, o.updateOne.update.$set._friendlyId])
+      assert.deepEqual(ids(1), [['b1', '']])
+      assert.deepEqual(ids(2), [['b1', 'a-2-b-1']])
+    })
+
+    it('throws INVALID_PARENT when the parent does not exist', async (t) => {
+      const { inst, bulkWrite } = createMoveInstance(t)
+      await assert.rejects(() => run(inst, ['b1'], 'gone'), e => e.code === 'INVALID_PARENT')
+      assert.equal(bulkWrite.mock.callCount(), 0)
+    })
+
+    it('throws CIRCULAR_PARENT when moving an item into its own descendant', async (t) => {
+      const { inst, bulkWrite } = createMoveInstance(t)
+      await assert.rejects(() => run(inst, ['p'], 'a1'), e => e.code === 'CIRCULAR_PARENT' && e.data._id === 'p')
+      assert.equal(bulkWrite.mock.callCount(), 0)
+    })
+
+    it('throws CIRCULAR_PARENT when moving an item into itself', async (t) => {
+      const { inst } = createMoveInstance(t)
+      await assert.rejects(() => run(inst, ['a1'], 'a1'), e => e.code === 'CIRCULAR_PARENT')
+    })
+
+    it('throws INVALID_PARENT_TYPE when the move breaks the hierarchy', async (t) => {
+      const { inst, bulkWrite } = createMoveInstance(t)
+      await assert.rejects(() => run(inst, ['b1'], 'p'), e =>
+        e.code === 'INVALID_PARENT_TYPE' && e.data._type === 'block' && e.data.parentType === 'page')
+      assert.equal(bulkWrite.mock.callCount(), 0)
+    })
+
+    it('throws INVALID_PARENT when the item belongs to another course', async (t) => {
+      const { inst } = createMoveInstance(t, {
+        findOne: mock.fn(async ({ _id }) => _id === 'other' ? { _id: 'other', _type: 'block', _courseId: 'c2' } : items.find(i => i._id === _id))
+      })
+      await assert.rejects(() => run(inst, ['other'], 'a2'), e => e.code === 'INVALID_PARENT')
+    })
+
+    it('throws NOT_FOUND when the item does not exist', async (t) => {
+      const { inst, bulkWrite } = createMoveInstance(t)
+      await assert.rejects(() => run(inst, ['gone'], 'a2'), e => e.code === 'NOT_FOUND' && e.data.id === 'gone')
+      assert.equal(bulkWrite.mock.callCount(), 0)
+    })
+  })
+
+  describe('handleMove', () => {
+    it('checks access against the parent and passes it through to move', async () => {
+      const parent = { _id: 'a2', _type: 'article', _courseId: 'c' }
+      const inst = {
+        requestHook: { invoke: mock.fn(async () => {}) },
+        findOne: mock.fn(async () => parent),
+        checkAccess: mock.fn(async () => {}),
+        move: mock.fn(async () => [{ _id: 'b1' }])
+      }
+      const req = { body: { _ids: ['b1'], _parentId: 'a2', _sortOrder: 2 }, auth: { user: { _id: 'u' } } }
+      const res = { json: mock.fn() }
+      const next = mock.fn()
+      await ContentModule.prototype.handleMove.call(inst, req, res, next)
+      assert.equal(next.mock.callCount(), 0)
+      assert.deepEqual(inst.checkAccess.mock.calls[0].arguments, [req, parent])
+      assert.deepEqual(inst.move.mock.calls[0].arguments, [['b1'], 'a2', 2, { parent }])
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], [{ _id: 'b1' }])
+    })
+
+    it('calls next with NOT_FOUND when no items are given', async () => {
+      const inst = {
+        requestHook: { invoke: mock.fn(async () => {}) },
+        app: { errors: { NOT_FOUND: { setData: () => new Error('NOT_FOUND') } } }
+      }
+      const next = mock.fn()
+      await ContentModule.prototype.handleMove.call(inst, { body: { _parentId: 'a2' } }, {}, next)
+      assert.equal(next.mock.calls[0].arguments[0].message, 'NOT_FOUND')
+    })
+  })
+
+  describe('reorder', () => {
+    const makeError = code => ({ setData: mock.fn(data => Object.assign(new Error(code), { code, data })) })
+    const items = [
+      { _id: 'c', _type: 'course', _courseId: 'c' },
+      { _id: 'b', _type: 'block', _parentId: 'c', _courseId: 'c' },
+      { _id: 'x1', _type: 'component', _parentId: 'b', _courseId: 'c', _sortOrder: 1 },
+      { _id: 'x2', _type: 'component', _parentId: 'b', _courseId: 'c', _sortOrder: 2 },
+      { _id: 'x3', _type: 'component', _parentId: 'b', _courseId: 'c', _sortOrder: 3 }
+    ]
+
+    function createReorderInstance (t) {
+      t.mock.method(AbstractApiModule.prototype, 'find', async () => items)
+      const bulkWrite = mock.fn(async () => {})
+      const inst = {
+        collectionName: 'content',
+        findOne: mock.fn(async ({ _id }) => items.find(i => i._id === _id) ?? null),
+        mongodb: {
+          getCollection: mock.fn(() => ({ bulkWrite })),
+          find: mock.fn(async () => items.filter(i => i._parentId === 'b'))
+        },
+        touchCourse: mock.fn(async () => {}),
+        postReorderHook: { invoke: mock.fn(async () => {}) },
+        app: { errors: { INVALID_PARENT: makeError('INVALID_PARENT'), INVALID_CHILD_ORDER: makeError('INVALID_CHILD_ORDER') } }
+      }
+      return { inst, bulkWrite }
+    }
+    const run = (inst, ...args) => ContentModule.prototype.reorder.call(inst, ...args)
+
+    it('applies the new order in a single bulk write', async (t) => {
+      const { inst, bulkWrite } = createReorderInstance(t)
+      await run(inst, 'b', ['x3', 'x1', 'x2'])
+      assert.equal(bulkWrite.mock.callCount(), 1)
+      const ops = bulkWrite.mock.calls[0].arguments[0]
+      assert.deepEqual(ops.map(o => [o.updateOne.filter._id, o.updateOne.update.$set._sortOrder]), [['x3', 1], ['x1', 2], ['x2', 3]])
+    })
+
+    it('touches the course and fires postReorderHook exactly once', async (t) => {
+      const { inst } = createReorderInstance(t)
+      await run(inst, 'b', ['x3', 'x1', 'x2'])
+      assert.equal(inst.touchCourse.mock.callCount(), 1)
+      assert.equal(inst.postReorderHook.invoke.mock.callCount(), 1)
+    })
+
+    it('skips the write when the order is unchanged', async (t) => {
+      const { inst, bulkWrite } = createReorderInstance(t)
+      await run(inst, 'b', ['x1', 'x2', 'x3'])
+      assert.equal(bulkWrite.mock.callCount(), 0)
+    })
+
+    it('throws INVALID_CHILD_ORDER when a child is missing from the list', async (t) => {
+      const { inst, bulkWrite } = createReorderInstance(t)
+      await assert.rejects(() => run(inst, 'b', ['x1', 'x2']), e =>
+        e.code === 'INVALID_CHILD_ORDER' && e.data.missing[0] === 'x3' && !e.data.unexpected.length)
+      assert.equal(bulkWrite.mock.callCount(), 0)
+    })
+
+    it('throws INVALID_CHILD_ORDER for foreign or repeated ids', async (t) => {
+      const { inst } = createReorderInstance(t)
+      await assert.rejects(() => run(inst, 'b', ['x1', 'x2', 'x3', 'x1', 'other']), e =>
+        e.code === 'INVALID_CHILD_ORDER' && e.data.unexpected.includes('x1') && e.data.unexpected.includes('other'))
+    })
+
+    it('throws INVALID_PARENT when the parent does not exist', async (t) => {
+      const { inst } = createReorderInstance(t)
+      await assert.rejects(() => run(inst, 'gone', []), e => e.code === 'INVALID_PARENT')
+    })
+  })
+
+  describe('revisions', () => {
+    const ITEM_OID = '507f1f77bcf86cd799439012'
+    const USER_OID = '507f1f77bcf86cd799439033'
+
+    function createRevisionInstance (overrides = {}) {
+      const insertMany = mock.fn(async () => {})
+      const inst = {
+        revisionCollectionName: 'contentrevisions',
+        mongodb: { getCollection: mock.fn(() => ({ insertMany })), find: mock.fn(async () => []) },
+        app: { errors: { NOT_FOUND: { setData: data => Object.assign(new Error('NOT_FOUND'), { data }) } } },
+        ...overrides
+      }
+      inst.recordRevisions = ContentModule.prototype.recordRevisions.bind(inst)
+      inst.pruneRevisions ??= mock.fn(async () => {})
+      return { inst, insertMany }
+    }
+
+    it('stores the previous document when an update changes content', async () => {
+      const { inst, insertMany } = createRevisionInstance()
+      const original = { _id: ITEM_OID, _type: 'block', _courseId: COURSE_ID, title: 'Old' }
+      await ContentModule.prototype.recordUpdateRevision.call(inst, original, { ...original, title: 'New', updatedBy: USER_OID })
+      assert.equal(insertMany.mock.callCount(), 1)
+      const [revision] = insertMany.mock.calls[0].arguments[0]
+      assert.equal(revision.action, 'update')
+      assert.equal(revision._itemId, ITEM_OID)
+      assert.equal(revision._courseId, COURSE_ID)
+      assert.equal(revision.changedBy.toString(), USER_OID)
+      assert.equal(revision.data, original)
+    })
+
+    it('skips no-op updates', async () => {
+      const { inst, insertMany } = createRevisionInstance()
+      const original = { _id: ITEM_OID, title: 'Same', updatedAt: new Date(1) }
+      await ContentModule.prototype.recordUpdateRevision.call(inst, original, { ...original, updatedAt: new Date(2) })
+      assert.equal(insertMany.mock.callCount(), 0)
+    })
+
+    it('stores one revision per document for a cascading delete', async () => {
+      const { inst, insertMany } = createRevisionInstance()
+      await ContentModule.prototype.recordDeleteRevisions.call(inst, [{ _id: 'a', _courseId: COURSE_ID }, { _id: 'b', _courseId: COURSE_ID }])
+      const revisions = insertMany.mock.calls[0].arguments[0]
+      assert.deepEqual(revisions.map(r => [r._itemId, r.action]), [['a', 'delete'], ['b', 'delete']])
+      assert.equal(revisions[0].changedBy, undefined)
+    })
+
+    it('attributes delete revisions to the deleting user', async () => {
+      const { inst, insertMany } = createRevisionInstance()
+      await ContentModule.prototype.recordDeleteRevisions.call(inst, [{ _id: 'a', _courseId: COURSE_ID }], USER_OID)
+      assert.equal(insertMany.mock.calls[0].arguments[0][0].changedBy.toString(), USER_OID)
+    })
+
+    it('accepts a single deleted document', async () => {
+      const { inst, insertMany } = createRevisionInstance()
+      await ContentModule.prototype.recordDeleteRevisions.call(inst, { _id: 'a', _courseId: COURSE_ID })
+      assert.equal(insertMany.mock.calls[0].arguments[0].length, 1)
+    })
+
+    it('prunes the revisions of the items written', async () => {
+      const { inst } = createRevisionInstance()
+      await ContentModule.prototype.recordDeleteRevisions.call(inst, [{ _id: 'a' }, { _id: 'b' }])
+      assert.deepEqual(inst.pruneRevisions.mock.calls[0].arguments, [['a', 'b']])
+    })
+
+    describe('pruneRevisions', () => {
+      function createPruneInstance (max, groups = []) {
+        const collection = {
+          aggregate: mock.fn(() => ({ toArray: mock.fn(async () => groups) })),
+          deleteMany: mock.fn(async () => {})
+        }
+        const inst = createInstance({
+          revisionCollectionName: 'contentrevisions',
+          mongodb: { getCollection: mock.fn(() => collection) },
+          getConfig: mock.fn(() => max)
+        })
+        return { inst, collection }
+      }
+
+      it('deletes the revisions beyond the per-item limit', async () => {
+        const { inst, collection } = createPruneInstance(2, [{ _id: ITEM_OID, stale: ['r3', 'r4'] }])
+        await ContentModule.prototype.pruneRevisions.call(inst, [ITEM_OID])
+        const pipeline = collection.aggregate.mock.calls[0].arguments[0]
+        assert.equal(pipeline[0].$match._itemId.$in[0].toString(), ITEM_OID)
+        assert.deepEqual(pipeline[3], { $match: { 'ids.2': { $exists: true } } })
+        assert.deepEqual(collection.deleteMany.mock.calls[0].arguments, [{ _id: { $in: ['r3', 'r4'] } }])
+      })
+
+      it('keeps every revision when the limit is 0', async () => {
+        const { inst, collection } = createPruneInstance(0)
+        await ContentModule.prototype.pruneRevisions.call(inst, [ITEM_OID])
+        assert.equal(collection.aggregate.mock.callCount(), 0)
+      })
+
+      it('deletes nothing when no item is over the limit', async () => {
+        const { inst, collection } = createPruneInstance(50)
+        await ContentModule.prototype.pruneRevisions.call(inst, [ITEM_OID])
+        assert.equal(collection.deleteMany.mock.callCount(), 0)
+      })
+    })
+
+    describe('findItemCourseId', () => {
+      it('takes the course from the live item', async () => {
+        const { inst } = createRevisionInstance({ findOne: mock.fn(async () => ({ _id: ITEM_OID, _type: 'block', _courseId: COURSE_ID })) })
+        assert.equal(await ContentModule.prototype.findItemCourseId.call(inst, ITEM_OID), COURSE_ID)
+        assert.equal(inst.mongodb.find.mock.callCount(), 0)
+      })
+
+      it('takes the course from the latest revision of a deleted item', async () => {
+        const { inst } = createRevisionInstance({
+          findOne: mock.fn(async () => null),
+          mongodb: { find: mock.fn(async () => [{ _courseId: COURSE_ID }]) }
+        })
+        assert.equal(await ContentModule.prototype.findItemCourseId.call(inst, ITEM_OID), COURSE_ID)
+      })
+
+      it('throws NOT_FOUND for an item with no revisions', async () => {
+        const { inst } = createRevisionInstance({ findOne: mock.fn(async () => null) })
+        await assert.rejects(() => ContentModule.prototype.findItemCourseId.call(inst, ITEM_OID), { message: 'NOT_FOUND' })
+      })
+    })
+
+    describe('handleRevisions', () => {
+      it('checks access to the item before reading its revisions', async () => {
+        const { inst } = createRevisionInstance({
+          findItemCourseId: mock.fn(async () => COURSE_ID),
+          checkCourseAccess: mock.fn(async () => { throw new Error('NO_ACCESS') }),
+          listRevisions: mock.fn(async () => [])
+        })
+        const next = mock.fn()
+        await ContentModule.prototype.handleRevisions.call(inst, { apiData: { query: { _itemId: ITEM_OID } } }, {}, next)
+        assert.equal(next.mock.calls[0].arguments[0].message, 'NO_ACCESS')
+        assert.equal(inst.listRevisions.mock.callCount(), 0)
+      })
+    })
+
+    it('throws NOT_FOUND for an unknown revision', async () => {
+      const { inst } = createRevisionInstance()
+      await assert.rejects(() => ContentModule.prototype.findRevision.call(inst, ITEM_OID), { message: 'NOT_FOUND' })
+    })
+
+    describe('restoreRevision', () => {
+      const revision = {
+        data: { _id: ITEM_OID, _type: 'block', _courseId: COURSE_ID, _parentId: 'a1', title: 'Old', _assetIds: ['x'], _summary: [{}], createdAt: 'c', updatedAt: 'u' }
+      }
+
+      const live = { _id: ITEM_OID, _type: 'block', _courseId: COURSE_ID, _parentId: 'a2', _sortOrder: 3, title: 'New', _assetIds: [], createdAt: 'c', updatedAt: 'u2' }
+
+      function createRestoreInstance (existing = live) {
+        const updateOne = mock.fn(async () => {})
+        return {
+          collectionName: 'content',
+          findOne: mock.fn(async () => existing),
+          update: mock.fn(async (q, data) => ({ _id: ITEM_OID, ...existing, ...data })),
+          insert: mock.fn(async data => data),
+          updateDerivedFields: mock.fn(async doc => doc),
+          mongodb: { getCollection: mock.fn(() => ({ updateOne })) }
+        }
+      }
+
+      it('updates a live item without the derived fields so they are recomputed, keeping its position', async () => {
+        const inst = createRestoreInstance()
+        await ContentModule.prototype.restoreRevision.call(inst, revision)
+        assert.equal(inst.insert.mock.callCount(), 0)
+        const [query, data] = inst.update.mock.calls[0].arguments
+        assert.deepEqual(query, { _id: ITEM_OID })
+        assert.deepEqual(data, { _type: 'block', _courseId: COURSE_ID, _parentId: 'a2', _sortOrder: 3, title: 'Old' })
+        assert.equal(inst.mongodb.getCollection.mock.callCount(), 0, 'nothing to remove')
+      })
+
+      it('removes fields added since the revision was taken', async () => {
+        const inst = createRestoreInstance({ ...live, body: 'Added', _graphic: { src: 'x' } })
+        const restored = await ContentModule.prototype.restoreRevision.call(inst, revision)
+        const { updateOne } = inst.mongodb.getCollection.mock.calls[0].result
+        assert.deepEqual(updateOne.mock.calls[0].arguments, [{ _id: ITEM_OID }, { $unset: { body: '', _graphic: '' } }])
+        assert.equal(restored.body, undefined)
+        assert.equal(restored._graphic, undefined)
+        assert.equal(restored.title, 'Old')
+        assert.equal(inst.updateDerivedFields.mock.callCount(), 1, 'derived fields are recomputed without the removed fields')
+      })
+
+      it('re-inserts a deleted item with its original _id', async () => {
+        const inst = createRestoreInstance(null)
+        await ContentModule.prototype.restoreRevision.call(inst, revision)
+        assert.equal(inst.update.mock.callCount(), 0)
+        const [data, , mongoOptions] = inst.insert.mock.calls[0].arguments
+        assert.equal(data._id, ITEM_OID)
+        assert.equal(data._parentId, 'a1')
+        assert.equal(data._assetIds, undefined)
+        assert.deepEqual(mongoOptions, { preserveId: true })
+      })
+
+      it('records the restoring user as updatedBy', async () => {
+        const inst = createRestoreInstance()
+        await ContentModule.prototype.restoreRevision.call(inst, { data: { ...revision.data, updatedBy: 'old' } }, { updatedBy: USER_OID })
+        assert.equal(inst.update.mock.calls[0].arguments[1].updatedBy, USER_OID)
+      })
+    })
+  })
+
+  describe('diff', () => {
+    const REVISION_OID = '507f1f77bcf86cd799439091'
+    const ITEM_OID = '507f1f77bcf86cd799439012'
+
+    function createDiffInstance ({ revisions = [], item, schemas = {} } = {}) {
+      const inst = {
+        revisionCollectionName: 'contentrevisions',
+        mongodb: { find: mock.fn(async (c, q) => revisions.filter(r => r._id.toString() === q._id.toString())) },
+        findOne: mock.fn(async () => item),
+        getSchemaName: mock.fn(async doc => schemas[doc._id] ?? 'block'),
+        getSchema: mock.fn(async () => ({ walk: () => [] })),
+        app: { errors: { DIFF_SCHEMA_MISMATCH: { setData: data => Object.assign(new Error('DIFF_SCHEMA_MISMATCH'), { data }) } } }
+      }
+      inst.resolveDiffSource = ContentModule.prototype.resolveDiffSource.bind(inst)
+      inst.diffSources = ContentModule.prototype.diffSources.bind(inst)
+      return inst
+    }
+
+    it('compares a revision with the live item', async () => {
+      const createdAt = new Date(1)
+      const inst = createDiffInstance({
+        revisions: [{ _id: REVISION_OID, createdAt, data: { _id: ITEM_OID, _courseId: COURSE_ID, title: 'Old' } }],
+        item: { _id: ITEM_OID, _courseId: COURSE_ID, title: 'New' }
+      })
+      const result = await ContentModule.prototype.diff.call(inst, REVISION_OID, ITEM_OID)
+      assert.equal(result.schemaName, 'block')
+      assert.deepEqual(result.from, { _id: ITEM_OID, _courseId: COURSE_ID, _revisionId: REVISION_OID, createdAt })
+      assert.equal(result.to._revisionId, undefined)
+      assert.deepEqual(result.changed, { title: { before: 'Old', after: 'New' } })
+    })
+
+    it('throws DIFF_SCHEMA_MISMATCH for documents of different schemas', async () => {
+      const inst = createDiffInstance({
+        revisions: [{ _id: REVISION_OID, data: { _id: 'other', _courseId: COURSE_ID } }],
+        item: { _id: ITEM_OID, _courseId: COURSE_ID },
+        schemas: { other: 'mcq-component' }
+      })
+      await assert.rejects(() => ContentModule.prototype.diff.call(inst, REVISION_OID, ITEM_OID), (e) => {
+        assert.equal(e.message, 'DIFF_SCHEMA_MISMATCH')
+        assert.deepEqual(e.data, { from: 'mcq-component', to: 'block' })
+        return true
+      })
+    })
+
+    it('diffs by schema path', async () => {
+      const inst = createDiffInstance({
+        revisions: [{ _id: REVISION_OID, data: { _id: ITEM_OID, _courseId: COURSE_ID, _items: [{ text: 'A' }] } }],
+        item: { _id: ITEM_OID, _courseId: COURSE_ID, _items: [{ text: 'B' }] }
+      })
+      inst.getSchema = mock.fn(async () => ({
+        walk: data => (data._items ?? []).map((item, i) => ({ path: `_items/${i}/text`, key: 'text', data: item, value: item.text }))
+      }))
+      const result = await ContentModule.prototype.diff.call(inst, REVISION_OID, ITEM_OID)
+      assert.deepEqual(result.changed, { '_items/0/text': { before: 'A', after: 'B' } })
+    })
+
+    it('handleDiff checks access to each course once, before diffing', async () => {
+      const inst = {
+        resolveDiffSource: mock.fn(async id => ({ doc: { _id: id, _courseId: 'c1' } })),
+        diffSources: mock.fn(async () => ({})),
+        checkCourseAccess: mock.fn(async () => {})
+      }
+      const res = { json: mock.fn() }
+      const next = mock.fn()
+      await ContentModule.prototype.handleDiff.call(inst, { apiData: { query: { from: 'a', to: 'b' } } }, res, next)
+      assert.equal(next.mock.callCount(), 0)
+      assert.equal(inst.checkCourseAccess.mock.callCount(), 1)
+      assert.equal(res.json.mock.callCount(), 1)
+    })
+
+    it('handleDiff does not diff content the user cannot access', async () => {
+      const denied = new Error('denied')
+      const inst = {
+        resolveDiffSource: mock.fn(async id => ({ doc: { _id: id, _courseId: id === 'a' ? 'c1' : 'c2' } })),
+        diffSources: mock.fn(async () => ({})),
+        checkCourseAccess: mock.fn(async (req, _courseId) => { if (_courseId === 'c2') throw denied })
+      }
+      const next = mock.fn()
+      await ContentModule.prototype.handleDiff.call(inst, { apiData: { query: { from: 'a', to: 'b' } } }, { json: mock.fn() }, next)
+      assert.equal(next.mock.calls[0].arguments[0], denied)
+      assert.equal(inst.diffSources.mock.callCount(), 0)
+    })
+  })
+
+  describe('trash', () => {
+    const TRASH_OID = '507f1f77bcf86cd799439092'
+    const PAGE_OID = '507f1f77bcf86cd799439022'
+    const ART_OID = '507f1f77bcf86cd799439033'
+
+    function makeError (code) {
+      return { setData: data => Object.assign(new Error(code), { data }) }
+    }
+
+    function createTrashInstance ({ trash = [], content = [] } = {}) {
+      const insertMany = mock.fn(async () => {})
+      const deleteMany = mock.fn(async () => {})
+      const inst = {
+        collectionName: 'content',
+        trashCollectionName: 'contenttrash',
+        mongodb: {
+          find: mock.fn(async (collection) => collection === 'contenttrash' ? trash : content),
+          deleteMany: mock.fn(async () => {}),
+          getCollection: mock.fn(() => ({ insertMany, deleteMany }))
+        },
+        getConfig: mock.fn(() => 30),
+        validateParent: mock.fn(async () => {}),
+        updateSortOrder: mock.fn(async () => {}),
+        updateEnabledPlugins: mock.fn(async () => {}),
+        postInsertHook: { invoke: mock.fn(async () => {}) },
+        deleteCourseData: mock.fn(async () => {}),
+        deleteExclusiveAssets: mock.fn(async () => ({ deleted: [], skipped: [] })),
+        app: { errors: { NOT_FOUND: makeError('NOT_FOUND'), TRASH_RESTORE_CONFLICT: makeError('TRASH_RESTORE_CONFLICT') } }
+      }
+      inst.purgeTrash = ContentModule.prototype.purgeTrash.bind(inst)
+      return { inst, insertMany, deleteMany }
+    }
+
+    const page = { _id: PAGE_OID, _type: 'page', _courseId: COURSE_ID, _parentId: COURSE_ID, _sortOrder: 2, title: 'Page' }
+    const article = { _id: ART_OID, _type: 'article', _courseId: COURSE_ID, _parentId: PAGE_OID, _sortOrder: 1 }
+    const entries = [
+      { _id: TRASH_OID, _trashId: TRASH_OID, _itemId: PAGE_OID, _type: 'page', data: page },
+      { _id: 'e2', _trashId: TRASH_OID, _itemId: ART_OID, _type: 'article', data: article }
+    ]
+
+    it('moveToTrash stores one entry per item sharing the root entry _id as _trashId', async () => {
+      const { inst, insertMany } = createTrashInstance({ content: [page, article] })
+      const _trashId = await ContentModule.prototype.moveToTrash.call(inst, page, [PAGE_OID, ART_OID], 'user1')
+      const stored = insertMany.mock.calls[0].arguments[0]
+      assert.equal(stored.length, 2)
+      assert.equal(stored[0]._id, _trashId)
+      assert.ok(stored.every(e => e._trashId === _trashId && e.deletedBy === 'user1' && e.deletedAt instanceof Date))
+      assert.equal(stored[1].data, article)
+    })
+
+    it('purgeTrash removes entries older than the retention period', async () => {
+      const { inst } = createTrashInstance()
+      const before = Date.now()
+      await ContentModule.prototype.purgeTrash.call(inst)
+      const [collection, query] = inst.mongodb.deleteMany.mock.calls[0].arguments
+      assert.equal(collection, 'contenttrash')
+      assert.ok(Math.abs(before - 30 * 86400000 - query.deletedAt.$lt.getTime()) < 1000)
+    })
+
+    it('moveToTrash records the assets to delete on the root entry', async () => {
+      const { inst, insertMany } = createTrashInstance({ content: [page, article] })
+      await ContentModule.prototype.moveToTrash.call(inst, page, [PAGE_OID, ART_OID], 'user1', ['a1'])
+      const stored = insertMany.mock.calls[0].arguments[0]
+      assert.deepEqual(stored[0].deleteAssetIds, ['a1'])
+      assert.equal(stored[1].deleteAssetIds, undefined)
+    })
+
+    it('purgeTrash removes the course-level data of purged courses', async () => {
+      const { inst } = createTrashInstance({ trash: [{ _itemId: COURSE_ID }] })
+      await ContentModule.prototype.purgeTrash.call(inst)
+      assert.equal(inst.mongodb.find.mock.calls[0].arguments[1]._type, 'course')
+      assert.deepEqual(inst.deleteCourseData.mock.calls[0].arguments, [[COURSE_ID]])
+      assert.equal(inst.deleteExclusiveAssets.mock.callCount(), 0)
+    })
+
+    it('purgeTrash deletes the recorded assets of purged courses not used by other trash', async () => {
+      const { inst } = createTrashInstance()
+      inst.mongodb.find = mock.fn(async (collection, query) => query._type === 'course'
+        ? [{ _itemId: COURSE_ID, deleteAssetIds: ['a1', 'a2'] }]
+        : [{ data: { _assetIds: ['a2'] } }])
+      await ContentModule.prototype.purgeTrash.call(inst)
+      assert.deepEqual(inst.mongodb.find.mock.calls[1].arguments[1], { 'data._assetIds': { $in: ['a1', 'a2'] } })
+      assert.deepEqual(inst.deleteExclusiveAssets.mock.calls[0].arguments, [['a1']])
+    })
+
+    it('deleteCourseData removes the counters, template registrations, revisions and snapshots of courses', async () => {
+      const inst = {
+        deleteCounters: mock.fn(async () => {}),
+        deleteRevisions: mock.fn(async () => {}),
+        deleteSnapshots: mock.fn(async () => {}),
+        removeTemplate: mock.fn(async () => {})
+      }
+      await ContentModule.prototype.deleteCourseData.call(inst, [COURSE_ID])
+      assert.deepEqual(inst.deleteSnapshots.mock.calls[0].arguments[0]._courseId.$in.map(String), [COURSE_ID])
+      assert.deepEqual(inst.deleteCounters.mock.calls[0].arguments, [[COURSE_ID]])
+      assert.deepEqual(inst.deleteRevisions.mock.calls[0].arguments, [[COURSE_ID]])
+      assert.deepEqual(inst.removeTemplate.mock.calls[0].arguments, [COURSE_ID])
+    })
+
+    it('scheduleTrashPurge purges on a timer, unless disabled', () => {
+      const inst = { getConfig: mock.fn(() => 0) }
+      ContentModule.prototype.scheduleTrashPurge.call(inst)
+      assert.equal(inst.trashPurgeTimer, undefined)
+      inst.getConfig = mock.fn(() => 24)
+      ContentModule.prototype.scheduleTrashPurge.call(inst)
+      assert.ok(inst.trashPurgeTimer)
+      assert.equal(inst.trashPurgeTimer.hasRef(), false)
+      clearInterval(inst.trashPurgeTimer)
+    })
+
+    it('listTrash returns one row per subtree with its item count', async () => {
+      const { inst } = createTrashInstance({ trash: entries })
+      const rows = await ContentModule.prototype.listTrash.call(inst, COURSE_ID)
+      assert.equal(rows.length, 1)
+      assert.equal(rows[0]._id, TRASH_OID)
+      assert.equal(rows[0].title, 'Page')
+      assert.equal(rows[0].itemCount, 2)
+    })
+
+    it('restoreFromTrash re-inserts the subtree at its original position and clears the entries', async () => {
+      const { inst, insertMany } = createTrashInstance({ trash: entries })
+      const restored = await ContentModule.prototype.restoreFromTrash.call(inst, TRASH_OID)
+      assert.equal(restored, page)
+      assert.deepEqual(insertMany.mock.calls[0].arguments[0], [page, article])
+      assert.deepEqual(inst.mongodb.deleteMany.mock.calls[0].arguments, ['contenttrash', { _trashId: TRASH_OID }])
+      assert.deepEqual(inst.updateSortOrder.mock.calls[0].arguments, [page, page])
+      assert.equal(inst.postInsertHook.invoke.mock.callCount(), 2)
+    })
+
+    it('restoreFromTrash throws NOT_FOUND without a root entry', async () => {
+      const { inst } = createTrashInstance({ trash: entries.slice(1) })
+      await assert.rejects(() => ContentModule.prototype.restoreFromTrash.call(inst, TRASH_OID), { message: 'NOT_FOUND' })
+    })
+
+    it('restoreFromTrash refuses to overwrite live content', async () => {
+      const { inst, insertMany } = createTrashInstance({ trash: entries, content: [{ _id: ART_OID }] })
+      await assert.rejects(() => ContentModule.prototype.restoreFromTrash.call(inst, TRASH_OID), (e) => {
+        assert.equal(e.message, 'TRASH_RESTORE_CONFLICT')
+        assert.deepEqual(e.data, { ids: [ART_OID] })
+        return true
+      })
+      assert.equal(insertMany.mock.callCount(), 0)
+    })
+  })
+
+  describe('snapshots', () => {
+    const SNAPSHOT_OID = '507f1f77bcf86cd799439093'
+    const BACKUP_OID = '507f1f77bcf86cd799439094'
+    const ASSET_OID = '507f1f77bcf86cd799439095'
+
+    function makeError (code) {
+      return { setData: data => Object.assign(new Error(code), { data }) }
+    }
+
+    const course = { _id: COURSE_ID, _type: 'course', _courseId: COURSE_ID, updatedAt: new Date(1) }
+    const config = { _id: 'cfg', _type: 'config', _courseId: COURSE_ID }
+    const page = { _id: 'p1', _type: 'page', _courseId: COURSE_ID, _parentId: COURSE_ID, _assetIds: [ASSET_OID] }
+    const orphan = { _id: 'b1', _type: 'block', _courseId: COURSE_ID, _parentId: 'gone' }
+
+    function createSnapshotInstance ({ content = [course, config, page], snapshots = [], bulkWrite = mock.fn(async () => {}), config: conf = {} } = {}) {
+      const collection = {
+        insertOne: mock.fn(async () => {}),
+        insertMany: mock.fn(async () => {}),
+        updateMany: mock.fn(async () => {}),
+        deleteMany: mock.fn(async () => {}),
+        bulkWrite
+      }
+      const inst = {
+        collectionName: 'content',
+        snapshotCollectionName: 'contentsnapshots',
+        snapshotItemCollectionName: 'contentsnapshotitems',
+        mongodb: {
+          find: mock.fn(async (name) => name === 'contentsnapshots' ? snapshots : content),
+          deleteMany: mock.fn(async () => {}),
+          getCollection: mock.fn(() => collection)
+        },
+        getConfig: mock.fn(key => conf[key]),
+        assets: { find: mock.fn(async () => []) },
+        postRollbackHook: { invoke: mock.fn(async () => {}) },
+        app: { errors: { NOT_FOUND: makeError('NOT_FOUND'), INVALID_SNAPSHOT: makeError('INVALID_SNAPSHOT') } }
+      }
+      inst.validateSnapshot = ContentModule.prototype.validateSnapshot.bind(inst)
+      inst.replaceCourseItems = ContentModule.prototype.replaceCourseItems.bind(inst)
+      inst.deleteSnapshots = ContentModule.prototype.deleteSnapshots.bind(inst)
+      inst.pruneSnapshots = mock.fn(async () => {})
+      inst.createSnapshot = mock.fn(async () => ({ _id: BACKUP_OID }))
+      return { inst, collection }
+    }
+
+    it('createSnapshot stores each reachable item as its own document, then the snapshot', async () => {
+      const { inst, collection } = createSnapshotInstance({ content: [course, config, page, orphan] })
+      const snapshot = await ContentModule.prototype.createSnapshot.call(inst, COURSE_ID, { title: 'Checkpoint' })
+      const items = collection.insertMany.mock.calls[0].arguments[0]
+      assert.deepEqual(items.map(i => i.data), [course, config, page])
+      assert.ok(items.every(i => i._snapshotId === snapshot._id))
+      const stored = collection.insertOne.mock.calls[0].arguments[0]
+      assert.equal(stored.items, undefined)
+      assert.equal(stored.itemCount, 3)
+      assert.equal(snapshot.title, 'Checkpoint')
+      const [courseId, keep] = inst.pruneSnapshots.mock.calls[0].arguments
+      assert.equal(courseId.toString(), COURSE_ID)
+      assert.deepEqual(keep, [snapshot._id])
+    })
+
+    it('createSnapshot removes stored items if the snapshot fails to save', async () => {
+      const { inst, collection } = createSnapshotInstance()
+      collection.insertOne = mock.fn(async () => { throw new Error('boom') })
+      await assert.rejects(() => ContentModule.prototype.createSnapshot.call(inst, COURSE_ID), { message: 'boom' })
+      assert.equal(inst.mongodb.deleteMany.mock.calls[0].arguments[0], 'contentsnapshotitems')
+      assert.equal(inst.pruneSnapshots.mock.callCount(), 0)
+    })
+
+    it('createSnapshot throws NOT_FOUND for an unknown course', async () => {
+      const { inst } = createSnapshotInstance({ content: [] })
+      await assert.rejects(() => ContentModule.prototype.createSnapshot.call(inst, COURSE_ID), { message: 'NOT_FOUND' })
+    })
+
+    it('findSnapshot returns the snapshot with its items', async () => {
+      const { inst } = createSnapshotInstance({ content: [{ data: course }, { data: page }], snapshots: [{ _id: SNAPSHOT_OID, _courseId: COURSE_ID }] })
+      const snapshot = await ContentModule.prototype.findSnapshot.call(inst, SNAPSHOT_OID, COURSE_ID)
+      assert.deepEqual(snapshot.items, [course, page])
+      assert.deepEqual(inst.mongodb.find.mock.calls[1].arguments.slice(0, 2), ['contentsnapshotitems', { _snapshotId: SNAPSHOT_OID }])
+    })
+
+    it('pruneSnapshots removes the oldest snapshots beyond the limit, except those kept', async () => {
+      const snapshots = [{ _id: 's1' }, { _id: 's2' }, { _id: 's3' }, { _id: 's4' }]
+      const { inst } = createSnapshotInstance({ snapshots, config: { maxSnapshotsPerCourse: 2 } })
+      inst.deleteSnapshots = mock.fn(async () => {})
+      await ContentModule.prototype.pruneSnapshots.call(inst, COURSE_ID, ['s4'])
+      assert.deepEqual(inst.deleteSnapshots.mock.calls[0].arguments, [{ _id: { $in: ['s3'] } }])
+    })
+
+    it('pruneSnapshots keeps every snapshot without a limit', async () => {
+      const { inst } = createSnapshotInstance({ snapshots: [{ _id: 's1' }] })
+      await ContentModule.prototype.pruneSnapshots.call(inst, COURSE_ID)
+      assert.equal(inst.mongodb.find.mock.callCount(), 0)
+    })
+
+    it('deleteSnapshots removes the snapshots and their items', async () => {
+      const { inst } = createSnapshotInstance({ snapshots: [{ _id: 's1' }] })
+      assert.equal(await ContentModule.prototype.deleteSnapshots.call(inst, { _courseId: COURSE_ID }), 1)
+      assert.deepEqual(inst.mongodb.deleteMany.mock.calls.map(c => c.arguments), [
+        ['contentsnapshots', { _id: { $in: ['s1'] } }],
+        ['contentsnapshotitems', { _snapshotId: { $in: ['s1'] } }]
+      ])
+    })
+
+    it('deleteSnapshot throws NOT_FOUND for an unknown snapshot', async () => {
+      const { inst } = createSnapshotInstance()
+      await assert.rejects(() => ContentModule.prototype.deleteSnapshot.call(inst, SNAPSHOT_OID, COURSE_ID), { message: 'NOT_FOUND' })
+    })
+
+    it('validateSnapshot rejects snapshots with unreachable items', () => {
+      const { inst } = createSnapshotInstance()
+      const snapshot = { _id: SNAPSHOT_OID, _courseId: COURSE_ID, items: [course, page, orphan] }
+      assert.throws(() => ContentModule.prototype.validateSnapshot.call(inst, snapshot), (e) => {
+        assert.equal(e.message, 'INVALID_SNAPSHOT')
+        assert.deepEqual(e.data.orphans, ['b1'])
+        return true
+      })
+    })
+
+    it('validateSnapshot rejects snapshots without their course', () => {
+      const { inst } = createSnapshotInstance()
+      const snapshot = { _id: SNAPSHOT_OID, _courseId: COURSE_ID, items: [page] }
+      assert.throws(() => ContentModule.prototype.validateSnapshot.call(inst, snapshot), { message: 'INVALID_SNAPSHOT' })
+    })
+
+    it('rollbackSnapshot backs up, then swaps the course content for the snapshot items', async () => {
+      const { inst, collection } = createSnapshotInstance({ content: [course, config, page, orphan] })
+      const snapshot = { _id: SNAPSHOT_OID, _courseId: COURSE_ID, title: 'Checkpoint', items: [course, config, page] }
+      const result = await ContentModule.prototype.rollbackSnapshot.call(inst, snapshot, { createdBy: 'user1' })
+      assert.equal(inst.createSnapshot.mock.calls[0].arguments[1].title, 'Before rollback to Checkpoint')
+      assert.deepEqual(inst.createSnapshot.mock.calls[0].arguments[2], { keepSnapshotIds: [SNAPSHOT_OID] })
+      assert.deepEqual(collection.updateMany.mock.calls[0].arguments, [{ _courseId: COURSE_ID }, { $unset: { _friendlyId: '' } }])
+      const ops = collection.bulkWrite.mock.calls[0].arguments[0]
+      assert.deepEqual(ops.map(o => o.replaceOne.filter._id), [COURSE_ID, 'cfg', 'p1'])
+      assert.ok(ops.every(o => o.replaceOne.upsert))
+      assert.ok(ops[0].replaceOne.replacement.updatedAt > course.updatedAt, 'course is touched')
+      assert.equal(ops[2].replaceOne.replacement, page, 'other items are restored as stored')
+      assert.deepEqual(collection.deleteMany.mock.calls[0].arguments[0], { _courseId: COURSE_ID, _id: { $nin: [COURSE_ID, 'cfg', 'p1'] } })
+      assert.equal(result.backupSnapshotId, BACKUP_OID)
+      assert.deepEqual(result.missingAssets, [ASSET_OID])
+      assert.equal(inst.postRollbackHook.invoke.mock.callCount(), 1)
+    })
+
+    it('rollbackSnapshot keeps the course\'s current sharing settings', async () => {
+      const liveCourse = { ...course, _isShared: true, _shareWithUsers: ['u2'] }
+      const { inst, collection } = createSnapshotInstance({ content: [liveCourse, config, page] })
+      const snapshot = { _id: SNAPSHOT_OID, _courseId: COURSE_ID, title: 'Checkpoint', items: [{ ...course, _shareWithUsers: ['u1'], userGroups: ['g1'] }, config, page] }
+      const { course: restored } = await ContentModule.prototype.rollbackSnapshot.call(inst, snapshot)
+      assert.equal(restored._isShared, true)
+      assert.deepEqual(restored._shareWithUsers, ['u2'])
+      assert.equal('userGroups' in restored, false)
+      assert.equal(collection.bulkWrite.mock.calls[0].arguments[0][0].replaceOne.replacement, restored)
+    })
+
+    it('rollbackSnapshot puts the previous content back if the swap fails', async () => {
+      const bulkWrite = mock.fn(async (ops) => { if (ops.length === 3) throw new Error('boom') })
+      const { inst, collection } = createSnapshotInstance({ content: [course, config, page, orphan], bulkWrite })
+      const snapshot = { _id: SNAPSHOT_OID, _courseId: COURSE_ID, createdAt: new Date(), items: [course, config, page] }
+      await assert.rejects(() => ContentModule.prototype.rollbackSnapshot.call(inst, snapshot), { message: 'boom' })
+      assert.deepEqual(bulkWrite.mock.calls[1].arguments[0].map(o => o.replaceOne.replacement), [course, config, page, orphan])
+      assert.deepEqual(collection.deleteMany.mock.calls[0].arguments[0]._id, { $nin: [COURSE_ID, 'cfg', 'p1', 'b1'] })
+    })
+  })
+
+  describe('exportCourse', () => {
+    const course = { _id: COURSE_ID, _type: 'course', _courseId: COURSE_ID }
+    const config = { _id: 'cfg', _type: 'config', _courseId: COURSE_ID, _enabledPlugins: ['adapt-contrib-text'] }
+    const page = { _id: 'p1', _type: 'page', _courseId: COURSE_ID, _parentId: COURSE_ID, _assetIds: ['a1'] }
+    const comp = { _id: 'c1', _type: 'component', _courseId: COURSE_ID, _parentId: 'p1', _assetIds: ['a1', 'a2'] }
+    const orphan = { _id: 'x1', _type: 'block', _courseId: COURSE_ID, _parentId: 'gone' }
+
+    it('bundles the reachable content with plugin versions and asset ids', async () => {
+      const inst = createInstance({
+        mongodb: { find: mock.fn(async () => [comp, page, config, orphan, course]) },
+        contentplugin: { find: mock.fn(async () => [{ name: 'adapt-contrib-text', type: 'component', version: '7.0.0' }]) }
+      })
+      inst.createBundle = ContentModule.prototype.createBundle.bind(inst)
+      const bundle = await ContentModule.prototype.exportCourse.call(inst, COURSE_ID)
+      assert.equal(bundle.version, 1)
+      assert.equal(bundle.type, 'course')
+      assert.deepEqual(bundle.content.map(i => i._id), [COURSE_ID, 'cfg', 'p1', 'c1'])
+      assert.deepEqual(bundle.plugins, [{ name: 'adapt-contrib-text', type: 'component', version: '7.0.0' }])
+      assert.deepEqual(bundle._assetIds, ['a1', 'a2'])
+    })
+
+    it('throws NOT_FOUND when the course has no content', async () => {
+      const inst = createInstance({
+        mongodb: { find: mock.fn(async () => []) },
+        app: { errors: { NOT_FOUND: { setData: () => new Error('NOT_FOUND') } } }
+      })
+      await assert.rejects(() => ContentModule.prototype.exportCourse.call(inst, COURSE_ID), { message: 'NOT_FOUND' })
+    })
+
+    it('handleExport applies the tree access check before exporting', async () => {
+      const inst = {
+        checkCourseReadAccess: mock.fn(async () => { throw new Error('NOT_FOUND') }),
+        exportCourse: mock.fn()
+      }
+      const next = mock.fn()
+      await ContentModule.prototype.handleExport.call(inst, { apiData: { query: { _courseId: COURSE_ID } } }, {}, next)
+      assert.equal(next.mock.calls[0].arguments[0].message, 'NOT_FOUND')
+      assert.equal(inst.exportCourse.mock.callCount(), 0)
+    })
+  })
+
+  describe('import', () => {
+    const ASSET_OID = '507f1f77bcf86cd799439096'
+
+    describe('findFreeFriendlyIds', () => {
+      it('keeps IDs unused in the destination and raises the counters past them', async () => {
+        const inst = createInstance({
+          mongodb: { find: mock.fn(async () => [{ _friendlyId: 'b-2' }]) },
+          raiseCounter: mock.fn(async () => {})
+        })
+        const items = [
+          { _id: 'p1', _type: 'page', _friendlyId: 'p-4' },
+          { _id: 'b1', _type: 'block', _friendlyId: 'b-2' },
+          { _id: 'b2', _type: 'block', _friendlyId: 'b-3' },
+          { _id: 'b3', _type: 'block', _friendlyId: 'b-3' },
+          { _id: 'cfg', _type: 'config', _friendlyId: 'config' }
+        ]
+        const kept = await ContentModule.prototype.findFreeFriendlyIds.call(inst, items, COURSE_ID)
+        assert.deepEqual([...kept], ['p1', 'b2'])
+        assert.deepEqual(inst.raiseCounter.mock.calls.map(c => c.arguments), [['page', COURSE_ID, 4], ['block', COURSE_ID, 3]])
+      })
+
+      it('skips the lookup when no item has a friendly ID', async () => {
+        const inst = createInstance({ mongodb: { find: mock.fn() } })
+        const kept = await ContentModule.prototype.findFreeFriendlyIds.call(inst, [{ _id: 'p1', _type: 'page' }], COURSE_ID)
+        assert.equal(kept.size, 0)
+        assert.equal(inst.mongodb.find.mock.callCount(), 0)
+      })
+    })
+
+    describe('raiseCounter', () => {
+      it('raises an existing counter with $max', async () => {
+        const mongodb = createMockMongodb({ findOne: mock.fn(async () => ({ seq: 2 })) })
+        const inst = createInstance({ mongodb, findMaxSeq: mock.fn() })
+        await ContentModule.prototype.raiseCounter.call(inst, 'page', COURSE_ID, 5)
+        const [query, update, opts] = mongodb.collection.updateOne.mock.calls[0].arguments
+        assert.equal(query._type, 'page')
+        assert.deepEqual(update, { $max: { seq: 5 } })
+        assert.deepEqual(opts, { upsert: true })
+        assert.equal(inst.findMaxSeq.mock.callCount(), 0)
+      })
+
+      it('seeds a new counter from existing content when that is higher', async () => {
+        const mongodb = createMockMongodb()
+        const inst = createInstance({ mongodb, findMaxSeq: mock.fn(async () => 8) })
+        await ContentModule.prototype.raiseCounter.call(inst, 'page', COURSE_ID, 5)
+        assert.deepEqual(mongodb.collection.updateOne.mock.calls[0].arguments[1], { $max: { seq: 8 } })
+      })
+    })
+
+    describe('importCourse', () => {
+      const bundle = {
+        version: 1,
+        type: 'course',
+        _enabledPlugins: ['adapt-contrib-text'],
+        plugins: [{ name: 'adapt-contrib-text', version: '7.0.0' }],
+        _assetIds: [ASSET_OID],
+        content: [
+          { _id: 'c', _type: 'course', _courseId: 'c', _friendlyId: 'course-3', _access: { users: ['u'] }, _isShared: true },
+          { _id: 'cfg', _type: 'config', _courseId: 'c' },
+          { _id: 'p', _type: 'page', _courseId: 'c', _parentId: 'c' }
+        ]
+      }
+
+      function createImportInstance () {
+        return createInstance({
+          ...createValidationMocks(),
+          app: { errors: { INVALID_BUNDLE: { setData: data => Object.assign(new Error('INVALID_BUNDLE'), { data }) } } },
+          generateFriendlyIds: mock.fn(async () => ['course-12']),
+          clone: mock.fn(async () => ({ _id: 'new' })),
+          updateEnabledPlugins: mock.fn(async () => {}),
+          findMissingDependencies: mock.fn(async () => ({ missingPlugins: [], missingAssets: [ASSET_OID] }))
+        })
+      }
+
+      it('clones the bundle content into a new course', async () => {
+        const inst = createImportInstance()
+        const result = await ContentModule.prototype.importCourse.call(inst, bundle, 'user1', { title: 'Imported' })
+        const [userId, _id, _parentId, customData, options] = inst.clone.mock.calls[0].arguments
+        assert.equal(userId, 'user1')
+        assert.equal(_id, 'c')
+        assert.equal(_parentId, undefined)
+        assert.deepEqual(customData, { _friendlyId: 'course-12', title: 'Imported' })
+        assert.equal(options.preserveFriendlyIds, true)
+        assert.equal(options.invokePostHook, false)
+        assert.equal(options.tree.course._access, undefined, 'sharing settings are dropped')
+        assert.equal(options.tree.course._isShared, undefined)
+        assert.equal(options.tree.items.length, 3)
+        assert.deepEqual(result, { course: { _id: 'new' }, missingPlugins: [], missingAssets: [ASSET_OID] })
+      })
+
+      it('throws INVALID_BUNDLE for a bundle of the wrong type', async () => {
+        const inst = createImportInstance()
+        await assert.rejects(() => ContentModule.prototype.importCourse.call(inst, { ...bundle, type: 'page' }, 'user1'), (e) => {
+          assert.equal(e.message, 'INVALID_BUNDLE')
+          assert.match(e.data.reason, /type course/)
+          return true
+        })
+        assert.equal(inst.clone.mock.callCount(), 0)
+      })
+
+      it('throws INVALID_BUNDLE for a bundle with more items than maxImportItems', async () => {
+        const inst = createImportInstance()
+        inst.getConfig = mock.fn(key => key === 'maxImportItems' ? 2 : undefined)
+        await assert.rejects(() => ContentModule.prototype.importCourse.call(inst, bundle, 'user1'), (e) => {
+          assert.equal(e.message, 'INVALID_BUNDLE')
+          assert.match(e.data.reason, /limit of 2/)
+          return true
+        })
+        assert.equal(inst.clone.mock.callCount(), 0)
+      })
+
+      it('throws INVALID_BUNDLE listing the items which fail schema validation', async () => {
+        const inst = createImportInstance()
+        const content = [...bundle.content, { _id: 'c1', _type: 'component', _courseId: 'c', _parentId: 'p', _component: 'adapt-contrib-text', title: 42 }]
+        await assert.rejects(() => ContentModule.prototype.importCourse.call(inst, { ...bundle, content }, 'user1'), (e) => {
+          assert.equal(e.message, 'INVALID_BUNDLE')
+          assert.deepEqual(e.data.items, [{ _id: 'c1', _type: 'component', errors: 'title must be string' }])
+          return true
+        })
+        assert.deepEqual(inst.jsonschema.getSchema.mock.calls.map(c => c.arguments[0]), ['course', 'config', 'contentobject', 'text-component'])
+        assert.equal(inst.generateFriendlyIds.mock.callCount(), 0)
+        assert.equal(inst.clone.mock.callCount(), 0)
+      })
+
+      it('imports exported timestamps as Dates', async () => {
+        const inst = createImportInstance()
+        const content = bundle.content.map(i => ({ ...i, createdAt: '2024-01-02T03:04:05.000Z', updatedAt: '2024-01-03T03:04:05.000Z' }))
+        await ContentModule.prototype.importCourse.call(inst, { ...bundle, content }, 'user1')
+        const { tree } = inst.clone.mock.calls[0].arguments[4]
+        assert.ok(tree.items.every(i => i.createdAt instanceof Date && i.updatedAt instanceof Date))
+        assert.equal(tree.getById('p').createdAt.toISOString(), '2024-01-02T03:04:05.000Z')
+      })
+    })
+
+    describe('findMissingDependencies', () => {
+      it('reports plugins and assets which do not exist here', async () => {
+        const inst = createInstance({
+          contentplugin: { find: mock.fn(async () => [{ name: 'adapt-contrib-text' }]) },
+          assets: { find: mock.fn(async () => []) }
+        })
+        const bundle = { _enabledPlugins: ['adapt-contrib-text', 'adapt-contrib-spoor'], plugins: [{ name: 'adapt-contrib-spoor', version: '5.0.0' }], _assetIds: [ASSET_OID, 'not-an-id'] }
+        const tree = new ContentTree([{ _id: 'c1', _type: 'component', _component: 'adapt-contrib-mcq' }])
+        const result = await ContentModule.prototype.findMissingDependencies.call(inst, bundle, tree)
+        assert.deepEqual(result.missingPlugins, [
+          { name: 'adapt-contrib-spoor', version: '5.0.0' },
+          { name: 'adapt-contrib-mcq', version: undefined }
+        ])
+        assert.deepEqual(result.missingAssets, [ASSET_OID, 'not-an-id'])
+        assert.equal(inst.assets.find.mock.calls[0].arguments[0]._id.$in.length, 1, 'only valid ids are looked up')
+      })
+    })
+  })
+
+  describe('subtree export/import', () => {
+    function makeError (code) {
+      return { setData: data => Object.assign(new Error(code), { data }) }
+    }
+
+    const course = { _id: COURSE_ID, _type: 'course', _courseId: COURSE_ID }
+    const page = { _id: 'p1', _type: 'page', _courseId: COURSE_ID, _parentId: COURSE_ID, _sortOrder: 3 }
+    const article = { _id: 'a1', _type: 'article', _courseId: COURSE_ID, _parentId: 'p1' }
+    const comp = { _id: 'c1', _type: 'component', _courseId: COURSE_ID, _parentId: 'a1', _component: 'adapt-contrib-text' }
+    const otherComp = { _id: 'c2', _type: 'component', _courseId: COURSE_ID, _parentId: 'p2', _component: 'adapt-contrib-mcq' }
+
+    it('exportSubtree bundles the item and its descendants with the components they use', async () => {
+      const inst = createInstance({
+        findOne: mock.fn(async () => page),
+        mongodb: { find: mock.fn(async () => [course, page, article, comp, otherComp]) },
+        contentplugin: { find: mock.fn(async () => [{ name: 'adapt-contrib-text', type: 'component', version: '7.0.0' }]) }
+      })
+      inst.createBundle = ContentModule.prototype.createBundle.bind(inst)
+      const bundle = await ContentModule.prototype.exportSubtree.call(inst, 'p1')
+      assert.equal(bundle.type, 'page')
+      assert.deepEqual(bundle.content.map(i => i._id), ['p1', 'a1', 'c1'])
+      assert.deepEqual(bundle._enabledPlugins, ['adapt-contrib-text'])
+    })
+
+    it('exportSubtree rejects other content types', async () => {
+      const inst = createInstance({
+        findOne: mock.fn(async () => comp),
+        app: { errors: { INVALID_EXPORT_TYPE: makeError('INVALID_EXPORT_TYPE') } }
+      })
+      await assert.rejects(() => ContentModule.prototype.exportSubtree.call(inst, 'c1'), { message: 'INVALID_EXPORT_TYPE' })
+    })
+
+    describe('importSubtree', () => {
+      const bundle = { version: 1, type: 'page', content: [page, article, comp] }
+
+      function createImportInstance (parent, config) {
+        return createInstance({
+          ...createValidationMocks(),
+          findOne: mock.fn(async ({ _type }) => _type === 'config' ? config : parent),
+          clone: mock.fn(async () => ({ _id: 'new', _courseId: 'dest' })),
+          updateEnabledPlugins: mock.fn(async () => {}),
+          findMissingDependencies: mock.fn(async () => ({ missingPlugins: [{ name: 'adapt-contrib-text' }], missingAssets: [] })),
+          app: { errors: { INVALID_BUNDLE: makeError('INVALID_BUNDLE'), INVALID_PARENT_TYPE: makeError('INVALID_PARENT_TYPE') } }
+        })
+      }
+
+      it('clones the bundle under the parent and re-syncs the destination plugins', async () => {
+        const inst = createImportInstance({ _id: 'dest', _type: 'course', _courseId: 'dest' })
+        const result = await ContentModule.prototype.importSubtree.call(inst, bundle, 'dest', 'user1')
+        const [userId, _id, _parentId, , options] = inst.clone.mock.calls[0].arguments
+        assert.deepEqual([userId, _id, _parentId], ['user1', 'p1', 'dest'])
+        assert.equal(options.tree.getById('p1')._sortOrder, undefined, 'appended rather than placed at the source position')
+        assert.equal(options.preserveFriendlyIds, true)
+        assert.deepEqual(inst.updateEnabledPlugins.mock.calls[0].arguments[0], { _courseId: 'dest', _type: 'config' })
+        assert.deepEqual(result.missingPlugins, [{ name: 'adapt-contrib-text' }])
+        assert.equal(result.item._id, 'new')
+      })
+
+      it('validates the content with the destination course\'s plugins, rejecting invalid items', async () => {
+        const inst = createImportInstance({ _id: 'dest', _type: 'course', _courseId: 'dest' }, { _enabledPlugins: ['adapt-contrib-trickle'] })
+        const invalid = { version: 1, type: 'page', content: [page, { ...article, title: ['not', 'a', 'string'] }, comp] }
+        await assert.rejects(() => ContentModule.prototype.importSubtree.call(inst, invalid, 'dest', 'user1'), (e) => {
+          assert.equal(e.message, 'INVALID_BUNDLE')
+          assert.deepEqual(e.data.items, [{ _id: 'a1', _type: 'article', errors: 'title must be string' }])
+          return true
+        })
+        const { extensionFilter } = inst.jsonschema.getSchema.mock.calls[0].arguments[1]
+        assert.equal(extensionFilter('adapt-contrib-trickle-schema'), true)
+        assert.equal(extensionFilter('adapt-contrib-other-schema'), false)
+        assert.equal(inst.clone.mock.callCount(), 0)
+      })
+
+      it('rejects a parent of the wrong type', async () => {
+        const inst = createImportInstance({ _id: 'b1', _type: 'block', _courseId: 'dest' })
+        await assert.rejects(() => ContentModule.prototype.importSubtree.call(inst, bundle, 'b1', 'user1'), (e) => {
+          assert.equal(e.message, 'INVALID_PARENT_TYPE')
+          assert.deepEqual(e.data, { _id: 'p1', _type: 'page', parentId: 'b1', parentType: 'block' })
+          return true
+        })
+        assert.equal(inst.clone.mock.callCount(), 0)
+      })
+
+      it('rejects a course bundle', async () => {
+        const inst = createImportInstance({ _id: 'dest', _type: 'course' })
+        await assert.rejects(() => ContentModule.prototype.importSubtree.call(inst, { ...bundle, type: 'course' }, 'dest', 'user1'), { message: 'INVALID_BUNDLE' })
+      })
+    })
+  })
+
+  describe('duplicateAssets', () => {
+    const ASSET_OID = '507f1f77bcf86cd79943a030'
+    const USER_OID = '507f1f77bcf86cd79943a031'
+
+    function createAssetsInstance (t, { write = async () => {} } = {}) {
+      const wrappers = []
+      const assets = {
+        schemaName: 'asset',
+        collectionName: 'assets',
+        find: mock.fn(async () => [{ _id: ASSET_OID, path: `${ASSET_OID}.png`, hash: 'h', createdAt: 'then', updatedAt: 'then' }]),
+        delete: mock.fn(async () => {}),
+        postInsertHook: { invoke: mock.fn(async () => {}) },
+        createFsWrapper: mock.fn((data) => {
+          const wrapper = {
+            data,
+            path: `/assets/${data.path}`,
+            hasThumb: true,
+            read: mock.fn(async () => `stream:${data.path}`),
+            write: mock.fn(write),
+            thumb: { path: `/thumbs/${data._id}.jpg`, read: mock.fn(async () => 'thumb'), write: mock.fn(async () => {}) }
+          }
+          wrappers.push(wrapper)
+          return wrapper
+        })
+      }
+      // the copy is inserted with the assets module's generic API insert, bound to the assets module
+      const insert = t.mock.method(AbstractApiModule.prototype, 'insert', async function (data) { return { ...data, inserted: this === assets } })
+      const inst = createInstance({ assets, log: mock.fn(), app: { errors: {} } })
+      inst.duplicateAsset = ContentModule.prototype.duplicateAsset
+      inst.deleteExclusiveAssets = ContentModule.prototype.deleteExclusiveAssets
+      return { inst, assets, insert, wrappers }
+    }
+
+    it('planAssetCopies allocates a copy _id per existing asset', async (t) => {
+      const { inst } = createAssetsInstance(t)
+      const copies = await ContentModule.prototype.planAssetCopies.call(inst, [ASSET_OID, USER_OID])
+      assert.equal(copies.length, 1)
+      assert.equal(copies[0].asset._id, ASSET_OID)
+      assert.ok(copies[0]._id && copies[0]._id.toString() !== ASSET_OID)
+    })
+
+    it('planAssetCopies does nothing without assets', async (t) => {
+      const { inst, assets } = createAssetsInstance(t)
+      assert.deepEqual(await ContentModule.prototype.planAssetCopies.call(inst, []), [])
+      assert.equal(assets.find.mock.callCount(), 0)
+    })
+
+    it('should copy the record and file of each asset, with the planned _id', async (t) => {
+      const { inst, assets, insert, wrappers } = createAssetsInstance(t)
+      const [planned] = await ContentModule.prototype.planAssetCopies.call(inst, [ASSET_OID])
+      const idMap = await ContentModule.prototype.duplicateAssets.call(inst, [planned], USER_OID)
+
+      const copyId = idMap.get(ASSET_OID)
+      assert.equal(copyId, planned._id.toString())
+      const [copy, options, mongoOptions] = insert.mock.calls[0].arguments
+      assert.equal(insert.mock.calls[0].this, assets)
+      assert.deepEqual(options, { schemaName: 'asset', collectionName: 'assets', invokePostHook: false })
+      assert.deepEqual(mongoOptions, { preserveId: true })
+      assert.equal(copy._id.toString(), copyId)
+      assert.equal(copy.path, `${copyId}.png`)
+      assert.equal(copy.hash, undefined, 'the copy is left out of the duplicate check')
+      assert.equal(copy.createdBy, USER_OID)
+      assert.equal(copy.createdAt, undefined)
+      const [source, target] = wrappers
+      assert.deepEqual(target.write.mock.calls[0].arguments, [`stream:${ASSET_OID}.png`, `/assets/${copyId}.png`])
+      assert.deepEqual(target.thumb.write.mock.calls[0].arguments, ['thumb', `/thumbs/${copyId}.jpg`])
+      assert.equal(source.write.mock.callCount(), 0)
+      assert.equal(assets.postInsertHook.invoke.mock.calls[0].arguments[0].inserted, true)
+    })
+
+    it('should delete the new record when the file copy fails', async (t) => {
+      const { inst, assets } = createAssetsInstance(t, { write: async () => { throw new Error('disk full') } })
+      const copies = await ContentModule.prototype.planAssetCopies.call(inst, [ASSET_OID])
+      await assert.rejects(() => ContentModule.prototype.duplicateAssets.call(inst, copies, USER_OID), /disk full/)
+      assert.deepEqual(assets.delete.mock.calls.map(c => c.arguments[0]._id.toString()), [copies[0]._id.toString()])
+      assert.equal(assets.postInsertHook.invoke.mock.callCount(), 0)
+    })
+
+    it('should delete the new record when the thumbnail copy fails', async (t) => {
+      const { inst, assets, wrappers } = createAssetsInstance(t)
+      const copies = await ContentModule.prototype.planAssetCopies.call(inst, [ASSET_OID])
+      assets.createFsWrapper.mock.mockImplementation(data => {
+        const wrapper = { path: `/assets/${data.path}`, hasThumb: true, read: async () => 'stream', write: async () => {}, thumb: { read: async () => 'thumb', write: async () => { throw new Error('thumb failed') } } }
+        wrappers.push(wrapper)
+        return wrapper
+      })
+      await assert.rejects(() => ContentModule.prototype.duplicateAsset.call(inst, copies[0].asset, USER_OID, copies[0]._id), /thumb failed/)
+      assert.deepEqual(assets.delete.mock.calls[0].arguments, [{ _id: copies[0]._id }])
+    })
+
+    it('should remove the copies already made when a later one fails', async (t) => {
+      const OTHER_OID = '507f1f77bcf86cd79943a032'
+      let writes = 0
+      const { inst, assets } = createAssetsInstance(t, { write: async () => { if (++writes > 1) throw new Error('disk full') } })
+      assets.find.mock.mockImplementation(async () => [
+        { _id: ASSET_OID, path: `${ASSET_OID}.png` },
+        { _id: OTHER_OID, path: `${OTHER_OID}.png` }
+      ])
+      const copies = await ContentModule.prototype.planAssetCopies.call(inst, [ASSET_OID, OTHER_OID])
+      await assert.rejects(() => ContentModule.prototype.duplicateAssets.call(inst, copies, USER_OID), /disk full/)
+      const deleted = assets.delete.mock.calls.map(c => c.arguments[0]._id.toString())
+      assert.deepEqual(deleted.sort(), copies.map(c => c._id.toString()).sort())
+      assert.equal(assets.postInsertHook.invoke.mock.callCount(), 1, 'only the first copy completed')
+    })
+  })
+
+  describe('templates', () => {
+    const USER_OID = '507f1f77bcf86cd79943a050'
+
+    function makeError (code) {
+      return { setData: data => Object.assign(new Error(code), { code, data }) }
+    }
+
+    const course = { _id: COURSE_ID, _type: 'course', _courseId: COURSE_ID, title: 'House style', _language: 'en', _isShared: true, _shareWithUsers: ['u1'], userGroups: ['g1'], _access: { public: true } }
+    const page = { _id: 'p1', _type: 'page', _courseId: COURSE_ID, _parentId: COURSE_ID }
+
+    function createTemplateInstance ({ templates = [{ _courseId: COURSE_ID, title: 'House style' }] } = {}) {
+      const findOneAndUpdate = mock.fn(async () => ({ _courseId: COURSE_ID }))
+      const inst = {
+        collectionName: 'content',
+        templateCollectionName: 'contenttemplates',
+        mongodb: {
+          find: mock.fn(async (collection) => collection === 'contenttemplates' ? templates : [course, page]),
+          deleteMany: mock.fn(async () => {}),
+          getCollection: mock.fn(() => ({ findOneAndUpdate }))
+        },
+        generateFriendlyIds: mock.fn(async () => ['course-9-en']),
+        clone: mock.fn(async () => ({ _id: 'new-course' })),
+        app: { errors: { NOT_FOUND: makeError('NOT_FOUND') } }
+      }
+      inst.findTemplate = ContentModule.prototype.findTemplate.bind(inst)
+      return { inst, findOneAndUpdate }
+    }
+
+    it('addTemplate upserts the template, defaulting the title to the course title', async () => {
+      const { inst, findOneAndUpdate } = createTemplateInstance()
+      await ContentModule.prototype.addTemplate.call(inst, course, { createdBy: USER_OID })
+      const [query, update, options] = findOneAndUpdate.mock.calls[0].arguments
+      assert.equal(query._courseId.toString(), COURSE_ID)
+      assert.deepEqual(update.$set, { title: 'House style' })
+      assert.equal(update.$setOnInsert.createdBy, USER_OID)
+      assert.equal(options.upsert, true)
+    })
+
+    it('findTemplate throws NOT_FOUND for a course which is not a template', async () => {
+      const { inst } = createTemplateInstance({ templates: [] })
+      await assert.rejects(() => ContentModule.prototype.findTemplate.call(inst, COURSE_ID), err => err.code === 'NOT_FOUND' && err.data.type === 'template')
+    })
+
+    it('createCourseFromTemplate clones the course without its sharing settings', async () => {
+      const { inst } = createTemplateInstance()
+      const result = await ContentModule.prototype.createCourseFromTemplate.call(inst, COURSE_ID, USER_OID, { title: 'Client course' })
+
+      assert.deepEqual(result, { _id: 'new-course' })
+      assert.deepEqual(inst.generateFriendlyIds.mock.calls[0].arguments, ['course', undefined, 1, 'en'])
+      const [userId, _id, _parentId, customData, { tree }] = inst.clone.mock.calls[0].arguments
+      assert.equal(userId, USER_OID)
+      assert.equal(_id, COURSE_ID)
+      assert.equal(_parentId, undefined)
+      assert.deepEqual(customData, { _friendlyId: 'course-9-en', title: 'Client course', displayTitle: 'Client course' })
+      const cloned = tree.getById(COURSE_ID)
+      for (const key of ['_isShared', '_shareWithUsers', 'userGroups', '_access']) assert.equal(cloned[key], undefined)
+      assert.equal(tree.getById('p1'), page)
+    })
+
+    it('createCourseFromTemplate defaults the title to the template course title', async () => {
+      const { inst } = createTemplateInstance()
+      await ContentModule.prototype.createCourseFromTemplate.call(inst, COURSE_ID, USER_OID)
+      assert.equal(inst.clone.mock.calls[0].arguments[3].title, 'House style')
+    })
+
+    it('createCourseFromTemplate rejects courses which are not templates', async () => {
+      const { inst } = createTemplateInstance({ templates: [] })
+      await assert.rejects(() => ContentModule.prototype.createCourseFromTemplate.call(inst, COURSE_ID, USER_OID), err => err.code === 'NOT_FOUND')
+      assert.equal(inst.clone.mock.callCount(), 0)
+    })
+
+    it('handleRemoveTemplate checks course access before unregistering', async () => {
+      const { inst } = createTemplateInstance()
+      inst.requestHook = { invoke: mock.fn(async () => {}) }
+      inst.checkCourseAccess = mock.fn(async () => course)
+      inst.removeTemplate = mock.fn(async () => {})
+      const res = { status: mock.fn(() => res), end: mock.fn() }
+      await ContentModule.prototype.handleRemoveTemplate.call(inst, { apiData: { query: { _courseId: COURSE_ID } } }, res, mock.fn())
+
+      assert.equal(inst.checkCourseAccess.mock.calls[0].arguments[1], COURSE_ID)
+      assert.deepEqual(inst.removeTemplate.mock.calls[0].arguments, [COURSE_ID])
+      assert.equal(res.status.mock.calls[0].arguments[0], 204)
+    })
+  })
+
+  describe('snippets', () => {
+    const SNIPPET_OID = '507f1f77bcf86cd79943a060'
+    const USER_OID = '507f1f77bcf86cd79943a061'
+    const OTHER_COURSE_ID = '507f1f77bcf86cd79943a062'
+
+    function makeError (code) {
+      return { setData: data => Object.assign(new Error(code), { code, data }) }
+    }
+
+    const block = { _id: 'b1', _type: 'block', _courseId: COURSE_ID, _parentId: 'a1', _sortOrder: 3, title: 'Intro block' }
+    const component = { _id: 'c1', _type: 'component', _courseId: COURSE_ID, _parentId: 'b1', _component: 'adapt-contrib-text' }
+    const other = { _id: 'b2', _type: 'block', _courseId: COURSE_ID, _parentId: 'a1' }
+
+    function createSnippetInstance ({ snippets = [], root = block } = {}) {
+      const insertOne = mock.fn(async () => ({ insertedId: SNIPPET_OID }))
+      const inst = {
+        collectionName: 'content',
+        snippetCollectionName: 'contentsnippets',
+        findOne: mock.fn(async () => root),
+        mongodb: {
+          find: mock.fn(async (collection) => collection === 'contentsnippets' ? snippets : [block, component, other]),
+          getCollection: mock.fn(() => ({ insertOne }))
+        },
+        clone: mock.fn(async () => ({ _id: 'new-block', _courseId: 'dest-course' })),
+        updateEnabledPlugins: mock.fn(async () => {}),
+        app: { errors: { NOT_FOUND: makeError('NOT_FOUND'), INVALID_SNIPPET_TYPE: makeError('INVALID_SNIPPET_TYPE'), INVALID_PARENT_TYPE: makeError('INVALID_PARENT_TYPE') } }
+      }
+      inst.findSnippet = ContentModule.prototype.findSnippet.bind(inst)
+      inst.canUseSnippet = ContentModule.prototype.canUseSnippet
+      return { inst, insertOne }
+    }
+
+    it('createSnippet stores a copy of the block and its descendants', async () => {
+      const { inst, insertOne } = createSnippetInstance()
+      const snippet = await ContentModule.prototype.createSnippet.call(inst, 'b1', { createdBy: USER_OID })
+
+      const stored = insertOne.mock.calls[0].arguments[0]
+      assert.deepEqual(stored.items.map(i => i._id), ['b1', 'c1'])
+      assert.equal(stored.items[0]._sortOrder, undefined)
+      assert.equal(stored.title, 'Intro block')
+      assert.deepEqual(stored.components, ['adapt-contrib-text'])
+      assert.deepEqual(stored._courseIds.map(String), [COURSE_ID])
+      assert.equal(snippet._id, SNIPPET_OID)
+      assert.equal(snippet.items, undefined)
+    })
+
+    it('createSnippet shares the snippet with the courses given', async () => {
+      const { inst, insertOne } = createSnippetInstance()
+      await ContentModule.prototype.createSnippet.call(inst, 'b1', { createdBy: USER_OID, _courseIds: [OTHER_COURSE_ID, OTHER_COURSE_ID] })
+      assert.deepEqual(insertOne.mock.calls[0].arguments[0]._courseIds.map(String), [OTHER_COURSE_ID])
+    })
+
+    it('listSnippets lists the user\'s own snippets and those shared with the course', async () => {
+      const { inst } = createSnippetInstance()
+      await ContentModule.prototype.listSnippets.call(inst, { userId: USER_OID, _courseId: COURSE_ID })
+      const [, query] = inst.mongodb.find.mock.calls[0].arguments
+      assert.deepEqual(query.$or.map(q => Object.entries(q).map(([k, v]) => [k, v.toString()])), [[['createdBy', USER_OID]], [['_courseIds', COURSE_ID]]])
+    })
+
+    it('canUseSnippet allows the owner anywhere and others in shared courses only', () => {
+      const snippet = { createdBy: USER_OID, _courseIds: [COURSE_ID] }
+      const canUse = (...args) => ContentModule.prototype.canUseSnippet.call({}, snippet, ...args)
+      assert.equal(canUse(USER_OID, OTHER_COURSE_ID), true)
+      assert.equal(canUse('someone-else', COURSE_ID), true)
+      assert.equal(canUse('someone-else', OTHER_COURSE_ID), false)
+      assert.equal(canUse('someone-else'), false)
+    })
+
+    it('handleCreateSnippet needs write access to the block\'s course and every shared course', async () => {
+      const { inst } = createSnippetInstance()
+      inst.requestHook = { invoke: mock.fn(async () => {}) }
+      inst.checkCourseAccess = mock.fn(async () => {})
+      inst.createSnippet = mock.fn(async () => ({ _id: SNIPPET_OID }))
+      const res = { status: mock.fn(() => res), json: mock.fn() }
+      const req = { body: { _id: 'b1', _courseIds: [OTHER_COURSE_ID] }, auth: { user: { _id: USER_OID } } }
+      await ContentModule.prototype.handleCreateSnippet.call(inst, req, res, mock.fn())
+
+      assert.deepEqual(inst.checkCourseAccess.mock.calls.map(c => c.arguments[1]), [COURSE_ID, OTHER_COURSE_ID])
+      assert.deepEqual(inst.createSnippet.mock.calls[0].arguments[1]._courseIds, [OTHER_COURSE_ID])
+    })
+
+    it('handleInsertSnippet hides another user\'s snippet which isn\'t shared with the course', async () => {
+      const { inst } = createSnippetInstance({ snippets: [{ _id: SNIPPET_OID, createdBy: 'someone-else', _courseIds: [COURSE_ID], items: [block] }] })
+      inst.requestHook = { invoke: mock.fn(async () => {}) }
+      inst.checkAccess = mock.fn(async () => {})
+      inst.findOne = mock.fn(async () => ({ _id: 'dest-article', _type: 'article', _courseId: OTHER_COURSE_ID }))
+      inst.insertSnippet = mock.fn(async () => ({}))
+      const next = mock.fn()
+      const req = { apiData: { query: { _snippetId: SNIPPET_OID } }, body: { _parentId: 'dest-article' }, auth: { user: { _id: USER_OID } } }
+      await ContentModule.prototype.handleInsertSnippet.call(inst, req, {}, next)
+
+      assert.equal(next.mock.calls[0].arguments[0].code, 'NOT_FOUND')
+      assert.equal(inst.insertSnippet.mock.callCount(), 0)
+    })
+
+    it('createSnippet only accepts blocks', async () => {
+      const { inst, insertOne } = createSnippetInstance({ root: { _id: 'a1', _type: 'article', _courseId: COURSE_ID } })
+      await assert.rejects(() => ContentModule.prototype.createSnippet.call(inst, 'a1'), err => err.code === 'INVALID_SNIPPET_TYPE')
+      assert.equal(insertOne.mock.callCount(), 0)
+    })
+
+    it('insertSnippet clones the snippet under the article and enables its plugins', async () => {
+      const items = [{ _id: 'b1', _type: 'block', _courseId: COURSE_ID }, component]
+      const { inst } = createSnippetInstance({ snippets: [{ _id: SNIPPET_OID, items }] })
+      const parent = { _id: 'dest-article', _type: 'article', _courseId: 'dest-course' }
+      const result = await ContentModule.prototype.insertSnippet.call(inst, SNIPPET_OID, 'dest-article', USER_OID, { parent, _sortOrder: 2 })
+
+      assert.equal(result._id, 'new-block')
+      const [userId, _id, _parentId, customData, options] = inst.clone.mock.calls[0].arguments
+      assert.equal(userId, USER_OID)
+      assert.equal(_id, 'b1')
+      assert.equal(_parentId, 'dest-article')
+      assert.deepEqual(customData, { _sortOrder: 2 })
+      assert.equal(options.parent, parent)
+      assert.deepEqual(options.tree.getDescendants('b1'), [component])
+      assert.deepEqual(inst.updateEnabledPlugins.mock.calls[0].arguments[0], { _courseId: 'dest-course', _type: 'config' })
+    })
+
+    it('insertSnippet rejects parents which are not articles', async () => {
+      const { inst } = createSnippetInstance({ snippets: [{ _id: SNIPPET_OID, items: [block] }] })
+      const parent = { _id: 'p1', _type: 'page', _courseId: COURSE_ID }
+      await assert.rejects(() => ContentModule.prototype.insertSnippet.call(inst, SNIPPET_OID, 'p1', USER_OID, { parent }), err => err.code === 'INVALID_PARENT_TYPE')
+      assert.equal(inst.clone.mock.callCount(), 0)
+    })
+
+    it('handleDeleteSnippet only lets the owner delete', async () => {
+      const { inst } = createSnippetInstance({ snippets: [{ _id: SNIPPET_OID, createdBy: 'someone-else' }] })
+      inst.requestHook = { invoke: mock.fn(async () => {}) }
+      inst.deleteSnippet = mock.fn(async () => {})
+      const next = mock.fn()
+      const req = { apiData: { query: { _snippetId: SNIPPET_OID } }, auth: { user: { _id: USER_OID } } }
+      await ContentModule.prototype.handleDeleteSnippet.call(inst, req, {}, next)
+
+      assert.equal(next.mock.calls[0].arguments[0].code, 'NOT_FOUND')
+      assert.equal(inst.deleteSnippet.mock.callCount(), 0)
+    })
+
+    it('handleDeleteSnippet lets a super user delete any snippet', async () => {
+      const { inst } = createSnippetInstance({ snippets: [{ _id: SNIPPET_OID, createdBy: 'someone-else' }] })
+      inst.requestHook = { invoke: mock.fn(async () => {}) }
+      inst.deleteSnippet = mock.fn(async () => {})
+      const res = { status: mock.fn(() => res), end: mock.fn() }
+      const req = { apiData: { query: { _snippetId: SNIPPET_OID } }, auth: { user: { _id: USER_OID }, isSuper: true } }
+      await ContentModule.prototype.handleDeleteSnippet.call(inst, req, res, mock.fn())
+
+      assert.deepEqual(inst.deleteSnippet.mock.calls[0].arguments, [SNIPPET_OID])
+      assert.equal(res.status.mock.calls[0].arguments[0], 204)
+    })
+  })
+
+  describe('searchCourse', () => {
+    const schema = {
+      walk: (data, predicate) => ['title', 'body']
+        .filter(key => data[key] !== undefined && predicate({ type: 'string' }))
+        .map(key => ({ path: key, key, data, value: data[key] }))
+    }
+
+    function createSearchInstance (content) {
+      return createInstance({
+        findOrderedCourseItems: ContentModule.prototype.findOrderedCourseItems,
+        mongodb: { find: mock.fn(async () => content) },
+        getSchema: mock.fn(async () => schema),
+        app: { errors: { NOT_FOUND: { setData: data => Object.assign(new Error('NOT_FOUND'), { code: 'NOT_FOUND', data }) } } }
+      })
+    }
+
+    it('should return matches in course order, without orphans', async () => {
+      const inst = createSearchInstance([
+        { _id: 'c1', _type: 'component', _parentId: 'b1', _friendlyId: 'c-1', body: '<p>GDPR here</p>' },
+        { _id: 'course', _type: 'course', title: 'Privacy' },
+        { _id: 'p2', _type: 'page', _parentId: 'course', _sortOrder: 2, title: 'More GDPR' },
+        { _id: 'p1', _type: 'page', _parentId: 'course', _sortOrder: 1, title: 'Intro' },
+        { _id: 'a1', _type: 'article', _parentId: 'p1', _sortOrder: 1, title: 'GDPR article' },
+        { _id: 'b1', _type: 'block', _parentId: 'a1', _sortOrder: 1 },
+        { _id: 'o1', _type: 'block', _parentId: 'gone', title: 'Orphan GDPR' }
+      ])
+      const results = await ContentModule.prototype.searchCourse.call(inst, COURSE_ID, 'gdpr')
+
+      assert.deepEqual(results.map(r => r._id), ['a1', 'c1', 'p2'])
+      assert.deepEqual(results[1], { _id: 'c1', _type: 'component', _friendlyId: 'c-1', path: 'body', snippet: 'GDPR here', highlights: [[0, 4]] })
+    })
+
+    it('should find part of a word', async () => {
+      const inst = createSearchInstance([
+        { _id: 'course', _type: 'course', title: 'Course' },
+        { _id: 'p1', _type: 'page', _parentId: 'course', _sortOrder: 1, title: 'Introduction', body: 'Online <b>Payment</b>s' }
+      ])
+      const results = await ContentModule.prototype.searchCourse.call(inst, COURSE_ID, 'pay')
+      assert.deepEqual(results.map(r => [r._id, r.path, r.highlights]), [['p1', 'body', [[7, 10]]]])
+      assert.deepEqual((await ContentModule.prototype.searchCourse.call(inst, COURSE_ID, 'intro')).map(r => r.path), ['title'])
+    })
+
+    it('should load the course in one query by _courseId', async () => {
+      const inst = createSearchInstance([{ _id: 'course', _type: 'course', title: 'GDPR' }])
+      await ContentModule.prototype.searchCourse.call(inst, COURSE_ID, 'gdpr')
+      assert.equal(inst.mongodb.find.mock.callCount(), 1)
+      assert.deepEqual(Object.keys(inst.mongodb.find.mock.calls[0].arguments[1]), ['_courseId'])
+      assert.equal(inst.mongodb.find.mock.calls[0].arguments[1]._courseId.toString(), COURSE_ID)
+    })
+
+    it('should return nothing for an empty query without querying', async () => {
+      const inst = createSearchInstance([])
+      assert.deepEqual(await ContentModule.prototype.searchCourse.call(inst, COURSE_ID, ''), [])
+      assert.equal(inst.mongodb.find.mock.callCount(), 0)
+    })
+
+    it('should throw NOT_FOUND for a missing course', async () => {
+      const inst = createSearchInstance([{ _id: 'c1', _type: 'component', _parentId: 'b1', body: 'x' }])
+      await assert.rejects(() => ContentModule.prototype.searchCourse.call(inst, COURSE_ID, 'x'), err => err.code === 'NOT_FOUND')
+    })
+
+    it('should only search components of the given type', async () => {
+      const inst = createSearchInstance([
+        { _id: 'course', _type: 'course', title: 'GDPR' },
+        { _id: 'c1', _type: 'component', _parentId: 'course', _sortOrder: 1, _component: 'adapt-contrib-text', body: 'GDPR' },
+        { _id: 'c2', _type: 'component', _parentId: 'course', _sortOrder: 2, _component: 'adapt-contrib-mcq', body: 'GDPR' }
+      ])
+      const results = await ContentModule.prototype.searchCourse.call(inst, COURSE_ID, 'gdpr', { component: 'adapt-contrib-mcq' })
+      assert.deepEqual(results.map(r => r._id), ['c2'])
+    })
+
+    it('should return every component of the given type when there is no query', async () => {
+      const inst = createSearchInstance([
+        { _id: 'course', _type: 'course' },
+        { _id: 'c1', _type: 'component', _parentId: 'course', _friendlyId: 'c-1', _component: 'adapt-contrib-mcq' }
+      ])
+      const results = await ContentModule.prototype.searchCourse.call(inst, COURSE_ID, '', { component: 'adapt-contrib-mcq' })
+      assert.deepEqual(results, [{ _id: 'c1', _type: 'component', _friendlyId: 'c-1', _component: 'adapt-contrib-mcq' }])
+      assert.equal(inst.getSchema.mock.callCount(), 0)
+    })
+  })
+
+  describe('searchCourses', () => {
+    const courses = [{ _id: 'a', title: 'A' }, { _id: 'b', title: 'B' }, { _id: 'c', title: 'C' }]
+
+    it('should group results by course, leaving out courses without results', async () => {
+      const inst = createInstance({
+        searchCourse: mock.fn(async _courseId => _courseId === 'b' ? [] : [{ _id: `${_courseId}1` }])
+      })
+      const groups = await ContentModule.prototype.searchCourses.call(inst, courses, { query: 'gdpr' })
+      assert.deepEqual(groups, [
+        { _courseId: 'a', title: 'A', results: [{ _id: 'a1' }] },
+        { _courseId: 'c', title: 'C', results: [{ _id: 'c1' }] }
+      ])
+    })
+
+    it('should find the courses with components of a type', async () => {
+      const inst = createInstance({ mongodb: createMockMongodb({ distinct: mock.fn(async () => ['c']) }) })
+      assert.deepEqual(await ContentModule.prototype.findComponentCourseIds.call(inst, 'adapt-contrib-mcq'), ['c'])
+      assert.deepEqual(inst.mongodb.collection.distinct.mock.calls[0].arguments, ['_courseId', { _type: 'component', _component: 'adapt-contrib-mcq' }])
+    })
+
+    it('should return nothing without a query or component', async () => {
+      const inst = createInstance({ searchCourse: mock.fn() })
+      assert.deepEqual(await ContentModule.prototype.searchCourses.call(inst, courses, { query: ' ' }), [])
+      assert.equal(inst.searchCourse.mock.callCount(), 0)
+    })
+  })
+
+  describe('findReadableCourses', () => {
+    const courses = [{ _id: 'a', title: 'A' }, { _id: 'b', title: 'B' }]
+
+    function createAccessInstance (checkAccess) {
+      const inst = createInstance({
+        find: mock.fn(async () => courses),
+        checkAccess,
+        app: { errors: { UNAUTHORISED: { code: 'UNAUTHORISED' } } }
+      })
+      inst.canReadCourse = ContentModule.prototype.canReadCourse.bind(inst)
+      return inst
+    }
+
+    it('should leave out courses failing the access check', async () => {
+      const inst = createAccessInstance(mock.fn(async (req, course) => {
+        if (course._id === 'a') throw Object.assign(new Error('UNAUTHORISED'), { code: 'UNAUTHORISED' })
+      }))
+      const result = await ContentModule.prototype.findReadableCourses.call(inst, { auth: { isSuper: false } })
+      assert.deepEqual(result.map(c => c._id), ['b'])
+    })
+
+    it('should fail on errors other than UNAUTHORISED rather than hide the course', async () => {
+      const inst = createAccessInstance(mock.fn(async () => { throw Object.assign(new Error('MONGO_ERROR'), { code: 'MONGO_ERROR' }) }))
+      await assert.rejects(() => ContentModule.prototype.findReadableCourses.call(inst, { auth: { isSuper: false } }), { message: 'MONGO_ERROR' })
+    })
+
+    it('should check the courses in parallel', async () => {
+      let pending = 0
+      let maxPending = 0
+      const inst = createAccessInstance(mock.fn(async () => {
+        maxPending = Math.max(maxPending, ++pending)
+        await new Promise(resolve => setImmediate(resolve))
+        pending--
+      }))
+      await ContentModule.prototype.findReadableCourses.call(inst, { auth: { isSuper: false } })
+      assert.equal(maxPending, 2)
+    })
+
+    it('should skip the access check for super users', async () => {
+      const inst = createAccessInstance(mock.fn(async () => { throw new Error('should not run for super') }))
+      const result = await ContentModule.prototype.findReadableCourses.call(inst, { auth: { isSuper: true } })
+      assert.equal(result.length, 2)
+    })
+
+    it('should only load the courses matching the query', async () => {
+      const inst = createAccessInstance(mock.fn(async () => {}))
+      await ContentModule.prototype.findReadableCourses.call(inst, { auth: { isSuper: false } }, { _id: { $in: ['a'] } })
+      assert.deepEqual(inst.find.mock.calls[0].arguments[0], { _id: { $in: ['a'] }, _type: 'course' })
+    })
+  })
+
+  describe('handleSearchAll', () => {
+    const getConfig = key => ({ defaultPageSize: 2, maxPageSize: 10 })[key]
+
+    it('should leave out courses without results before paging', async () => {
+      const courses = [{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }, { _id: 'd' }]
+      const inst = createInstance({
+        findComponentCourseIds: mock.fn(),
+        findReadableCourses: mock.fn(async () => courses),
+        searchCourses: mock.fn(async list => list.filter(c => c._id !== 'b').map(c => ({ _courseId: c._id }))),
+        getConfig
+      })
+      const req = { query: { q: 'gdpr', page: '2' } }
+      const res = { set: mock.fn(), json: mock.fn() }
+      const next = mock.fn()
+      await ContentModule.prototype.handleSearchAll.call(inst, req, res, next)
+
+      assert.equal(next.mock.callCount(), 0)
+      assert.equal(inst.findComponentCourseIds.mock.callCount(), 0)
+      assert.deepEqual(inst.findReadableCourses.mock.calls[0].arguments, [req])
+      assert.deepEqual(inst.searchCourses.mock.calls[0].arguments, [courses, { query: 'gdpr', component: undefined }])
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], [{ _courseId: 'd' }])
+      const headers = Object.fromEntries(res.set.mock.calls.map(c => c.arguments))
+      assert.deepEqual(headers, { 'X-Adapt-Page': 2, 'X-Adapt-PageSize': 2, 'X-Adapt-PageTotal': 2, 'X-Adapt-Total': 3 })
+    })
+
+    it('should only check the courses with the component searched for', async () => {
+      const inst = createInstance({
+        findComponentCourseIds: mock.fn(async () => ['a']),
+        findReadableCourses: mock.fn(async () => []),
+        searchCourses: mock.fn(async () => []),
+        getConfig
+      })
+      const req = { query: { component: 'adapt-contrib-mcq' } }
+      const res = { set: mock.fn(), json: mock.fn() }
+      await ContentModule.prototype.handleSearchAll.call(inst, req, res, mock.fn())
+
+      assert.deepEqual(inst.findComponentCourseIds.mock.calls[0].arguments, ['adapt-contrib-mcq'])
+      assert.deepEqual(inst.findReadableCourses.mock.calls[0].arguments, [req, { _id: { $in: ['a'] } }])
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], [])
+    })
+  })
+
+  describe('find and replace', () => {
+    const schema = {
+      walk: (data, predicate) => {
+        const matches = ['title', 'body']
+          .filter(key => data[key] !== undefined && predicate({ type: 'string' }))
+          .map(key => ({ path: key, key, data, value: data[key] }))
+        ;(data._items ?? []).forEach((item, i) => matches.push({ path: `_items/${i}/text`, key: 'text', data: item, value: item.text }))
+        return matches
+      }
+    }
+    const content = () => [
+      { _id: 'course', _type: 'course', title: 'Acme course' },
+      { _id: 'p1', _type: 'page', _parentId: 'course', _sortOrder: 1, _friendlyId: 'co-05', title: 'Intro', body: '<p class="acme">About Acme</p>' },
+      { _id: 'c1', _type: 'component', _parentId: 'p1', _component: 'adapt-contrib-narrative', _items: [{ text: 'acme', title: 'Keep' }, { text: 'Other' }] }
+    ]
+
+    function createReplaceInstance (items = content()) {
+      return createInstance({
+        findOrderedCourseItems: ContentModule.prototype.findOrderedCourseItems,
+        findCourseReplacements: ContentModule.prototype.findCourseReplacements,
+        mongodb: { find: mock.fn(async () => items) },
+        getSchema: mock.fn(async () => schema),
+        getSchemaName: mock.fn(async item => `${item._type}-schema`),
+        update: mock.fn(async () => ({}))
+      })
+    }
+
+    describe('previewReplace', () => {
+      it('should list every changed field in course order, without changing anything', async () => {
+        const inst = createReplaceInstance()
+        const results = await ContentModule.prototype.previewReplace.call(inst, COURSE_ID, 'acme', 'Nova', {})
+
+        assert.deepEqual(results.map(r => `${r._id}:${r.path}`), ['course:title', 'p1:body', 'c1:_items/0/text'])
+        assert.deepEqual(results[1], { _id: 'p1', _type: 'page', _friendlyId: 'co-05', path: 'body', before: '<p class="acme">About Acme</p>', after: '<p class="acme">About Nova</p>', count: 1 })
+        assert.equal(inst.update.mock.callCount(), 0)
+      })
+
+      it('should apply the case sensitivity option', async () => {
+        const inst = createReplaceInstance()
+        const results = await ContentModule.prototype.previewReplace.call(inst, COURSE_ID, 'acme', 'Nova', { caseSensitive: true })
+        assert.deepEqual(results.map(r => r._id), ['c1'])
+      })
+
+      it('should return nothing for an empty phrase', async () => {
+        const inst = createReplaceInstance()
+        assert.deepEqual(await ContentModule.prototype.previewReplace.call(inst, COURSE_ID, '', 'Nova', {}), [])
+        assert.equal(inst.mongodb.find.mock.callCount(), 0)
+      })
+    })
+
+    describe('applyReplace', () => {
+      it('should update each changed item through update', async () => {
+        const inst = createReplaceInstance()
+        const result = await ContentModule.prototype.applyReplace.call(inst, COURSE_ID, 'acme', 'Nova')
+
+        assert.deepEqual(inst.update.mock.calls.map(c => c.arguments), [
+          [{ _id: 'course' }, { title: 'Nova course' }, { schemaName: 'course-schema' }],
+          [{ _id: 'p1' }, { body: '<p class="acme">About Nova</p>' }, { schemaName: 'page-schema' }],
+          [{ _id: 'c1' }, { _items: [{ text: 'Nova', title: 'Keep' }, { text: 'Other' }] }, { schemaName: 'component-schema' }]
+        ])
+        assert.deepEqual(result.updated[2], { _id: 'c1', paths: ['_items/0/text'], count: 1 })
+        assert.deepEqual(result.skipped, [])
+      })
+
+      it('should not modify the stored item when changing a nested field', async () => {
+        const items = content()
+        const inst = createReplaceInstance(items)
+        await ContentModule.prototype.applyReplace.call(inst, COURSE_ID, 'acme', 'Nova')
+        assert.equal(items[2]._items[0].text, 'acme')
+      })
+
+      it('should keep the other values of a nested field as they are', async () => {
+        const items = content()
+        const _graphic = { _assetId: new ObjectId() }
+        items[2]._items[0]._graphic = _graphic
+        const inst = createReplaceInstance(items)
+        await ContentModule.prototype.applyReplace.call(inst, COURSE_ID, 'acme', 'Nova')
+
+        const [, data] = inst.update.mock.calls[2].arguments
+        assert.equal(data._items[0]._graphic, _graphic)
+        assert.ok(data._items[0]._graphic._assetId instanceof ObjectId)
+        assert.equal(data._items[1], items[2]._items[1])
+      })
+
+      it('should only change the selected fields, reporting those which no longer match', async () => {
+        const inst = createReplaceInstance()
+        const selected = [{ _id: 'p1', path: 'body' }, { _id: 'p1', path: 'title' }]
+        const result = await ContentModule.prototype.applyReplace.call(inst, COURSE_ID, 'acme', 'Nova', { selected })
+
+        assert.equal(inst.update.mock.callCount(), 1)
+        assert.deepEqual(inst.update.mock.calls[0].arguments[1], { body: '<p class="acme">About Nova</p>' })
+        assert.deepEqual(result, { updated: [{ _id: 'p1', paths: ['body'], count: 1 }], skipped: [{ _id: 'p1', path: 'title' }] })
+      })
+    })
+
+    describe('handleReplace', () => {
+      it('should check course access and apply the body options', async () => {
+        const inst = createInstance({
+          requestHook: { invoke: mock.fn(async () => {}) },
+          checkCourseAccess: mock.fn(async () => ({})),
+          applyReplace: mock.fn(async () => ({ updated: [], skipped: [] }))
+        })
+        const req = {
+          apiData: { query: { _courseId: COURSE_ID } },
+          body: { find: 'Acme', replace: 'Nova', wholeWord: true, selected: [{ _id: 'p1', path: 'body' }] }
+        }
+        const res = { json: mock.fn() }
+        const next = mock.fn()
+        await ContentModule.prototype.handleReplace.call(inst, req, res, next)
+
+        assert.equal(next.mock.callCount(), 0)
+        assert.deepEqual(inst.checkCourseAccess.mock.calls[0].arguments, [req, COURSE_ID])
+        assert.deepEqual(inst.applyReplace.mock.calls[0].arguments, [COURSE_ID, 'Acme', 'Nova', { caseSensitive: undefined, wholeWord: true, selected: [{ _id: 'p1', path: 'body' }] }])
+      })
+
+      it('should not apply anything when the access check fails', async () => {
+        const inst = createInstance({
+          requestHook: { invoke: mock.fn(async () => {}) },
+          checkCourseAccess: mock.fn(async () => { throw new Error('UNAUTHORISED') }),
+          applyReplace: mock.fn()
+        })
+        const next = mock.fn()
+        await ContentModule.prototype.handleReplace.call(inst, { apiData: { query: { _courseId: COURSE_ID } }, body: {} }, {}, next)
+        assert.equal(next.mock.calls[0].arguments[0].message, 'UNAUTHORISED')
+        assert.equal(inst.applyReplace.mock.callCount(), 0)
+      })
+    })
+  })
+
+  describe('findByFriendlyIds', () => {
+    it('should key the found items by friendly ID and list the missing ones', async () => {
+      const inst = createInstance({
+        find: mock.fn(async () => [{ _id: 'p', _friendlyId: 'p-12' }, { _id: 'c', _friendlyId: 'c-40' }])
+      })
+      const result = await ContentModule.prototype.findByFriendlyIds.call(inst, COURSE_ID, [' p-12', 'c-40', 'x-1', 'p-12', ''])
+
+      assert.deepEqual(inst.find.mock.calls[0].arguments[0], { _courseId: COURSE_ID, _friendlyId: { $in: ['p-12', 'c-40', 'x-1'] } })
+      assert.deepEqual(result, {
+        found: { 'p-12': { _id: 'p', _friendlyId: 'p-12' }, 'c-40': { _id: 'c', _friendlyId: 'c-40' } },
+        missing: ['x-1']
+      })
+    })
+
+    it('should not query without friendly IDs', async () => {
+      const inst = createInstance()
+      assert.deepEqual(await ContentModule.prototype.findByFriendlyIds.call(inst, COURSE_ID, [' ']), { found: {}, missing: [] })
+      assert.equal(inst.find.mock.callCount(), 0)
+    })
+  })
+
+  describe('handleFriendlyId', () => {
+    function createFriendlyInstance (found) {
+      return createInstance({
+        checkCourseReadAccess: mock.fn(async () => ({})),
+        findByFriendlyIds: mock.fn(async () => ({ found, missing: [] })),
+        app: { errors: { NOT_FOUND: { setData: data => Object.assign(new Error('NOT_FOUND'), { data }) } } }
+      })
+    }
+
+    it('should respond with the item', async () => {
+      const item = { _id: 'p', _friendlyId: 'p-12' }
+      const inst = createFriendlyInstance({ 'p-12': item })
+      const req = { apiData: { query: { _courseId: COURSE_ID, _friendlyId: 'p-12' } } }
+      const res = { json: mock.fn() }
+      await ContentModule.prototype.handleFriendlyId.call(inst, req, res, mock.fn())
+
+      assert.deepEqual(inst.checkCourseReadAccess.mock.calls[0].arguments, [req, COURSE_ID])
+      assert.equal(res.json.mock.calls[0].arguments[0], item)
+    })
+
+    it('should call next with NOT_FOUND for an unknown friendly ID', async () => {
+      const inst = createFriendlyInstance({})
+      const next = mock.fn()
+      await ContentModule.prototype.handleFriendlyId.call(inst, { apiData: { query: { _courseId: COURSE_ID, _friendlyId: 'p-99' } } }, {}, next)
+      assert.equal(next.mock.calls[0].arguments[0].message, 'NOT_FOUND')
+      assert.deepEqual(next.mock.calls[0].arguments[0].data, { type: 'content', id: 'p-99' })
+    })
+  })
+
+  describe('handleFriendlyIds', () => {
+    it('should resolve the comma-separated ids', async () => {
+      const inst = createInstance({
+        checkCourseReadAccess: mock.fn(async () => ({})),
+        findByFriendlyIds: mock.fn(async () => ({ found: {}, missing: ['p-1', 'c-2'] }))
+      })
+      const res = { json: mock.fn() }
+      await ContentModule.prototype.handleFriendlyIds.call(inst, { apiData: { query: { _courseId: COURSE_ID } }, query: { ids: 'p-1,c-2' } }, res, mock.fn())
+
+      assert.deepEqual(inst.findByFriendlyIds.mock.calls[0].arguments, [COURSE_ID, ['p-1', 'c-2']])
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], { found: {}, missing: ['p-1', 'c-2'] })
+    })
+  })
+
+  describe('renumberFriendlyIds', () => {
+    function createRenumberInstance (items, bulkWrite = mock.fn(async () => {})) {
+      return createInstance({
+        mongodb: { find: mock.fn(async () => items), getCollection: mock.fn(() => ({ bulkWrite })) },
+        findFriendlyIdItems: ContentModule.prototype.findFriendlyIdItems,
+        touchCourse: mock.fn(async () => {}),
+        deleteCounters: mock.fn(async () => {}),
+        app: { errors: { NOT_FOUND: { setData: data => Object.assign(new Error('NOT_FOUND'), { data }) } } }
+      })
+    }
+
+    it('should renumber in course order, clearing the old IDs first', async () => {
+      const ids = []
+      const bulkWrite = mock.fn(async ops => ids.push(ops.map(o => [o.updateOne.filter._id, o.updateOne.update.$set._friendlyId])))
+      const inst = createRenumberInstance([
+        { _id: 'course', _type: 'course', _friendlyId: 'course-1' },
+        { _id: 'cfg', _type: 'config', _courseId: 'course', _friendlyId: 'config' },
+        { _id: 'p2', _type: 'page', _parentId: 'course', _sortOrder: 2, _friendlyId: 'p-1' },
+        { _id: 'p1', _type: 'page', _parentId: 'course', _sortOrder: 1, _friendlyId: 'p-9' },
+        { _id: 'o1', _type: 'page', _parentId: 'gone', _friendlyId: 'p-4' }
+      ], bulkWrite)
+      const changes = await ContentModule.prototype.renumberFriendlyIds.call(inst, COURSE_ID)
+
+      assert.deepEqual(changes, [
+        { _id: 'p1', _type: 'page', from: 'p-9', to: 'p-1' },
+        { _id: 'p2', _type: 'page', from: 'p-1', to: 'p-2' },
+        { _id: 'o1', _type: 'page', from: 'p-4', to: 'p-3' }
+      ])
+      assert.deepEqual(ids, [
+        [['p1', ''], ['p2', ''], ['o1', '']],
+        [['p1', 'p-1'], ['p2', 'p-2'], ['o1', 'p-3']]
+      ])
+      assert.deepEqual(inst.touchCourse.mock.calls[0].arguments, [{ _courseId: COURSE_ID }])
+      assert.deepEqual(inst.deleteCounters.mock.calls[0].arguments, [[COURSE_ID]])
+    })
+
+    it('should not write anything when the IDs are already in order', async () => {
+      const inst = createRenumberInstance([
+        { _id: 'course', _type: 'course' },
+        { _id: 'p1', _type: 'page', _parentId: 'course', _sortOrder: 1, _friendlyId: 'p-1' }
+      ])
+      assert.deepEqual(await ContentModule.prototype.renumberFriendlyIds.call(inst, COURSE_ID), [])
+      assert.equal(inst.mongodb.getCollection.mock.callCount(), 0)
+      assert.equal(inst.touchCourse.mock.callCount(), 0)
+      assert.equal(inst.deleteCounters.mock.callCount(), 1, 'counters are still reset')
+    })
+
+    it('should throw NOT_FOUND for a missing course', async () => {
+      const inst = createRenumberInstance([])
+      await assert.rejects(() => ContentModule.prototype.renumberFriendlyIds.call(inst, COURSE_ID), { message: 'NOT_FOUND' })
+    })
+  })
+
+  describe('checkFriendlyIds', () => {
+    it('should check the items against the course\'s counters', async () => {
+      const counters = [{ _type: 'page', seq: 1 }]
+      const mongodb = createMockMongodb({ find: mock.fn(() => ({ toArray: mock.fn(async () => counters) })) })
+      const inst = createInstance({ mongodb })
+      const report = await ContentModule.prototype.checkFriendlyIds.call(inst, COURSE_ID, [
+        { _id: 'p1', _type: 'page', _friendlyId: 'p-3' },
+        { _id: 'b1', _type: 'block' }
+      ])
+      assert.equal(mongodb.getCollection.mock.calls[0].arguments[0], 'contentcounters')
+      assert.equal(mongodb.collection.find.mock.calls[0].arguments[0]._courseId.toString(), COURSE_ID)
+      assert.deepEqual(report, {
+        counters: [{ _type: 'page', seq: 1, maxSeq: 3 }],
+        duplicates: [],
+        missing: [{ _id: 'b1', _type: 'block' }],
+        gaps: [{ _type: 'page', maxSeq: 3, count: 2 }]
+      })
+    })
+  })
+
+  describe('repairFriendlyIds', () => {
+    function createRepairInstance (items, report) {
+      const bulkWrite = mock.fn(async () => {})
+      const inst = createInstance({
+        mongodb: { getCollection: mock.fn(() => ({ bulkWrite })) },
+        findFriendlyIdItems: mock.fn(async () => items),
+        checkFriendlyIds: mock.fn(async () => report),
+        raiseCounter: mock.fn(async () => {}),
+        reserveFriendlySeqs: mock.fn(async (_type, _courseId, count) => Array.from({ length: count }, (v, i) => 7 + i)),
+        generateFriendlyIds: mock.fn(async () => ['course-12']),
+        touchCourse: mock.fn(async () => {}),
+        log: mock.fn()
+      })
+      return { inst, bulkWrite }
+    }
+
+    it('should raise lagging counters and give missing items IDs', async () => {
+      const items = [
+        { _id: 'co', _type: 'course' },
+        { _id: 'cfg', _type: 'config' },
+        { _id: 'p1', _type: 'page', _friendlyId: 'p-3' },
+        { _id: 'b1', _type: 'block' },
+        { _id: 'b2', _type: 'block' }
+      ]
+      const report = {
+        counters: [{ _type: 'page', seq: 1, maxSeq: 3 }],
+        duplicates: [],
+        missing: [{ _id: 'co', _type: 'course' }, { _id: 'cfg', _type: 'config' }, { _id: 'b1', _type: 'block' }, { _id: 'b2', _type: 'block' }],
+        gaps: []
+      }
+      const { inst, bulkWrite } = createRepairInstance(items, report)
+      const result = await ContentModule.prototype.repairFriendlyIds.call(inst, COURSE_ID)
+
+      assert.deepEqual(inst.raiseCounter.mock.calls.map(c => c.arguments), [['page', COURSE_ID, 3]])
+      assert.deepEqual(inst.reserveFriendlySeqs.mock.calls.map(c => c.arguments), [['block', COURSE_ID, 2]])
+      assert.deepEqual(result.assigned, [
+        { _id: 'co', _type: 'course', _friendlyId: 'course-12' },
+        { _id: 'cfg', _type: 'config', _friendlyId: 'config' },
+        { _id: 'b1', _type: 'block', _friendlyId: 'b-7' },
+        { _id: 'b2', _type: 'block', _friendlyId: 'b-8' }
+      ])
+      assert.deepEqual(result.counters, report.counters)
+      assert.deepEqual(bulkWrite.mock.calls[0].arguments[0].map(o => [o.updateOne.filter._id, o.updateOne.update.$set._friendlyId]), [
+        ['co', 'course-12'], ['cfg', 'config'], ['b1', 'b-7'], ['b2', 'b-8']
+      ])
+      assert.deepEqual(inst.touchCourse.mock.calls[0].arguments, [{ _courseId: COURSE_ID }])
+    })
+
+    it('should format IDs with their parent\'s new ID where configured', async () => {
+      const items = [
+        { _id: 'a1', _type: 'article' },
+        { _id: 'b1', _type: 'block', _parentId: 'a1' }
+      ]
+      const report = { counters: [], duplicates: [], missing: items.map(({ _id, _type }) => ({ _id, _type })), gaps: [] }
+      const { inst } = createRepairInstance(items, report)
+      inst.getConfig = mock.fn(() => ({ block: { includeParent: true } }))
+      const { assigned } = await ContentModule.prototype.repairFriendlyIds.call(inst, COURSE_ID)
+      assert.deepEqual(assigned.map(a => a._friendlyId), ['a-7', 'a-7-b-7'])
+    })
+
+    it('should not write anything when there is nothing to repair', async () => {
+      const report = { counters: [], duplicates: [{ _friendlyId: 'p-1', _ids: ['p1', 'p2'] }], missing: [], gaps: [] }
+      const { inst, bulkWrite } = createRepairInstance([], report)
+      const result = await ContentModule.prototype.repairFriendlyIds.call(inst, COURSE_ID)
+      assert.deepEqual(result, { ...report, assigned: [] })
+      assert.equal(bulkWrite.mock.callCount(), 0)
+      assert.equal(inst.touchCourse.mock.callCount(), 0)
+      assert.equal(inst.log.mock.callCount(), 0)
+    })
+  })
+
+  describe('insert (friendly ID clash)', () => {
+    const DUPL = { code: 'MONGO_DUPL_INDEX' }
+
+    function createClashInstance (overrides = {}) {
+      let seq = 0
+      return createInstance({
+        validateParent: mock.fn(async () => {}),
+        generateFriendlyIds: mock.fn(async () => [`p-${++seq}`]),
+        computeAssetIds: mock.fn(async () => []),
+        computeSummary: mock.fn(async () => []),
+        updateSortOrder: mock.fn(async () => {}),
+        updateEnabledPlugins: mock.fn(async () => {}),
+        raiseCounter: mock.fn(async () => {}),
+        findMaxSeq: mock.fn(async () => 9),
+        app: { errors: { MONGO_DUPL_INDEX: DUPL, DUPL_FRIENDLY_ID: { setData: data => Object.assign(new Error('DUPL_FRIENDLY_ID'), { data }) } } },
+        ...overrides
+      })
+    }
+
+    it('should re-seed the counter and retry once with a new generated ID', async (t) => {
+      const inserted = []
+      t.mock.method(AbstractApiModule.prototype, 'insert', async data => {
+        inserted.push(data._friendlyId)
+        if (inserted.length === 1) throw DUPL
+        return { _id: 'p', _type: 'page' }
+      })
+      const inst = createClashInstance()
+      await ContentModule.prototype.insert.call(inst, { _type: 'page', _courseId: COURSE_ID })
+      assert.deepEqual(inserted, ['p-1', 'p-2'])
+      assert.deepEqual(inst.findMaxSeq.mock.calls[0].arguments, ['page', COURSE_ID])
+      assert.deepEqual(inst.raiseCounter.mock.calls[0].arguments, ['page', COURSE_ID, 9])
+    })
+
+    it('should throw DUPL_FRIENDLY_ID when the retry clashes too', async (t) => {
+      t.mock.method(AbstractApiModule.prototype, 'insert', async () => { throw DUPL })
+      const inst = createClashInstance()
+      await assert.rejects(() => ContentModule.prototype.insert.call(inst, { _type: 'page', _courseId: COURSE_ID }), { message: 'DUPL_FRIENDLY_ID' })
+      assert.equal(inst.generateFriendlyIds.mock.callCount(), 2)
+    })
+
+    it('should not retry a clash on an ID given by the caller', async (t) => {
+      t.mock.method(AbstractApiModule.prototype, 'insert', async () => { throw DUPL })
+      const inst = createClashInstance()
+      await assert.rejects(() => ContentModule.prototype.insert.call(inst, { _type: 'page', _courseId: COURSE_ID, _friendlyId: 'p-4' }), { message: 'DUPL_FRIENDLY_ID' })
+      assert.equal(inst.raiseCounter.mock.callCount(), 0)
+    })
+  })
+
+  describe('handleCheckFriendlyIds', () => {
+    it('should respond with the report', async () => {
+      const report = { counters: [], duplicates: [], missing: [], gaps: [] }
+      const inst = createInstance({
+        checkCourseReadAccess: mock.fn(async () => ({})),
+        checkFriendlyIds: mock.fn(async () => report)
+      })
+      const req = { apiData: { query: { _courseId: COURSE_ID } } }
+      const res = { json: mock.fn() }
+      await ContentModule.prototype.handleCheckFriendlyIds.call(inst, req, res, mock.fn())
+
+      assert.deepEqual(inst.checkCourseReadAccess.mock.calls[0].arguments, [req, COURSE_ID])
+      assert.deepEqual(inst.checkFriendlyIds.mock.calls[0].arguments, [COURSE_ID])
+      assert.equal(res.json.mock.calls[0].arguments[0], report)
+    })
+  })
+
+  describe('handleRepairFriendlyIds', () => {
+    it('should check write access before repairing', async () => {
+      const inst = createInstance({
+        requestHook: { invoke: mock.fn(async () => {}) },
+        checkCourseAccess: mock.fn(async () => { throw new Error('NO_ACCESS') }),
+        repairFriendlyIds: mock.fn(async () => ({}))
+      })
+      const next = mock.fn()
+      await ContentModule.prototype.handleRepairFriendlyIds.call(inst, { apiData: { query: { _courseId: COURSE_ID } } }, {}, next)
+
+      assert.equal(inst.requestHook.invoke.mock.callCount(), 1)
+      assert.equal(next.mock.calls[0].arguments[0].message, 'NO_ACCESS')
+      assert.equal(inst.repairFriendlyIds.mock.callCount(), 0)
+    })
+  })
+
+  describe('checkCourseHealth', () => {
+    const ASSET_1 = '507f1f77bcf86cd799439021'
+    const ASSET_2 = '507f1f77bcf86cd799439022'
+
+    function createHealthInstance (items, overrides = {}) {
+      return createInstance({
+        mongodb: { find: mock.fn(async () => items) },
+        contentplugin: {
+          find: mock.fn(async () => [{ name: 'adapt-contrib-text', targetAttribute: '_text' }]),
+          getPluginSchemas: mock.fn(name => [`${name}-schema`]),
+          isPluginSchema: mock.fn(() => true)
+        },
+        assets: { find: mock.fn(async () => [{ _id: ASSET_1 }]) },
+        jsonschema: {
+          getSchema: mock.fn(async () => ({
+            validate: mock.fn(async data => {
+              if (data.title === 'bad') throw Object.assign(new Error('VALIDATION_FAILED'), { data: { errors: 'body is required' } })
+              return data
+            })
+          }))
+        },
+        _schemaCache: new Map(),
+        getCachedSchema: ContentModule.prototype.getCachedSchema,
+        validateItems: ContentModule.prototype.validateItems,
+        findOne: mock.fn(async () => { throw new Error('items are not looked up one by one') }),
+        app: { errors: { NOT_FOUND: { setData: data => Object.assign(new Error('NOT_FOUND'), { data }) } } },
+        ...overrides
+      })
+    }
+
+    it('should report every kind of problem', async () => {
+      const inst = createHealthInstance([
+        { _id: 'co', _type: 'course', _friendlyId: 'course-1' },
+        { _id: 'p1', _type: 'page', _parentId: 'co', _sortOrder: 1, _friendlyId: 'p-1', title: 'bad' },
+        { _id: 'p2', _type: 'page', _parentId: 'co', _sortOrder: 3, _friendlyId: 'p-1', displayTitle: 'Empty' },
+        { _id: 'b1', _type: 'block', _parentId: 'p1', _sortOrder: 1, _friendlyId: 'b-1' },
+        { _id: 'c1', _type: 'component', _parentId: 'b1', _sortOrder: 1, _friendlyId: 'c-1', _component: 'adapt-contrib-text', _assetIds: [ASSET_1, ASSET_2] },
+        { _id: 'c2', _type: 'component', _parentId: 'b1', _sortOrder: 2, _friendlyId: 'c-2', _component: 'adapt-contrib-gone', title: 'bad' },
+        { _id: 'o1', _type: 'block', _parentId: 'deleted', _friendlyId: 'b-2' }
+      ])
+      const report = await ContentModule.prototype.checkCourseHealth.call(inst, COURSE_ID)
+
+      assert.deepEqual(report.orphans, [{ _id: 'o1', _type: 'block', _friendlyId: 'b-2', title: undefined }])
+      assert.deepEqual(report.emptyContainers.map(i => i._id), ['p2'], 'orphans are left out')
+      assert.deepEqual(report.emptyContainers[0].title, 'Empty')
+      assert.deepEqual(report.invalid, [{ _id: 'p1', _type: 'page', _friendlyId: 'p-1', title: 'bad', errors: 'body is required' }])
+      assert.deepEqual(report.danglingAssets.map(i => [i._id, i._assetIds]), [['c1', [ASSET_2]]])
+      assert.deepEqual(report.duplicateFriendlyIds, [{ _friendlyId: 'p-1', _ids: ['p1', 'p2'] }])
+      assert.deepEqual(report.brokenSortOrders, [{ _parentId: 'co', _sortOrders: [1, 3] }])
+      assert.deepEqual(report.missingPlugins, [{ _id: 'c2', _type: 'component', _friendlyId: 'c-2', title: 'bad', _component: 'adapt-contrib-gone' }])
+      assert.deepEqual(inst.jsonschema.getSchema.mock.calls.map(c => c.arguments[0]), ['course', 'contentobject', 'block', 'text-component'], 'each schema is built once, and components with a missing plugin are not validated')
+    })
+
+    it('should validate against the plugins enabled in the course\'s config', async () => {
+      const inst = createHealthInstance([
+        { _id: 'co', _type: 'course' },
+        { _id: 'cfg', _type: 'config', _enabledPlugins: ['adapt-contrib-trickle'] }
+      ])
+      await ContentModule.prototype.checkCourseHealth.call(inst, COURSE_ID)
+      const { extensionFilter } = inst.jsonschema.getSchema.mock.calls[0].arguments[1]
+      assert.equal(extensionFilter('adapt-contrib-trickle-schema'), true)
+      assert.equal(extensionFilter('adapt-contrib-other-schema'), false)
+    })
+
+    it('should not look up plugins or assets when there are none', async () => {
+      const inst = createHealthInstance([{ _id: 'co', _type: 'course' }, { _id: 'p1', _type: 'page', _parentId: 'co', _sortOrder: 1 }])
+      const report = await ContentModule.prototype.checkCourseHealth.call(inst, COURSE_ID)
+      assert.equal(inst.contentplugin.find.mock.callCount(), 0)
+      assert.equal(inst.assets.find.mock.callCount(), 0)
+      assert.deepEqual(report.emptyContainers.map(i => i._id), ['p1'])
+    })
+
+    it('should throw NOT_FOUND for a missing course', async () => {
+      const inst = createHealthInstance([])
+      await assert.rejects(() => ContentModule.prototype.checkCourseHealth.call(inst, COURSE_ID), { message: 'NOT_FOUND' })
+    })
+  })
+
+  describe('handleHealth', () => {
+    it('should respond with the report', async () => {
+      const report = { orphans: [] }
+      const inst = createInstance({
+        checkCourseReadAccess: mock.fn(async () => ({})),
+        checkCourseHealth: mock.fn(async () => report)
+      })
+      const req = { apiData: { query: { _courseId: COURSE_ID } } }
+      const res = { json: mock.fn() }
+      await ContentModule.prototype.handleHealth.call(inst, req, res, mock.fn())
+
+      assert.deepEqual(inst.checkCourseReadAccess.mock.calls[0].arguments, [req, COURSE_ID])
+      assert.equal(res.json.mock.calls[0].arguments[0], report)
+    })
+
+    it('should call next when access is denied', async () => {
+      const inst = createInstance({
+        checkCourseReadAccess: mock.fn(async () => { throw new Error('NO_ACCESS') }),
+        checkCourseHealth: mock.fn()
+      })
+      const next = mock.fn()
+      await ContentModule.prototype.handleHealth.call(inst, { apiData: { query: { _courseId: COURSE_ID } } }, {}, next)
+      assert.equal(next.mock.calls[0].arguments[0].message, 'NO_ACCESS')
+      assert.equal(inst.checkCourseHealth.mock.callCount(), 0)
+    })
+  })
+
+  describe('findEnabledPlugins', () => {
+    it('should keep enabled extensions and add the components, menu and theme in use', async () => {
+      const inst = createInstance({ contentplugin: { find: mock.fn(async () => [{ name: 'adapt-contrib-trickle' }]) } })
+      const tree = new ContentTree([
+        { _id: 'co', _type: 'course' },
+        { _id: 'cfg', _type: 'config', _enabledPlugins: ['adapt-contrib-trickle', 'adapt-contrib-gone'], _menu: 'adapt-contrib-boxMenu', _theme: 'adapt-contrib-vanilla' },
+        { _id: 'c1', _type: 'component', _parentId: 'b1', _component: 'adapt-contrib-text' },
+        { _id: 'c2', _type: 'component', _parentId: 'b1', _component: 'adapt-contrib-text' }
+      ])
+      assert.deepEqual(await ContentModule.prototype.findEnabledPlugins.call(inst, tree), [
+        'adapt-contrib-trickle', 'adapt-contrib-text', 'adapt-contrib-boxMenu', 'adapt-contrib-vanilla'
+      ])
+    })
+  })
+
+  describe('repairCourse', () => {
+    function createRepairCourseInstance (items, overrides = {}) {
+      const bulkWrite = mock.fn(async () => {})
+      let inserted = 0
+      const inst = createInstance({
+        mongodb: { find: mock.fn(async () => items), getCollection: mock.fn(() => ({ bulkWrite })) },
+        contentplugin: { find: mock.fn(async () => [{ name: 'adapt-contrib-text' }]) },
+        insert: mock.fn(async data => ({ ...data, _id: `new${++inserted}` })),
+        computeAssetIds: mock.fn(async item => item._assetIds ?? []),
+        computeSummary: mock.fn(async item => item._summary ?? []),
+        findEnabledPlugins: mock.fn(async tree => tree.config?._enabledPlugins ?? []),
+        updateEnabledPlugins: mock.fn(async () => {}),
+        touchCourse: mock.fn(async () => {}),
+        writeRepairOps: ContentModule.prototype.writeRepairOps,
+        log: mock.fn(),
+        app: { errors: { NOT_FOUND: { setData: data => Object.assign(new Error('NOT_FOUND'), { data }) } } },
+        ...overrides
+      })
+      return { inst, bulkWrite }
+    }
+
+    it('should renumber broken _sortOrder sequences', async () => {
+      const { inst, bulkWrite } = createRepairCourseInstance([
+        { _id: 'co', _type: 'course' },
+        { _id: 'p1', _type: 'page', _parentId: 'co', _sortOrder: 2 },
+        { _id: 'p2', _type: 'page', _parentId: 'co', _sortOrder: 5 },
+        { _id: 'a1', _type: 'article', _parentId: 'p1', _sortOrder: 1 }
+      ])
+      const { changes } = await ContentModule.prototype.repairCourse.call(inst, COURSE_ID)
+
+      assert.deepEqual(changes, [
+        { action: 'sortOrder', _id: 'p1', _type: 'page', from: 2, to: 1 },
+        { action: 'sortOrder', _id: 'p2', _type: 'page', from: 5, to: 2 }
+      ])
+      assert.deepEqual(bulkWrite.mock.calls[0].arguments[0].map(o => [o.updateOne.filter._id, o.updateOne.update.$set]), [
+        ['p1', { _sortOrder: 1 }], ['p2', { _sortOrder: 2 }]
+      ])
+      assert.deepEqual(inst.touchCourse.mock.calls[0].arguments, [{ _courseId: COURSE_ID }])
+    })
+
+    it('should move orphaned branches into recovered containers', async () => {
+      const { inst, bulkWrite } = createRepairCourseInstance([
+        { _id: 'co', _type: 'course' },
+        { _id: 'p1', _type: 'page', _parentId: 'co', _sortOrder: 1 },
+        { _id: 'o1', _type: 'component', _parentId: 'gone', _sortOrder: 3, _friendlyId: 'c-3' },
+        { _id: 'o2', _type: 'page', _parentId: 'gone', _sortOrder: 1, _friendlyId: 'p-9' }
+      ])
+      const { changes } = await ContentModule.prototype.repairCourse.call(inst, COURSE_ID, { createdBy: 'user' })
+
+      assert.deepEqual(inst.insert.mock.calls.map(c => c.arguments[0]), [
+        { _type: 'page', _courseId: COURSE_ID, _parentId: 'co', _sortOrder: 2, title: 'Recovered items', createdBy: 'user', updatedBy: 'user' },
+        { _type: 'article', _courseId: COURSE_ID, _parentId: 'new1', _sortOrder: 1, title: 'Recovered items', createdBy: 'user', updatedBy: 'user' },
+        { _type: 'block', _courseId: COURSE_ID, _parentId: 'new2', _sortOrder: 1, title: 'Recovered items', createdBy: 'user', updatedBy: 'user' }
+      ])
+      assert.deepEqual(inst.insert.mock.calls[0].arguments[1], { updateSortOrder: false, updateEnabledPlugins: false })
+      assert.deepEqual(changes.map(c => [c.action, c._id, c.to]), [
+        ['create', 'new1', undefined],
+        ['create', 'new2', undefined],
+        ['create', 'new3', undefined],
+        ['recover', 'o1', 'new3'],
+        ['recover', 'o2', 'co']
+      ])
+      assert.deepEqual(bulkWrite.mock.calls[0].arguments[0].map(o => [o.updateOne.filter._id, o.updateOne.update.$set]), [
+        ['o1', { _parentId: 'new3', _sortOrder: 1 }],
+        ['o2', { _parentId: 'co', _sortOrder: 3 }]
+      ])
+    })
+
+    it('should reuse the containers from an earlier repair', async () => {
+      const { inst, bulkWrite } = createRepairCourseInstance([
+        { _id: 'co', _type: 'course' },
+        { _id: 'rp', _type: 'page', _parentId: 'co', _sortOrder: 1, title: 'Recovered items' },
+        { _id: 'ra', _type: 'article', _parentId: 'rp', _sortOrder: 1, title: 'Recovered items' },
+        { _id: 'o1', _type: 'article', _parentId: 'gone', _sortOrder: 1 }
+      ])
+      const { changes } = await ContentModule.prototype.repairCourse.call(inst, COURSE_ID)
+      assert.equal(inst.insert.mock.callCount(), 0)
+      assert.deepEqual(changes.map(c => [c.action, c._id, c.to]), [['recover', 'o1', 'rp']])
+      assert.deepEqual(bulkWrite.mock.calls[0].arguments[0][0].updateOne.update.$set, { _parentId: 'rp', _sortOrder: 2 })
+    })
+
+    it('should recompute stale _assetIds and _summary, skipping components with a missing plugin', async () => {
+      const ASSET_ID = '507f1f77bcf86cd799439021'
+      const { inst, bulkWrite } = createRepairCourseInstance([
+        { _id: 'co', _type: 'course' },
+        { _id: 'b1', _type: 'block', _parentId: 'co', _sortOrder: 1 },
+        { _id: 'c1', _type: 'component', _parentId: 'b1', _sortOrder: 1, _component: 'adapt-contrib-text', _assetIds: [], _summary: [{ text: 'old' }] },
+        { _id: 'c2', _type: 'component', _parentId: 'b1', _sortOrder: 2, _component: 'adapt-contrib-gone', _assetIds: [] }
+      ], {
+        computeAssetIds: mock.fn(async () => [ASSET_ID]),
+        computeSummary: mock.fn(async () => [{ text: 'new' }])
+      })
+      const { changes } = await ContentModule.prototype.repairCourse.call(inst, COURSE_ID)
+
+      assert.deepEqual(changes.filter(c => c._id === 'c1'), [
+        { action: 'assetIds', _id: 'c1', _type: 'component', from: [], to: [ASSET_ID] },
+        { action: 'summary', _id: 'c1', _type: 'component', from: [{ text: 'old' }], to: [{ text: 'new' }] }
+      ])
+      assert.equal(changes.some(c => c._id === 'c2'), false)
+      const op = bulkWrite.mock.calls[0].arguments[0].find(o => o.updateOne.filter._id === 'c1')
+      assert.equal(op.updateOne.update.$set._assetIds[0].toString(), ASSET_ID)
+    })
+
+    it('should re-sync the config\'s _enabledPlugins', async () => {
+      const { inst } = createRepairCourseInstance([
+        { _id: 'co', _type: 'course' },
+        { _id: 'cfg', _type: 'config', _enabledPlugins: ['adapt-contrib-gone'] }
+      ], { findEnabledPlugins: mock.fn(async () => ['adapt-contrib-text']) })
+      const { changes } = await ContentModule.prototype.repairCourse.call(inst, COURSE_ID)
+
+      assert.deepEqual(changes, [{ action: 'enabledPlugins', _id: 'cfg', _type: 'config', from: ['adapt-contrib-gone'], to: ['adapt-contrib-text'] }])
+      assert.equal(inst.updateEnabledPlugins.mock.calls[0].arguments[0]._id, 'cfg')
+    })
+
+    it('should write nothing in a dry run', async () => {
+      const { inst, bulkWrite } = createRepairCourseInstance([
+        { _id: 'co', _type: 'course' },
+        { _id: 'p1', _type: 'page', _parentId: 'co', _sortOrder: 2 },
+        { _id: 'o1', _type: 'block', _parentId: 'gone' }
+      ])
+      const result = await ContentModule.prototype.repairCourse.call(inst, COURSE_ID, { dryRun: true })
+
+      assert.equal(result.dryRun, true)
+      assert.deepEqual(result.changes.map(c => [c.action, c._type, c._id, c.action === 'create' ? c._parentId : c.to]), [
+        ['sortOrder', 'page', 'p1', 1],
+        ['create', 'page', null, 'co'],
+        ['create', 'article', null, null],
+        ['recover', 'block', 'o1', null]
+      ])
+      assert.equal(inst.insert.mock.callCount(), 0)
+      assert.equal(bulkWrite.mock.callCount(), 0)
+      assert.equal(inst.touchCourse.mock.callCount(), 0)
+    })
+
+    it('should remove the containers it created when the repair fails', async () => {
+      const { inst, bulkWrite } = createRepairCourseInstance([
+        { _id: 'co', _type: 'course' },
+        { _id: 'o1', _type: 'block', _parentId: 'gone' }
+      ])
+      bulkWrite.mock.mockImplementation(async () => { throw new Error('WRITE_FAILED') })
+      inst.mongodb.deleteMany = mock.fn(async () => {})
+      await assert.rejects(() => ContentModule.prototype.repairCourse.call(inst, COURSE_ID), { message: 'WRITE_FAILED' })
+
+      assert.deepEqual(inst.mongodb.deleteMany.mock.calls[0].arguments, ['content', { _id: { $in: ['new1', 'new2'] } }])
+      assert.equal(inst.touchCourse.mock.callCount(), 0)
+      assert.equal(inst.log.mock.calls[0].arguments[0], 'warn', 'a failed undo is logged, and the original error thrown')
+    })
+
+    it('should write the original values back when the bulk write fails part way', async () => {
+      const { inst, bulkWrite } = createRepairCourseInstance([
+        { _id: 'co', _type: 'course' },
+        { _id: 'p1', _type: 'page', _parentId: 'co', _sortOrder: 2, _summary: [{ text: 'old' }] },
+        { _id: 'o1', _type: 'page', _parentId: 'gone', _sortOrder: 4 }
+      ], { computeSummary: mock.fn(async item => item._id === 'p1' ? [{ text: 'new' }] : []) })
+      bulkWrite.mock.mockImplementationOnce(async () => { throw new Error('WRITE_FAILED') })
+      await assert.rejects(() => ContentModule.prototype.repairCourse.call(inst, COURSE_ID), { message: 'WRITE_FAILED' })
+
+      assert.deepEqual(bulkWrite.mock.calls.map(c => c.arguments[1]), [{ ordered: true }, { ordered: true }])
+      assert.deepEqual(bulkWrite.mock.calls[1].arguments[0].map(o => [o.updateOne.filter._id, o.updateOne.update]), [
+        ['p1', { $set: { _summary: [{ text: 'old' }] } }],
+        ['o1', { $set: { _parentId: 'gone', _sortOrder: 4 } }],
+        ['p1', { $set: { _sortOrder: 2 } }]
+      ])
+      assert.equal(inst.touchCourse.mock.callCount(), 0)
+    })
+
+    it('should unset fields which were missing when undoing a failed write', async () => {
+      const ASSET_ID = '507f1f77bcf86cd799439021'
+      const { inst, bulkWrite } = createRepairCourseInstance([
+        { _id: 'co', _type: 'course' },
+        { _id: 'p1', _type: 'page', _parentId: 'co', _sortOrder: 1 }
+      ], { computeAssetIds: mock.fn(async item => item._id === 'p1' ? [ASSET_ID] : []) })
+      bulkWrite.mock.mockImplementationOnce(async () => { throw new Error('WRITE_FAILED') })
+      await assert.rejects(() => ContentModule.prototype.repairCourse.call(inst, COURSE_ID), { message: 'WRITE_FAILED' })
+      assert.deepEqual(bulkWrite.mock.calls[1].arguments[0][0].updateOne.update, { $unset: { _assetIds: '' } })
+    })
+
+    it('should write nothing when there is nothing to repair', async () => {
+      const { inst } = createRepairCourseInstance([{ _id: 'co', _type: 'course' }])
+      assert.deepEqual(await ContentModule.prototype.repairCourse.call(inst, COURSE_ID), { dryRun: false, changes: [] })
+      assert.equal(inst.mongodb.getCollection.mock.callCount(), 0)
+      assert.equal(inst.touchCourse.mock.callCount(), 0)
+    })
+
+    it('should throw NOT_FOUND for a missing course', async () => {
+      const { inst } = createRepairCourseInstance([])
+      await assert.rejects(() => ContentModule.prototype.repairCourse.call(inst, COURSE_ID), { message: 'NOT_FOUND' })
+    })
+  })
+
+  describe('handleRepair', () => {
+    function createHandleRepairInstance () {
+      return createInstance({
+        requestHook: { invoke: mock.fn(async () => {}) },
+        checkCourseAccess: mock.fn(async () => ({})),
+        repairCourse: mock.fn(async () => ({ dryRun: true, changes: [] }))
+      })
+    }
+
+    it('should pass dryRun and the user to repairCourse', async () => {
+      const inst = createHandleRepairInstance()
+      const req = { apiData: { query: { _courseId: COURSE_ID } }, body: { dryRun: true }, auth: { user: { _id: 'user' } } }
+      const res = { json: mock.fn() }
+      await ContentModule.prototype.handleRepair.call(inst, req, res, mock.fn())
+
+      assert.equal(inst.requestHook.invoke.mock.callCount(), 1)
+      assert.deepEqual(inst.checkCourseAccess.mock.calls[0].arguments, [req, COURSE_ID])
+      assert.deepEqual(inst.repairCourse.mock.calls[0].arguments, [COURSE_ID, { dryRun: true, createdBy: 'user' }])
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], { dryRun: true, changes: [] })
+    })
+
+    it('should repair for real without dryRun', async () => {
+      const inst = createHandleRepairInstance()
+      await ContentModule.prototype.handleRepair.call(inst, { apiData: { query: { _courseId: COURSE_ID } }, auth: { user: { _id: 'user' } } }, { json: mock.fn() }, mock.fn())
+      assert.equal(inst.repairCourse.mock.calls[0].arguments[1].dryRun, false)
+    })
+  })
 })
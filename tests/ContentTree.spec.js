@@ -109,6 +109,68 @@ describe('ContentTree', () => {
     })
   })
 
+  describe('getOrderedDescendants', () => {
+    const ordered = [
+      { _id: makeId(1), _type: 'course' },
+      { _id: makeId(2), _type: 'page', _parentId: makeId(1), _sortOrder: 2 },
+      { _id: makeId(3), _type: 'page', _parentId: makeId(1), _sortOrder: 1 },
+      { _id: makeId(4), _type: 'article', _parentId: makeId(2), _sortOrder: 1 },
+      { _id: makeId(5), _type: 'article', _parentId: makeId(3), _sortOrder: 2 },
+      { _id: makeId(6), _type: 'article', _parentId: makeId(3), _sortOrder: 1 },
+      { _id: makeId(7), _type: 'block', _parentId: makeId(6) }
+    ]
+
+    it('should visit each item before its descendants, siblings by _sortOrder', () => {
+      const tree = new ContentTree(ordered)
+      assert.deepEqual(tree.getOrderedDescendants('id1').map(i => i._id.toString()), ['id3', 'id6', 'id7', 'id5', 'id2', 'id4'])
+    })
+
+    it('should return empty array for leaf nodes', () => {
+      const tree = new ContentTree(ordered)
+      assert.deepEqual(tree.getOrderedDescendants('id7'), [])
+    })
+  })
+
+  describe('getSortedChildren', () => {
+    it('should sort by _sortOrder, putting items without one last', () => {
+      const tree = new ContentTree([
+        { _id: makeId(1), _type: 'course' },
+        { _id: makeId(2), _type: 'page', _parentId: makeId(1) },
+        { _id: makeId(3), _type: 'page', _parentId: makeId(1), _sortOrder: 2 },
+        { _id: makeId(4), _type: 'page', _parentId: makeId(1), _sortOrder: 1 }
+      ])
+      assert.deepEqual(tree.getSortedChildren('id1').map(i => i._id.toString()), ['id4', 'id3', 'id2'])
+    })
+  })
+
+  describe('getBrokenSortOrders', () => {
+    it('should flag gaps, duplicates and missing values, skipping unknown parents', () => {
+      const tree = new ContentTree([
+        { _id: makeId(1), _type: 'course' },
+        { _id: makeId(2), _type: 'page', _parentId: makeId(1), _sortOrder: 1 },
+        { _id: makeId(3), _type: 'page', _parentId: makeId(1), _sortOrder: 3 },
+        { _id: makeId(4), _type: 'article', _parentId: makeId(2), _sortOrder: 1 },
+        { _id: makeId(5), _type: 'article', _parentId: makeId(2), _sortOrder: 1 },
+        { _id: makeId(6), _type: 'article', _parentId: makeId(3) },
+        { _id: makeId(7), _type: 'block', _parentId: makeId(99) }
+      ])
+      assert.deepEqual(tree.getBrokenSortOrders(), [
+        { _parentId: 'id1', _sortOrders: [1, 3] },
+        { _parentId: 'id2', _sortOrders: [1, 1] },
+        { _parentId: 'id3', _sortOrders: [null] }
+      ])
+    })
+
+    it('should return empty array when every sequence runs from 1', () => {
+      const tree = new ContentTree([
+        { _id: makeId(1), _type: 'course' },
+        { _id: makeId(2), _type: 'page', _parentId: makeId(1), _sortOrder: 2 },
+        { _id: makeId(3), _type: 'page', _parentId: makeId(1), _sortOrder: 1 }
+      ])
+      assert.deepEqual(tree.getBrokenSortOrders(), [])
+    })
+  })
+
   describe('getDescendants', () => {
     it('should return all descendants of the course root', () => {
       const tree = new ContentTree(items)
@@ -280,6 +342,33 @@ describe('ContentTree', () => {
     })
   })
 
+  describe('getUnreachableRoots', () => {
+    it('should return the top of each orphaned branch', () => {
+      const tree = new ContentTree([
+        { _id: makeId(1), _type: 'course' },
+        { _id: makeId(2), _type: 'page', _parentId: makeId(1) },
+        { _id: makeId(3), _type: 'block', _parentId: makeId(99) },
+        { _id: makeId(4), _type: 'component', _parentId: makeId(3) },
+        { _id: makeId(5), _type: 'article' }
+      ])
+      assert.deepEqual(tree.getUnreachableRoots().map(i => i._id.toString()), ['id3', 'id5'])
+    })
+
+    it('should return one root per _parentId cycle', () => {
+      const tree = new ContentTree([
+        { _id: makeId(1), _type: 'course' },
+        { _id: makeId(2), _type: 'article', _parentId: makeId(3) },
+        { _id: makeId(3), _type: 'block', _parentId: makeId(2) },
+        { _id: makeId(4), _type: 'component', _parentId: makeId(3) }
+      ])
+      assert.deepEqual(tree.getUnreachableRoots().map(i => i._id.toString()), ['id2'])
+    })
+
+    it('should return empty array when there are no orphans', () => {
+      assert.deepEqual(new ContentTree(items).getUnreachableRoots(), [])
+    })
+  })
+
   describe('getComponentNames', () => {
     it('should return unique component names', () => {
       const tree = new ContentTree(items)
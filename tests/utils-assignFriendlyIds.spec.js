@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import assignFriendlyIds from '../lib/utils/assignFriendlyIds.js'
+
+describe('assignFriendlyIds()', () => {
+  const items = [
+    { _id: 'a1', _type: 'article', _parentId: 'p1', _friendlyId: 'a-7' },
+    { _id: 'b1', _type: 'block', _parentId: 'a1', _friendlyId: 'b-3' },
+    { _id: 'b2', _type: 'block', _parentId: 'a1', _friendlyId: 'b-4' }
+  ]
+  const seqs = new Map([['article', [20]], ['block', [30, 31]]])
+
+  it('should format the reserved numbers in order', () => {
+    const ids = assignFriendlyIds(items, { seqs, rootIds: new Set(['a1']) })
+    assert.deepEqual([...ids], [['a1', 'a-20'], ['b1', 'b-30'], ['b2', 'b-31']])
+  })
+
+  it('should include the new parent IDs when the format asks for them', () => {
+    const formats = { article: { includeParent: true }, block: { includeParent: true } }
+    const ids = assignFriendlyIds(items, { seqs, rootIds: new Set(['a1']), parentFriendlyId: 'p-2', formats })
+    assert.deepEqual([...ids.values()], ['p-2-a-20', 'p-2-a-20-b-30', 'p-2-a-20-b-31'])
+  })
+
+  it('should keep the IDs of kept items without using a number', () => {
+    const ids = assignFriendlyIds(items, { seqs, rootIds: new Set(['a1']), keptIds: new Set(['b1']) })
+    assert.deepEqual([...ids.values()], ['a-20', 'b-3', 'b-30'])
+  })
+
+  it('should keep a course\'s ID, unless the roots are given one', () => {
+    const course = [{ _id: 'co', _type: 'course', _friendlyId: 'course-1' }, { _id: 'cfg', _type: 'config', _friendlyId: 'config' }]
+    assert.deepEqual([...assignFriendlyIds(course, { seqs: new Map(), rootIds: new Set(['co']) }).values()], ['course-1', 'config'])
+    assert.equal(assignFriendlyIds(course, { seqs: new Map(), rootIds: new Set(['co']), rootFriendlyId: 'course-5' }).get('co'), 'course-5')
+  })
+})
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import checkContentBundle from '../lib/utils/checkContentBundle.js'
+
+describe('checkContentBundle', () => {
+  const bundle = {
+    version: 1,
+    type: 'course',
+    content: [{ _id: 'c', _type: 'course' }, { _id: 'p', _type: 'page', _parentId: 'c' }]
+  }
+
+  it('accepts a valid bundle', () => {
+    assert.equal(checkContentBundle(bundle, ['course']), undefined)
+  })
+
+  for (const value of [undefined, null, 'bundle']) {
+    it(`rejects ${JSON.stringify(value)}`, () => {
+      assert.match(checkContentBundle(value, ['course']), /must be an object/)
+    })
+  }
+
+  for (const version of [undefined, 0, 2, '1']) {
+    it(`rejects bundle version ${JSON.stringify(version)}`, () => {
+      assert.match(checkContentBundle({ ...bundle, version }, ['course']), /unsupported bundle version/)
+    })
+  }
+
+  it('rejects an unexpected root type', () => {
+    assert.match(checkContentBundle(bundle, ['page', 'article']), /expected a bundle of type page or article/)
+  })
+
+  it('rejects a bundle without content', () => {
+    assert.match(checkContentBundle({ ...bundle, content: [] }, ['course']), /no content/)
+  })
+
+  it('rejects items without an _id or _type', () => {
+    assert.match(checkContentBundle({ ...bundle, content: [...bundle.content, { _type: 'page' }] }, ['course']), /needs an _id and _type/)
+  })
+
+  it('rejects a bundle whose first item is not the root', () => {
+    assert.match(checkContentBundle({ ...bundle, content: [...bundle.content].reverse() }, ['course']), /first content item must be the course/)
+  })
+
+  it('rejects bundles with more items than allowed', () => {
+    assert.equal(checkContentBundle(bundle, ['course'], { maxItems: 2 }), undefined)
+    assert.match(checkContentBundle(bundle, ['course'], { maxItems: 1 }), /2 content items, more than the limit of 1/)
+  })
+})
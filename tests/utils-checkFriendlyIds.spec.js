@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import checkFriendlyIds from '../lib/utils/checkFriendlyIds.js'
+
+describe('checkFriendlyIds()', () => {
+  it('should report nothing for consistent IDs', () => {
+    const items = [
+      { _id: 'co', _type: 'course', _friendlyId: 'course-4' },
+      { _id: 'cfg', _type: 'config', _friendlyId: 'config' },
+      { _id: 'p1', _type: 'page', _friendlyId: 'p-1' },
+      { _id: 'p2', _type: 'page', _friendlyId: 'p-2' }
+    ]
+    assert.deepEqual(checkFriendlyIds(items, [{ _type: 'page', seq: 2 }]), { counters: [], duplicates: [], missing: [], gaps: [] })
+  })
+
+  it('should report counters behind the highest ID in use', () => {
+    const items = [{ _id: 'p1', _type: 'page', _friendlyId: 'p-5' }, { _id: 'b1', _type: 'block', _friendlyId: 'b-1' }]
+    const counters = [{ _type: 'page', seq: 3 }, { _type: 'block', seq: 6 }, { _type: 'article', seq: 0 }]
+    assert.deepEqual(checkFriendlyIds(items, counters).counters, [{ _type: 'page', seq: 3, maxSeq: 5 }])
+  })
+
+  it('should report duplicate and missing IDs', () => {
+    const items = [
+      { _id: 'p1', _type: 'page', _friendlyId: 'p-1' },
+      { _id: 'p2', _type: 'page', _friendlyId: 'p-1' },
+      { _id: 'b1', _type: 'block' },
+      { _id: 'b2', _type: 'block', _friendlyId: '' }
+    ]
+    const report = checkFriendlyIds(items, [])
+    assert.deepEqual(report.duplicates, [{ _friendlyId: 'p-1', _ids: ['p1', 'p2'] }])
+    assert.deepEqual(report.missing, [{ _id: 'b1', _type: 'block' }, { _id: 'b2', _type: 'block' }])
+  })
+
+  it('should count the unused numbers below each type\'s highest', () => {
+    const items = [
+      { _id: 'c1', _type: 'component', _friendlyId: 'c-2' },
+      { _id: 'c2', _type: 'component', _friendlyId: 'c-5' },
+      { _id: 'c3', _type: 'component', _friendlyId: 'c-5-fr' }
+    ]
+    assert.deepEqual(checkFriendlyIds(items, []).gaps, [{ _type: 'component', maxSeq: 5, count: 3 }])
+  })
+
+  it('should not number the course or config', () => {
+    const items = [{ _id: 'co', _type: 'course', _friendlyId: 'course-9' }]
+    assert.deepEqual(checkFriendlyIds(items, [{ _type: 'course', seq: 1 }]), { counters: [], duplicates: [], missing: [], gaps: [] })
+  })
+
+  it('should use the configured formats', () => {
+    const items = [{ _id: 'p1', _type: 'page', _friendlyId: 'PG_003' }]
+    const formats = { page: { prefix: 'PG', separator: '_', padding: 3 } }
+    assert.deepEqual(checkFriendlyIds(items, [{ _type: 'page', seq: 1 }], formats), {
+      counters: [{ _type: 'page', seq: 1, maxSeq: 3 }],
+      duplicates: [],
+      missing: [],
+      gaps: [{ _type: 'page', maxSeq: 3, count: 2 }]
+    })
+  })
+})
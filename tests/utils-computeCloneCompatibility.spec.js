@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import computeCloneCompatibility from '../lib/utils/computeCloneCompatibility.js'
+
+describe('computeCloneCompatibility', () => {
+  const plugins = [
+    { name: 'adapt-contrib-text', type: 'component', targetAttribute: '_text' },
+    { name: 'adapt-contrib-mcq', type: 'component', targetAttribute: '_mcq' },
+    { name: 'adapt-contrib-trickle', type: 'extension', targetAttribute: '_trickle' },
+    { name: 'adapt-contrib-pageLevelProgress', type: 'extension', targetAttribute: '_pageLevelProgress' }
+  ]
+
+  it('is compatible when everything is installed and enabled', () => {
+    const items = [
+      { _id: 'c1', _type: 'component', _component: 'adapt-contrib-text', _trickle: {} }
+    ]
+    const report = computeCloneCompatibility(items, { plugins, _enabledPlugins: ['adapt-contrib-text', 'adapt-contrib-trickle'] })
+    assert.deepEqual(report, { compatible: true, missingComponents: [], addedComponents: [], droppedExtensions: [] })
+  })
+
+  it('reports components whose plugin is not installed, grouped by component', () => {
+    const items = [
+      { _id: 'c1', _type: 'component', _component: 'adapt-contrib-hotgraphic' },
+      { _id: 'c2', _type: 'component', _component: 'adapt-contrib-hotgraphic' }
+    ]
+    const report = computeCloneCompatibility(items, { plugins })
+    assert.equal(report.compatible, false)
+    assert.deepEqual(report.missingComponents, [{ _component: 'adapt-contrib-hotgraphic', _ids: ['c1', 'c2'] }])
+  })
+
+  it('lists installed components the destination does not enable yet without failing', () => {
+    const items = [{ _id: 'c1', _type: 'component', _component: 'adapt-contrib-mcq' }]
+    const report = computeCloneCompatibility(items, { plugins, _enabledPlugins: ['adapt-contrib-text'] })
+    assert.equal(report.compatible, true)
+    assert.deepEqual(report.addedComponents, ['adapt-contrib-mcq'])
+  })
+
+  it('reports extension data for extensions the destination does not enable', () => {
+    const items = [
+      { _id: 'a1', _type: 'article', _trickle: { _isEnabled: true } },
+      { _id: 'b1', _type: 'block', _extensions: { _pageLevelProgress: {}, _trickle: {} } }
+    ]
+    const report = computeCloneCompatibility(items, { plugins, _enabledPlugins: ['adapt-contrib-trickle'] })
+    assert.equal(report.compatible, false)
+    assert.deepEqual(report.droppedExtensions, [
+      { name: 'adapt-contrib-pageLevelProgress', attribute: '_pageLevelProgress', _ids: ['b1'] }
+    ])
+  })
+
+  it('reports _extensions data of extensions which are not installed', () => {
+    const items = [{ _id: 'b1', _type: 'block', _extensions: { _unknown: {} } }]
+    const report = computeCloneCompatibility(items, { plugins })
+    assert.deepEqual(report.droppedExtensions, [{ name: undefined, attribute: '_unknown', _ids: ['b1'] }])
+  })
+})
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import computeFriendlyIdChanges, { computeMovedFriendlyIds } from '../lib/utils/computeFriendlyIdChanges.js'
+
+describe('computeFriendlyIdChanges()', () => {
+  it('should number each type from 1 in the order given', () => {
+    const items = [
+      { _id: 'p1', _type: 'page', _friendlyId: 'p-7' },
+      { _id: 'a1', _type: 'article', _friendlyId: 'a-3' },
+      { _id: 'c1', _type: 'component', _friendlyId: 'c-118' },
+      { _id: 'c2', _type: 'component', _friendlyId: 'c-3' },
+      { _id: 'p2', _type: 'page', _friendlyId: 'p-2' }
+    ]
+    assert.deepEqual(computeFriendlyIdChanges(items), [
+      { _id: 'p1', _type: 'page', from: 'p-7', to: 'p-1' },
+      { _id: 'a1', _type: 'article', from: 'a-3', to: 'a-1' },
+      { _id: 'c1', _type: 'component', from: 'c-118', to: 'c-1' },
+      { _id: 'c2', _type: 'component', from: 'c-3', to: 'c-2' }
+    ])
+  })
+
+  it('should leave out items which keep their ID', () => {
+    assert.deepEqual(computeFriendlyIdChanges([{ _id: 'b1', _type: 'block', _friendlyId: 'b-1' }]), [])
+  })
+
+  it('should give items without an ID one', () => {
+    assert.deepEqual(computeFriendlyIdChanges([{ _id: 'b1', _type: 'block' }]), [{ _id: 'b1', _type: 'block', from: undefined, to: 'b-1' }])
+  })
+
+  it('should skip the course and config', () => {
+    const items = [{ _id: 'co', _type: 'course', _friendlyId: 'course-9' }, { _id: 'cfg', _type: 'config', _friendlyId: 'config' }]
+    assert.deepEqual(computeFriendlyIdChanges(items), [])
+  })
+
+  it('should use the configured formats, with the parents\' new IDs', () => {
+    const items = [
+      { _id: 'co', _type: 'course', _friendlyId: 'course-9' },
+      { _id: 'a1', _type: 'article', _parentId: 'x', _friendlyId: 'a-4' },
+      { _id: 'b1', _type: 'block', _parentId: 'a1', _friendlyId: 'b-7' }
+    ]
+    const formats = { block: { includeParent: true }, article: { prefix: 'art', padding: 2 } }
+    assert.deepEqual(computeFriendlyIdChanges(items, formats).map(c => c.to), ['art-01', 'art-01-b-1'])
+  })
+})
+
+describe('computeMovedFriendlyIds()', () => {
+  const formats = { article: { includeParent: true }, block: { includeParent: true } }
+
+  it('should regenerate the IDs which include the parent\'s ID, keeping their numbers', () => {
+    const items = [
+      { _id: 'a1', _type: 'article', _parentId: 'p2', _friendlyId: 'p-1-a-4' },
+      { _id: 'b1', _type: 'block', _parentId: 'a1', _friendlyId: 'p-1-a-4-b-9' },
+      { _id: 'c1', _type: 'component', _parentId: 'b1', _friendlyId: 'c-2' }
+    ]
+    assert.deepEqual(computeMovedFriendlyIds(items, { _id: 'p2', _friendlyId: 'p-2' }, formats), [
+      { _id: 'a1', _type: 'article', from: 'p-1-a-4', to: 'p-2-a-4' },
+      { _id: 'b1', _type: 'block', from: 'p-1-a-4-b-9', to: 'p-2-a-4-b-9' }
+    ])
+  })
+
+  it('should leave IDs which are not in their type\'s format alone', () => {
+    const items = [{ _id: 'a1', _type: 'article', _parentId: 'p2', _friendlyId: 'legacy' }]
+    assert.deepEqual(computeMovedFriendlyIds(items, { _id: 'p2', _friendlyId: 'p-2' }, formats), [])
+  })
+
+  it('should return nothing without includeParent formats', () => {
+    const items = [{ _id: 'a1', _type: 'article', _parentId: 'p2', _friendlyId: 'a-4' }]
+    assert.deepEqual(computeMovedFriendlyIds(items, { _id: 'p2', _friendlyId: 'p-2' }), [])
+  })
+})
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import ContentTree from '../lib/ContentTree.js'
+import computeMoveOps from '../lib/utils/computeMoveOps.js'
+
+describe('computeMoveOps', () => {
+  const makeTree = () => new ContentTree([
+    { _id: 'c', _type: 'course' },
+    { _id: 'a1', _type: 'article', _parentId: 'c' },
+    { _id: 'a2', _type: 'article', _parentId: 'c' },
+    { _id: 'b1', _type: 'block', _parentId: 'a1', _sortOrder: 1 },
+    { _id: 'b2', _type: 'block', _parentId: 'a1', _sortOrder: 2 },
+    { _id: 'b3', _type: 'block', _parentId: 'a1', _sortOrder: 3 },
+    { _id: 'b4', _type: 'block', _parentId: 'a2', _sortOrder: 1 },
+    { _id: 'b5', _type: 'block', _parentId: 'a2', _sortOrder: 2 }
+  ])
+  const setFor = (ops, _id) => ops.find(o => o.updateOne.filter._id === _id)?.updateOne.update.$set
+
+  it('reparents the item and renumbers both sibling lists', () => {
+    const tree = makeTree()
+    const ops = computeMoveOps(tree, [tree.getById('b1')], 'a2', 2)
+    assert.deepEqual(setFor(ops, 'b2'), { _sortOrder: 1 })
+    assert.deepEqual(setFor(ops, 'b3'), { _sortOrder: 2 })
+    assert.deepEqual(setFor(ops, 'b1'), { _sortOrder: 2, _parentId: 'a2' })
+    assert.deepEqual(setFor(ops, 'b5'), { _sortOrder: 3 })
+    assert.equal(setFor(ops, 'b4'), undefined)
+  })
+
+  it('appends to the new parent when no _sortOrder is given', () => {
+    const tree = makeTree()
+    const ops = computeMoveOps(tree, [tree.getById('b1')], 'a2')
+    assert.deepEqual(setFor(ops, 'b1'), { _sortOrder: 3, _parentId: 'a2' })
+    assert.equal(setFor(ops, 'b4'), undefined)
+    assert.equal(setFor(ops, 'b5'), undefined)
+  })
+
+  it('clamps an out-of-range _sortOrder to the end of the list', () => {
+    const tree = makeTree()
+    const ops = computeMoveOps(tree, [tree.getById('b1')], 'a2', 99)
+    assert.deepEqual(setFor(ops, 'b1'), { _sortOrder: 3, _parentId: 'a2' })
+  })
+
+  it('inserts multiple items as a contiguous run in the order given', () => {
+    const tree = makeTree()
+    const ops = computeMoveOps(tree, [tree.getById('b3'), tree.getById('b1')], 'a2', 1)
+    assert.deepEqual(setFor(ops, 'b3'), { _sortOrder: 1, _parentId: 'a2' })
+    assert.deepEqual(setFor(ops, 'b1'), { _sortOrder: 2, _parentId: 'a2' })
+    assert.deepEqual(setFor(ops, 'b4'), { _sortOrder: 3 })
+    assert.deepEqual(setFor(ops, 'b5'), { _sortOrder: 4 })
+    assert.deepEqual(setFor(ops, 'b2'), { _sortOrder: 1 })
+  })
+
+  it('reorders within the same parent without touching _parentId', () => {
+    const tree = makeTree()
+    const ops = computeMoveOps(tree, [tree.getById('b3')], 'a1', 1)
+    assert.deepEqual(setFor(ops, 'b3'), { _sortOrder: 1 })
+    assert.deepEqual(setFor(ops, 'b1'), { _sortOrder: 2 })
+    assert.deepEqual(setFor(ops, 'b2'), { _sortOrder: 3 })
+  })
+
+  it('returns no ops when the item is already in place', () => {
+    const tree = makeTree()
+    assert.deepEqual(computeMoveOps(tree, [tree.getById('b2')], 'a1', 2), [])
+  })
+
+  it('moves into an empty parent', () => {
+    const tree = new ContentTree([
+      { _id: 'a1', _type: 'article' },
+      { _id: 'a2', _type: 'article' },
+      { _id: 'b1', _type: 'block', _parentId: 'a1', _sortOrder: 1 }
+    ])
+    const ops = computeMoveOps(tree, [tree.getById('b1')], 'a2', 1)
+    assert.deepEqual(ops, [{ updateOne: { filter: { _id: 'b1' }, update: { $set: { _parentId: 'a2' } } } }])
+  })
+})
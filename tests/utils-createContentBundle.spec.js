@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import createContentBundle, { BUNDLE_VERSION } from '../lib/utils/createContentBundle.js'
+
+describe('createContentBundle', () => {
+  const items = [
+    { _id: 'course', _type: 'course', _assetIds: ['a1'] },
+    { _id: 'p1', _type: 'page', _assetIds: ['a1', 'a2'] },
+    { _id: 'c1', _type: 'component' }
+  ]
+
+  it('records the format version, root type and content', () => {
+    const bundle = createContentBundle(items)
+    assert.equal(bundle.version, BUNDLE_VERSION)
+    assert.equal(bundle.type, 'course')
+    assert.equal(bundle.content, items)
+    assert.ok(!isNaN(Date.parse(bundle.exportedAt)))
+  })
+
+  it('lists each referenced asset once', () => {
+    assert.deepEqual(createContentBundle(items)._assetIds, ['a1', 'a2'])
+  })
+
+  it('records the installed version of each enabled plugin', () => {
+    const bundle = createContentBundle(items, {
+      _enabledPlugins: ['adapt-contrib-text', 'adapt-contrib-vanilla'],
+      plugins: [
+        { name: 'adapt-contrib-vanilla', type: 'theme', version: '9.0.0' },
+        { name: 'adapt-contrib-text', type: 'component', version: '7.0.0' }
+      ]
+    })
+    assert.deepEqual(bundle.plugins, [
+      { name: 'adapt-contrib-text', type: 'component', version: '7.0.0' },
+      { name: 'adapt-contrib-vanilla', type: 'theme', version: '9.0.0' }
+    ])
+  })
+
+  it('leaves the version empty for plugins which are not installed', () => {
+    const bundle = createContentBundle(items, { _enabledPlugins: ['adapt-contrib-missing'] })
+    assert.deepEqual(bundle.plugins, [{ name: 'adapt-contrib-missing', type: undefined, version: undefined }])
+  })
+})
@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import diffContent from '../lib/utils/diffContent.js'
+
+/**
+ * Creates a minimal schema-like object with a walk method that
+ * mirrors Schema.walk behaviour for the given properties
+ */
+function mockSchema (properties) {
+  return {
+    walk (data, predicate, schema, parentPath = '') {
+      schema = schema ?? properties
+      const matches = []
+      for (const [key, val] of Object.entries(schema)) {
+        if (data[key] === undefined) continue
+        const currentPath = parentPath ? `${parentPath}/${key}` : key
+        if (val.properties) {
+          matches.push(...this.walk(data[key], predicate, val.properties, currentPath))
+        } else if (val?.items?.properties) {
+          data[key].forEach((item, i) => {
+            matches.push(...this.walk(item, predicate, val.items.properties, `${currentPath}/${i}`))
+          })
+        } else if (predicate(val)) {
+          matches.push({ path: currentPath, key, data, value: data[key] })
+        }
+      }
+      return matches
+    }
+  }
+}
+
+describe('diffContent', () => {
+  it('returns empty sections for identical documents', () => {
+    assert.deepEqual(diffContent({ title: 'a', _items: [{ text: 'x' }] }, { title: 'a', _items: [{ text: 'x' }] }),
+      { added: {}, removed: {}, changed: {} })
+  })
+
+  it('reports changed fields by path with HTML stripped', () => {
+    const { changed } = diffContent({ body: '<p>Hello</p>' }, { body: '<p>Hello <b>world</b></p>' })
+    assert.deepEqual(changed, { body: { before: 'Hello', after: 'Hello world' } })
+  })
+
+  it('flags markup-only changes', () => {
+    const { changed } = diffContent({ body: '<p>Hello</p>' }, { body: '<div>Hello</div>' })
+    assert.deepEqual(changed, { body: { before: 'Hello', after: 'Hello', formatOnly: true } })
+  })
+
+  it('walks into arrays of objects', () => {
+    const before = { _items: [{ text: 'A', _shouldBeSelected: true }, { text: 'B', _shouldBeSelected: false }] }
+    const after = { _items: [{ text: 'A', _shouldBeSelected: false }, { text: 'B2', _shouldBeSelected: false }] }
+    const { changed } = diffContent(before, after)
+    assert.deepEqual(Object.keys(changed).sort(), ['_items/0/_shouldBeSelected', '_items/1/text'])
+    assert.deepEqual(changed['_items/1/text'], { before: 'B', after: 'B2' })
+  })
+
+  it('reports added and removed array items leaf by leaf', () => {
+    const { added, removed } = diffContent({ _items: [{ text: 'A' }] }, { _items: [{ text: 'A' }, { text: 'B', feedback: 'f' }] })
+    assert.deepEqual(added, { '_items/1/text': 'B', '_items/1/feedback': 'f' })
+    assert.deepEqual(removed, {})
+    assert.deepEqual(diffContent({ _items: ['x', 'y'] }, { _items: ['x'] }).removed, { '_items/1': 'y' })
+  })
+
+  it('reports added and removed top-level fields', () => {
+    const { added, removed } = diffContent({ title: 'a', instruction: 'i' }, { title: 'a', body: 'b' })
+    assert.deepEqual(added, { body: 'b' })
+    assert.deepEqual(removed, { instruction: 'i' })
+  })
+
+  it('ignores bookkeeping fields', () => {
+    const diff = diffContent(
+      { _id: '1', updatedAt: new Date(1), _summary: [], _assetIds: ['a'] },
+      { _id: '2', updatedAt: new Date(2), _summary: [{}], _assetIds: [] }
+    )
+    assert.deepEqual(diff, { added: {}, removed: {}, changed: {} })
+  })
+
+  it('compares values by string form and type', () => {
+    class Id {
+      constructor (id) { this.id = id }
+      toString () { return this.id }
+    }
+    const makeId = id => new Id(id)
+    assert.deepEqual(diffContent({ _parentId: makeId('p1') }, { _parentId: makeId('p1') }).changed, {})
+    assert.deepEqual(diffContent({ _parentId: makeId('p1') }, { _parentId: makeId('p2') }).changed, { _parentId: { before: 'p1', after: 'p2' } })
+    assert.deepEqual(diffContent({ _sortOrder: 1 }, { _sortOrder: '1' }).changed, { _sortOrder: { before: 1, after: '1' } })
+  })
+
+  describe('with a schema', () => {
+    const schema = mockSchema({
+      _id: { type: 'string', isObjectId: true },
+      title: { type: 'string' },
+      _graphic: { properties: { src: { type: 'string' }, alt: { type: 'string' } } },
+      _items: { items: { properties: { text: { type: 'string' } } } },
+      _tags: { type: 'array', items: { type: 'string' } }
+    })
+
+    it('keys changes by schema path', () => {
+      const before = { title: 'a', _graphic: { src: 's', alt: 'Old' }, _items: [{ text: 'A' }, { text: 'B' }] }
+      const after = { title: 'a', _graphic: { src: 's', alt: 'New' }, _items: [{ text: 'A' }, { text: 'B2' }] }
+      assert.deepEqual(diffContent(before, after, schema).changed, {
+        '_graphic/alt': { before: 'Old', after: 'New' },
+        '_items/1/text': { before: 'B', after: 'B2' }
+      })
+    })
+
+    it('reports schema fields added to or removed from either side', () => {
+      const { added, removed } = diffContent({ _items: [{ text: 'A' }, { text: 'B' }] }, { title: 't', _items: [{ text: 'A' }] }, schema)
+      assert.deepEqual(added, { title: 't' })
+      assert.deepEqual(removed, { '_items/1/text': 'B' })
+    })
+
+    it('walks array fields without item properties as data', () => {
+      assert.deepEqual(diffContent({ _tags: ['x', 'y'] }, { _tags: ['x'] }, schema).removed, { '_tags/1': 'y' })
+    })
+
+    it('still compares data the schema does not describe', () => {
+      const { changed } = diffContent({ _extra: { a: 1 } }, { _extra: { a: 2 } }, schema)
+      assert.deepEqual(changed, { '_extra/a': { before: 1, after: 2 } })
+    })
+
+    it('ignores bookkeeping fields', () => {
+      assert.deepEqual(diffContent({ _id: '1' }, { _id: '2' }, schema), { added: {}, removed: {}, changed: {} })
+    })
+  })
+})
@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
-import { extractAssetIds } from '../lib/utils/extractAssetIds.js'
+import { extractAssetIds, isAssetField } from '../lib/utils/extractAssetIds.js'
 
 /**
  * Creates a minimal schema-like object with a walk method that
@@ -116,3 +116,15 @@ describe('extractAssetIds()', () => {
     assert.deepEqual(extractAssetIds(schema, { image1: 'a1', image2: 'a2', title: 'test' }), ['a1', 'a2'])
   })
 })
+
+describe('isAssetField()', () => {
+  it('should match both forms of the Asset editor type', () => {
+    assert.equal(isAssetField({ _backboneForms: 'Asset' }), true)
+    assert.equal(isAssetField({ _backboneForms: { type: 'Asset' } }), true)
+  })
+
+  it('should not match other fields', () => {
+    assert.equal(isAssetField({ type: 'string' }), false)
+    assert.equal(isAssetField(undefined), false)
+  })
+})
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { ObjectId } from 'mongodb'
+import { joinFieldPath, setFieldPath, splitFieldPath } from '../lib/utils/fieldPath.js'
+
+describe('fieldPath', () => {
+  describe('joinFieldPath()', () => {
+    it('should join keys with / and address array elements by index', () => {
+      assert.equal(joinFieldPath('_items', 1, 'text'), '_items/1/text')
+    })
+
+    it('should skip empty keys', () => {
+      assert.equal(joinFieldPath('', 'title', undefined), 'title')
+    })
+  })
+
+  describe('splitFieldPath()', () => {
+    it('should split a path into its keys', () => {
+      assert.deepEqual(splitFieldPath('_items/1/text'), ['_items', '1', 'text'])
+      assert.deepEqual(splitFieldPath(joinFieldPath('body')), ['body'])
+    })
+  })
+
+  describe('setFieldPath()', () => {
+    it('should set a top-level field', () => {
+      assert.deepEqual(setFieldPath({ title: 'Old', body: 'Body' }, 'title', 'New'), { title: 'New', body: 'Body' })
+    })
+
+    it('should set a field inside arrays and objects, copying only the path', () => {
+      const other = { text: 'Other' }
+      const data = { _items: [{ text: 'Old', _graphic: { src: 'a' } }, other] }
+      const result = setFieldPath(data, '_items/0/text', 'New')
+
+      assert.deepEqual(result, { _items: [{ text: 'New', _graphic: { src: 'a' } }, other] })
+      assert.ok(Array.isArray(result._items))
+      assert.equal(result._items[1], other)
+      assert.equal(result._items[0]._graphic, data._items[0]._graphic)
+      assert.equal(data._items[0].text, 'Old')
+    })
+
+    it('should keep the prototypes of values off the path', () => {
+      const _assetId = new ObjectId()
+      const result = setFieldPath({ _items: [{ text: 'Old', _assetId }] }, '_items/0/text', 'New')
+      assert.equal(result._items[0]._assetId, _assetId)
+      assert.ok(result._items[0]._assetId instanceof ObjectId)
+    })
+  })
+})
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import findReplacements from '../lib/utils/findReplacements.js'
+
+/**
+ * Creates a minimal schema-like object with a walk method that
+ * mirrors Schema.walk behaviour for the given properties
+ */
+function mockSchema (properties) {
+  return {
+    walk (data, predicate, schema, parentPath = '') {
+      schema = schema ?? properties
+      const matches = []
+      for (const [key, val] of Object.entries(schema)) {
+        if (data[key] === undefined) continue
+        const currentPath = parentPath ? `${parentPath}/${key}` : key
+        if (val.properties) {
+          matches.push(...this.walk(data[key], predicate, val.properties, currentPath))
+        } else if (val?.items?.properties) {
+          data[key].forEach((item, i) => {
+            matches.push(...this.walk(item, predicate, val.items.properties, `${currentPath}/${i}`))
+          })
+        } else if (predicate(val)) {
+          matches.push({ path: currentPath, key, data, value: data[key] })
+        }
+      }
+      return matches
+    }
+  }
+}
+
+describe('findReplacements()', () => {
+  const schema = mockSchema({
+    _courseId: { type: 'string', isObjectId: true },
+    title: { type: 'string' },
+    body: { type: 'string' },
+    _graphic: { properties: { src: { type: 'string', _backboneForms: 'Asset' } } },
+    _items: { items: { properties: { text: { type: 'string' } } } }
+  })
+
+  it('should return each changed field with its before and after values', () => {
+    const data = { title: 'Acme basics', body: '<p class="acme">Nothing</p>', _items: [{ text: 'x' }, { text: 'Acme and acme' }] }
+    assert.deepEqual(findReplacements(schema, data, 'acme', 'Nova'), [
+      { path: 'title', before: 'Acme basics', after: 'Nova basics', count: 1 },
+      { path: '_items/1/text', before: 'Acme and acme', after: 'Nova and Nova', count: 2 }
+    ])
+  })
+
+  it('should pass the options on to replaceText', () => {
+    const result = findReplacements(schema, { title: 'Acme acme' }, 'acme', 'Nova', { caseSensitive: true })
+    assert.equal(result[0].after, 'Acme Nova')
+  })
+
+  it('should ignore asset and object id fields', () => {
+    assert.deepEqual(findReplacements(schema, { _courseId: 'acme', _graphic: { src: 'acme' } }, 'acme', 'Nova'), [])
+  })
+
+  it('should not modify the document', () => {
+    const data = { title: 'Acme' }
+    findReplacements(schema, data, 'acme', 'Nova')
+    assert.deepEqual(data, { title: 'Acme' })
+  })
+
+  it('should return nothing for an empty phrase', () => {
+    assert.deepEqual(findReplacements(schema, { title: 'Acme' }, '', 'Nova'), [])
+  })
+})
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import findTextMatches from '../lib/utils/findTextMatches.js'
+
+/**
+ * Creates a minimal schema-like object with a walk method that
+ * mirrors Schema.walk behaviour for the given properties
+ */
+function mockSchema (properties) {
+  return {
+    walk (data, predicate, schema, parentPath = '') {
+      schema = schema ?? properties
+      const matches = []
+      for (const [key, val] of Object.entries(schema)) {
+        if (data[key] === undefined) continue
+        const currentPath = parentPath ? `${parentPath}/${key}` : key
+        if (val.properties) {
+          matches.push(...this.walk(data[key], predicate, val.properties, currentPath))
+        } else if (val?.items?.properties) {
+          data[key].forEach((item, i) => {
+            matches.push(...this.walk(item, predicate, val.items.properties, `${currentPath}/${i}`))
+          })
+        } else if (predicate(val)) {
+          matches.push({ path: currentPath, key, data, value: data[key] })
+        }
+      }
+      return matches
+    }
+  }
+}
+
+describe('findTextMatches()', () => {
+  const schema = mockSchema({
+    _courseId: { type: 'string', isObjectId: true },
+    title: { type: 'string' },
+    body: { type: 'string' },
+    _graphic: { properties: { src: { type: 'string', _backboneForms: 'Asset' } } },
+    _items: { items: { properties: { text: { type: 'string' } } } },
+    _isOptional: { type: 'boolean' }
+  })
+
+  it('should find a phrase case-insensitively, with the path of each matching field', () => {
+    const data = { title: 'GDPR basics', body: '<p>About gdpr</p>', _items: [{ text: 'nothing' }, { text: 'The GDPR rules' }] }
+    assert.deepEqual(findTextMatches(schema, data, 'gdpr').map(m => m.path), ['title', 'body', '_items/1/text'])
+  })
+
+  it('should not match markup', () => {
+    assert.deepEqual(findTextMatches(schema, { body: '<p class="gdpr">Privacy</p>' }, 'gdpr'), [])
+  })
+
+  it('should ignore asset and object id fields', () => {
+    assert.deepEqual(findTextMatches(schema, { _courseId: 'abc', _graphic: { src: 'abc' } }, 'abc'), [])
+  })
+
+  it('should build a plain-text snippet with the offsets of each occurrence', () => {
+    const [match] = findTextMatches(schema, { body: '<p>Data &amp; GDPR: GDPR applies</p>' }, 'gdpr')
+    assert.equal(match.snippet, 'Data & GDPR: GDPR applies')
+    assert.deepEqual(match.highlights, [[7, 11], [13, 17]])
+  })
+
+  it('should trim long text around the first match', () => {
+    const body = `${'a'.repeat(100)} GDPR ${'b'.repeat(100)}`
+    const [match] = findTextMatches(schema, { body }, 'gdpr', { context: 5 })
+    assert.equal(match.snippet, '…aaaa GDPR bbbb…')
+    assert.deepEqual(match.highlights, [[6, 10]])
+  })
+
+  it('should return nothing for an empty query', () => {
+    assert.deepEqual(findTextMatches(schema, { title: 'Anything' }, '  '), [])
+  })
+})
@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
-import formatFriendlyId from '../lib/utils/formatFriendlyId.js'
+import formatFriendlyId, { findFriendlyIdFormatCollisions, getFriendlyIdFormat } from '../lib/utils/formatFriendlyId.js'
 
 describe('formatFriendlyId', () => {
   describe('course type', () => {
@@ -45,4 +45,61 @@ describe('formatFriendlyId', () => {
       })
     }
   })
+
+  describe('configured format', () => {
+    it('applies the prefix, separator and padding', () => {
+      const format = { prefix: 'COMP', separator: '_', padding: 4 }
+      assert.equal(formatFriendlyId('component', 7, undefined, { format }), 'COMP_0007')
+    })
+
+    it('does not truncate numbers longer than the padding', () => {
+      assert.equal(formatFriendlyId('block', 12345, undefined, { format: { prefix: 'b', separator: '-', padding: 3 } }), 'b-12345')
+    })
+
+    it('starts with the parent ID when includeParent is set', () => {
+      const format = { prefix: 'b', separator: '-', padding: 0, includeParent: true }
+      assert.equal(formatFriendlyId('block', 12, undefined, { format, parentFriendlyId: 'a-3' }), 'a-3-b-12')
+    })
+
+    it('ignores the parent ID when includeParent is not set', () => {
+      assert.equal(formatFriendlyId('block', 12, undefined, { parentFriendlyId: 'a-3' }), 'b-12')
+    })
+
+    it('keeps the language suffix and ignores the parent for courses', () => {
+      const format = { prefix: 'CRS', separator: '', padding: 3, includeParent: true }
+      assert.equal(formatFriendlyId('course', 5, 'en', { format, parentFriendlyId: 'x' }), 'CRS005-en')
+    })
+
+    it('always returns "config" for config', () => {
+      assert.equal(formatFriendlyId('config', 1, undefined, { format: { prefix: 'x', separator: '-', padding: 2 } }), 'config')
+    })
+  })
+})
+
+describe('getFriendlyIdFormat', () => {
+  it('returns the built-in format for a type without config', () => {
+    assert.deepEqual(getFriendlyIdFormat('page'), { prefix: 'p', separator: '-', padding: 0, includeParent: false })
+    assert.deepEqual(getFriendlyIdFormat('course', {}), { prefix: 'course', separator: '-', padding: 0, includeParent: false })
+  })
+
+  it('merges the configured settings over the built-in format', () => {
+    const formats = { component: { prefix: 'cmp', padding: 3 } }
+    assert.deepEqual(getFriendlyIdFormat('component', formats), { prefix: 'cmp', separator: '-', padding: 3, includeParent: false })
+  })
+})
+
+describe('findFriendlyIdFormatCollisions', () => {
+  it('returns nothing for the built-in formats', () => {
+    assert.deepEqual(findFriendlyIdFormatCollisions(), [])
+  })
+
+  it('returns the types which share a prefix and separator', () => {
+    const formats = { component: { prefix: 'b' }, page: { prefix: 'X', separator: '_' }, menu: { prefix: 'X', separator: '-' } }
+    assert.deepEqual(findFriendlyIdFormatCollisions(formats), [{ start: 'b-', types: ['block', 'component'] }])
+  })
+
+  it('includes configured types which are not built in', () => {
+    const formats = { custom: { prefix: 'p' } }
+    assert.deepEqual(findFriendlyIdFormatCollisions(formats), [{ start: 'p-', types: ['page', 'custom'] }])
+  })
 })
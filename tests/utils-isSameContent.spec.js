@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import isSameContent from '../lib/utils/isSameContent.js'
+
+describe('isSameContent', () => {
+  it('returns true for identical documents', () => {
+    assert.equal(isSameContent({ title: 'a', body: 'b' }, { title: 'a', body: 'b' }), true)
+  })
+
+  it('ignores updatedAt', () => {
+    assert.equal(isSameContent({ title: 'a', updatedAt: new Date(1) }, { title: 'a', updatedAt: new Date(2) }), true)
+  })
+
+  it('ignores key order, including in nested objects', () => {
+    assert.equal(isSameContent({ a: 1, b: { c: 1, d: 2 } }, { b: { d: 2, c: 1 }, a: 1 }), true)
+  })
+
+  it('compares values by their JSON form (e.g. ObjectIds)', () => {
+    const makeId = () => ({ toJSON: () => '507f1f77bcf86cd799439011' })
+    assert.equal(isSameContent({ _id: makeId() }, { _id: makeId() }), true)
+  })
+
+  it('detects a changed value', () => {
+    assert.equal(isSameContent({ title: 'a' }, { title: 'b' }), false)
+  })
+
+  it('detects an added field', () => {
+    assert.equal(isSameContent({ title: 'a' }, { title: 'a', body: '' }), false)
+  })
+
+  it('respects array order', () => {
+    assert.equal(isSameContent({ _items: [1, 2] }, { _items: [2, 1] }), false)
+  })
+})
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import isValidParentType from '../lib/utils/isValidParentType.js'
+
+describe('isValidParentType', () => {
+  const valid = [
+    ['page', 'course'],
+    ['page', 'menu'],
+    ['menu', 'course'],
+    ['menu', 'menu'],
+    ['article', 'page'],
+    ['block', 'article'],
+    ['component', 'block']
+  ]
+  for (const [_type, parentType] of valid) {
+    it(`allows a ${_type} under a ${parentType}`, () => {
+      assert.equal(isValidParentType(_type, parentType), true)
+    })
+  }
+
+  const invalid = [
+    ['page', 'article'],
+    ['article', 'course'],
+    ['article', 'block'],
+    ['block', 'page'],
+    ['component', 'article'],
+    ['component', 'component']
+  ]
+  for (const [_type, parentType] of invalid) {
+    it(`rejects a ${_type} under a ${parentType}`, () => {
+      assert.equal(isValidParentType(_type, parentType), false)
+    })
+  }
+
+  it('never allows course or config to take a parent', () => {
+    assert.equal(isValidParentType('course', 'menu'), false)
+    assert.equal(isValidParentType('config', 'course'), false)
+  })
+
+  it('does not constrain types outside the core hierarchy', () => {
+    assert.equal(isValidParentType('custom', 'block'), true)
+  })
+})
@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import mergeDeep from '../lib/utils/mergeDeep.js'
+
+describe('mergeDeep', () => {
+  it('merges nested objects, later sources winning', () => {
+    const merged = mergeDeep({ _layout: 'full', _graphic: { src: 'a', alt: 'A' } }, { _graphic: { alt: 'B' }, title: 'T' })
+    assert.deepEqual(merged, { _layout: 'full', _graphic: { src: 'a', alt: 'B' }, title: 'T' })
+  })
+
+  it('replaces arrays and other values rather than merging them', () => {
+    assert.deepEqual(mergeDeep({ _items: [1, 2], _graphic: { src: 'a' } }, { _items: [3], _graphic: null }), { _items: [3], _graphic: null })
+  })
+
+  it('skips undefined sources and leaves the inputs unchanged', () => {
+    const defaults = { _graphic: { src: 'a' } }
+    const merged = mergeDeep(defaults, undefined, { _graphic: { alt: 'B' } })
+    assert.deepEqual(merged, { _graphic: { src: 'a', alt: 'B' } })
+    assert.deepEqual(defaults, { _graphic: { src: 'a' } })
+  })
+})
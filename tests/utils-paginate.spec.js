@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import paginate from '../lib/utils/paginate.js'
+
+describe('paginate()', () => {
+  const items = [1, 2, 3, 4, 5]
+  const config = { defaultPageSize: 2, maxPageSize: 3 }
+
+  it('should return the first page at the default size', () => {
+    assert.deepEqual(paginate(items, config), { items: [1, 2], page: 1, pageSize: 2, pageTotal: 3, total: 5 })
+  })
+
+  it('should return the requested page', () => {
+    assert.deepEqual(paginate(items, { ...config, page: '3' }).items, [5])
+  })
+
+  it('should cap the page size at maxPageSize', () => {
+    const result = paginate(items, { ...config, limit: '10' })
+    assert.equal(result.pageSize, 3)
+    assert.equal(result.pageTotal, 2)
+  })
+
+  it('should fall back to the default size for an invalid limit', () => {
+    assert.equal(paginate(items, { ...config, limit: 'abc' }).pageSize, 2)
+  })
+
+  it('should normalise out-of-range pages', () => {
+    assert.equal(paginate(items, { ...config, page: '0' }).page, 1)
+    assert.equal(paginate(items, { ...config, page: '9' }).page, 3)
+  })
+
+  it('should return a single empty page for an empty list', () => {
+    assert.deepEqual(paginate([], config), { items: [], page: 1, pageSize: 2, pageTotal: 1, total: 0 })
+  })
+})
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import parseBundleDates from '../lib/utils/parseBundleDates.js'
+
+describe('parseBundleDates', () => {
+  it('converts timestamp strings to Dates', () => {
+    const [item] = parseBundleDates([{ _id: 'a', createdAt: '2024-01-02T03:04:05.000Z', updatedAt: '2024-02-03T04:05:06.000Z' }])
+    assert.ok(item.createdAt instanceof Date)
+    assert.equal(item.createdAt.toISOString(), '2024-01-02T03:04:05.000Z')
+    assert.equal(item.updatedAt.toISOString(), '2024-02-03T04:05:06.000Z')
+  })
+
+  it('drops timestamps which cannot be parsed', () => {
+    const [item] = parseBundleDates([{ _id: 'a', createdAt: 'yesterday' }])
+    assert.equal('createdAt' in item, false)
+  })
+
+  it('leaves other fields and the original items alone', () => {
+    const date = new Date(1)
+    const original = { _id: 'a', title: '2024-01-02', createdAt: date, updatedAt: '2024-01-02T00:00:00.000Z' }
+    const [item] = parseBundleDates([original])
+    assert.equal(item.title, '2024-01-02')
+    assert.equal(item.createdAt, date)
+    assert.equal(original.updatedAt, '2024-01-02T00:00:00.000Z')
+  })
+})
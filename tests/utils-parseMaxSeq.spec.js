@@ -46,4 +46,32 @@ describe('parseMaxSeq', () => {
     ]
     assert.equal(parseMaxSeq(docs), 15)
   })
+
+  describe('with a format', () => {
+    const format = (prefix, separator) => ({ prefix, separator, padding: 0, includeParent: false })
+
+    it('parses padded IDs in the format', () => {
+      const docs = [{ _friendlyId: 'COMP_0007' }, { _friendlyId: 'COMP_0012' }]
+      assert.equal(parseMaxSeq(docs, format('COMP', '_')), 12)
+    })
+
+    it('ignores IDs in other formats', () => {
+      const docs = [{ _friendlyId: 'c-400' }, { _friendlyId: 'COMP_0003' }]
+      assert.equal(parseMaxSeq(docs, format('COMP', '_')), 3)
+    })
+
+    it('uses the number after the parent ID', () => {
+      const docs = [{ _friendlyId: 'a-30-b-2' }, { _friendlyId: 'b-9-b-5' }]
+      assert.equal(parseMaxSeq(docs, format('b', '-')), 5)
+    })
+
+    it('allows a language suffix', () => {
+      const docs = [{ _friendlyId: 'course-3-pt-BR' }, { _friendlyId: 'course-2' }]
+      assert.equal(parseMaxSeq(docs, format('course', '-')), 3)
+    })
+
+    it('parses IDs without a separator', () => {
+      assert.equal(parseMaxSeq([{ _friendlyId: 'P01A007' }], format('A', '')), 7)
+    })
+  })
 })
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import replaceAssetIds from '../lib/utils/replaceAssetIds.js'
+
+/**
+ * Creates a minimal schema-like object with a walk method that
+ * mirrors Schema.walk behaviour for the given properties
+ */
+function mockSchema (properties) {
+  return {
+    walk (data, predicate, schema, parentPath = '') {
+      schema = schema ?? properties
+      const matches = []
+      for (const [key, val] of Object.entries(schema)) {
+        if (data[key] === undefined) continue
+        const currentPath = parentPath ? `${parentPath}/${key}` : key
+        if (val.properties) {
+          matches.push(...this.walk(data[key], predicate, val.properties, currentPath))
+        } else if (val?.items?.properties) {
+          data[key].forEach((item, i) => {
+            matches.push(...this.walk(item, predicate, val.items.properties, `${currentPath}/${i}`))
+          })
+        } else if (predicate(val)) {
+          matches.push({ path: currentPath, key, data, value: data[key] })
+        }
+      }
+      return matches
+    }
+  }
+}
+
+describe('replaceAssetIds()', () => {
+  const schema = mockSchema({
+    title: { type: 'string' },
+    _graphic: { properties: { src: { _backboneForms: 'Asset' } } },
+    _items: { items: { properties: { src: { _backboneForms: { type: 'Asset' } } } } }
+  })
+  const idMap = new Map([['a1', 'b1'], ['a2', 'b2']])
+
+  it('should replace top-level, nested and array asset fields', () => {
+    const data = { title: 'a1', _graphic: { src: 'a1' }, _items: [{ src: 'a2' }, { src: 'a1' }] }
+    replaceAssetIds(schema, data, idMap)
+    assert.deepEqual(data, { title: 'a1', _graphic: { src: 'b1' }, _items: [{ src: 'b2' }, { src: 'b1' }] })
+  })
+
+  it('should leave values which are not in the map', () => {
+    const data = { _graphic: { src: 'https://example.com/a1.png' }, _items: [{ src: 'a3' }] }
+    replaceAssetIds(schema, data, idMap)
+    assert.deepEqual(data, { _graphic: { src: 'https://example.com/a1.png' }, _items: [{ src: 'a3' }] })
+  })
+
+  it('should return the data', () => {
+    const data = { _graphic: { src: 'a1' } }
+    assert.equal(replaceAssetIds(schema, data, idMap), data)
+  })
+})
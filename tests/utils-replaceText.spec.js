@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import replaceText from '../lib/utils/replaceText.js'
+
+describe('replaceText()', () => {
+  it('should replace every occurrence case-insensitively by default', () => {
+    assert.deepEqual(replaceText('Acme and ACME', 'acme', 'Nova'), { value: 'Nova and Nova', count: 2 })
+  })
+
+  it('should only replace exact-case occurrences when caseSensitive', () => {
+    assert.deepEqual(replaceText('Acme and ACME', 'Acme', 'Nova', { caseSensitive: true }), { value: 'Nova and ACME', count: 1 })
+  })
+
+  it('should skip occurrences inside longer words when wholeWord', () => {
+    assert.deepEqual(replaceText('Acme, Acmes and NewAcme', 'acme', 'Nova', { wholeWord: true }), { value: 'Nova, Acmes and NewAcme', count: 1 })
+  })
+
+  it('should treat accented letters as part of a word when wholeWord', () => {
+    assert.equal(replaceText('café cafés', 'café', 'bar', { wholeWord: true }).value, 'bar cafés')
+  })
+
+  it('should not replace inside tags, comments or character references', () => {
+    const html = '<p class="acme" title="Acme">Acme &amp; co</p><!-- acme -->'
+    assert.deepEqual(replaceText(html, 'acme', 'Nova'), { value: '<p class="acme" title="Acme">Nova &amp; co</p><!-- acme -->', count: 1 })
+    assert.equal(replaceText(html, 'amp', 'x').count, 0)
+  })
+
+  it('should treat the phrase and replacement literally', () => {
+    // `$&` isn't expanded to the match (its `&` is only escaped)
+    assert.equal(replaceText('costs $1.00 (approx)', '$1.00 (approx)', '$& $1').value, 'costs $&amp; $1')
+  })
+
+  it('should escape markup in the replacement', () => {
+    assert.equal(replaceText('<p>Acme</p>', 'acme', '<img src=x onerror=alert(1)> & co').value, '<p>&lt;img src=x onerror=alert(1)&gt; &amp; co</p>')
+  })
+
+  it('should leave the value unchanged for an empty phrase', () => {
+    assert.deepEqual(replaceText('Acme', '', 'Nova'), { value: 'Acme', count: 0 })
+  })
+})
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import stripIncompatibleData from '../lib/utils/stripIncompatibleData.js'
+
+describe('stripIncompatibleData', () => {
+  const report = {
+    missingComponents: [{ _component: 'adapt-contrib-hotgraphic', _ids: ['c2'] }],
+    droppedExtensions: [{ attribute: '_trickle', _ids: ['a1', 'b1'] }]
+  }
+  const items = [
+    { _id: 'a1', _type: 'article', _trickle: { _isEnabled: true }, title: 'A' },
+    { _id: 'b1', _type: 'block', _extensions: { _trickle: {}, _other: {} } },
+    { _id: 'c1', _type: 'component', _component: 'adapt-contrib-text' },
+    { _id: 'c2', _type: 'component', _component: 'adapt-contrib-hotgraphic' }
+  ]
+
+  it('leaves out components whose plugin is missing', () => {
+    assert.deepEqual(stripIncompatibleData(items, report).map(i => i._id), ['a1', 'b1', 'c1'])
+  })
+
+  it('removes dropped extension data from the item and its _extensions', () => {
+    const [article, block] = stripIncompatibleData(items, report)
+    assert.deepEqual(article, { _id: 'a1', _type: 'article', title: 'A' })
+    assert.deepEqual(block._extensions, { _other: {} })
+  })
+
+  it('does not modify the original items', () => {
+    stripIncompatibleData(items, report)
+    assert.ok(items[0]._trickle)
+    assert.ok(items[1]._extensions._trickle)
+  })
+
+  it('returns unaffected items unchanged', () => {
+    assert.equal(stripIncompatibleData(items, report)[2], items[2])
+  })
+})